@@ -0,0 +1,165 @@
+// -------------------------
+// App factory
+// Everything external comes in as a dependency: the store (Supabase or memory) and the
+// WhatsApp transport of each tenant (Graph API or fake), so the whole app runs offline in tests.
+// The WhatsApp side (queue, bot, waitlist offers, reminders, session sweep, handoff) is built once per
+// tenant (src/tenants.js); the REST and staff APIs see every restaurant, and so do deposits
+// (src/payments.js): the provider calls back once for the whole app.
+// -------------------------
+const express = require("express");
+const { createRestaurantCatalog, scopedCatalog } = require("./restaurants");
+const { createWhatsAppClient } = require("./whatsapp");
+const { createOutbox } = require("./outbox");
+const { createBooking } = require("./booking");
+const { createBot } = require("./bot");
+const { createReservationReminders } = require("./reminders");
+const { createWaitlist } = require("./waitlist");
+const { createCustomers } = require("./customers");
+const { createSessionExpiry } = require("./sessions");
+const { createInboundProcessor } = require("./inbound");
+const { createTenantRegistry, tenantStore } = require("./tenants");
+const { createCalendarInvites } = require("./calendar");
+const { createEventLog } = require("./events");
+const { createHandoff } = require("./handoff");
+const { createBookingLimits, createRateLimiter, rateLimitByIp } = require("./limits");
+const { createPaymentProvider, createPayments } = require("./payments");
+const { createApiRouter } = require("./routes/api");
+const { createWebhookRouter } = require("./routes/webhook");
+const { createStaffRouter } = require("./routes/staff");
+const { createCalendarRouter } = require("./routes/calendar");
+const { createPaymentsRouter } = require("./routes/payments");
+
+/**
+ * transportFor(tenant) -> the transport that sends from that tenant's number
+ */
+function createApp({ store, transportFor, config }) {
+  const catalog = createRestaurantCatalog({
+    ttlMs: config.restaurantsCacheTtlMs,
+    load: () => store.listRestaurants(),
+  });
+  // `tenants` is built below; these only run once the app is up
+  // A seat freed through the REST / staff API (or a lapsed deposit) is offered from the number
+  // that books that restaurant
+  const freedSeats = {
+    async offerFreedSeats(reservation) {
+      const row = typeof reservation === "string" ? await store.getReservation(reservation) : reservation;
+      const tenant = row ? await tenants.forRestaurant(row.restaurant_id) : null;
+      return tenant ? tenant.waitlist.offerFreedSeats(row) : 0;
+    },
+  };
+
+  // The staff's decision on a large party, a deposit a staff edit now needs, and what happened to a
+  // deposit, go to the guest from the number that books that restaurant
+  const notices = {
+    async approvalDecided(reservation, payment = null) {
+      const tenant = await tenants.forRestaurant(reservation.restaurant_id);
+      if (tenant) await tenant.bot.notifyApproval(reservation, payment);
+    },
+    async paymentRequested(reservation, payment) {
+      const tenant = await tenants.forRestaurant(reservation.restaurant_id);
+      if (tenant) await tenant.bot.notifyPaymentRequest(reservation, payment);
+    },
+    async paymentDecided(reservation, outcome, payment) {
+      const tenant = await tenants.forRestaurant(reservation.restaurant_id);
+      if (tenant) await tenant.bot.notifyPayment(reservation, outcome, payment);
+    },
+  };
+
+  const limits = createBookingLimits({ store, config });
+  const customers = createCustomers({ store });
+  const events = createEventLog({ store });
+  const payments = createPayments({
+    store,
+    catalog,
+    provider: createPaymentProvider(config),
+    events,
+    waitlist: freedSeats,
+    notices,
+    config,
+  });
+  const booking = createBooking({ store, catalog, config, limits, payments });
+
+  function createTenantServices(tenant) {
+    const scoped = tenantStore(store, tenant.id);
+    const tenantCatalog = scopedCatalog(catalog, tenant.restaurants);
+    const outbox = createOutbox({ store: scoped, transport: transportFor(tenant), config });
+    const whatsapp = createWhatsAppClient({ outbox, interactive: config.whatsapp.interactive });
+    const waitlist = createWaitlist({ store: scoped, catalog: tenantCatalog, booking, customers, whatsapp, config });
+    const sessions = createSessionExpiry({ store: scoped, config });
+    const invites = createCalendarInvites({ store: scoped, catalog: tenantCatalog, whatsapp, config });
+    const tenantEvents = createEventLog({ store: scoped });
+    const handoff = createHandoff({ store: scoped, tenant, whatsapp, config });
+    const bot = createBot({
+      store: scoped,
+      tenant,
+      whatsapp,
+      catalog: tenantCatalog,
+      booking,
+      waitlist,
+      customers,
+      sessions,
+      invites,
+      events: tenantEvents,
+      limits,
+      rateLimiter: createRateLimiter({ limit: config.limits.webhookMessagesPerMinute }),
+      handoff,
+      config,
+    });
+    const reminders = createReservationReminders({ store: scoped, catalog: tenantCatalog, whatsapp, config });
+    return { tenant, catalog: tenantCatalog, outbox, whatsapp, waitlist, sessions, handoff, bot, reminders };
+  }
+
+  const tenants = createTenantRegistry(config.tenants.map(createTenantServices));
+  const inbound = createInboundProcessor({ store, tenants });
+
+  const limitRequests = rateLimitByIp(createRateLimiter({ limit: config.limits.apiRequestsPerMinute }));
+
+  const app = express();
+  if (config.trustProxy) app.set("trust proxy", config.trustProxy);
+  // rawBody: Meta signs the exact body it sends, not the re-serialized JSON
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  app.use(createApiRouter({ store, catalog, booking, waitlist: freedSeats, customers, events, limitRequests }));
+  app.use(createWebhookRouter({ inbound, tenants }));
+  app.use(
+    createStaffRouter({
+      store,
+      catalog,
+      booking,
+      waitlist: freedSeats,
+      customers,
+      events,
+      notices,
+      tenants,
+      config,
+    })
+  );
+  app.use(createCalendarRouter({ store, catalog, booking, config }));
+  app.use(createPaymentsRouter({ payments, config }));
+
+  // Top level: the first tenant's services (the only one with a single number)
+  const { outbox, whatsapp, waitlist, sessions, bot, reminders } = tenants.all()[0];
+  return {
+    app,
+    tenants,
+    catalog,
+    whatsapp,
+    outbox,
+    booking,
+    customers,
+    payments,
+    waitlist,
+    sessions,
+    bot,
+    reminders,
+    inbound,
+  };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,45 @@
+// -------------------------
+// Staff authentication
+// staff_api_keys: id, restaurant_id (null = every restaurant), label, key_hash (sha256 hex), active
+// Clients send "Authorization: Bearer <key>". Only the hash is stored.
+// -------------------------
+const crypto = require("crypto");
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function bearerToken(req) {
+  const header = req.get("Authorization") || "";
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * Express middleware: loads the key into req.staff = { key, actor, canAccess(restaurant_id) }.
+ * actor = X-Staff-User header (who is at the host stand) + key label, for the audit trail.
+ */
+function createStaffAuth({ store }) {
+  return async function requireStaff(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) return res.status(401).json({ ok: false, error: "Missing bearer token" });
+
+    let key;
+    try {
+      key = await store.findStaffKey(hashApiKey(token));
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+    if (!key || key.active === false) return res.status(401).json({ ok: false, error: "Invalid token" });
+
+    const user = (req.get("X-Staff-User") || "").trim();
+    req.staff = {
+      key,
+      actor: user ? `${user} (${key.label})` : key.label,
+      canAccess: (restaurant_id) => !key.restaurant_id || key.restaurant_id === restaurant_id,
+    };
+    return next();
+  };
+}
+
+module.exports = { hashApiKey, createStaffAuth };
@@ -0,0 +1,541 @@
+// -------------------------
+// Booking (availability, alternatives, reservations)
+// Shared by the REST API and the WhatsApp flow. Service-level capacity comes from the
+// store's checkAvailability / suggestAlternatives (the Supabase RPCs in production);
+// time slots are checked on top of that. Waitlist offers on hold (src/waitlist.js) take
+// seats like a reservation until they expire. New reservations go through bookReservation,
+// which re-checks and inserts in one atomic store call (book_reservation), after the anti-abuse
+// policies (src/limits.js): blocked phones, active bookings per phone, parties that need approval.
+// Changes go through modifyReservation the same way (modify_reservation), with the approval and
+// deposit policies applied to what the reservation becomes.
+// Special requests (src/tags.js): a reservation carries a note and tags; a tag with its own
+// capacity (a terrace, a private room) is checked like a slot, on top of the service.
+// Deposits (src/payments.js): a booking that needs one is PENDING_PAYMENT until it is paid, and
+// holds its seats like a waitlist offer until payment_expires_at; cancelling refunds by policy.
+// Schedule exceptions (src/schedule.js): a closed service fails with CLOSED, a reduced one with
+// REDUCED_CAPACITY (both with the rule's `exception`, reason included) and special hours leave out
+// the slots outside them, in availability, alternatives and bookings alike.
+// -------------------------
+const { addDays, todayInTimeZone } = require("./dates");
+const { SEATED_STATUSES, normalizeTime, slotOccupancy, openSlots, nearestOpenSlots, checkSlot } = require("./slots");
+const { ACTIVE_STATUSES, normalizePhone } = require("./limits");
+const { cleanNotes, parseTags, tagOccupancy, checkTags } = require("./tags");
+const { exceptionFor, slotsWithin, checkException } = require("./schedule");
+
+function bookingsFor(bookings, date, service) {
+  return bookings.filter((b) => b.service_date === date && b.service === service);
+}
+
+function occupancyFor(slots, bookings, date, service) {
+  return slotOccupancy(
+    slots.filter((sl) => sl.service === service),
+    bookingsFor(bookings, date, service)
+  );
+}
+
+function sumCovers(rows, service) {
+  return rows.filter((r) => r.service === service).reduce((sum, r) => sum + (r.party_size || 0), 0);
+}
+
+function createBooking({ store, catalog, config, limits = null, payments = null }) {
+  // OFFERED waitlist entries and PENDING_PAYMENT reservations that have not expired
+  // (exceptHoldId: the offer being claimed)
+  async function listHolds(restaurant_id, fromDate, toDate, exceptHoldId = null) {
+    const now = Date.now();
+    const range = { restaurant_id, from_date: fromDate, to_date: toDate };
+    const offers = await store.listWaitlist({ ...range, status: "OFFERED" });
+    const deposits = await store.listReservations({ ...range, status: "PENDING_PAYMENT" });
+    return offers
+      .filter((w) => w.id !== exceptHoldId && new Date(w.offer_expires_at).getTime() > now)
+      .concat(deposits.filter((r) => new Date(r.payment_expires_at).getTime() > now));
+  }
+
+  // except: { holdId, reservationId } not counted (the offer being claimed, the booking being moved)
+  async function listSlotBookings(restaurant_id, fromDate, toDate, except = {}) {
+    const reservations = await store.listReservations({
+      restaurant_id,
+      status: SEATED_STATUSES,
+      from_date: fromDate,
+      to_date: toDate,
+    });
+    return reservations
+      .filter((r) => r.id !== except.reservationId)
+      .concat(await listHolds(restaurant_id, fromDate, toDate, except.holdId));
+  }
+
+  // The schedule exception (src/schedule.js) for one date/service, null on a normal day
+  async function scheduleRule(restaurantRow, date, service) {
+    if (!restaurantRow) return null;
+    const range = { restaurant_id: restaurantRow.id, from_date: date, to_date: date };
+    return exceptionFor(await store.listScheduleExceptions(range), date, service);
+  }
+
+  async function getScheduleException(restaurantCode, date, service) {
+    return scheduleRule(await catalog.getByCode(restaurantCode), date, service);
+  }
+
+  // checkException for a party; a reduced capacity counts seated covers + holds (except as in listSlotBookings)
+  async function scheduleCheck(restaurantRow, rule, date, service, party, except = {}) {
+    if (rule?.kind !== "CAPACITY") return checkException(rule, 0, party);
+
+    const bookings = await listSlotBookings(restaurantRow.id, date, date, except);
+    return checkException(rule, sumCovers(bookingsFor(bookings, date, service), service), party);
+  }
+
+  async function getSlotOccupancy(restaurantCode, date, service, except = {}) {
+    const restaurant = await catalog.getByCode(restaurantCode);
+    if (!restaurant) return [];
+
+    const all = (await store.listSlots(restaurant.id)).filter((sl) => sl.service === service);
+    if (!all.length) return [];
+
+    const slots = slotsWithin(all, await scheduleRule(restaurant, date, service));
+
+    return occupancyFor(slots, await listSlotBookings(restaurant.id, date, date, except), date, service);
+  }
+
+  // Tag pools (src/tags.js) among `tags` for one date/service, with what is left
+  async function getTagOccupancy(restaurantCode, date, service, tags, except = {}) {
+    const restaurant = await catalog.getByCode(restaurantCode);
+    if (!restaurant || !tags?.length) return [];
+    if (!tagOccupancy(restaurant, [], tags).length) return [];
+
+    const bookings = await listSlotBookings(restaurant.id, date, date, except);
+    return tagOccupancy(restaurant, bookingsFor(bookings, date, service), tags);
+  }
+
+  // Covers held by waitlist offers for one date/service
+  async function heldCovers(restaurantCode, date, service, exceptHoldId) {
+    const restaurant = await catalog.getByCode(restaurantCode);
+    if (!restaurant) return 0;
+    return sumCovers(await listHolds(restaurant.id, date, date, exceptHoldId), service);
+  }
+
+  /**
+   * check_availability for the service, then the slot (when the restaurant has slots).
+   * Always returns an object with ok/reason; `slots` lists every slot with what is left.
+   * holdId: a waitlist offer being claimed, so its own hold does not count against it.
+   * tags: the reservation's tags; the ones with their own capacity are checked too (tag_pools).
+   * A schedule exception for the service comes as `exception` (CLOSED fails before anything else).
+   */
+  async function checkAvailability({ restaurant, date, service, time, party, tags = [], holdId = null }) {
+    const restaurantRow = await catalog.getByCode(restaurant);
+    const rule = await scheduleRule(restaurantRow, date, service);
+    if (rule?.kind === "CLOSED") return { ...checkException(rule, 0, party), time: null };
+
+    const held = await heldCovers(restaurant, date, service, holdId);
+    const serviceLevel = (await store.checkAvailability({ restaurant, date, service, party: party + held })) || {
+      ok: false,
+      reason: "NOT_AVAILABLE",
+    };
+    const excepted = await scheduleCheck(restaurantRow, rule, date, service, party, { holdId });
+    const result = withException(serviceLevel, excepted);
+
+    const slotted = withSlot(result, await getSlotOccupancy(restaurant, date, service, { holdId }), time, party);
+    return withTags(slotted, await getTagOccupancy(restaurant, date, service, tags, { holdId }), party);
+  }
+
+  // The exception's reason wins: it tells the guest why (a private event, ...) instead of just "full"
+  function withException(result, excepted) {
+    if (!excepted) return result;
+    if (excepted.ok) return { ...result, exception: excepted.exception };
+    return { ...result, ...excepted };
+  }
+
+  function withSlot(result, occupancy, time, party) {
+    const slot = checkSlot(occupancy, time || null, party);
+    if (!slot) return { ...result, time: null };
+
+    return {
+      ...result,
+      ...slot,
+      ok: result.ok === true && slot.ok,
+      reason: result.ok !== true ? result.reason : slot.reason || result.reason,
+      slots: occupancy,
+    };
+  }
+
+  function withTags(result, occupancy, party) {
+    const pools = checkTags(occupancy, party);
+    if (!pools) return result;
+
+    return {
+      ...result,
+      ok: result.ok === true && pools.ok,
+      reason: result.ok !== true ? result.reason : pools.reason || result.reason,
+      ...(pools.ok ? {} : { tag: pools.tag, tag_capacity: pools.tag_capacity, tag_remaining: pools.tag_remaining }),
+      tag_pools: occupancy,
+    };
+  }
+
+  /**
+   * Same as checkAvailability, for moving/resizing an existing reservation without counting
+   * its own seats. Slots leave the reservation out of the count; check_availability only
+   * knows totals, so on the same service it is asked for the extra covers only.
+   * next: { date, service, time, party }
+   */
+  async function checkChange(reservation, { date, service, time, party }) {
+    const restaurantRow = await catalog.getById(reservation.restaurant_id);
+    if (!restaurantRow) return { ok: false, reason: "RESTAURANT_NOT_FOUND" };
+
+    const restaurant = restaurantRow.code;
+    const sameService = date === reservation.service_date && service === reservation.service;
+    const serviceParty = sameService ? party - reservation.party_size : party;
+
+    const except = { reservationId: reservation.id };
+    const rule = await scheduleRule(restaurantRow, date, service);
+    // A smaller party on its same service takes no extra room: it is not checked again there
+    const excepted = serviceParty > 0 ? await scheduleCheck(restaurantRow, rule, date, service, party, except) : null;
+    if (excepted?.reason === "CLOSED") return { ...excepted, time: null };
+
+    const held = await heldCovers(restaurant, date, service);
+    const result = withException(
+      serviceParty > 0
+        ? (await store.checkAvailability({ restaurant, date, service, party: serviceParty + held })) || {
+            ok: false,
+            reason: "NOT_AVAILABLE",
+          }
+        : { ok: true, reason: null },
+      excepted
+    );
+
+    const occupancy = await getSlotOccupancy(restaurant, date, service, except);
+    const pools = await getTagOccupancy(restaurant, date, service, reservation.tags, except);
+    return withTags(withSlot(result, occupancy, time, party), pools, party);
+  }
+
+  /**
+   * Changes party / date / service / time of a CONFIRMED reservation: checkChange (for the reason
+   * and the slot), then store.modifyReservation, which re-checks and updates in one atomic step, so
+   * it either moves to what was asked or stays exactly as it was.
+   * The policies of a new booking apply to what it becomes: growing into a party that needs approval
+   * fails with NEEDS_APPROVAL (details: { limit }; that is a new booking), and a change that needs a
+   * deposit it has not paid goes to PENDING_PAYMENT with its `payment` (a deposit already paid is kept
+   * as it is). Until it is paid the reservation keeps what it was in previous_booking: a deposit that
+   * lapses puts it back there (src/payments.js) instead of cancelling it. When the provider cannot
+   * create the link the change is undone and fails with PAYMENT_UNAVAILABLE.
+   * Returns { ok: true, reservation, changes, payment } or { ok: false, reason, details? }.
+   * changes: { column: { from, to } } (empty when nothing changed).
+   */
+  async function modifyReservation(reservation, next) {
+    if (reservation.status !== "CONFIRMED") return { ok: false, reason: "NOT_EDITABLE" };
+
+    const avail = await checkChange(reservation, next);
+    if (!avail || avail.ok !== true) {
+      return { ok: false, reason: avail?.reason || "NOT_AVAILABLE", details: avail };
+    }
+
+    const after = {
+      party_size: next.party,
+      service_date: next.date,
+      service: next.service,
+      service_time: avail.time || null,
+    };
+    const changes = {};
+    for (const [column, to] of Object.entries(after)) {
+      const from = column === "service_time" ? normalizeTime(reservation.service_time) : reservation[column];
+      if (from !== to) changes[column] = { from, to };
+    }
+    if (!Object.keys(changes).length) return { ok: true, reservation, changes, payment: null };
+
+    const patch = { ...after };
+    // Another date/time: the reminder is sent again
+    if (changes.service_date || changes.service || changes.service_time) patch.reminder_sent_at = null;
+
+    // Like a new booking: growing past the limit needs approval; another date or more people, a deposit
+    if (next.party > reservation.party_size && limits?.needsApproval(next.party)) {
+      return { ok: false, reason: "NEEDS_APPROVAL", details: { limit: limits.approvalPartySize } };
+    }
+    const deposit = payments ? payments.depositFor(next.date, next.party) : 0;
+    const depositPaid = deposit ? (await payments.forReservation(reservation.id))?.status === "PAID" : false;
+    if (deposit && !depositPaid) {
+      const previous_booking = {
+        party_size: reservation.party_size,
+        service_date: reservation.service_date,
+        service: reservation.service,
+        service_time: normalizeTime(reservation.service_time),
+        reminder_sent_at: reservation.reminder_sent_at ?? null,
+      };
+      Object.assign(patch, { status: "PENDING_PAYMENT", payment_expires_at: payments.holdUntil(), previous_booking });
+    }
+
+    // expect: a reservation that changed (or was cancelled) since it was read is left alone
+    const expect = {
+      status: "CONFIRMED",
+      party_size: reservation.party_size,
+      service_date: reservation.service_date,
+      service: reservation.service,
+    };
+    const modified = await store.modifyReservation(reservation.id, patch, expect);
+    if (!modified || modified.ok !== true) {
+      return { ok: false, reason: modified?.reason || "NOT_AVAILABLE", details: modified };
+    }
+
+    const row = modified.reservation;
+    if (row.status !== "PENDING_PAYMENT") return { ok: true, reservation: row, changes, payment: null };
+
+    try {
+      return { ok: true, reservation: row, changes, payment: await payments.request(row) };
+    } catch (e) {
+      console.log("Payment link error:", row.id, e?.message);
+      const before = Object.fromEntries(Object.keys(patch).map((column) => [column, reservation[column] ?? null]));
+      await store.updateReservation(row.id, { ...before, status: "CONFIRMED", payment_expires_at: null }, {
+        status: "PENDING_PAYMENT",
+      });
+      return { ok: false, reason: "PAYMENT_UNAVAILABLE" };
+    }
+  }
+
+  /**
+   * Approves a PENDING_APPROVAL reservation (POST /staff/reservations/:id/status): CONFIRMED, or
+   * PENDING_PAYMENT with its `payment` when it needs a deposit. checkAvailability gives the reason,
+   * then store.modifyReservation re-checks and changes the status in one atomic step, under the lock
+   * of book_reservation, so a booking or another approval at the same time can't overbook the service.
+   * Fails with RESERVATION_CHANGED when another host decided it first, and with PAYMENT_UNAVAILABLE
+   * (back to PENDING_APPROVAL) when the provider cannot create the link.
+   * Returns { ok: true, reservation, payment } or { ok: false, reason, details? }.
+   */
+  async function approveReservation(reservation) {
+    if (reservation.status !== "PENDING_APPROVAL") return { ok: false, reason: "RESERVATION_CHANGED" };
+
+    const restaurant = await catalog.getById(reservation.restaurant_id);
+    if (!restaurant) return { ok: false, reason: "RESTAURANT_NOT_FOUND" };
+    const avail = await checkAvailability({
+      restaurant: restaurant.code,
+      date: reservation.service_date,
+      service: reservation.service,
+      time: normalizeTime(reservation.service_time),
+      party: reservation.party_size,
+      tags: reservation.tags || [],
+    });
+    if (avail?.ok !== true) return { ok: false, reason: avail?.reason || "NOT_AVAILABLE", details: avail };
+
+    // Approved but with a deposit: PENDING_PAYMENT (holding its seats) until it is paid
+    const deposit = payments ? payments.depositFor(reservation.service_date, reservation.party_size) : 0;
+    const patch = deposit
+      ? { status: "PENDING_PAYMENT", payment_expires_at: payments.holdUntil() }
+      : { status: "CONFIRMED" };
+    const approved = await store.modifyReservation(reservation.id, patch, { status: "PENDING_APPROVAL" });
+    if (!approved || approved.ok !== true) {
+      return { ok: false, reason: approved?.reason || "NOT_AVAILABLE", details: approved };
+    }
+
+    const row = approved.reservation;
+    if (!deposit) return { ok: true, reservation: row, payment: null };
+    try {
+      return { ok: true, reservation: row, payment: await payments.request(row) };
+    } catch (e) {
+      // Without a link there is no way to pay: back to waiting for the staff's decision
+      console.log("Payment link error:", row.id, e?.message);
+      await store.updateReservation(row.id, { status: "PENDING_APPROVAL", payment_expires_at: null }, {
+        status: "PENDING_PAYMENT",
+      });
+      return { ok: false, reason: "PAYMENT_UNAVAILABLE" };
+    }
+  }
+
+  /**
+   * Books a reservation: the usual checkAvailability (for the reason and the slot details), then
+   * store.bookReservation, which re-checks capacity and inserts atomically. Losing a race at that
+   * point fails with the same reason shape as the first check.
+   * idempotencyKey: a repeated key returns the first reservation (replayed: true), or
+   * IDEMPOTENCY_KEY_REUSED when it was used for a different booking.
+   * A policy refusal (src/limits.js) fails with its reason and details: { limit }; a party that
+   * needs approval is booked as PENDING_APPROVAL. One that needs a deposit (src/payments.js) is
+   * booked as PENDING_PAYMENT and comes with its `payment` (the link); when the provider cannot
+   * create it the booking is undone and fails with PAYMENT_UNAVAILABLE.
+   * notes / tags: the guest's special requests; a tag the restaurant does not have fails with
+   * UNKNOWN_TAG (details: { unknown }).
+   * Returns { ok: true, reservation, replayed, payment } or { ok: false, reason, details? }.
+   */
+  async function bookReservation({
+    restaurant,
+    date,
+    service,
+    time,
+    party,
+    customer_name,
+    customer_phone: rawPhone,
+    notes = null,
+    tags = [],
+    holdId = null,
+    idempotencyKey = null,
+  }) {
+    const restaurantRow = await catalog.getByCode(restaurant);
+    // "+54 9 11 1234-5678" is saved as the wa_id: so the limits count it and the bot finds the booking
+    const customer_phone = normalizePhone(rawPhone) || rawPhone;
+
+    if (idempotencyKey) {
+      const [existing] = await store.listReservations({ idempotency_key: idempotencyKey, limit: 1 });
+      if (existing) {
+        const same =
+          existing.restaurant_id === restaurantRow?.id &&
+          existing.service_date === date &&
+          existing.service === service &&
+          existing.party_size === party &&
+          existing.customer_phone === customer_phone;
+        if (!same) return { ok: false, reason: "IDEMPOTENCY_KEY_REUSED" };
+        return { ok: true, reservation: existing, replayed: true, payment: await paymentFor(existing) };
+      }
+    }
+
+    const refused = limits
+      ? await limits.check({
+          customer_phone,
+          restaurant_id: restaurantRow?.id || null,
+          today: todayInTimeZone(config.timeZone),
+        })
+      : null;
+    if (refused) return { ok: false, reason: refused.reason, details: refused };
+
+    const requested = parseTags(restaurantRow, tags);
+    if (!requested.ok) return { ok: false, reason: "UNKNOWN_TAG", details: { unknown: requested.unknown } };
+
+    const avail = await checkAvailability({ restaurant, date, service, time, party, tags: requested.tags, holdId });
+    if (!avail || avail.ok !== true) {
+      return { ok: false, reason: avail?.reason || "NOT_AVAILABLE", details: avail };
+    }
+    if (!restaurantRow) return { ok: false, reason: "RESTAURANT_NOT_FOUND" };
+
+    // A party the staff has to approve pays the deposit only once approved (src/routes/staff.js)
+    const approval = !!limits?.needsApproval(party);
+    const deposit = !approval && payments ? payments.depositFor(date, party) : 0;
+    const booked = await store.bookReservation(
+      {
+        restaurant_id: restaurantRow.id,
+        customer_name,
+        customer_phone,
+        party_size: party,
+        service_date: date,
+        service,
+        service_time: avail.time || null,
+        notes: cleanNotes(notes),
+        tags: requested.tags,
+        status: approval ? "PENDING_APPROVAL" : deposit ? "PENDING_PAYMENT" : "CONFIRMED",
+        ...(deposit ? { payment_expires_at: payments.holdUntil() } : {}),
+      },
+      { holdId, idempotencyKey }
+    );
+    if (!booked || booked.ok !== true) {
+      return { ok: false, reason: booked?.reason || "NOT_AVAILABLE", details: booked };
+    }
+
+    const reservation = booked.reservation;
+    if (booked.replayed || reservation.status !== "PENDING_PAYMENT") {
+      return { ok: true, reservation, replayed: !!booked.replayed, payment: await paymentFor(reservation) };
+    }
+
+    try {
+      return { ok: true, reservation, replayed: false, payment: await payments.request(reservation) };
+    } catch (e) {
+      console.log("Payment link error:", reservation.id, e?.message);
+      await store.updateReservation(reservation.id, { status: "CANCELLED" }, { status: "PENDING_PAYMENT" });
+      return { ok: false, reason: "PAYMENT_UNAVAILABLE" };
+    }
+  }
+
+  // The payment link of a reservation waiting for its deposit (null otherwise)
+  async function paymentFor(reservation) {
+    return payments && reservation.status === "PENDING_PAYMENT" ? payments.forReservation(reservation.id) : null;
+  }
+
+  /**
+   * Nearest open slots on the same day/service first, then suggest_alternatives for other
+   * days, each one with the open slot closest to the requested time.
+   * Rows: { service_date, service, time } (time null when there are no slots).
+   * tags: only services where the tag pools still fit the party.
+   * Closed services, and the ones whose reduced capacity the party does not fit in, are left out.
+   */
+  async function findAlternatives({ restaurant, date, service, time, party, days, tags = [] }) {
+    const restaurantRow = await catalog.getByCode(restaurant);
+    const slots = restaurantRow ? await store.listSlots(restaurantRow.id) : [];
+    const pooled = restaurantRow ? tagOccupancy(restaurantRow, [], tags).length > 0 : false;
+    const toDate = addDays(date, days);
+    const rules = restaurantRow
+      ? await store.listScheduleExceptions({ restaurant_id: restaurantRow.id, from_date: date, to_date: toDate })
+      : [];
+    const rpcAlts = await store.suggestAlternatives({ restaurant, date, service, party, days });
+
+    if (!slots.length && !pooled && !rules.length) return rpcAlts.map((a) => ({ ...a, time: null }));
+
+    const bookings = await listSlotBookings(restaurantRow.id, date, toDate);
+    const room = (d, s) => {
+      const covers = sumCovers(bookingsFor(bookings, d, s), s);
+      if (checkException(exceptionFor(rules, d, s), covers, party)?.ok === false) return false;
+
+      const pools = tagOccupancy(restaurantRow, bookingsFor(bookings, d, s), tags);
+      return checkTags(pools, party)?.ok !== false;
+    };
+    const slotsOn = (d, s) => occupancyFor(slotsWithin(slots, exceptionFor(rules, d, s)), bookings, d, s);
+    const alternatives = [];
+
+    const held = sumCovers(await listHolds(restaurantRow.id, date, date), service);
+    const serviceLevel = await store.checkAvailability({ restaurant, date, service, party: party + held });
+    if (serviceLevel?.ok === true && room(date, service)) {
+      for (const slot of nearestOpenSlots(slotsOn(date, service), party, time)) {
+        alternatives.push({ service_date: date, service, time: slot.time });
+      }
+    }
+
+    for (const alt of rpcAlts) {
+      if (!room(alt.service_date, alt.service)) continue;
+
+      const occupancy = slotsOn(alt.service_date, alt.service);
+      if (!occupancy.length) {
+        alternatives.push({ ...alt, time: null });
+        continue;
+      }
+
+      const best = nearestOpenSlots(occupancy, party, time)[0] || openSlots(occupancy, party)[0];
+      if (best) alternatives.push({ ...alt, time: best.time });
+    }
+
+    return alternatives;
+  }
+
+  // CONFIRMED reservations from today on; filter: { customer_phone, restaurant_id, status }
+  async function listUpcomingReservations(filter = {}, limit = null) {
+    return store.listReservations({
+      status: "CONFIRMED",
+      ...filter,
+      from_date: todayInTimeZone(config.timeZone),
+      limit,
+    });
+  }
+
+  // pending: also the ones waiting for the staff's approval or a deposit (they can be cancelled, not modified)
+  // restaurant_id: only these restaurants (one or an array; the tenant's catalog)
+  async function listUpcomingReservationsForWa(wa_id, limit = 5, { pending = false, restaurant_id } = {}) {
+    const status = pending ? ACTIVE_STATUSES : "CONFIRMED";
+    const filter = restaurant_id ? { customer_phone: wa_id, status, restaurant_id } : { customer_phone: wa_id, status };
+    return listUpcomingReservations(filter, limit);
+  }
+
+  // extra: more columns to set along with the cancellation (e.g. reminder_cancelled_at)
+  // refund: what goes back of the deposit by the policy (src/payments.js), null when nothing was paid
+  // Only an active reservation: one already cancelled, seated or completed returns null, untouched
+  async function cancelReservationById(id, extra = {}) {
+    const row = await store.updateReservation(id, { ...extra, status: "CANCELLED" }, { status: ACTIVE_STATUSES });
+    if (!row) return null;
+
+    const refund = payments ? await payments.cancelled(row) : null;
+    return { id: row.id, status: row.status, refund };
+  }
+
+  return {
+    getScheduleException,
+    getSlotOccupancy,
+    getTagOccupancy,
+    checkAvailability,
+    checkChange,
+    modifyReservation,
+    approveReservation,
+    bookReservation,
+    findAlternatives,
+    listUpcomingReservations,
+    listUpcomingReservationsForWa,
+    cancelReservationById,
+  };
+}
+
+module.exports = { createBooking };
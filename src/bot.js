@@ -0,0 +1,1198 @@
+// -------------------------
+// WhatsApp conversation (state machine over chat_sessions.state)
+// The steps are a declarative graph (states with prompt / parse / validate / on / next, plus the
+// global commands) run by src/flow.js; a transition a step does not declare is logged.
+// IDLE (-> ASK_NAME the first time, -> ASK_REPEAT when there is a last booking)
+//      -> ASK_RESTAURANT -> ASK_PARTY_SIZE -> ASK_DATE -> ASK_SERVICE -> ASK_TIME -> CONFIRM_RESERVATION
+//      -> ASK_CANCEL_PICK                                   (ASK_ALT_PICK when there is no availability)
+// ASK_NOTES: special requests (src/tags.js), asked before CONFIRM_RESERVATION when the restaurant has
+//      tags, and from 5 in the confirmation; numbers pick tags, anything else is the note.
+// WAITLIST_OFFER: a waitlist offer arrived while the guest was IDLE (src/waitlist.js)
+// Modify: IDLE -> ASK_MODIFY_PICK -> ASK_MODIFY_FIELD -> ASK_PARTY_SIZE | ASK_DATE | ASK_SERVICE
+//      (-> ASK_TIME) -> CONFIRM_MODIFY. session.modify_id marks the reservation being changed; the
+//      booking states go to CONFIRM_MODIFY instead of CONFIRM_RESERVATION while it is set.
+// ASK_LANGUAGE: "idioma" / "language" from any state. session.language (es | en | pt) is picked
+//      from the first message and by greetings ("hola", "hi", "olá"); resetSession keeps it.
+// ASK_RESUME: the session went stale (src/sessions.js); resume_state is the step to go back to.
+// A booking or cancellation reply carries `invite`: the .ics document follows it (src/calendar.js).
+// Every step change and outcome (booked, cancelled, no availability, ...) goes to conversation_events.
+// Anti-abuse (src/limits.js): blocked phones and guests at their limit of active bookings are told
+// why before and after the booking questions; large parties end as PENDING_APPROVAL until the staff
+// decides (notifyApproval); too many messages in a row get one warning and the rest are ignored.
+// Deposits (src/payments.js): a booking (or a change) that needs one ends as PENDING_PAYMENT with the
+//      payment link (notifyPaymentRequest for a staff edit); notifyPayment tells the guest when it is
+//      paid, released or refunded.
+// Schedule exceptions (src/schedule.js): a closed or reduced service is explained with the
+//      staff's reason before the alternatives; special hours are shown when the date is picked.
+// HUMAN: "hablar con alguien" (or 5 in the menu) from any state hands the guest to the staff
+//      (src/handoff.js); the bot stays quiet until the handoff is resolved. Every message in and
+//      every reply out goes to the conversation log.
+// -------------------------
+const { formatDate, parseDate, todayInTimeZone } = require("./dates");
+const { localsText, matchRestaurant, pickerReply, restaurantLabel } = require("./restaurants");
+const { parseReminderPayload } = require("./reminders");
+const { parseWaitlistPayload } = require("./waitlist");
+const { cleanName } = require("./customers");
+const { normalizeTime, openSlots, matchSlot } = require("./slots");
+const { droppedState, RESUMABLE_STATES, SESSION_FIELDS } = require("./sessions");
+const { tenantWelcome } = require("./tenants");
+const { POLICY_REASONS } = require("./limits");
+const { EXCEPTION_REASONS } = require("./schedule");
+const { createFlowEngine } = require("./flow");
+const { MAX_NOTES, restaurantTags, tagLabel, tagLabels, cleanNotes, matchTags } = require("./tags");
+const { t, isKeyword, detectLanguage, parseLanguage, normalizeLanguage, languageReply } = require("./i18n");
+const {
+  normalizeText,
+  serviceLabel,
+  menuReply,
+  nameReply,
+  repeatReply,
+  serviceReply,
+  invalidServiceReply,
+  datePrompt,
+  alternativesReply,
+  dateErrorText,
+  bookingSummary,
+  bookedText,
+  formatAmount,
+  pendingApprovalText,
+  paymentText,
+  refundText,
+  limitText,
+  confirmationReply,
+  requestsReply,
+  modifyFieldReply,
+  modifyConfirmationReply,
+  resumeReply,
+  slotsReply,
+  waitlistJoinedText,
+} = require("./messages");
+
+function createBot({
+  store,
+  tenant,
+  whatsapp,
+  catalog,
+  booking,
+  waitlist,
+  customers,
+  sessions,
+  invites,
+  events,
+  limits,
+  rateLimiter,
+  handoff,
+  config,
+}) {
+  // The main menu, with the number's own welcome when it has one (src/tenants.js)
+  function menu(lang, prefix = "") {
+    return menuReply(lang, prefix, tenantWelcome(tenant, lang));
+  }
+
+  // The reply and, when it confirmed or cancelled a booking (reply.invite), the .ics for the guest's calendar
+  async function send(wa_id, lang, reply) {
+    await whatsapp.sendReply(wa_id, reply);
+    await handoff.logReply(wa_id, reply);
+    if (reply?.invite) await invites.send(wa_id, lang, reply.invite);
+  }
+
+  async function restaurantId(code) {
+    return code ? (await catalog.getByCode(code))?.id || null : null;
+  }
+
+  // Session fields that go into the events (src/events.js)
+  async function sessionEventFields(session) {
+    return {
+      restaurant_id: await restaurantId(session?.restaurant_code),
+      service_date: session?.service_date || null,
+      service: session?.service || null,
+      party_size: session?.party_size || null,
+    };
+  }
+
+  async function resetSession(wa_id) {
+    return store.upsertSession(wa_id, SESSION_FIELDS);
+  }
+
+  // Policies of src/limits.js: null when the guest can book (restaurant: the per-restaurant limit too)
+  async function bookingRefusal(wa_id, restaurant = null) {
+    return limits.check({
+      customer_phone: wa_id,
+      restaurant_id: restaurant?.id || null,
+      today: todayInTimeZone(config.timeZone),
+    });
+  }
+
+  // The restaurant's special request tags, named in the guest's language: [{ code, label }]
+  async function requestTags(lang, restaurantCode) {
+    const restaurant = restaurantCode ? await catalog.getByCode(restaurantCode) : null;
+    return restaurantTags(restaurant).map((tag) => ({ code: tag.code, label: tagLabel(tag, lang) }));
+  }
+
+  // Tag names of a reservation (or the session) for the summary
+  function tagNames(lang, restaurant, tags) {
+    return tags?.length ? tagLabels(restaurant, tags, lang) : null;
+  }
+
+  // A new booking or one claimed from the waitlist: confirmed, pending approval (large party)
+  // or waiting for the deposit (payment: the link)
+  async function bookedReply(lang, reservation, restaurantName, payment = null) {
+    const names = tagNames(lang, await catalog.getById(reservation.restaurant_id), reservation.tags);
+    if (reservation.status === "PENDING_PAYMENT" && payment) {
+      const text = paymentText(lang, reservation, restaurantName, payment, names);
+      return { ...menu(lang, text), reservationId: reservation.id };
+    }
+    if (reservation.status === "PENDING_APPROVAL") {
+      const text = pendingApprovalText(lang, reservation, restaurantName, limits.approvalPartySize, names);
+      return { ...menu(lang, text), reservationId: reservation.id };
+    }
+    return {
+      ...menu(lang, bookedText(lang, reservation, restaurantName, names)),
+      reservationId: reservation.id,
+      invite: reservation.id,
+    };
+  }
+
+  async function confirmation(lang, session, prefix = "") {
+    const restaurantName = await catalog.label(session.restaurant_code);
+    if (!session.modify_id) {
+      const names = tagNames(lang, await catalog.getByCode(session.restaurant_code), session.tags);
+      return confirmationReply(lang, session, restaurantName, prefix, names);
+    }
+
+    const reservation = await store.getReservation(session.modify_id);
+    return modifyConfirmationReply(lang, reservation, session, restaurantName, prefix);
+  }
+
+  // "Reservar": the name the first time, "¿Lo mismo que la última vez?" after a booking, else the picker
+  async function startBooking(lang, wa_id, profileName, prefix = "") {
+    const restaurants = await catalog.active();
+    if (!restaurants.length) return menu(lang, t(lang, "noRestaurants"));
+
+    const refused = await bookingRefusal(wa_id);
+    if (refused) {
+      await resetSession(wa_id);
+      return menu(lang, prefix + limitText(lang, refused));
+    }
+
+    const customer = await customers.get(wa_id);
+    if (!customer?.name) {
+      const saved = await customers.rememberProfileName(wa_id, profileName);
+      await store.upsertSession(wa_id, { state: "ASK_NAME" });
+      return nameReply(lang, saved?.profile_name || null, prefix);
+    }
+
+    const last = restaurants.find((r) => r.id === customer.last_restaurant_id);
+    if (last && customer.last_service) {
+      await store.upsertSession(wa_id, { state: "ASK_REPEAT" });
+      return repeatReply(lang, customer, restaurantLabel(last), prefix);
+    }
+
+    await store.upsertSession(wa_id, { state: "ASK_RESTAURANT" });
+    return pickerReply(lang, restaurants, prefix);
+  }
+
+  function confirmState(session) {
+    return session.modify_id ? "CONFIRM_MODIFY" : "CONFIRM_RESERVATION";
+  }
+
+  async function requestsPrompt(lang, wa_id, session, prefix = "") {
+    await store.upsertSession(wa_id, { state: "ASK_NOTES" });
+    return requestsReply(lang, await requestTags(lang, session.restaurant_code), prefix);
+  }
+
+  // Everything is picked: on to confirm, through the special requests first when the restaurant has
+  // tags and they were not asked yet (tags null)
+  async function toConfirmation(lang, wa_id, session, patch, prefix = "") {
+    const next = { ...session, ...patch };
+    if (!next.modify_id && next.tags == null && (await requestTags(lang, next.restaurant_code)).length) {
+      session = await store.upsertSession(wa_id, patch);
+      return requestsPrompt(lang, wa_id, session, prefix);
+    }
+
+    session = await store.upsertSession(wa_id, { ...patch, state: confirmState(session) });
+    return confirmation(lang, session, prefix);
+  }
+
+  // The guest's own reservation at one of this number's restaurants (another tenant's is not theirs to touch)
+  async function isOwn(wa_id, reservation) {
+    return reservation?.customer_phone === wa_id && !!(await catalog.getById(reservation.restaurant_id));
+  }
+
+  // Only the guest's own upcoming CONFIRMED reservations can be changed
+  async function getOwnReservation(wa_id, id) {
+    const reservation = id ? await store.getReservation(id) : null;
+    return (await isOwn(wa_id, reservation)) && reservation.status === "CONFIRMED" ? reservation : null;
+  }
+
+  // Puts the reservation's details back in the session (when it is picked, or when the change does not fit)
+  async function startModify(lang, wa_id, reservation, prefix = "") {
+    const restaurant = await catalog.getById(reservation.restaurant_id);
+    await store.upsertSession(wa_id, {
+      state: "ASK_MODIFY_FIELD",
+      modify_id: reservation.id,
+      restaurant_code: restaurant?.code || null,
+      party_size: reservation.party_size,
+      service_date: reservation.service_date,
+      service: reservation.service,
+      service_time: normalizeTime(reservation.service_time),
+    });
+    return modifyFieldReply(lang, prefix);
+  }
+
+  // Numbered list of upcoming bookings (cancel / modify); saves pick -> id in cancel_ids
+  // heading / question: catalog keys
+  async function upcomingPickReply(lang, wa_id, upcoming, state, heading, question) {
+    await store.upsertSession(wa_id, { state, cancel_ids: upcoming.map((r) => r.id) });
+
+    const lines = [];
+    const rows = [];
+    for (let i = 0; i < upcoming.length; i++) {
+      const r = upcoming[i];
+      const restaurant = await catalog.getById(r.restaurant_id);
+      const tag = { PENDING_APPROVAL: "pendingTag", PENDING_PAYMENT: "paymentTag" }[r.status];
+      const pending = tag ? ` (${t(lang, tag)})` : "";
+      const detail = `${r.service_date} — ${serviceLabel(r.service, lang)} — ${r.party_size} pax${pending}`;
+      lines.push(`${i + 1}) ${restaurantLabel(restaurant)} — ${detail}`);
+      rows.push({ id: String(i + 1), title: restaurantLabel(restaurant), description: detail });
+    }
+
+    return {
+      text:
+        `${t(lang, heading)}\n\n` +
+        `${t(lang, question)}:\n` +
+        lines.join("\n") +
+        "\n\n" +
+        t(lang, "pickAnswer") +
+        "\n" +
+        t(lang, "pickExit"),
+      body: `${t(lang, heading)}\n\n` + t(lang, "pickBody", t(lang, question)),
+      list: { button: t(lang, "reservationsButton"), rows },
+    };
+  }
+
+  // The reminder's "Confirmo" / "Cancelar" quick replies
+  async function handleReminderReply(lang, wa_id, { action, reservationId }) {
+    const found = await store.getReservation(reservationId);
+    const reservation = (await isOwn(wa_id, found)) ? found : null;
+
+    if (!reservation || reservation.status !== "CONFIRMED") {
+      return menu(lang, t(lang, "reservationInactive"));
+    }
+
+    if (action === "CANCEL") {
+      const cancelled = await booking.cancelReservationById(reservation.id, {
+        reminder_cancelled_at: new Date().toISOString(),
+      });
+      if (!cancelled) return t(lang, "reservationNotFound");
+
+      await events.recordReservation("CANCELLED", reservation, "reminder");
+      await waitlist.offerFreedSeats(reservation);
+      const text = t(lang, "reminderCancelled") + refundText(lang, cancelled.refund);
+      return { ...menu(lang, text), invite: reservation.id };
+    }
+
+    await store.updateReservation(reservation.id, { reminder_confirmed_at: new Date().toISOString() });
+
+    const restaurant = await catalog.getById(reservation.restaurant_id);
+    return t(
+      lang,
+      "reminderConfirmed",
+      restaurantLabel(restaurant),
+      formatDate(reservation.service_date, lang),
+      serviceLabel(reservation.service, lang),
+      reservation.party_size
+    );
+  }
+
+  // The "Reservar" / "No, gracias" buttons of a waitlist offer (or 1 / 2 in WAITLIST_OFFER)
+  async function handleWaitlistReply(lang, wa_id, { action, entryId }) {
+    const session = await store.getSession(wa_id);
+    if (session?.state === "WAITLIST_OFFER") await resetSession(wa_id);
+
+    if (action === "DECLINE") {
+      await waitlist.decline(wa_id, entryId);
+      return menu(lang, t(lang, "waitlistDeclined"));
+    }
+
+    const result = await waitlist.claim(wa_id, entryId).catch((e) => {
+      console.log("Waitlist claim error:", e?.message);
+      return null;
+    });
+
+    if (!result) return t(lang, "bookFailed");
+    if (POLICY_REASONS.includes(result.reason)) {
+      return menu(lang, limitText(lang, result.details, restaurantLabel(result.restaurant)));
+    }
+    if (!result.ok) return menu(lang, t(lang, "waitlistExpired"));
+
+    await events.recordReservation("BOOKED", result.reservation, "waitlist");
+    return await bookedReply(lang, result.reservation, restaurantLabel(result.restaurant), result.payment);
+  }
+
+  // "Hablar con alguien": the bot stops answering until the staff resolves it
+  async function handoffReply(lang, wa_id, text) {
+    await handoff.open(wa_id, text);
+    return t(lang, "handoffOpened");
+  }
+
+  // The staff approved (CONFIRMED, or PENDING_PAYMENT with the deposit link) or rejected (REJECTED)
+  // a large party's request
+  async function notifyApproval(reservation, payment = null) {
+    const wa_id = reservation.customer_phone;
+    const lang = normalizeLanguage((await store.getSession(wa_id))?.language);
+    const restaurant = await catalog.getById(reservation.restaurant_id);
+    const restaurantName = restaurantLabel(restaurant);
+    const names = tagNames(lang, restaurant, reservation.tags);
+
+    if (reservation.status === "PENDING_PAYMENT" && payment) {
+      const text = t(lang, "approvalConfirmed") + paymentText(lang, reservation, restaurantName, payment, names);
+      await send(wa_id, lang, { ...menu(lang, text), reservationId: reservation.id });
+      return;
+    }
+    if (reservation.status !== "CONFIRMED") {
+      await send(wa_id, lang, menu(lang, t(lang, "approvalRejected")));
+      return;
+    }
+    const text = t(lang, "approvalConfirmed") + bookingSummary(lang, reservation, restaurantName, names) + "\n";
+    await send(wa_id, lang, {
+      ...menu(lang, text + t(lang, "bookedCancelHint")),
+      reservationId: reservation.id,
+      invite: reservation.id,
+    });
+  }
+
+  // A staff change that now needs a deposit: the link, like when booking
+  async function notifyPaymentRequest(reservation, payment) {
+    const wa_id = reservation.customer_phone;
+    const lang = normalizeLanguage((await store.getSession(wa_id))?.language);
+    const restaurant = await catalog.getById(reservation.restaurant_id);
+    await send(wa_id, lang, await bookedReply(lang, reservation, restaurantLabel(restaurant), payment));
+  }
+
+  // The deposit (src/payments.js): CONFIRMED (paid), RELEASED (not paid in time), REVERTED (a change's
+  // deposit lapsed and the booking went back to what it was) or LATE (paid late, refunded)
+  async function notifyPayment(reservation, outcome, payment) {
+    const wa_id = reservation.customer_phone;
+    const lang = normalizeLanguage((await store.getSession(wa_id))?.language);
+
+    if (outcome === "RELEASED") {
+      await send(wa_id, lang, menu(lang, t(lang, "paymentExpired")));
+      return;
+    }
+    if (outcome === "LATE") {
+      const amount = formatAmount(payment.amount, payment.currency, lang);
+      await send(wa_id, lang, menu(lang, t(lang, "paymentLate", amount)));
+      return;
+    }
+
+    const restaurant = await catalog.getById(reservation.restaurant_id);
+    const names = tagNames(lang, restaurant, reservation.tags);
+    const intro = outcome === "REVERTED" ? t(lang, "paymentExpiredKept") : t(lang, "paymentReceived");
+    const text = intro + bookingSummary(lang, reservation, restaurantLabel(restaurant), names);
+    await send(wa_id, lang, {
+      ...menu(lang, text + "\n" + t(lang, "bookedCancelHint")),
+      reservationId: reservation.id,
+      invite: reservation.id,
+    });
+  }
+
+  // No availability: alternatives are offered (same day first) and the session goes to ASK_ALT_PICK
+  // prefix: why there was no room (by default, "No hay disponibilidad para ese horario")
+  async function noAvailabilityReply(lang, wa_id, session, prefix = null) {
+    if (session.modify_id) return modifyUnavailableReply(lang, wa_id, session);
+
+    const alternatives = await booking.findAlternatives({
+      restaurant: session.restaurant_code,
+      date: session.service_date,
+      service: session.service,
+      time: session.service_time,
+      party: session.party_size,
+      tags: session.tags || [],
+      days: 14,
+    }).catch((e) => {
+      console.log("Alternatives error:", e?.message);
+      return null;
+    });
+
+    await events.record("NO_AVAILABILITY", {
+      wa_id,
+      ...(await sessionEventFields(session)),
+      source: "whatsapp",
+      data: { alternatives: alternatives ? alternatives.length : null },
+    });
+
+    if (!alternatives) {
+      await resetSession(wa_id);
+      return t(lang, "noAlternatives");
+    }
+
+    await store.upsertSession(wa_id, { state: "ASK_ALT_PICK" });
+    return alternativesReply(lang, alternatives, prefix || t(lang, "noAvailability"));
+  }
+
+  // The change does not fit: the reservation stays as it was and the guest is back at "¿Qué querés cambiar?"
+  // details: the failed check (its `exception` says why a closed or reduced service has no room)
+  async function modifyUnavailableReply(lang, wa_id, session, reason, details = null) {
+    const reservation = await getOwnReservation(wa_id, session.modify_id);
+    if (!reservation) {
+      await resetSession(wa_id);
+      return menu(lang, t(lang, "reservationInactive"));
+    }
+
+    const why =
+      reason === "NEEDS_APPROVAL"
+        ? t(lang, "modifyNeedsApproval", limits.approvalPartySize)
+        : EXCEPTION_REASONS.includes(reason)
+          ? t(lang, reason === "CLOSED" ? "modifyClosed" : "modifyReduced", details?.exception?.reason || "")
+          : t(lang, reason === "RESERVATION_CHANGED" ? "modifyChanged" : "modifyNoRoom");
+    return startModify(lang, wa_id, reservation, t(lang, "modifyUnchanged", why));
+  }
+
+  // "Ese turno está cerrado: <motivo>" as the prefix of the alternatives
+  function exceptionText(lang, details) {
+    const reason = details?.exception?.reason || "";
+    return t(lang, details?.reason === "CLOSED" ? "serviceClosed" : "serviceReduced", reason);
+  }
+
+  // Open slots for the session, without the seats of the reservation being modified
+  async function sessionOccupancy(session) {
+    return booking.getSlotOccupancy(session.restaurant_code, session.service_date, session.service, {
+      reservationId: session.modify_id || null,
+    });
+  }
+
+  // Date and service are set: a restaurant with time slots asks for one (ASK_TIME), otherwise on to confirm
+  async function askTimeOrConfirm(lang, wa_id, session, patch, prefix = "") {
+    const next = { ...session, ...patch, service_time: null };
+
+    // Closed that day/service: say so now, before asking for a time
+    const rule = await booking.getScheduleException(next.restaurant_code, next.service_date, next.service);
+    if (rule?.kind === "CLOSED") {
+      const details = { reason: "CLOSED", exception: rule };
+      session = await store.upsertSession(wa_id, { ...patch, service_time: null });
+      if (session.modify_id) return modifyUnavailableReply(lang, wa_id, session, "CLOSED", details);
+      return noAvailabilityReply(lang, wa_id, session, exceptionText(lang, details));
+    }
+    if (rule?.kind === "HOURS") prefix += t(lang, "specialHours", rule.hours, rule.reason);
+
+    const occupancy = await sessionOccupancy(next);
+
+    if (!occupancy.length) return toConfirmation(lang, wa_id, session, { ...patch, service_time: null }, prefix);
+
+    session = await store.upsertSession(wa_id, { ...patch, service_time: null, state: "ASK_TIME" });
+
+    const open = openSlots(occupancy, session.party_size);
+    if (!open.length) return noAvailabilityReply(lang, wa_id, session);
+
+    return slotsReply(lang, open, prefix);
+  }
+
+  // Session language: picked by the first message and changed by a greeting ("hi", "olá")
+  async function sessionLanguage(wa_id, session, normalized) {
+    const current = session?.language;
+    if (current && !isKeyword(normalized, "greeting")) return { session, lang: current };
+
+    const lang = detectLanguage(normalized) || normalizeLanguage(current);
+    if (session && lang === current) return { session, lang };
+
+    session = await store.upsertSession(wa_id, session ? { language: lang } : { state: "IDLE", language: lang });
+    return { session, lang };
+  }
+
+  async function setLanguage(wa_id, lang) {
+    await store.upsertSession(wa_id, { language: lang });
+    await resetSession(wa_id);
+    return menu(lang, t(lang, "languageChanged"));
+  }
+
+  async function resumePrompt(lang, session, prefix = "") {
+    const restaurantName = session.restaurant_code ? await catalog.label(session.restaurant_code) : null;
+    return resumeReply(lang, session, restaurantName, prefix);
+  }
+
+  // Stale session: the booking / modify steps can be resumed, anything else goes back to the menu
+  async function staleReply(lang, wa_id, session) {
+    const state = droppedState(session);
+    if (!RESUMABLE_STATES.includes(state)) {
+      await sessions.recordDropoff(session, "EXPIRED");
+      await resetSession(wa_id);
+      return menu(lang, t(lang, "sessionExpired"));
+    }
+
+    session = await store.upsertSession(wa_id, { state: "ASK_RESUME", resume_state: state });
+    return resumePrompt(lang, session);
+  }
+
+  // "Continuar": back to the step where it stopped, asking again (with the current slots and room)
+  async function resumeStep(ctx) {
+    const { lang, wa_id } = ctx;
+    const state = ctx.session.resume_state;
+
+    // The picked date is already past: ask for another
+    const afterDate = ["ASK_SERVICE", "ASK_TIME", "ASK_NOTES", "CONFIRM_RESERVATION", "CONFIRM_MODIFY"].includes(state);
+    if (afterDate && ctx.session.service_date && ctx.session.service_date < todayInTimeZone(config.timeZone)) {
+      await store.upsertSession(wa_id, { state: "ASK_DATE", resume_state: null, service_date: null, service_time: null });
+      return dateErrorText(lang, { reason: "PAST", date: ctx.session.service_date }, config.bookingWindowDays);
+    }
+
+    const session = await store.upsertSession(wa_id, { state, resume_state: null });
+    return flow.prompt(state, { ...ctx, session });
+  }
+
+  // Which of a step's answers the guest gave: { VALUE: ["1", "keyword", ...] } -> VALUE (null when none)
+  function choice(normalized, options) {
+    for (const [value, answers] of Object.entries(options)) {
+      if (answers.some((a) => (/^\d+$/.test(a) ? normalized === a : isKeyword(normalized, a)))) return value;
+    }
+    return null;
+  }
+
+  // A number from a numbered list (cancel_ids) -> the chosen id (null when it is not in the list)
+  function pickFrom(ids, normalized) {
+    const pick = parseInt(normalized, 10);
+    const list = Array.isArray(ids) ? ids : [];
+    return Number.isNaN(pick) || pick < 1 || pick > list.length ? null : list[pick - 1];
+  }
+
+  async function listUpcomingReply(lang, wa_id, { pending, state, heading, question }) {
+    const restaurant_id = (await catalog.all()).map((r) => r.id);
+    const upcoming = await booking.listUpcomingReservationsForWa(wa_id, 3, { pending, restaurant_id });
+    if (!upcoming.length) {
+      await resetSession(wa_id);
+      return menu(lang, t(lang, "noUpcoming"));
+    }
+    return upcomingPickReply(lang, wa_id, upcoming, state, heading, question);
+  }
+
+  async function cancelPicked(lang, wa_id, idToCancel) {
+    const reservation = await store.getReservation(idToCancel);
+    if (!(await isOwn(wa_id, reservation))) {
+      await resetSession(wa_id);
+      return t(lang, "reservationNotFound");
+    }
+
+    // A pending request (approval or deposit) never reached the calendar: there is no .ics to cancel
+    const wasPending = reservation.status === "PENDING_APPROVAL" || reservation.status === "PENDING_PAYMENT";
+    const cancelled = await booking.cancelReservationById(idToCancel);
+
+    await resetSession(wa_id);
+    if (!cancelled) return t(lang, "reservationNotFound");
+
+    await events.recordReservation("CANCELLED", idToCancel, "whatsapp");
+    await waitlist.offerFreedSeats(idToCancel);
+    const reply = menu(lang, t(lang, "reservationCancelled") + refundText(lang, cancelled.refund));
+    return wasPending ? reply : { ...reply, invite: idToCancel };
+  }
+
+  async function confirmModify(lang, wa_id, session, reservation) {
+    const result = await booking
+      .modifyReservation(reservation, {
+        party: session.party_size,
+        date: session.service_date,
+        service: session.service,
+        time: session.service_time,
+      })
+      .catch((e) => {
+        console.log("Modify reservation error:", e?.message);
+        return null;
+      });
+
+    if (!result) return t(lang, "modifyFailed");
+    if (result.reason === "PAYMENT_UNAVAILABLE") return t(lang, "paymentUnavailable");
+    if (!result.ok) return modifyUnavailableReply(lang, wa_id, session, result.reason, result.details);
+
+    await resetSession(wa_id);
+    // What it left free (the previous date/service, fewer people) goes to the waitlist; with a deposit
+    // pending, only once it is paid (src/payments.js): otherwise the reservation goes back to those seats
+    if (!result.payment) await waitlist.offerFreedSeats(reservation);
+
+    const restaurant = await catalog.getByCode(session.restaurant_code);
+    // It needs a deposit now: waiting for the payment, with the link
+    if (result.reservation.status === "PENDING_PAYMENT") {
+      return bookedReply(lang, result.reservation, restaurantLabel(restaurant), result.payment);
+    }
+    const names = tagNames(lang, restaurant, result.reservation.tags);
+    const moved = (result.reservation.calendar_sequence || 0) !== (reservation.calendar_sequence || 0);
+    return {
+      ...menu(
+        lang,
+        t(lang, "modified") + bookingSummary(lang, result.reservation, restaurantLabel(restaurant), names) + "\n"
+      ),
+      reservationId: result.reservation.id,
+      // Another date or time: the new .ics (higher SEQUENCE) replaces the one in the calendar
+      ...(moved ? { invite: result.reservation.id } : {}),
+    };
+  }
+
+  async function confirmBooking(lang, wa_id, session) {
+    const r = session.restaurant_code;
+
+    // Atomic check + insert: when someone else just took the seats, it fails like no availability
+    const booked = await booking
+      .bookReservation({
+        restaurant: r,
+        date: session.service_date,
+        service: session.service,
+        time: session.service_time,
+        party: session.party_size,
+        customer_name: await customers.nameFor(wa_id),
+        customer_phone: wa_id,
+        notes: session.notes,
+        tags: session.tags || [],
+      })
+      .catch((e) => {
+        console.log("Reservation error:", e?.message);
+        return null;
+      });
+
+    if (!booked) return t(lang, "bookFailed");
+    if (booked.reason === "RESTAURANT_NOT_FOUND") return t(lang, "unknownRestaurant");
+    if (booked.reason === "PAYMENT_UNAVAILABLE") return t(lang, "paymentUnavailable");
+    if (POLICY_REASONS.includes(booked.reason)) {
+      await resetSession(wa_id);
+      return menu(lang, limitText(lang, booked.details, await catalog.label(r)));
+    }
+    if (booked.reason === "TAG_FULL") {
+      const [tag] = tagNames(lang, await catalog.getByCode(r), [booked.details.tag]);
+      return noAvailabilityReply(lang, wa_id, session, t(lang, "tagFull", tag));
+    }
+    if (EXCEPTION_REASONS.includes(booked.reason)) {
+      return noAvailabilityReply(lang, wa_id, session, exceptionText(lang, booked.details));
+    }
+    if (!booked.ok) return noAvailabilityReply(lang, wa_id, session);
+
+    await resetSession(wa_id);
+    await customers.recordBooking(booked.reservation).catch((e) => {
+      console.log("Customer profile error:", e?.message);
+    });
+    await events.recordReservation("BOOKED", booked.reservation, "whatsapp");
+
+    return bookedReply(lang, booked.reservation, await catalog.label(r), booked.payment);
+  }
+
+  async function takeAlternative(lang, wa_id, session, pick) {
+    const altData = await booking
+      .findAlternatives({
+        restaurant: session.restaurant_code,
+        date: session.service_date,
+        service: session.service,
+        time: session.service_time,
+        party: session.party_size,
+        tags: session.tags || [],
+        days: 14,
+      })
+      .catch(() => null);
+
+    if (!altData?.length || !altData[pick - 1]) {
+      await resetSession(wa_id);
+      return t(lang, "alternativeFailed");
+    }
+
+    const chosen = altData[pick - 1];
+    await store.upsertSession(wa_id, {
+      state: "CONFIRM_RESERVATION",
+      service_date: chosen.service_date,
+      service: chosen.service,
+      service_time: chosen.time || null,
+    });
+    await events.record("ALTERNATIVE_TAKEN", {
+      wa_id,
+      ...(await sessionEventFields({ ...session, service_date: chosen.service_date, service: chosen.service })),
+      source: "whatsapp",
+      data: { pick, requested_date: session.service_date, requested_service: session.service },
+    });
+
+    const chosenText =
+      t(lang, "alternativeChosen") +
+      `${t(lang, "summaryDate")}: *${chosen.service_date}*\n` +
+      `${t(lang, "summaryService")}: *${serviceLabel(chosen.service, lang)}*\n` +
+      (chosen.time ? `${t(lang, "summaryTime")}: *${chosen.time}*\n` : "") +
+      "\n";
+
+    return {
+      text: chosenText + t(lang, "alternativeAnswer"),
+      body: chosenText + t(lang, "alternativeBody"),
+      buttons: [
+        { id: "1", title: t(lang, "confirm") },
+        { id: "menu", title: t(lang, "backToMenu") },
+      ],
+    };
+  }
+
+  // -------------------------
+  // Conversation graph (run by src/flow.js)
+  // -------------------------
+  // Where the shared steps can leave the conversation
+  const BOOKING_START = ["ASK_NAME", "ASK_REPEAT", "ASK_RESTAURANT"]; // startBooking
+  const TO_CONFIRM = ["ASK_NOTES", "CONFIRM_RESERVATION", "CONFIRM_MODIFY"]; // toConfirmation
+  const NO_ROOM = ["ASK_ALT_PICK", "ASK_MODIFY_FIELD"]; // noAvailabilityReply / modifyUnavailableReply
+  const TO_TIME = ["ASK_TIME", ...TO_CONFIRM, ...NO_ROOM]; // askTimeOrConfirm
+
+  const commands = [
+    // The reminder's "Confirmo" / "Cancelar" quick replies
+    {
+      name: "reminder",
+      match: ({ inbound, text }) => inbound.kind === "button" && !!parseReminderPayload(text),
+      run: ({ lang, wa_id, text }) => handleReminderReply(lang, wa_id, parseReminderPayload(text)),
+    },
+    {
+      name: "waitlist",
+      match: ({ text }) => !!parseWaitlistPayload(text),
+      run: ({ lang, wa_id, text }) => handleWaitlistReply(lang, wa_id, parseWaitlistPayload(text)),
+    },
+    {
+      name: "menu",
+      match: ({ normalized }) => isKeyword(normalized, "menu") || isKeyword(normalized, "greeting"),
+      run: async ({ lang, wa_id }) => {
+        await resetSession(wa_id);
+        return menu(lang);
+      },
+    },
+    {
+      name: "reset",
+      match: ({ normalized }) => isKeyword(normalized, "reset"),
+      run: async ({ lang, wa_id }) => {
+        await resetSession(wa_id);
+        return menu(lang, t(lang, "restarted"));
+      },
+    },
+    {
+      name: "human",
+      match: ({ normalized }) => isKeyword(normalized, "human"),
+      run: ({ lang, wa_id, text }) => handoffReply(lang, wa_id, text),
+      next: ["HUMAN"],
+    },
+    // "idioma" shows the options; "idioma english" / "language pt" switches right away
+    {
+      name: "language",
+      match: ({ normalized }) => isKeyword(normalized.split(/\s+/)[0], "language"),
+      run: async ({ lang, wa_id, normalized }) => {
+        const chosen = parseLanguage(normalized.split(/\s+/).slice(1).join(" "));
+        if (chosen) return setLanguage(wa_id, chosen);
+
+        await store.upsertSession(wa_id, { state: "ASK_LANGUAGE" });
+        return languageReply();
+      },
+      next: ["ASK_LANGUAGE"],
+    },
+    // A long time without writing: the message is not taken as the answer to the old question
+    {
+      name: "stale",
+      match: ({ stale }) => stale,
+      run: ({ lang, wa_id, loaded }) => staleReply(lang, wa_id, loaded),
+      next: ["ASK_RESUME"],
+    },
+  ];
+
+  const states = {
+    IDLE: {
+      prompt: ({ lang }, prefix) => menu(lang, prefix),
+      parse: ({ normalized }) =>
+        choice(normalized, {
+          BOOK: ["1", "book"],
+          CANCEL: ["2", "cancel"],
+          MODIFY: ["4", "modify"],
+          LOCALS: ["3", "locals"],
+          HUMAN: ["5"],
+        }),
+      on: async (option, { lang, wa_id, inbound }) => {
+        if (option === "BOOK") return startBooking(lang, wa_id, inbound.profileName);
+        if (option === "CANCEL") {
+          const pick = { state: "ASK_CANCEL_PICK", heading: "cancelHeading", question: "cancelQuestion" };
+          return listUpcomingReply(lang, wa_id, { pending: true, ...pick });
+        }
+        if (option === "MODIFY") {
+          const pick = { state: "ASK_MODIFY_PICK", heading: "modifyHeading", question: "modifyQuestion" };
+          return listUpcomingReply(lang, wa_id, { pending: false, ...pick });
+        }
+        if (option === "LOCALS") return localsText(lang, await catalog.active());
+        if (option === "HUMAN") return handoffReply(lang, wa_id, null);
+        return menu(lang);
+      },
+      next: [...BOOKING_START, "ASK_CANCEL_PICK", "ASK_MODIFY_PICK", "HUMAN"],
+    },
+
+    ASK_LANGUAGE: {
+      prompt: (ctx, prefix) => languageReply(prefix),
+      parse: ({ normalized }) => parseLanguage(normalized),
+      validate: (chosen, { lang }) => (chosen ? null : languageReply(t(lang, "notUnderstood"))),
+      on: (chosen, { wa_id }) => setLanguage(wa_id, chosen),
+    },
+
+    ASK_RESUME: {
+      prompt: ({ lang, session }, prefix) => resumePrompt(lang, session, prefix),
+      parse: ({ normalized }) => choice(normalized, { RESUME: ["1", "resume", "yes"], RESTART: ["2", "no"] }),
+      validate: (answer, { lang, session }) => (answer ? null : resumePrompt(lang, session, t(lang, "notUnderstood"))),
+      on: async (answer, ctx) => {
+        if (answer === "RESUME") return resumeStep(ctx);
+
+        await sessions.recordDropoff(ctx.session, "RESTARTED");
+        await resetSession(ctx.wa_id);
+        return menu(ctx.lang);
+      },
+      next: [...RESUMABLE_STATES, "ASK_ALT_PICK"],
+    },
+
+    ASK_CANCEL_PICK: {
+      parse: ({ normalized, session }) => pickFrom(session.cancel_ids, normalized),
+      validate: (id, { lang }) => (id ? null : t(lang, "pickInvalid")),
+      on: (id, { lang, wa_id }) => cancelPicked(lang, wa_id, id),
+    },
+
+    ASK_NAME: {
+      prompt: ({ lang, wa_id }, prefix) => startBooking(lang, wa_id, null, prefix),
+      parse: async ({ wa_id, normalized, text }) => {
+        const customer = await customers.get(wa_id);
+        const name = normalized === "1" && customer?.profile_name ? customer.profile_name : cleanName(text);
+        return { customer, name };
+      },
+      validate: ({ customer, name }, { lang }) =>
+        name ? null : nameReply(lang, customer?.profile_name || null, t(lang, "nameInvalid")),
+      on: async ({ name }, { lang, wa_id }) => {
+        await customers.saveName(wa_id, name);
+        return startBooking(lang, wa_id, null, t(lang, "nameThanks", name));
+      },
+      next: BOOKING_START,
+    },
+
+    ASK_REPEAT: {
+      prompt: ({ lang, wa_id }, prefix) => startBooking(lang, wa_id, null, prefix),
+      parse: async ({ wa_id, normalized }) => {
+        const customer = await customers.get(wa_id);
+        const last = customer ? await catalog.getById(customer.last_restaurant_id) : null;
+        return { customer, last, answer: choice(normalized, { SAME: ["1", "yes", "same"], OTHER: ["2", "other"] }) };
+      },
+      // No last booking to repeat: nothing to ask, straight to the picker
+      validate: ({ customer, last, answer }, { lang }) =>
+        !last || !customer.last_service || answer
+          ? null
+          : repeatReply(lang, customer, restaurantLabel(last), t(lang, "notUnderstood")),
+      on: async ({ customer, last, answer }, { lang, wa_id }) => {
+        if (!last || !customer.last_service || answer === "OTHER") {
+          await store.upsertSession(wa_id, { state: "ASK_RESTAURANT" });
+          return pickerReply(lang, await catalog.active());
+        }
+
+        await store.upsertSession(wa_id, {
+          state: "ASK_DATE",
+          restaurant_code: last.code,
+          party_size: customer.usual_party_size || customer.last_party_size,
+          service: customer.last_service,
+          service_date: null,
+          service_time: null,
+        });
+        return datePrompt(lang, "askDateShort");
+      },
+      next: ["ASK_RESTAURANT", "ASK_DATE"],
+    },
+
+    ASK_MODIFY_PICK: {
+      parse: ({ normalized, session }) => pickFrom(session.cancel_ids, normalized),
+      validate: (id, { lang }) => (id ? null : t(lang, "pickInvalid")),
+      on: async (id, { lang, wa_id }) => {
+        const reservation = await getOwnReservation(wa_id, id);
+        if (reservation) return startModify(lang, wa_id, reservation);
+
+        await resetSession(wa_id);
+        return menu(lang, t(lang, "reservationInactive"));
+      },
+      next: ["ASK_MODIFY_FIELD"],
+    },
+
+    ASK_MODIFY_FIELD: {
+      prompt: ({ lang }, prefix) => modifyFieldReply(lang, prefix),
+      parse: ({ normalized }) =>
+        choice(normalized, { PARTY: ["1", "party"], DATE: ["2", "date"], SERVICE: ["3", "service"] }),
+      validate: (field, { lang }) => (field ? null : modifyFieldReply(lang, t(lang, "notUnderstood"))),
+      on: async (field, { lang, wa_id }) => {
+        if (field === "PARTY") {
+          await store.upsertSession(wa_id, { state: "ASK_PARTY_SIZE" });
+          return t(lang, "askPartyShort");
+        }
+        if (field === "DATE") {
+          await store.upsertSession(wa_id, { state: "ASK_DATE" });
+          return datePrompt(lang, "askDateShort");
+        }
+        await store.upsertSession(wa_id, { state: "ASK_SERVICE" });
+        return serviceReply(lang);
+      },
+      next: ["ASK_PARTY_SIZE", "ASK_DATE", "ASK_SERVICE"],
+    },
+
+    CONFIRM_MODIFY: {
+      prompt: ({ lang, session }, prefix) => confirmation(lang, session, prefix),
+      parse: async ({ wa_id, normalized, session }) => ({
+        reservation: await getOwnReservation(wa_id, session.modify_id),
+        answer: choice(normalized, { CONFIRM: ["1", "confirm"], CHANGE: ["2"], KEEP: ["3"] }),
+      }),
+      validate: async ({ reservation, answer }, { lang, session }) =>
+        !reservation || answer ? null : { ...(await confirmation(lang, session)), text: t(lang, "modifyAnswer") },
+      on: async ({ reservation, answer }, { lang, wa_id, session }) => {
+        if (!reservation) {
+          await resetSession(wa_id);
+          return menu(lang, t(lang, "reservationInactive"));
+        }
+        if (answer === "CONFIRM") return confirmModify(lang, wa_id, session, reservation);
+        if (answer === "CHANGE") {
+          await store.upsertSession(wa_id, { state: "ASK_MODIFY_FIELD" });
+          return modifyFieldReply(lang);
+        }
+        await resetSession(wa_id);
+        return menu(lang, t(lang, "modifyKept"));
+      },
+      next: ["ASK_MODIFY_FIELD"],
+    },
+
+    ASK_RESTAURANT: {
+      prompt: ({ lang, wa_id }, prefix) => startBooking(lang, wa_id, null, prefix),
+      parse: async ({ normalized }) => {
+        const restaurants = await catalog.active();
+        return { restaurants, restaurant: matchRestaurant(restaurants, normalized) };
+      },
+      validate: ({ restaurants, restaurant }, { lang }) =>
+        restaurant ? null : pickerReply(lang, restaurants, t(lang, "notUnderstood")),
+      on: async ({ restaurants, restaurant }, { lang, wa_id }) => {
+        const refused = await bookingRefusal(wa_id, restaurant);
+        // Another restaurant can be picked
+        if (refused?.reason === "TOO_MANY_ACTIVE_RESTAURANT") {
+          return pickerReply(lang, restaurants, limitText(lang, refused, restaurantLabel(restaurant)));
+        }
+        if (refused) {
+          await resetSession(wa_id);
+          return menu(lang, limitText(lang, refused));
+        }
+
+        await store.upsertSession(wa_id, {
+          state: "ASK_PARTY_SIZE",
+          restaurant_code: restaurant.code,
+          party_size: null,
+          service_date: null,
+          service: null,
+        });
+        return t(lang, "restaurantChosen", restaurantLabel(restaurant)) + t(lang, "askParty");
+      },
+      next: ["ASK_PARTY_SIZE"],
+    },
+
+    ASK_PARTY_SIZE: {
+      prompt: ({ lang, session }, prefix) => prefix + t(lang, session.modify_id ? "askPartyShort" : "askParty"),
+      parse: ({ normalized }) => {
+        const n = parseInt(normalized, 10);
+        return Number.isNaN(n) || n < 1 || n > 50 ? null : n;
+      },
+      validate: (n, { lang }) => (n ? null : t(lang, "invalidParty")),
+      on: async (n, { lang, wa_id, session }) => {
+        // Growing past the limit needs approval: that is a new booking
+        if (session.modify_id && limits.needsApproval(n) && n > session.party_size) {
+          return modifyUnavailableReply(lang, wa_id, session, "NEEDS_APPROVAL");
+        }
+        // Modifying: same date, service and time, only the party size changes
+        if (session.modify_id) {
+          return confirmation(lang, await store.upsertSession(wa_id, { state: "CONFIRM_MODIFY", party_size: n }));
+        }
+
+        await store.upsertSession(wa_id, { state: "ASK_DATE", party_size: n });
+        return datePrompt(lang, "askDate", t(lang, "partyChosen", n));
+      },
+      next: ["ASK_DATE", "CONFIRM_MODIFY", "ASK_MODIFY_FIELD"],
+    },
+
+    ASK_DATE: {
+      prompt: ({ lang }, prefix) => datePrompt(lang, "askDateShort", prefix),
+      parse: ({ text }) => parseDate(text, { timeZone: config.timeZone, maxDaysAhead: config.bookingWindowDays }),
+      validate: (parsed, { lang }) => (parsed.ok ? null : dateErrorText(lang, parsed, config.bookingWindowDays)),
+      on: async (parsed, { lang, wa_id, session }) => {
+        const understood = t(lang, "dateUnderstood", formatDate(parsed.date, lang));
+        // "hoy a la noche", "el viernes al mediodía": the service is known already
+        // (or it was picked before: "lo mismo que la última vez", modifying a booking)
+        if (parsed.service || session.service) {
+          const patch = { service_date: parsed.date, service: parsed.service || session.service };
+          return askTimeOrConfirm(lang, wa_id, session, patch, understood);
+        }
+
+        await store.upsertSession(wa_id, { state: "ASK_SERVICE", service_date: parsed.date, service_time: null });
+        return serviceReply(lang, understood);
+      },
+      next: ["ASK_SERVICE", ...TO_TIME],
+    },
+
+    ASK_SERVICE: {
+      prompt: ({ lang }, prefix) => serviceReply(lang, prefix),
+      parse: ({ normalized }) => choice(normalized, { LUNCH: ["1", "lunch"], DINNER: ["2", "dinner"] }),
+      validate: (service, { lang }) => (service ? null : invalidServiceReply(lang)),
+      on: (service, { lang, wa_id, session }) => askTimeOrConfirm(lang, wa_id, session, { service }),
+      next: TO_TIME,
+    },
+
+    ASK_TIME: {
+      prompt: ({ lang, wa_id, session }, prefix) => askTimeOrConfirm(lang, wa_id, session, {}, prefix),
+      parse: async ({ normalized, session }) => {
+        const open = openSlots(await sessionOccupancy(session), session.party_size);
+        return { open, time: matchSlot(open, normalized) };
+      },
+      validate: ({ open, time }, { lang }) =>
+        !open.length || time ? null : slotsReply(lang, open, t(lang, "timeUnavailable")),
+      on: ({ open, time }, { lang, wa_id, session }) =>
+        open.length
+          ? toConfirmation(lang, wa_id, session, { service_time: time })
+          : noAvailabilityReply(lang, wa_id, session),
+      next: [...TO_CONFIRM, ...NO_ROOM],
+    },
+
+    // Numbers: the restaurant's tags; other text: the note. Each answer only replaces its own part
+    ASK_NOTES: {
+      prompt: ({ lang, wa_id, session }, prefix) => requestsPrompt(lang, wa_id, session, prefix),
+      parse: async ({ lang, text, normalized, session }) => {
+        const tags = await requestTags(lang, session.restaurant_code);
+        const picked = matchTags(tags, text);
+        const none = normalized === "0" || isKeyword(normalized, "no") || isKeyword(normalized, "none");
+        return { tags, picked, none, notes: picked ? session.notes || null : cleanNotes(text) };
+      },
+      validate: ({ tags, picked, none, notes }, { lang, normalized }) => {
+        if (none) return null;
+        if (!picked && /^[\d\s,;]+$/.test(normalized)) return requestsReply(lang, tags, t(lang, "notUnderstood"));
+        if (notes && notes.length > MAX_NOTES) return requestsReply(lang, tags, t(lang, "notesTooLong", MAX_NOTES));
+        return null;
+      },
+      on: async ({ picked, none, notes }, { lang, wa_id, session }) => {
+        const patch = none ? { tags: [], notes: null } : { tags: picked || session.tags || [], notes };
+        return confirmation(lang, await store.upsertSession(wa_id, { state: "CONFIRM_RESERVATION", ...patch }));
+      },
+      next: ["CONFIRM_RESERVATION"],
+    },
+
+    CONFIRM_RESERVATION: {
+      prompt: ({ lang, session }, prefix) => confirmation(lang, session, prefix),
+      parse: ({ normalized }) =>
+        choice(normalized, {
+          CANCEL: ["4", "cancel"],
+          DATE: ["2"],
+          SERVICE: ["3"],
+          REQUESTS: ["5"],
+          CONFIRM: ["1", "confirm"],
+        }),
+      validate: async (answer, { lang, session }) =>
+        answer ? null : { ...(await confirmation(lang, session)), text: t(lang, "confirmAnswer") },
+      on: async (answer, { lang, wa_id, session }) => {
+        if (answer === "CONFIRM") return confirmBooking(lang, wa_id, session);
+        if (answer === "REQUESTS") return requestsPrompt(lang, wa_id, session);
+        if (answer === "DATE") {
+          // service: null to ask it again after the date
+          await store.upsertSession(wa_id, { state: "ASK_DATE", service: null });
+          return datePrompt(lang, "askNewDate");
+        }
+        if (answer === "SERVICE") {
+          await store.upsertSession(wa_id, { state: "ASK_SERVICE" });
+          return serviceReply(lang, "", "pickService");
+        }
+        await resetSession(wa_id);
+        return menu(lang, t(lang, "processCancelled"));
+      },
+      next: ["ASK_DATE", "ASK_SERVICE", "ASK_NOTES", "ASK_ALT_PICK"],
+    },
+
+    // A waitlist offer arrived while the guest was IDLE (src/waitlist.js)
+    WAITLIST_OFFER: {
+      prompt: ({ lang }, prefix) => prefix + t(lang, "waitlistOfferAnswer"),
+      parse: ({ normalized }) => choice(normalized, { CLAIM: ["1", "book", "yes"], DECLINE: ["2", "no"] }),
+      validate: (action, { lang }) => (action ? null : t(lang, "waitlistOfferAnswer")),
+      on: (action, { lang, wa_id, session }) =>
+        handleWaitlistReply(lang, wa_id, { action, entryId: session.waitlist_id }),
+    },
+
+    ASK_ALT_PICK: {
+      parse: ({ normalized }) => {
+        if (isKeyword(normalized, "waitlist")) return "WAITLIST";
+        const pick = parseInt(normalized, 10);
+        return Number.isNaN(pick) || pick < 1 || pick > 3 ? null : pick;
+      },
+      validate: (pick, { lang }) => (pick ? null : t(lang, "alternativesInvalid")),
+      on: async (pick, { lang, wa_id, session }) => {
+        if (pick !== "WAITLIST") return takeAlternative(lang, wa_id, session, pick);
+
+        const entry = await waitlist.join(wa_id, session);
+        await resetSession(wa_id);
+        return entry
+          ? menu(lang, waitlistJoinedText(lang, entry, await catalog.label(session.restaurant_code)))
+          : t(lang, "waitlistJoinFailed");
+      },
+      next: ["CONFIRM_RESERVATION"],
+    },
+
+    // A person handles the chat: handleMessage passes the messages to src/handoff.js without running the flow
+    HUMAN: {
+      on: () => null,
+    },
+  };
+
+  const flow = createFlowEngine({
+    initial: "IDLE",
+    commands,
+    states,
+    fallback: async ({ lang, wa_id }) => {
+      await resetSession(wa_id);
+      return menu(lang, t(lang, "restartedSafety"));
+    },
+  });
+
+  // Every message: the reply and, when the conversation step changed, the STATE event
+  async function handleMessage(inbound) {
+    // Too many messages in a row: one warning per window, the rest get no answer
+    const rate = rateLimiter.hit(inbound.from);
+    if (!rate.ok) {
+      if (rate.count === rate.limit + 1) {
+        const lang = normalizeLanguage((await store.getSession(inbound.from))?.language);
+        await whatsapp.sendReply(inbound.from, t(lang, "tooManyMessages"));
+      }
+      return;
+    }
+
+    const before = await store.getSession(inbound.from);
+    // A person is handling it: saved for the staff inbox, no bot reply
+    if (before?.state === "HUMAN") {
+      await handoff.receive(inbound);
+      return;
+    }
+
+    await handoff.logInbound(inbound);
+    await respond(inbound);
+
+    const after = await store.getSession(inbound.from);
+    if ((before?.state || null) === (after?.state || null)) return;
+    await events.record("STATE", {
+      wa_id: inbound.from,
+      from_state: before?.state || null,
+      to_state: after?.state || null,
+      ...(await sessionEventFields(after)),
+    });
+  }
+
+  async function respond(inbound) {
+    const wa_id = inbound.from;
+    const text = inbound.text;
+    const normalized = normalizeText(text);
+
+    // stale: before sessionLanguage, which may touch updated_at
+    const loaded = await store.getSession(wa_id);
+    const stale = sessions.isStale(loaded);
+    const { session, lang } = await sessionLanguage(wa_id, loaded, normalized);
+
+    const reply = await flow.run({
+      wa_id,
+      text,
+      normalized,
+      lang,
+      session,
+      inbound,
+      loaded,
+      stale,
+      state: async () => (await store.getSession(wa_id))?.state || null,
+    });
+    if (reply) await send(wa_id, lang, reply);
+  }
+
+  return { handleMessage, resetSession, notifyApproval, notifyPaymentRequest, notifyPayment };
+}
+
+module.exports = { createBot };
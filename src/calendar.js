@@ -0,0 +1,200 @@
+// -------------------------
+// Calendar (iCalendar, RFC 5545)
+// After "🎉 ¡Reserva confirmada!" the guest gets an .ics document (METHOD:REQUEST); cancelling
+// in the chat sends another one (METHOD:CANCEL, same UID) so their calendar drops the event.
+// Changing the date or time sends it again: reservations.calendar_sequence goes up with every
+// change, so the calendar replaces the event instead of keeping the old one.
+// Documents go out as Cloud API "document" messages with a link: Meta downloads
+// GET /reservations/:id/invite.ics, which serves the reservation as it is at that moment.
+// Managers subscribe to GET /restaurants/:code/calendar.ics (upcoming CONFIRMED reservations).
+// Both URLs carry ?token=, an HMAC of what they point to keyed with CALENDAR_SECRET: nothing
+// is stored, and rotating the secret revokes every link.
+// -------------------------
+const crypto = require("crypto");
+const { restaurantLabel } = require("./restaurants");
+const { serviceStartsAt } = require("./reminders");
+const { bookingSummary, serviceLabel } = require("./messages");
+const { normalizeTime } = require("./slots");
+const { tagLabels } = require("./tags");
+const { t } = require("./i18n");
+
+const PRODUCT_ID = "-//whatsapp-reservas//ES";
+
+function calendarToken(secret, subject) {
+  return crypto.createHmac("sha256", secret).update(subject).digest("hex").slice(0, 32);
+}
+
+function isValidCalendarToken(secret, subject, token) {
+  if (!secret || !token) return false;
+  const expected = Buffer.from(calendarToken(secret, subject));
+  const received = Buffer.from(String(token));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function invitePath(secret, reservationId, lang) {
+  const token = calendarToken(secret, `invite:${reservationId}`);
+  return `/reservations/${encodeURIComponent(reservationId)}/invite.ics?lang=${lang || "es"}&token=${token}`;
+}
+
+function feedPath(secret, code) {
+  return `/restaurants/${encodeURIComponent(code)}/calendar.ics?token=${calendarToken(secret, `feed:${code}`)}`;
+}
+
+// TEXT values: backslash, ; , and newlines escaped
+function escapeText(s) {
+  return (s || "")
+    .toString()
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next one, starting with a space
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// 2026-01-24T20:30:00.000Z -> 20260124T203000Z
+function icsDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * VEVENT lines for a reservation.
+ * options: { timeZone, eventMinutes, summary, description, sequence }
+ */
+function reservationEvent(reservation, restaurant, { timeZone, eventMinutes, summary, description, sequence = 0 }) {
+  const start = serviceStartsAt(reservation, restaurant, timeZone);
+  const end = new Date(start.getTime() + eventMinutes * 60 * 1000);
+  const cancelled = reservation.status === "CANCELLED";
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${reservation.id}`,
+    `DTSTAMP:${icsDateTime(new Date())}`,
+    `DTSTART:${icsDateTime(start)}`,
+    `DTEND:${icsDateTime(end)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (restaurant?.address) lines.push(`LOCATION:${escapeText(restaurant.address)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// events: arrays of VEVENT lines. method: REQUEST | CANCEL (invites) | null (feeds)
+function buildCalendar({ method = null, name = null, events }) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODUCT_ID}`, "CALSCALE:GREGORIAN"];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const event of events) lines.push(...event);
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * The guest's invite: REQUEST while the reservation stands, CANCEL once it was cancelled.
+ */
+function reservationInvite(reservation, restaurant, { lang, timeZone, eventMinutes }) {
+  const name = restaurantLabel(restaurant);
+  const cancelled = reservation.status === "CANCELLED";
+  const event = reservationEvent(reservation, restaurant, {
+    timeZone,
+    eventMinutes,
+    summary: t(lang, "calendarSummary", name),
+    // Without WhatsApp's *bold*
+    description: bookingSummary(lang, reservation, name, tagLabels(restaurant, reservation.tags, lang))
+      .replace(/[*_]/g, "")
+      .trim(),
+    sequence: (reservation.calendar_sequence || 0) + (cancelled ? 1 : 0),
+  });
+  return buildCalendar({ method: cancelled ? "CANCEL" : "REQUEST", events: [event] });
+}
+
+/**
+ * A restaurant's feed for managers: one event per upcoming reservation, in Spanish like the staff API.
+ */
+function restaurantFeed(restaurant, reservations, { timeZone, eventMinutes }) {
+  const events = reservations.map((r) => {
+    const time = normalizeTime(r.service_time);
+    return reservationEvent(r, restaurant, {
+      timeZone,
+      eventMinutes,
+      summary: `${r.customer_name || r.customer_phone} — ${r.party_size} pax`,
+      sequence: r.calendar_sequence || 0,
+      description:
+        `${serviceLabel(r.service, "es")}${time ? ` ${time}` : ""} — ${r.party_size} pax\n` +
+        `Tel: ${r.customer_phone || "-"}` +
+        (r.tags?.length ? `\nPedidos: ${tagLabels(restaurant, r.tags, "es").join(", ")}` : "") +
+        (r.notes ? `\nNota: ${r.notes}` : ""),
+    });
+  });
+  return buildCalendar({ name: restaurantLabel(restaurant), events });
+}
+
+/**
+ * Sends the .ics document about a reservation to the guest (after the reply that confirmed, changed
+ * or cancelled it). Does nothing without CALENDAR_SECRET and PUBLIC_BASE_URL: Meta needs a link.
+ */
+function createCalendarInvites({ store, catalog, whatsapp, config }) {
+  const { secret, publicBaseUrl } = config.calendar;
+  const enabled = !!(secret && publicBaseUrl);
+
+  async function send(wa_id, lang, reservationId) {
+    if (!enabled) return null;
+    try {
+      const reservation = await store.getReservation(reservationId);
+      const restaurant = reservation ? await catalog.getById(reservation.restaurant_id) : null;
+      if (!restaurant) return null;
+
+      const cancelled = reservation.status === "CANCELLED";
+      const caption = cancelled
+        ? "calendarCancelled"
+        : reservation.calendar_sequence
+          ? "calendarUpdated"
+          : "calendarAdd";
+      const document = {
+        link: publicBaseUrl + invitePath(secret, reservation.id, lang),
+        filename: `${cancelled ? "cancel" : "reserva"}-${restaurant.code}-${reservation.service_date}.ics`,
+        caption: t(lang, caption),
+      };
+      return await whatsapp.sendDocument(wa_id, document, { reservationId: reservation.id });
+    } catch (e) {
+      console.log("Calendar invite error:", reservationId, e?.message);
+      return null;
+    }
+  }
+
+  return { enabled, send };
+}
+
+module.exports = {
+  calendarToken,
+  isValidCalendarToken,
+  invitePath,
+  feedPath,
+  escapeText,
+  foldLine,
+  buildCalendar,
+  reservationEvent,
+  reservationInvite,
+  restaurantFeed,
+  createCalendarInvites,
+};
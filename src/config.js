@@ -0,0 +1,99 @@
+// -------------------------
+// Config (env -> plain object)
+// Tests build the same object by hand instead of touching process.env.
+// -------------------------
+const { DEFAULT_TIME_ZONE, DEFAULT_BOOKING_WINDOW_DAYS } = require("./dates");
+const { tenantsFromEnv } = require("./tenants");
+
+function intFromEnv(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? fallback : n;
+}
+
+function loadConfig(env = process.env) {
+  return {
+    timeZone: env.RESTAURANT_TIMEZONE || DEFAULT_TIME_ZONE,
+    bookingWindowDays: intFromEnv(env.BOOKING_WINDOW_DAYS, DEFAULT_BOOKING_WINDOW_DAYS),
+    restaurantsCacheTtlMs: intFromEnv(env.RESTAURANTS_CACHE_TTL_SECONDS, 60) * 1000,
+    whatsapp: {
+      phoneNumberId: env.WHATSAPP_PHONE_NUMBER_ID,
+      accessToken: env.WHATSAPP_ACCESS_TOKEN,
+      verifyToken: env.WHATSAPP_VERIFY_TOKEN,
+      appSecret: env.WHATSAPP_APP_SECRET,
+      interactive: env.WHATSAPP_INTERACTIVE !== "false",
+    },
+    // One per WhatsApp business number (src/tenants.js)
+    tenants: tenantsFromEnv(env),
+    reminders: {
+      hoursBefore: parseFloat(env.REMINDER_HOURS_BEFORE) || 24,
+      template: env.WHATSAPP_REMINDER_TEMPLATE,
+      // Language code of the template's translation for each guest language (src/i18n.js)
+      templateLangs: {
+        es: env.WHATSAPP_REMINDER_TEMPLATE_LANG || "es",
+        en: env.WHATSAPP_REMINDER_TEMPLATE_LANG_EN || "en",
+        pt: env.WHATSAPP_REMINDER_TEMPLATE_LANG_PT || "pt_BR",
+      },
+      intervalMs: intFromEnv(env.REMINDER_INTERVAL_SECONDS, 300) * 1000,
+    },
+    waitlist: {
+      holdMinutes: intFromEnv(env.WAITLIST_HOLD_MINUTES, 30),
+      intervalMs: intFromEnv(env.WAITLIST_INTERVAL_SECONDS, 60) * 1000,
+    },
+    outbound: {
+      maxAttempts: intFromEnv(env.OUTBOUND_MAX_ATTEMPTS, 6),
+      retryBaseMs: intFromEnv(env.OUTBOUND_RETRY_BASE_SECONDS, 5) * 1000,
+      retryMaxMs: intFromEnv(env.OUTBOUND_RETRY_MAX_SECONDS, 900) * 1000,
+      intervalMs: intFromEnv(env.OUTBOUND_INTERVAL_SECONDS, 10) * 1000,
+      // A row left SENDING this long (the process died mid-send) goes back to the queue
+      sendingTimeoutMs: intFromEnv(env.OUTBOUND_SENDING_TIMEOUT_SECONDS, 120) * 1000,
+    },
+    calendar: {
+      secret: env.CALENDAR_SECRET,
+      // Public URL of this server: Meta downloads the .ics invites from it
+      publicBaseUrl: (env.PUBLIC_BASE_URL || "").replace(/\/+$/, "") || null,
+      eventMinutes: intFromEnv(env.CALENDAR_EVENT_MINUTES, 120),
+    },
+    // Anti-abuse policies (src/limits.js); 0 = off
+    limits: {
+      maxActivePerPhone: intFromEnv(env.LIMIT_ACTIVE_PER_PHONE, 0),
+      maxActivePerRestaurant: intFromEnv(env.LIMIT_ACTIVE_PER_RESTAURANT, 0),
+      approvalPartySize: intFromEnv(env.LIMIT_APPROVAL_PARTY_SIZE, 0),
+      apiRequestsPerMinute: intFromEnv(env.LIMIT_API_REQUESTS_PER_MINUTE, 120),
+      webhookMessagesPerMinute: intFromEnv(env.LIMIT_WEBHOOK_MESSAGES_PER_MINUTE, 30),
+    },
+    // Proxies in front of the app (req.ip is the client's address, for the per-IP limits)
+    trustProxy: intFromEnv(env.TRUST_PROXY, 0),
+    // Human handoff: back to the bot after this long with no message from either side
+    handoff: {
+      timeoutMinutes: intFromEnv(env.HANDOFF_TIMEOUT_MINUTES, 240),
+      intervalMs: intFromEnv(env.HANDOFF_SWEEP_INTERVAL_SECONDS, 300) * 1000,
+    },
+    // Deposits (src/payments.js): parties above depositPartySize, or any party on depositDates
+    // ("12-31" every year, "2026-12-24" that day only), pay depositPerPerson each; 0 = off
+    payments: {
+      // Required when deposits are on; "stub" (no money moves) only with NODE_ENV development or test
+      provider: env.PAYMENT_PROVIDER || null,
+      allowStub: ["development", "test"].includes(env.NODE_ENV),
+      secret: env.PAYMENT_WEBHOOK_SECRET,
+      currency: env.PAYMENT_CURRENCY || "ARS",
+      depositPerPerson: intFromEnv(env.DEPOSIT_PER_PERSON, 0),
+      depositPartySize: intFromEnv(env.DEPOSIT_PARTY_SIZE, 0),
+      depositDates: (env.DEPOSIT_DATES || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean),
+      holdMinutes: intFromEnv(env.PAYMENT_HOLD_MINUTES, 30),
+      // Cancelling at least refundHours before the service refunds it all; later, lateRefundPercent
+      refundHours: intFromEnv(env.DEPOSIT_REFUND_HOURS, 48),
+      lateRefundPercent: intFromEnv(env.DEPOSIT_LATE_REFUND_PERCENT, 0),
+      intervalMs: intFromEnv(env.PAYMENT_SWEEP_INTERVAL_SECONDS, 60) * 1000,
+    },
+    sessions: {
+      ttlMinutes: intFromEnv(env.SESSION_TTL_MINUTES, 60),
+      abandonHours: intFromEnv(env.SESSION_ABANDON_HOURS, 24),
+      intervalMs: intFromEnv(env.SESSION_SWEEP_INTERVAL_SECONDS, 900) * 1000,
+    },
+  };
+}
+
+module.exports = { loadConfig, intFromEnv };
@@ -0,0 +1,88 @@
+// -------------------------
+// Customer profiles (customers table, keyed by phone = wa_id)
+// The name is asked once and reused on every booking. Staff status changes keep the
+// visit / no-show counters; every new booking updates last restaurant and usual party size.
+// -------------------------
+const NAME_MAX = 60;
+
+// Guest's text -> name (null when it does not look like one: empty, numbers, too long)
+function cleanName(text) {
+  const name = (text || "").toString().trim().replace(/\s+/g, " ");
+  if (name.length < 2 || name.length > NAME_MAX) return null;
+  if (!/\p{L}/u.test(name)) return null;
+  return name;
+}
+
+// Most booked party size; ties go to the most recent one
+function usualPartySize(counts, last) {
+  let best = last;
+  for (const [size, n] of Object.entries(counts)) {
+    const bestCount = counts[best] || 0;
+    if (n > bestCount) best = parseInt(size, 10);
+  }
+  return best;
+}
+
+function createCustomers({ store }) {
+  async function get(phone) {
+    return phone ? store.getCustomer(phone) : null;
+  }
+
+  async function rememberProfileName(phone, profileName) {
+    if (!profileName) return get(phone);
+    return store.upsertCustomer(phone, { profile_name: profileName });
+  }
+
+  async function saveName(phone, name) {
+    return store.upsertCustomer(phone, { name });
+  }
+
+  // customer_name for a new booking from this phone
+  async function nameFor(phone, fallback = "WhatsApp User") {
+    const customer = await get(phone);
+    return customer?.name || fallback;
+  }
+
+  async function recordBooking(reservation) {
+    const phone = reservation.customer_phone;
+    if (!phone) return null;
+
+    const customer = await get(phone);
+    const counts = { ...(customer?.party_size_counts || {}) };
+    counts[reservation.party_size] = (counts[reservation.party_size] || 0) + 1;
+
+    const bookedName = reservation.customer_name !== "WhatsApp User" ? reservation.customer_name : null;
+
+    return store.upsertCustomer(phone, {
+      name: customer?.name || bookedName,
+      last_restaurant_id: reservation.restaurant_id,
+      last_party_size: reservation.party_size,
+      last_service: reservation.service,
+      party_size_counts: counts,
+      usual_party_size: usualPartySize(counts, reservation.party_size),
+    });
+  }
+
+  /**
+   * Staff status changes (src/routes/staff.js). A visit counts once, when the guest is seated
+   * (or completed without going through SEATED); a late arrival undoes the no-show.
+   */
+  async function recordStatusChange(reservation, from, to) {
+    const phone = reservation.customer_phone;
+    if (!phone) return null;
+
+    const customer = await get(phone);
+    let visits = customer?.visit_count || 0;
+    let noShows = customer?.no_show_count || 0;
+
+    if (to === "SEATED" || (to === "COMPLETED" && from === "CONFIRMED")) visits++;
+    if (to === "NO_SHOW") noShows++;
+    if (from === "NO_SHOW") noShows = Math.max(0, noShows - 1);
+
+    return store.upsertCustomer(phone, { visit_count: visits, no_show_count: noShows });
+  }
+
+  return { get, rememberProfileName, saveName, nameFor, recordBooking, recordStatusChange };
+}
+
+module.exports = { createCustomers, cleanName, usualPartySize };
@@ -0,0 +1,293 @@
+// -------------------------
+// Dates (restaurant timezone + parsing in Spanish, English and Portuguese)
+// All dates travel as "YYYY-MM-DD" strings, like service_date in the DB.
+// -------------------------
+const DEFAULT_TIME_ZONE = "America/Argentina/Buenos_Aires";
+const DEFAULT_BOOKING_WINDOW_DAYS = 60;
+
+// Index = getUTCDay() (0 = domingo), one list per language
+const WEEKDAYS = [
+  ["domingo", "lunes", "martes", "miercoles", "jueves", "viernes", "sabado"],
+  ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"],
+  ["domingo", "segunda", "terca", "quarta", "quinta", "sexta", "sabado"],
+];
+const WEEKDAY_LABELS = ["domingo", "lunes", "martes", "miércoles", "jueves", "viernes", "sábado"];
+
+const MONTHS = {
+  enero: 1,
+  febrero: 2,
+  marzo: 3,
+  abril: 4,
+  mayo: 5,
+  junio: 6,
+  julio: 7,
+  agosto: 8,
+  septiembre: 9,
+  setiembre: 9,
+  octubre: 10,
+  noviembre: 11,
+  diciembre: 12,
+  january: 1,
+  february: 2,
+  march: 3,
+  april: 4,
+  may: 5,
+  june: 6,
+  july: 7,
+  august: 8,
+  september: 9,
+  october: 10,
+  november: 11,
+  december: 12,
+  janeiro: 1,
+  fevereiro: 2,
+  marco: 3,
+  maio: 5,
+  junho: 6,
+  julho: 7,
+  setembro: 9,
+  outubro: 10,
+  novembro: 11,
+  dezembro: 12,
+};
+
+const LOCALES = { en: "en-US", pt: "pt-BR" };
+const MONTH_LABELS = [
+  "enero",
+  "febrero",
+  "marzo",
+  "abril",
+  "mayo",
+  "junio",
+  "julio",
+  "agosto",
+  "septiembre",
+  "octubre",
+  "noviembre",
+  "diciembre",
+];
+
+function isISODate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(s);
+}
+
+function stripAccents(s) {
+  return (s || "")
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function toISO(y, m, d) {
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+// Returns null when the day does not exist (ej: 31/02).
+function buildISO(y, m, d) {
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return toISO(y, m, d);
+}
+
+function parseISO(iso) {
+  const [y, m, d] = iso.split("-").map((n) => parseInt(n, 10));
+  return { y, m, d };
+}
+
+function addDays(iso, days) {
+  const { y, m, d } = parseISO(iso);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return toISO(dt.getUTCFullYear(), dt.getUTCMonth() + 1, dt.getUTCDate());
+}
+
+function weekdayOf(iso) {
+  const { y, m, d } = parseISO(iso);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+function diffDays(fromIso, toIso) {
+  const a = parseISO(fromIso);
+  const b = parseISO(toIso);
+  return Math.round((Date.UTC(b.y, b.m - 1, b.d) - Date.UTC(a.y, a.m - 1, a.d)) / 86400000);
+}
+
+function todayInTimeZone(timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(now);
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  return toISO(get("year"), get("month"), get("day"));
+}
+
+// Offset (ms) between wall-clock time in timeZone and UTC at a given instant
+function timeZoneOffsetMs(timeZone, instantMs) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(instantMs));
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return asUtc - Math.floor(instantMs / 1000) * 1000;
+}
+
+/**
+ * UTC Date for a local "YYYY-MM-DD" + "HH:MM" in the restaurant timezone.
+ */
+function zonedDateTime(iso, hhmm, timeZone = DEFAULT_TIME_ZONE) {
+  const { y, m, d } = parseISO(iso);
+  const [hh, mi] = (hhmm || "00:00").split(":").map((n) => parseInt(n, 10));
+  const wallClock = Date.UTC(y, m - 1, d, hh || 0, mi || 0);
+
+  let instant = wallClock - timeZoneOffsetMs(timeZone, wallClock);
+  // Second pass in case the offset changes in between (daylight saving time)
+  instant = wallClock - timeZoneOffsetMs(timeZone, instant);
+  return new Date(instant);
+}
+
+// "viernes 24 de enero de 2026"
+function formatDateEs(iso) {
+  if (!isISODate(iso)) return iso;
+  const { y, m, d } = parseISO(iso);
+  return `${WEEKDAY_LABELS[weekdayOf(iso)]} ${d} de ${MONTH_LABELS[m - 1]} de ${y}`;
+}
+
+// Guest language: "Saturday, January 24, 2026" / "sábado, 24 de janeiro de 2026"; Spanish as formatDateEs
+function formatDate(iso, lang = "es") {
+  if (!isISODate(iso) || !LOCALES[lang]) return formatDateEs(iso);
+  const { y, m, d } = parseISO(iso);
+  return new Intl.DateTimeFormat(LOCALES[lang], {
+    timeZone: "UTC",
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  }).format(new Date(Date.UTC(y, m - 1, d)));
+}
+
+function detectService(s) {
+  if (/\b(almuerzo|almorzar|mediodia|lunch|noon|almoco|almocar)\b/.test(s)) return "LUNCH";
+  if (/\b(cena|cenar|noche|dinner|tonight|evening|night|jantar|janta|noite)\b/.test(s)) return "DINNER";
+  return null;
+}
+
+// Next occurrence of a weekday, strictly after today.
+// "el viernes", "este viernes", "viernes que viene" and "próximo viernes" all mean the same day:
+// the date understood is returned for the guest to confirm.
+function nextWeekday(todayIso, weekday) {
+  const delta = (weekday - weekdayOf(todayIso) + 7) % 7 || 7;
+  return addDays(todayIso, delta);
+}
+
+// Year-less dates roll over to next year once they are behind us (e.g. "5/1" typed in December).
+function withInferredYear(todayIso, m, d) {
+  const { y } = parseISO(todayIso);
+  const thisYear = buildISO(y, m, d);
+  if (thisYear && thisYear >= todayIso) return thisYear;
+  return buildISO(y + 1, m, d) || thisYear;
+}
+
+function normalizeYear(y) {
+  return y < 100 ? 2000 + y : y;
+}
+
+// "a la mañana" / "por la mañana" is a time of day, not "mañana" (tomorrow)
+const MORNING_RE = /\b(?:a|por|de|en)\s+la\s+manana\b/g;
+// "a las 20.30", "at 8.30", "às 20h30": a time, not the 20/30
+const CLOCK_TIME_RE = /\b(?:a\s+las?|para\s+las?|at|as)\s+\d{1,2}(?:[:.h]\d{2})?(?:\s*(?:hs?|am|pm))?\b/g;
+
+function matchDate(text, todayIso) {
+  const s = text.replace(MORNING_RE, " ").replace(CLOCK_TIME_RE, " ");
+
+  let m = s.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (m) return buildISO(+m[1], +m[2], +m[3]);
+
+  m = s.match(/\b(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?\b/);
+  if (m) {
+    if (m[3]) return buildISO(normalizeYear(+m[3]), +m[2], +m[1]);
+    return withInferredYear(todayIso, +m[2], +m[1]);
+  }
+
+  const monthNames = Object.keys(MONTHS).join("|");
+  m = s.match(new RegExp(`\\b(\\d{1,2})\\s*(?:de\\s+)?(${monthNames})(?:\\s*(?:de(?:l)?\\s+)?(\\d{4}))?\\b`));
+  if (m) {
+    if (m[3]) return buildISO(+m[3], MONTHS[m[2]], +m[1]);
+    return withInferredYear(todayIso, MONTHS[m[2]], +m[1]);
+  }
+
+  // "January 25", "january 25th, 2026"
+  m = s.match(new RegExp(`\\b(${monthNames})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s*(\\d{4}))?`));
+  if (m) {
+    if (m[3]) return buildISO(+m[3], MONTHS[m[1]], +m[2]);
+    return withInferredYear(todayIso, MONTHS[m[1]], +m[2]);
+  }
+
+  if (/\b(pasado\s+manana|day\s+after\s+tomorrow|depois\s+de\s+amanha)\b/.test(s)) return addDays(todayIso, 2);
+  if (/\b(hoy|today|tonight|hoje)\b/.test(s)) return todayIso;
+
+  for (const names of WEEKDAYS) {
+    for (let i = 0; i < names.length; i++) {
+      // "sexta-feira", "segunda feira": the first word is enough
+      if (new RegExp(`\\b${names[i]}\\b`).test(s)) return nextWeekday(todayIso, i);
+    }
+  }
+
+  if (/\b(manana|tomorrow|amanha)\b/.test(s)) return addDays(todayIso, 1);
+  return null;
+}
+
+/**
+ * Parses what a guest types in ASK_DATE, in Spanish, English or Portuguese ("mañana",
+ * "el viernes", "25/1", "sábado que viene", "hoy a la noche", "25 de enero", "2026-01-25",
+ * "tomorrow night", "January 25", "sexta-feira", "amanhã no jantar").
+ *
+ * Returns { ok: true, date, service } where service is "LUNCH" | "DINNER" | null,
+ * or { ok: false, reason: "UNRECOGNIZED" | "INVALID" | "PAST" | "TOO_FAR", date? }.
+ */
+function parseDate(text, options = {}) {
+  const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+  const maxDaysAhead = options.maxDaysAhead ?? DEFAULT_BOOKING_WINDOW_DAYS;
+  const todayIso = todayInTimeZone(timeZone, options.now || new Date());
+
+  const s = stripAccents(text).trim();
+  if (!s) return { ok: false, reason: "UNRECOGNIZED" };
+
+  const service = detectService(s);
+  const looksNumeric = /\d/.test(s);
+  const date = matchDate(s, todayIso);
+
+  if (!date) return { ok: false, reason: looksNumeric ? "INVALID" : "UNRECOGNIZED" };
+  if (date < todayIso) return { ok: false, reason: "PAST", date };
+  if (diffDays(todayIso, date) > maxDaysAhead) return { ok: false, reason: "TOO_FAR", date };
+
+  return { ok: true, date, service };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  DEFAULT_BOOKING_WINDOW_DAYS,
+  isISODate,
+  stripAccents,
+  addDays,
+  diffDays,
+  weekdayOf,
+  todayInTimeZone,
+  zonedDateTime,
+  formatDateEs,
+  formatDate,
+  parseDate,
+};
@@ -0,0 +1,51 @@
+// -------------------------
+// Conversation events (conversation_events)
+// What happens in the chat, for reporting (src/reports.js):
+//   STATE              the guest's message moved the session from_state -> to_state
+//   BOOKED             a reservation was made        (source: whatsapp | waitlist | api)
+//   CANCELLED          a reservation was cancelled   (source: whatsapp | reminder | api | staff | payment)
+//   NO_AVAILABILITY    the requested service was full; data.alternatives = how many were offered
+//   ALTERNATIVE_TAKEN  the guest picked one of those alternatives
+// Recording is best-effort: a failed insert is logged and never breaks the conversation.
+// -------------------------
+const EVENT_TYPES = ["STATE", "BOOKED", "CANCELLED", "NO_AVAILABILITY", "ALTERNATIVE_TAKEN"];
+
+function createEventLog({ store }) {
+  /**
+   * fields: { wa_id, from_state, to_state, restaurant_id, reservation_id, service_date, service,
+   *           party_size, source, data }
+   */
+  async function record(type, fields = {}) {
+    try {
+      return await store.insertEvent({ type, ...fields });
+    } catch (e) {
+      console.log("Event log error:", type, e?.message);
+      return null;
+    }
+  }
+
+  // BOOKED / CANCELLED with the reservation's details (row or id)
+  async function recordReservation(type, reservation, source) {
+    try {
+      const row = typeof reservation === "string" ? await store.getReservation(reservation) : reservation;
+      if (!row) return null;
+
+      return await record(type, {
+        wa_id: row.customer_phone || null,
+        restaurant_id: row.restaurant_id,
+        reservation_id: row.id,
+        service_date: row.service_date,
+        service: row.service,
+        party_size: row.party_size,
+        source,
+      });
+    } catch (e) {
+      console.log("Event log error:", type, e?.message);
+      return null;
+    }
+  }
+
+  return { record, recordReservation };
+}
+
+module.exports = { createEventLog, EVENT_TYPES };
@@ -0,0 +1,92 @@
+// -------------------------
+// Conversation engine: runs a declarative state graph
+// graph = {
+//   initial:  the state every conversation starts in and can always go back to (IDLE)
+//   commands: [{ name, match(ctx), run(ctx), next }]  global, tried in order before the step
+//   states:   { STATE: { prompt, parse, validate, on, next } }
+//     prompt(ctx, prefix)     the step's question (resuming, asking again)
+//     parse(ctx)              the guest's answer as a value (default: ctx.normalized)
+//     validate(value, ctx)    null when the answer is good; otherwise the reply that asks again
+//     on(value, ctx)          does the step and returns the reply
+//     next                    the states it can move the conversation to
+//   fallback(ctx)             a state the graph does not know
+// }
+// ctx: { wa_id, text, normalized, lang, session, ..., state() -> the session's state after the step }
+// A step or command that leaves the session in a state it did not declare is a bug, and it is logged.
+// The step's work is already saved by then (a booking, a cancellation), so the guest still gets its
+// reply; a state the graph does not know goes through fallback on the next message.
+// -------------------------
+
+// Checks the graph once, when the bot is built: every step can be run and goes to known states
+function validateGraph(graph) {
+  const known = new Set(Object.keys(graph.states || {}));
+  const problems = [];
+
+  if (!known.has(graph.initial)) problems.push(`initial state ${graph.initial} is not in states`);
+  if (typeof graph.fallback !== "function") problems.push("fallback is missing");
+
+  for (const [name, step] of Object.entries(graph.states || {})) {
+    if (typeof step.on !== "function") problems.push(`${name}: on is missing`);
+    for (const target of step.next || []) {
+      if (!known.has(target)) problems.push(`${name}: unknown next state ${target}`);
+    }
+  }
+  for (const command of graph.commands || []) {
+    if (typeof command.match !== "function" || typeof command.run !== "function") {
+      problems.push(`command ${command.name}: match and run are required`);
+    }
+    for (const target of command.next || []) {
+      if (!known.has(target)) problems.push(`command ${command.name}: unknown next state ${target}`);
+    }
+  }
+
+  if (problems.length) throw new Error(`Invalid conversation graph: ${problems.join("; ")}`);
+  return graph;
+}
+
+function createFlowEngine(graph) {
+  validateGraph(graph);
+
+  function allowed(from, declared) {
+    return [graph.initial, from, ...(declared || [])];
+  }
+
+  // The step (or command) ran: the session should be where it said it could go
+  async function checked(ctx, from, declared, label, reply) {
+    const to = await ctx.state();
+    if (!allowed(from, declared).includes(to)) console.log(`Flow: undeclared transition ${from} -> ${to} (${label})`);
+    return reply;
+  }
+
+  /**
+   * Runs one guest message: the first global command that matches, otherwise the current step
+   * (parse -> validate -> on). Returns the reply.
+   */
+  async function run(ctx) {
+    const from = ctx.session?.state || graph.initial;
+
+    for (const command of graph.commands || []) {
+      if (!(await command.match(ctx))) continue;
+      return checked(ctx, from, command.next, `command ${command.name}`, await command.run(ctx));
+    }
+
+    const step = graph.states[from];
+    if (!step) return graph.fallback(ctx);
+
+    const value = step.parse ? await step.parse(ctx) : ctx.normalized;
+    const invalid = step.validate ? await step.validate(value, ctx) : null;
+    if (invalid) return checked(ctx, from, step.next, from, invalid);
+
+    return checked(ctx, from, step.next, from, await step.on(value, ctx));
+  }
+
+  // The question of a step (resuming a conversation); null when the step has none
+  async function prompt(state, ctx, prefix = "") {
+    const step = graph.states[state];
+    return step?.prompt ? step.prompt(ctx, prefix) : null;
+  }
+
+  return { graph, run, prompt };
+}
+
+module.exports = { createFlowEngine, validateGraph };
@@ -0,0 +1,178 @@
+// -------------------------
+// Human handoff (one per tenant, like the bot)
+// "hablar con alguien" / "talk to someone" (or 5 in the menu) opens a handoff: the session goes
+// to HUMAN and the bot stops answering that wa_id; the staff reads the conversation and replies
+// from the inbox (src/routes/inbox.js). Resolving it, or timeoutMinutes with no message from
+// either side, puts the guest back in IDLE with the bot.
+// Every inbound message, bot reply and staff reply goes to conversation_messages, so the staff
+// sees what the guest went through before asking for a person.
+// -------------------------
+const { replyText } = require("./whatsapp");
+const { menuReply } = require("./messages");
+const { SESSION_FIELDS } = require("./sessions");
+const { tenantWelcome } = require("./tenants");
+const { t, normalizeLanguage } = require("./i18n");
+
+// How much of the conversation before the handoff the inbox shows
+const CONTEXT_HOURS = 24;
+
+function createHandoff({ store, tenant, whatsapp, config }) {
+  const { timeoutMinutes, intervalMs } = config.handoff;
+
+  let timer = null;
+  let running = false;
+
+  // Best effort: a lost log line never breaks the conversation
+  async function log(row) {
+    return store.insertConversationMessage({ handoff_id: null, ...row }).catch((e) => {
+      console.log("Conversation log error:", row.wa_id, e?.message);
+      return null;
+    });
+  }
+
+  function logInbound(inbound, handoff = null) {
+    return log({
+      wa_id: inbound.from,
+      handoff_id: handoff?.id || null,
+      direction: "IN",
+      author: "guest",
+      text: inbound.text,
+      wa_message_id: inbound.id || null,
+    });
+  }
+
+  function logReply(wa_id, reply) {
+    return log({ wa_id, direction: "OUT", author: "bot", text: replyText(reply) });
+  }
+
+  async function current(wa_id) {
+    const [open] = await store.listHandoffs({ wa_id, status: "OPEN" });
+    return open || null;
+  }
+
+  async function get(id) {
+    const row = await store.getHandoff(id);
+    return row && row.tenant_id === tenant.id ? row : null;
+  }
+
+  /**
+   * Opens a handoff (or returns the one already open) and pauses the bot for the guest.
+   * reason: what the guest wrote to ask for it.
+   */
+  async function open(wa_id, reason = null) {
+    const existing = await current(wa_id);
+    if (existing) return existing;
+
+    const now = new Date().toISOString();
+    const row = await store.insertHandoff({
+      wa_id,
+      status: "OPEN",
+      reason,
+      opened_at: now,
+      last_message_at: now,
+    });
+    await store.upsertSession(wa_id, { ...SESSION_FIELDS, state: "HUMAN" });
+    return row;
+  }
+
+  // A guest message while the staff has the conversation: logged, no automatic reply
+  async function receive(inbound) {
+    const handoff = (await current(inbound.from)) || (await open(inbound.from, inbound.text));
+    await logInbound(inbound, handoff);
+    await store.updateHandoff(handoff.id, { last_message_at: new Date().toISOString() });
+    return handoff;
+  }
+
+  /**
+   * Staff reply: sent from the tenant's number through the outbound queue.
+   * null when the handoff is not open.
+   */
+  async function reply(id, text, author) {
+    const handoff = await get(id);
+    if (!handoff || handoff.status !== "OPEN") return null;
+
+    const message = await whatsapp.sendText(handoff.wa_id, text);
+    const row = await store.insertConversationMessage({
+      wa_id: handoff.wa_id,
+      handoff_id: handoff.id,
+      direction: "OUT",
+      author,
+      text,
+      outbound_id: message?.outbound_id || null,
+    });
+    await store.updateHandoff(handoff.id, { last_message_at: new Date().toISOString() });
+    return row;
+  }
+
+  /**
+   * Back to the bot: the handoff is closed (by: the staff actor, or "timeout"), the session
+   * goes to IDLE and the guest gets the menu. null when it was not open (already resolved).
+   */
+  async function resolve(id, by, { expectLastMessageAt } = {}) {
+    const handoff = await get(id);
+    if (!handoff) return null;
+
+    const expect = { status: "OPEN" };
+    if (expectLastMessageAt) expect.last_message_at = expectLastMessageAt;
+    const row = await store.updateHandoff(
+      id,
+      { status: "RESOLVED", resolved_at: new Date().toISOString(), resolved_by: by },
+      expect
+    );
+    if (!row) return null;
+
+    const session = await store.getSession(row.wa_id);
+    if (session?.state === "HUMAN") await store.upsertSession(row.wa_id, SESSION_FIELDS);
+
+    const lang = normalizeLanguage(session?.language);
+    const back = menuReply(lang, t(lang, "handoffResolved"), tenantWelcome(tenant, lang));
+    await whatsapp.sendReply(row.wa_id, back);
+    await logReply(row.wa_id, back);
+    return row;
+  }
+
+  // The conversation log of a handoff: the last CONTEXT_HOURS before it was opened, and everything since
+  async function history(handoff) {
+    const from = new Date(new Date(handoff.opened_at).getTime() - CONTEXT_HOURS * 3600 * 1000).toISOString();
+    return store.listConversationMessages({ wa_id: handoff.wa_id, from, to: handoff.resolved_at || null });
+  }
+
+  // Periodic sweep: open handoffs with no message for timeoutMinutes go back to the bot
+  async function tick(now = new Date()) {
+    if (running) return { skipped: true };
+    running = true;
+
+    let resolved = 0;
+    try {
+      const before = new Date(now.getTime() - timeoutMinutes * 60 * 1000).toISOString();
+      const open = await store.listHandoffs({ status: "OPEN", last_message_before: before });
+
+      for (const handoff of open) {
+        // expect: a message that just arrived keeps it open
+        const row = await resolve(handoff.id, "timeout", { expectLastMessageAt: handoff.last_message_at });
+        if (row) resolved++;
+      }
+    } catch (e) {
+      console.log("Handoff sweep error:", e?.message);
+    } finally {
+      running = false;
+    }
+
+    return { resolved };
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => tick(), intervalMs);
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { open, receive, reply, resolve, get, current, history, logInbound, logReply, tick, start, stop };
+}
+
+module.exports = { createHandoff };
@@ -0,0 +1,826 @@
+// -------------------------
+// Message catalog (es / en / pt)
+// Every text the bot sends lives here; src/messages.js and src/bot.js build replies with
+// t(lang, key, ...args). Entries are strings or functions of their args. A key missing in
+// a language falls back to Spanish.
+// Keywords the guest can type ("reservar", "cancel", "almoço") are accepted in any language,
+// whatever language the session is in.
+// -------------------------
+const { stripAccents } = require("./dates");
+
+const LANGUAGES = ["es", "en", "pt"];
+const DEFAULT_LANGUAGE = "es";
+
+// ["1", "2", "3"] -> "1, 2 o 3" ("or" in the guest's language)
+function joinOptions(items, or) {
+  return items.length > 1 ? `${items.slice(0, -1).join(", ")} ${or} ${items[items.length - 1]}` : items[0];
+}
+
+const MESSAGES = {
+  es: {
+    or: "o",
+    pax: "personas",
+    serviceLUNCH: "Lunch",
+    serviceDINNER: "Dinner",
+
+    menuWelcome: "👋 Bienvenido al sistema de reservas",
+    menuWrite: "Escribí una opción:",
+    menuChoose: "Elegí una opción:",
+    menuButton: "Ver opciones",
+    menuBook: "Reservar mesa",
+    menuCancel: "Cancelar reserva",
+    menuLocals: "Locales",
+    menuModify: "Modificar reserva",
+    menuHuman: "Hablar con alguien",
+
+    languageQuestion: "🌐 Elegí el idioma / Choose your language / Escolha o idioma:",
+    languageAnswer: "Respondé con 1, 2 o 3.",
+    languageChanged: "✅ Listo, te hablo en español.\n\n",
+
+    restarted: "Listo ✅ Reinicié la conversación.\n\n",
+    restartedSafety: "Reinicié la conversación por seguridad.\n\n",
+    processCancelled: "Listo ✅ Cancelé el proceso.\n\n",
+    notUnderstood: "No entendí.\n\n",
+
+    resumeHeading: "⏳ Hace un rato dejamos una reserva a medias.",
+    resumeModifyHeading: "⏳ Hace un rato estabas modificando una reserva.",
+    resumeQuestion: "¿Seguimos donde quedamos?",
+    resumeContinue: "Continuar",
+    resumeRestart: "Empezar de nuevo",
+    resumeAnswer: "Respondé con 1 o 2.",
+    sessionExpired: "⏳ Pasó un rato desde tu último mensaje, así que empezamos de nuevo.\n\n",
+
+    pickRestaurant: "📍 Elegí el restaurante:",
+    pickRestaurantAnswer: (options) => `Respondé con ${options}.`,
+    restaurantsButton: "Ver locales",
+    noRestaurants: "⚠️ No hay locales tomando reservas en este momento.\n\n",
+    localsHeading: "📍 Locales:",
+    localsTip: "Tip: escribí *menu* para volver al inicio.",
+    restaurantChosen: (name) => `✅ Perfecto. Elegiste *${name}*.\n\n`,
+
+    askParty: "👥 ¿Para cuántas personas es la reserva?\n" + "Respondé con un número (ej: 2, 4, 6).",
+    askPartyShort: "👥 ¿Para cuántas personas?\n" + "Respondé con un número (ej: 2, 4, 6).",
+    invalidParty: "❌ Cantidad inválida.\n\n" + "Respondé con un número entre 1 y 50.",
+    partyChosen: (n) => `👥 Perfecto, ${n} personas.\n\n`,
+
+    askDate: "📅 ¿Para qué fecha es la reserva?\n",
+    askDateShort: "📅 ¿Para qué fecha?\n",
+    askNewDate: "📅 Ok. Enviame la nueva fecha.\n",
+    dateExamples: "Podés escribir *mañana*, *el viernes*, *25/1* o *25 de enero*.",
+    dateUnderstood: (date) => `📅 Entendí: *${date}*.\n\n`,
+    datePast: (date) => `❌ El ${date} ya pasó.\n\n` + "Enviame una fecha desde hoy en adelante.",
+    dateTooFar: (date, days) =>
+      `❌ El ${date} está fuera de nuestra agenda.\n\n` + `Tomamos reservas hasta ${days} días adelante.`,
+    dateUnrecognized: "❌ No entendí la fecha.\n\n",
+
+    askService: "🍽️ ¿En qué servicio?",
+    pickService: "🍽️ Ok. Elegí el servicio:",
+    serviceAnswer: "Respondé con 1 o 2.",
+    invalidService: (lunch, dinner) => `❌ Respondé con 1 (${lunch}) o 2 (${dinner}).`,
+    invalidServiceBody: (lunch, dinner) => `❌ Elegí ${lunch} o ${dinner}.`,
+
+    askTime: "🕗 ¿A qué hora?",
+    timeAnswer: (example) => `Respondé con el número o la hora (ej: ${example}).`,
+    timesButton: "Ver horarios",
+    timeUnavailable: "❌ Ese horario no está disponible.\n\n",
+
+    summaryRestaurant: "Restaurante",
+    summaryParty: "Personas",
+    summaryDate: "Fecha",
+    summaryService: "Servicio",
+    summaryTime: "Horario",
+    summaryTags: "Pedidos",
+    summaryNotes: "Nota",
+
+    confirmHeading: "✅ Confirmación",
+    replyWith: "Respondé:",
+    confirm: "Confirmar",
+    changeDate: "Cambiar fecha",
+    changeService: "Cambiar servicio",
+    cancel: "Cancelar",
+    addRequests: "Pedido especial",
+    changeServiceHint: "Escribí *3* para cambiar el servicio o *5* para un pedido especial.",
+    confirmAnswer: "Respondé con 1, 2, 3, 4 o 5.",
+
+    askRequests: "📝 ¿Algún pedido especial? (cumpleaños, silla para bebé, celiaquía, ...)",
+    requestsAnswer:
+      "Respondé con los números que correspondan (ej: *1 3*), escribí tu pedido o *0* si no hay ninguno.",
+    requestsAnswerNotes: "Escribí tu pedido, o *0* si no hay ninguno.",
+    requestsBody: "Elegí una opción o escribí tu pedido.",
+    requestsButton: "Ver opciones",
+    requestsNone: "Ninguno",
+    notesTooLong: (max) => `❌ El pedido es muy largo (hasta ${max} caracteres).\n\n`,
+
+    booked: "🎉 ¡Reserva confirmada!\n\n",
+    bookedCancelHint: "Para cancelar más tarde, elegí 2 en el menú.\n\n",
+    bookFailed: "⚠️ No pude crear la reserva. Probá de nuevo con *menu*.",
+    unknownRestaurant: "⚠️ No pude identificar el restaurante. Probá con *menu*.",
+
+    askName: "🙋 ¿A nombre de quién hacemos la reserva?",
+    writeName: "Escribí tu nombre.",
+    nameAnswer: "Respondé 1 o escribí otro nombre.",
+    nameBody: "Tocá tu nombre o escribí otro.",
+    nameInvalid: "❌ No entendí el nombre.\n\n",
+    nameThanks: (name) => `✅ Gracias, ${name}.\n\n`,
+
+    welcomeBack: (name) => `👋 ¡Hola de nuevo, ${name}!\n\n`,
+    repeatQuestion: "🔁 ¿Lo mismo que la última vez?",
+    repeatSame: "Sí, lo mismo",
+    repeatOther: "Otra reserva",
+
+    noUpcoming: "No encontré reservas futuras a tu nombre ✅\n\n",
+    cancelHeading: "❌ Cancelar reserva",
+    cancelQuestion: "Elegí cuál querés cancelar",
+    modifyHeading: "✏️ Modificar reserva",
+    modifyQuestion: "Elegí cuál querés modificar",
+    pickAnswer: "Respondé con 1, 2 o 3.",
+    pickExit: "O escribí *menu* para salir.",
+    pickBody: (question) => `${question} o escribí *menu* para salir.`,
+    reservationsButton: "Ver reservas",
+    pickInvalid: "Respondé con 1, 2 o 3 (o escribí *menu*).",
+    reservationNotFound: "⚠️ No encontré esa reserva. Escribí *menu* para volver.",
+    reservationCancelled: "✅ Reserva cancelada.\n\n",
+    reservationInactive: "⚠️ Esa reserva ya no está activa.\n\n",
+
+    modifyField: "✏️ ¿Qué querés cambiar?",
+    fieldParty: "Personas",
+    fieldDate: "Fecha",
+    fieldService: "Servicio",
+    modifyFieldAnswer: "Respondé con 1, 2 o 3 (o *menu* para salir).",
+    modifyBefore: "Antes",
+    modifyAfter: "Ahora",
+    modifyConfirm: "Confirmar cambio",
+    modifyOther: "Cambiar otra cosa",
+    modifyKeep: "Dejarla como está",
+    modifyBody: "¿Confirmamos el cambio?",
+    modifyAnswer: "Respondé con 1, 2 o 3.",
+    modified: "✅ ¡Reserva modificada!\n\n",
+    modifyFailed: "⚠️ No pude modificar la reserva. Probá de nuevo con *menu*.",
+    modifyKept: "Listo ✅ Tu reserva sigue como estaba.\n\n",
+    modifyChanged: "La reserva cambió mientras tanto",
+    modifyNoRoom: "No hay lugar para ese cambio",
+    modifyUnchanged: (why) => `❌ ${why}. Tu reserva sigue como estaba.\n\n`,
+
+    noAvailability: "❌ No hay disponibilidad para ese horario.\n\n" + "Te propongo alternativas:\n",
+    tagFull: (tag) => `❌ No queda lugar con *${tag}* para ese horario.\n\n` + "Te propongo alternativas:\n",
+    serviceClosed: (reason) => `🚫 Ese turno está cerrado: *${reason}*.\n\n` + "Te propongo alternativas:\n",
+    serviceReduced: (reason) =>
+      `❌ Ese turno tiene capacidad reducida (*${reason}*) y no queda lugar para tu grupo.\n\n` +
+      "Te propongo alternativas:\n",
+    specialHours: (hours, reason) => `🕘 Ese día el horario es especial: *${hours}* (${reason}).\n\n`,
+    modifyClosed: (reason) => `Ese turno está cerrado: ${reason}`,
+    modifyReduced: (reason) => `Ese turno tiene capacidad reducida (${reason}) y no hay lugar para el cambio`,
+    noAlternatives: "❌ No hay disponibilidad y no pude calcular alternativas.\n\n" + "Escribí *menu* para intentar de nuevo.",
+    alternativesNone: "No encontré alternativas en los próximos días.",
+    alternativesAnswer:
+      "Respondé con 1, 2 o 3 para elegir una alternativa.\n" +
+      "Si preferís esa fecha, escribí *espera* para anotarte en la lista de espera.\n" +
+      "O escribí *menu* para empezar de nuevo.",
+    alternativesBody: "Elegí una alternativa, anotate en la lista de espera o escribí *menu* para empezar de nuevo.",
+    alternativesButton: "Ver alternativas",
+    alternativesInvalid: "Respondé con 1, 2 o 3 para elegir una alternativa (o *menu*).",
+    alternativeFailed: "⚠️ No pude tomar esa alternativa.\n\n" + "Escribí *menu* para intentar de nuevo.",
+    alternativeChosen: "✅ Elegiste alternativa:\n\n",
+    alternativeAnswer: "Respondé 1️⃣ para *Confirmar* o *menu* para cancelar.",
+    alternativeBody: "¿Confirmamos?",
+    backToMenu: "Volver al menú",
+
+    waitlistRow: "Lista de espera",
+    waitlistRowDescription: "Anotarme en lista de espera",
+    waitlistJoined: "📝 Te anotamos en la lista de espera.\n\n",
+    waitlistJoinedHint: "\nSi se libera lugar te escribimos por acá y te lo guardamos un rato para que lo confirmes.\n\n",
+    waitlistJoinFailed: "⚠️ No pude anotarte en la lista de espera. Probá de nuevo con *menu*.",
+    waitlistOffer: "🎉 ¡Se liberó un lugar!\n\n",
+    waitlistHold: (minutes) => `\nTe lo guardamos por *${minutes} minutos*.\n\n`,
+    waitlistClaim: "Reservar",
+    waitlistDecline: "No, gracias",
+    waitlistOfferBody: "¿Lo reservamos?",
+    waitlistOfferAnswer: "Respondé 1️⃣ para reservar el lugar o 2️⃣ para dejarlo pasar (o *menu*).",
+    waitlistDeclined: "👌 Listo, le pasamos el lugar a la próxima persona en espera.\n\n",
+    waitlistExpired: "⌛ Esa oferta ya no está disponible. Si se libera otro lugar te avisamos.\n\n",
+
+    reminderCancelled: "✅ Reserva cancelada. ¡Gracias por avisarnos!\n\n",
+    reminderConfirmed: (restaurant, date, service, party) =>
+      "✅ ¡Gracias por confirmar!\n\n" + `Te esperamos en *${restaurant}* el *${date}* (${service}, ${party} pax).`,
+
+    limitBlocked:
+      "⛔ No podemos tomar reservas desde este número.\n" + "Si creés que es un error, llamá al restaurante.\n\n",
+    limitActive: (limit) =>
+      `⚠️ Ya tenés ${limit} reservas activas, el máximo por persona.\n` +
+      "Para hacer otra, cancelá alguna (opción 2 del menú).\n\n",
+    limitActiveRestaurant: (limit, restaurant) =>
+      `⚠️ Ya tenés ${limit} ${limit === 1 ? "reserva activa" : "reservas activas"} en *${restaurant}*, ` +
+      "el máximo por persona.\n" +
+      "Podés modificar una (opción 4 del menú) o reservar en otro local.\n\n",
+    pendingApproval: "📝 ¡Recibimos tu pedido!\n\n",
+    pendingApprovalHint: (max) =>
+      `Los grupos de más de ${max} personas los confirma el restaurante. Te avisamos por acá apenas lo revisen.\n\n`,
+    pendingTag: "a confirmar",
+    approvalConfirmed: "🎉 ¡El restaurante confirmó tu reserva!\n\n",
+    approvalRejected: "😔 El restaurante no puede recibir a tu grupo en esa fecha.\n\n",
+    modifyNeedsApproval: (max) =>
+      `Para más de ${max} personas la reserva la confirma el restaurante: cancelá esta y hacé una nueva`,
+    tooManyMessages: "⏳ Recibimos muchos mensajes seguidos. Esperá un minuto y volvé a escribirnos.",
+
+    paymentRequired: (amount) => `💳 Para confirmar la reserva pedimos una seña de *${amount}*.\n\n`,
+    paymentLink: (url, minutes) =>
+      `Pagala desde este link: ${url}\n` +
+      `Te guardamos la mesa ${minutes} minutos; si no recibimos el pago, se libera.\n\n`,
+    paymentTag: "esperando la seña",
+    paymentReceived: "🎉 ¡Recibimos la seña! Tu reserva está confirmada.\n\n",
+    paymentExpired: "⌛ No recibimos la seña a tiempo y liberamos la mesa. Si querés, podés reservar de nuevo.\n\n",
+    paymentExpiredKept:
+      "⌛ No recibimos la seña a tiempo, así que el cambio no se hizo: tu reserva sigue como estaba.\n\n",
+    paymentLate: (amount) =>
+      `💳 Recibimos tu pago de *${amount}*, pero la reserva ya se había liberado: te lo devolvemos completo.\n\n`,
+    paymentUnavailable: "😕 No pudimos generar el link de pago. Probá de nuevo en unos minutos.",
+    refundFull: (amount) => `💸 Te devolvemos la seña de *${amount}*.\n\n`,
+    refundPartial: (amount, deposit) => `💸 Te devolvemos *${amount}* de la seña de ${deposit}.\n\n`,
+    refundNone: (hours) => `La seña no se devuelve: la cancelación fue con menos de ${hours} h de anticipación.\n\n`,
+
+    handoffOpened:
+      "👤 Listo, te comunicamos con una persona del equipo. Escribí tu consulta y te respondemos por acá.\n\n" +
+      "Mientras tanto el asistente automático queda en pausa.",
+    handoffResolved: "🤖 Volviste al asistente automático.\n\n",
+
+    calendarSummary: (restaurant) => `Reserva en ${restaurant}`,
+    calendarAdd: "📅 Agregala a tu calendario",
+    calendarUpdated: "📅 Reserva cambiada: abrí el archivo para actualizar tu calendario",
+    calendarCancelled: "📅 Reserva cancelada: abrí el archivo para sacarla de tu calendario",
+  },
+
+  en: {
+    or: "or",
+    pax: "people",
+    serviceLUNCH: "Lunch",
+    serviceDINNER: "Dinner",
+
+    menuWelcome: "👋 Welcome to our booking service",
+    menuWrite: "Type an option:",
+    menuChoose: "Choose an option:",
+    menuButton: "See options",
+    menuBook: "Book a table",
+    menuCancel: "Cancel a booking",
+    menuLocals: "Locations",
+    menuModify: "Change a booking",
+    menuHuman: "Talk to someone",
+
+    languageAnswer: "Reply 1, 2 or 3.",
+    languageChanged: "✅ Done, I'll talk to you in English.\n\n",
+
+    restarted: "Done ✅ I restarted the conversation.\n\n",
+    restartedSafety: "I restarted the conversation to be safe.\n\n",
+    processCancelled: "Done ✅ Booking cancelled.\n\n",
+    notUnderstood: "Sorry, I didn't get that.\n\n",
+
+    resumeHeading: "⏳ A while ago we left a booking halfway through.",
+    resumeModifyHeading: "⏳ A while ago you were changing a booking.",
+    resumeQuestion: "Shall we pick up where we left off?",
+    resumeContinue: "Continue",
+    resumeRestart: "Start over",
+    resumeAnswer: "Reply 1 or 2.",
+    sessionExpired: "⏳ It's been a while since your last message, so let's start again.\n\n",
+
+    pickRestaurant: "📍 Choose the restaurant:",
+    pickRestaurantAnswer: (options) => `Reply ${options}.`,
+    restaurantsButton: "See locations",
+    noRestaurants: "⚠️ No location is taking bookings right now.\n\n",
+    localsHeading: "📍 Locations:",
+    localsTip: "Tip: type *menu* to go back to the start.",
+    restaurantChosen: (name) => `✅ Great. You chose *${name}*.\n\n`,
+
+    askParty: "👥 How many people is the booking for?\n" + "Reply with a number (e.g. 2, 4, 6).",
+    askPartyShort: "👥 How many people?\n" + "Reply with a number (e.g. 2, 4, 6).",
+    invalidParty: "❌ Invalid number.\n\n" + "Reply with a number between 1 and 50.",
+    partyChosen: (n) => `👥 Great, ${n} people.\n\n`,
+
+    askDate: "📅 What date is the booking for?\n",
+    askDateShort: "📅 What date?\n",
+    askNewDate: "📅 Ok. Send me the new date.\n",
+    dateExamples: "You can write *tomorrow*, *Friday*, *25/1* or *January 25*.",
+    dateUnderstood: (date) => `📅 Got it: *${date}*.\n\n`,
+    datePast: (date) => `❌ ${date} has already passed.\n\n` + "Send me a date from today onwards.",
+    dateTooFar: (date, days) =>
+      `❌ ${date} is too far ahead.\n\n` + `We take bookings up to ${days} days ahead.`,
+    dateUnrecognized: "❌ I didn't get the date.\n\n",
+
+    askService: "🍽️ Which service?",
+    pickService: "🍽️ Ok. Choose the service:",
+    serviceAnswer: "Reply 1 or 2.",
+    invalidService: (lunch, dinner) => `❌ Reply 1 (${lunch}) or 2 (${dinner}).`,
+    invalidServiceBody: (lunch, dinner) => `❌ Choose ${lunch} or ${dinner}.`,
+
+    askTime: "🕗 What time?",
+    timeAnswer: (example) => `Reply with the number or the time (e.g. ${example}).`,
+    timesButton: "See times",
+    timeUnavailable: "❌ That time is not available.\n\n",
+
+    summaryRestaurant: "Restaurant",
+    summaryParty: "People",
+    summaryDate: "Date",
+    summaryService: "Service",
+    summaryTime: "Time",
+    summaryTags: "Requests",
+    summaryNotes: "Note",
+
+    confirmHeading: "✅ Confirmation",
+    replyWith: "Reply:",
+    confirm: "Confirm",
+    changeDate: "Change date",
+    changeService: "Change service",
+    cancel: "Cancel",
+    addRequests: "Special request",
+    changeServiceHint: "Type *3* to change the service or *5* for a special request.",
+    confirmAnswer: "Reply 1, 2, 3, 4 or 5.",
+
+    askRequests: "📝 Any special request? (birthday, high chair, gluten free, ...)",
+    requestsAnswer: "Reply with the numbers that apply (e.g. *1 3*), type your request, or *0* for none.",
+    requestsAnswerNotes: "Type your request, or *0* for none.",
+    requestsBody: "Pick an option or type your request.",
+    requestsButton: "See options",
+    requestsNone: "None",
+    notesTooLong: (max) => `❌ That request is too long (up to ${max} characters).\n\n`,
+
+    booked: "🎉 Booking confirmed!\n\n",
+    bookedCancelHint: "To cancel later, choose 2 in the menu.\n\n",
+    bookFailed: "⚠️ I couldn't create the booking. Try again with *menu*.",
+    unknownRestaurant: "⚠️ I couldn't find the restaurant. Try again with *menu*.",
+
+    askName: "🙋 What name should the booking be under?",
+    writeName: "Type your name.",
+    nameAnswer: "Reply 1 or type another name.",
+    nameBody: "Tap your name or type another one.",
+    nameInvalid: "❌ I didn't get the name.\n\n",
+    nameThanks: (name) => `✅ Thanks, ${name}.\n\n`,
+
+    welcomeBack: (name) => `👋 Welcome back, ${name}!\n\n`,
+    repeatQuestion: "🔁 Same as last time?",
+    repeatSame: "Yes, same again",
+    repeatOther: "New booking",
+
+    noUpcoming: "I found no upcoming bookings under your number ✅\n\n",
+    cancelHeading: "❌ Cancel a booking",
+    cancelQuestion: "Choose the one to cancel",
+    modifyHeading: "✏️ Change a booking",
+    modifyQuestion: "Choose the one to change",
+    pickAnswer: "Reply 1, 2 or 3.",
+    pickExit: "Or type *menu* to leave.",
+    pickBody: (question) => `${question} or type *menu* to leave.`,
+    reservationsButton: "See bookings",
+    pickInvalid: "Reply 1, 2 or 3 (or type *menu*).",
+    reservationNotFound: "⚠️ I couldn't find that booking. Type *menu* to go back.",
+    reservationCancelled: "✅ Booking cancelled.\n\n",
+    reservationInactive: "⚠️ That booking is no longer active.\n\n",
+
+    modifyField: "✏️ What do you want to change?",
+    fieldParty: "People",
+    fieldDate: "Date",
+    fieldService: "Service",
+    modifyFieldAnswer: "Reply 1, 2 or 3 (or *menu* to leave).",
+    modifyBefore: "Before",
+    modifyAfter: "Now",
+    modifyConfirm: "Confirm change",
+    modifyOther: "Change another thing",
+    modifyKeep: "Keep it as is",
+    modifyBody: "Shall we confirm the change?",
+    modifyAnswer: "Reply 1, 2 or 3.",
+    modified: "✅ Booking changed!\n\n",
+    modifyFailed: "⚠️ I couldn't change the booking. Try again with *menu*.",
+    modifyKept: "Done ✅ Your booking stays as it was.\n\n",
+    modifyChanged: "The booking changed in the meantime",
+    modifyNoRoom: "There is no room for that change",
+    modifyUnchanged: (why) => `❌ ${why}. Your booking stays as it was.\n\n`,
+
+    noAvailability: "❌ No availability at that time.\n\n" + "Here are some alternatives:\n",
+    tagFull: (tag) => `❌ No room left with *${tag}* at that time.\n\n` + "Here are some alternatives:\n",
+    serviceClosed: (reason) => `🚫 That service is closed: *${reason}*.\n\n` + "Here are some alternatives:\n",
+    serviceReduced: (reason) =>
+      `❌ That service has reduced capacity (*${reason}*) and there is no room left for your party.\n\n` +
+      "Here are some alternatives:\n",
+    specialHours: (hours, reason) => `🕘 Special opening hours that day: *${hours}* (${reason}).\n\n`,
+    modifyClosed: (reason) => `That service is closed: ${reason}`,
+    modifyReduced: (reason) => `That service has reduced capacity (${reason}) and there is no room for the change`,
+    noAlternatives: "❌ No availability and I couldn't find alternatives.\n\n" + "Type *menu* to try again.",
+    alternativesNone: "I found no alternatives in the next days.",
+    alternativesAnswer:
+      "Reply 1, 2 or 3 to pick an alternative.\n" +
+      "If you'd rather keep that date, type *waitlist* to join the waitlist.\n" +
+      "Or type *menu* to start over.",
+    alternativesBody: "Pick an alternative, join the waitlist or type *menu* to start over.",
+    alternativesButton: "See alternatives",
+    alternativesInvalid: "Reply 1, 2 or 3 to pick an alternative (or *menu*).",
+    alternativeFailed: "⚠️ I couldn't take that alternative.\n\n" + "Type *menu* to try again.",
+    alternativeChosen: "✅ You chose:\n\n",
+    alternativeAnswer: "Reply 1️⃣ to *Confirm* or *menu* to cancel.",
+    alternativeBody: "Shall we confirm?",
+    backToMenu: "Back to menu",
+
+    waitlistRow: "Waitlist",
+    waitlistRowDescription: "Join the waitlist",
+    waitlistJoined: "📝 You're on the waitlist.\n\n",
+    waitlistJoinedHint: "\nIf a table frees up we'll message you here and hold it for a while so you can confirm.\n\n",
+    waitlistJoinFailed: "⚠️ I couldn't add you to the waitlist. Try again with *menu*.",
+    waitlistOffer: "🎉 A table just freed up!\n\n",
+    waitlistHold: (minutes) => `\nWe'll hold it for *${minutes} minutes*.\n\n`,
+    waitlistClaim: "Book it",
+    waitlistDecline: "No, thanks",
+    waitlistOfferBody: "Shall we book it?",
+    waitlistOfferAnswer: "Reply 1️⃣ to book the table or 2️⃣ to let it go (or *menu*).",
+    waitlistDeclined: "👌 Done, we'll pass the table on to the next person waiting.\n\n",
+    waitlistExpired: "⌛ That offer is no longer available. We'll let you know if another table frees up.\n\n",
+
+    reminderCancelled: "✅ Booking cancelled. Thanks for letting us know!\n\n",
+    reminderConfirmed: (restaurant, date, service, party) =>
+      "✅ Thanks for confirming!\n\n" + `See you at *${restaurant}* on *${date}* (${service}, ${party} pax).`,
+
+    limitBlocked:
+      "⛔ We can't take bookings from this number.\n" + "If you think this is a mistake, please call the restaurant.\n\n",
+    limitActive: (limit) =>
+      `⚠️ You already have ${limit} active bookings, the most we allow per guest.\n` +
+      "To make another one, cancel one of them (option 2 in the menu).\n\n",
+    limitActiveRestaurant: (limit, restaurant) =>
+      `⚠️ You already have ${limit} active ${limit === 1 ? "booking" : "bookings"} at *${restaurant}*, ` +
+      "the most we allow per guest.\n" +
+      "You can change one (option 4 in the menu) or book at another place.\n\n",
+    pendingApproval: "📝 We got your request!\n\n",
+    pendingApprovalHint: (max) =>
+      `Groups of more than ${max} people are confirmed by the restaurant. ` +
+      "We'll let you know here as soon as they review it.\n\n",
+    pendingTag: "to be confirmed",
+    approvalConfirmed: "🎉 The restaurant confirmed your booking!\n\n",
+    approvalRejected: "😔 The restaurant can't take your group on that date.\n\n",
+    modifyNeedsApproval: (max) =>
+      `Bookings for more than ${max} people are confirmed by the restaurant: cancel this one and make a new one`,
+    tooManyMessages: "⏳ We got a lot of messages in a row. Please wait a minute and write to us again.",
+
+    paymentRequired: (amount) => `💳 To confirm this booking we ask for a deposit of *${amount}*.\n\n`,
+    paymentLink: (url, minutes) =>
+      `Pay it with this link: ${url}\n` +
+      `We'll hold your table for ${minutes} minutes; if the payment doesn't arrive, it's released.\n\n`,
+    paymentTag: "waiting for the deposit",
+    paymentReceived: "🎉 We got your deposit! Your booking is confirmed.\n\n",
+    paymentExpired:
+      "⌛ The deposit didn't arrive in time, so we released the table. You can book again if you like.\n\n",
+    paymentExpiredKept:
+      "⌛ The deposit didn't arrive in time, so the change wasn't made: your booking stays as it was.\n\n",
+    paymentLate: (amount) =>
+      `💳 We got your payment of *${amount}*, but the booking had already been released: ` +
+      "it will be refunded in full.\n\n",
+    paymentUnavailable: "😕 We couldn't create the payment link. Please try again in a few minutes.",
+    refundFull: (amount) => `💸 Your deposit of *${amount}* will be refunded.\n\n`,
+    refundPartial: (amount, deposit) => `💸 *${amount}* of your ${deposit} deposit will be refunded.\n\n`,
+    refundNone: (hours) => `The deposit is not refunded: the booking was cancelled less than ${hours} h ahead.\n\n`,
+
+    handoffOpened:
+      "👤 Done, we're putting you through to someone from the team. Write your question and we'll answer here.\n\n" +
+      "Meanwhile the automatic assistant is paused.",
+    handoffResolved: "🤖 You're back with the automatic assistant.\n\n",
+
+    calendarSummary: (restaurant) => `Booking at ${restaurant}`,
+    calendarAdd: "📅 Add it to your calendar",
+    calendarUpdated: "📅 Booking changed: open the file to update your calendar",
+    calendarCancelled: "📅 Booking cancelled: open the file to remove it from your calendar",
+  },
+
+  pt: {
+    or: "ou",
+    pax: "pessoas",
+    serviceLUNCH: "Almoço",
+    serviceDINNER: "Jantar",
+
+    menuWelcome: "👋 Bem-vindo ao sistema de reservas",
+    menuWrite: "Escreva uma opção:",
+    menuChoose: "Escolha uma opção:",
+    menuButton: "Ver opções",
+    menuBook: "Reservar mesa",
+    menuCancel: "Cancelar reserva",
+    menuLocals: "Restaurantes",
+    menuModify: "Alterar reserva",
+    menuHuman: "Falar com alguém",
+
+    languageAnswer: "Responda 1, 2 ou 3.",
+    languageChanged: "✅ Pronto, vou falar com você em português.\n\n",
+
+    restarted: "Pronto ✅ Reiniciei a conversa.\n\n",
+    restartedSafety: "Reiniciei a conversa por segurança.\n\n",
+    processCancelled: "Pronto ✅ Cancelei o processo.\n\n",
+    notUnderstood: "Não entendi.\n\n",
+
+    resumeHeading: "⏳ Há pouco deixamos uma reserva pela metade.",
+    resumeModifyHeading: "⏳ Há pouco você estava alterando uma reserva.",
+    resumeQuestion: "Continuamos de onde paramos?",
+    resumeContinue: "Continuar",
+    resumeRestart: "Começar de novo",
+    resumeAnswer: "Responda com 1 ou 2.",
+    sessionExpired: "⏳ Faz um tempo desde a sua última mensagem, então vamos começar de novo.\n\n",
+
+    pickRestaurant: "📍 Escolha o restaurante:",
+    pickRestaurantAnswer: (options) => `Responda ${options}.`,
+    restaurantsButton: "Ver restaurantes",
+    noRestaurants: "⚠️ Nenhum restaurante está aceitando reservas no momento.\n\n",
+    localsHeading: "📍 Restaurantes:",
+    localsTip: "Dica: escreva *menu* para voltar ao início.",
+    restaurantChosen: (name) => `✅ Perfeito. Você escolheu *${name}*.\n\n`,
+
+    askParty: "👥 Para quantas pessoas é a reserva?\n" + "Responda com um número (ex: 2, 4, 6).",
+    askPartyShort: "👥 Para quantas pessoas?\n" + "Responda com um número (ex: 2, 4, 6).",
+    invalidParty: "❌ Quantidade inválida.\n\n" + "Responda com um número entre 1 e 50.",
+    partyChosen: (n) => `👥 Perfeito, ${n} pessoas.\n\n`,
+
+    askDate: "📅 Para qual data é a reserva?\n",
+    askDateShort: "📅 Para qual data?\n",
+    askNewDate: "📅 Ok. Me envie a nova data.\n",
+    dateExamples: "Você pode escrever *amanhã*, *sexta*, *25/1* ou *25 de janeiro*.",
+    dateUnderstood: (date) => `📅 Entendi: *${date}*.\n\n`,
+    datePast: (date) => `❌ ${date} já passou.\n\n` + "Me envie uma data de hoje em diante.",
+    dateTooFar: (date, days) =>
+      `❌ ${date} está fora da nossa agenda.\n\n` + `Aceitamos reservas até ${days} dias à frente.`,
+    dateUnrecognized: "❌ Não entendi a data.\n\n",
+
+    askService: "🍽️ Em qual serviço?",
+    pickService: "🍽️ Ok. Escolha o serviço:",
+    serviceAnswer: "Responda 1 ou 2.",
+    invalidService: (lunch, dinner) => `❌ Responda 1 (${lunch}) ou 2 (${dinner}).`,
+    invalidServiceBody: (lunch, dinner) => `❌ Escolha ${lunch} ou ${dinner}.`,
+
+    askTime: "🕗 Que horas?",
+    timeAnswer: (example) => `Responda com o número ou o horário (ex: ${example}).`,
+    timesButton: "Ver horários",
+    timeUnavailable: "❌ Esse horário não está disponível.\n\n",
+
+    summaryRestaurant: "Restaurante",
+    summaryParty: "Pessoas",
+    summaryDate: "Data",
+    summaryService: "Serviço",
+    summaryTime: "Horário",
+    summaryTags: "Pedidos",
+    summaryNotes: "Observação",
+
+    confirmHeading: "✅ Confirmação",
+    replyWith: "Responda:",
+    confirm: "Confirmar",
+    changeDate: "Alterar data",
+    changeService: "Alterar serviço",
+    cancel: "Cancelar",
+    addRequests: "Pedido especial",
+    changeServiceHint: "Escreva *3* para alterar o serviço ou *5* para um pedido especial.",
+    confirmAnswer: "Responda 1, 2, 3, 4 ou 5.",
+
+    askRequests: "📝 Algum pedido especial? (aniversário, cadeirinha, sem glúten, ...)",
+    requestsAnswer: "Responda com os números que se aplicam (ex: *1 3*), escreva seu pedido ou *0* se não houver.",
+    requestsAnswerNotes: "Escreva seu pedido, ou *0* se não houver.",
+    requestsBody: "Escolha uma opção ou escreva seu pedido.",
+    requestsButton: "Ver opções",
+    requestsNone: "Nenhum",
+    notesTooLong: (max) => `❌ O pedido é muito longo (até ${max} caracteres).\n\n`,
+
+    booked: "🎉 Reserva confirmada!\n\n",
+    bookedCancelHint: "Para cancelar depois, escolha 2 no menu.\n\n",
+    bookFailed: "⚠️ Não consegui criar a reserva. Tente de novo com *menu*.",
+    unknownRestaurant: "⚠️ Não consegui identificar o restaurante. Tente com *menu*.",
+
+    askName: "🙋 Em nome de quem fazemos a reserva?",
+    writeName: "Escreva seu nome.",
+    nameAnswer: "Responda 1 ou escreva outro nome.",
+    nameBody: "Toque no seu nome ou escreva outro.",
+    nameInvalid: "❌ Não entendi o nome.\n\n",
+    nameThanks: (name) => `✅ Obrigado, ${name}.\n\n`,
+
+    welcomeBack: (name) => `👋 Olá de novo, ${name}!\n\n`,
+    repeatQuestion: "🔁 O mesmo da última vez?",
+    repeatSame: "Sim, o mesmo",
+    repeatOther: "Outra reserva",
+
+    noUpcoming: "Não encontrei reservas futuras no seu nome ✅\n\n",
+    cancelHeading: "❌ Cancelar reserva",
+    cancelQuestion: "Escolha qual quer cancelar",
+    modifyHeading: "✏️ Alterar reserva",
+    modifyQuestion: "Escolha qual quer alterar",
+    pickAnswer: "Responda 1, 2 ou 3.",
+    pickExit: "Ou escreva *menu* para sair.",
+    pickBody: (question) => `${question} ou escreva *menu* para sair.`,
+    reservationsButton: "Ver reservas",
+    pickInvalid: "Responda 1, 2 ou 3 (ou escreva *menu*).",
+    reservationNotFound: "⚠️ Não encontrei essa reserva. Escreva *menu* para voltar.",
+    reservationCancelled: "✅ Reserva cancelada.\n\n",
+    reservationInactive: "⚠️ Essa reserva não está mais ativa.\n\n",
+
+    modifyField: "✏️ O que você quer alterar?",
+    fieldParty: "Pessoas",
+    fieldDate: "Data",
+    fieldService: "Serviço",
+    modifyFieldAnswer: "Responda 1, 2 ou 3 (ou *menu* para sair).",
+    modifyBefore: "Antes",
+    modifyAfter: "Agora",
+    modifyConfirm: "Confirmar alteração",
+    modifyOther: "Alterar outra coisa",
+    modifyKeep: "Deixar como está",
+    modifyBody: "Confirmamos a alteração?",
+    modifyAnswer: "Responda 1, 2 ou 3.",
+    modified: "✅ Reserva alterada!\n\n",
+    modifyFailed: "⚠️ Não consegui alterar a reserva. Tente de novo com *menu*.",
+    modifyKept: "Pronto ✅ Sua reserva continua como estava.\n\n",
+    modifyChanged: "A reserva mudou nesse meio-tempo",
+    modifyNoRoom: "Não há lugar para essa alteração",
+    modifyUnchanged: (why) => `❌ ${why}. Sua reserva continua como estava.\n\n`,
+
+    noAvailability: "❌ Não há disponibilidade para esse horário.\n\n" + "Te proponho alternativas:\n",
+    tagFull: (tag) => `❌ Não há mais lugar com *${tag}* nesse horário.\n\n` + "Te proponho alternativas:\n",
+    serviceClosed: (reason) => `🚫 Esse turno está fechado: *${reason}*.\n\n` + "Te proponho alternativas:\n",
+    serviceReduced: (reason) =>
+      `❌ Esse turno tem capacidade reduzida (*${reason}*) e não há mais lugar para o seu grupo.\n\n` +
+      "Te proponho alternativas:\n",
+    specialHours: (hours, reason) => `🕘 Nesse dia o horário é especial: *${hours}* (${reason}).\n\n`,
+    modifyClosed: (reason) => `Esse turno está fechado: ${reason}`,
+    modifyReduced: (reason) => `Esse turno tem capacidade reduzida (${reason}) e não há lugar para a alteração`,
+    noAlternatives:
+      "❌ Não há disponibilidade e não consegui calcular alternativas.\n\n" + "Escreva *menu* para tentar de novo.",
+    alternativesNone: "Não encontrei alternativas nos próximos dias.",
+    alternativesAnswer:
+      "Responda 1, 2 ou 3 para escolher uma alternativa.\n" +
+      "Se preferir essa data, escreva *espera* para entrar na lista de espera.\n" +
+      "Ou escreva *menu* para começar de novo.",
+    alternativesBody: "Escolha uma alternativa, entre na lista de espera ou escreva *menu* para começar de novo.",
+    alternativesButton: "Ver alternativas",
+    alternativesInvalid: "Responda 1, 2 ou 3 para escolher uma alternativa (ou *menu*).",
+    alternativeFailed: "⚠️ Não consegui pegar essa alternativa.\n\n" + "Escreva *menu* para tentar de novo.",
+    alternativeChosen: "✅ Você escolheu:\n\n",
+    alternativeAnswer: "Responda 1️⃣ para *Confirmar* ou *menu* para cancelar.",
+    alternativeBody: "Confirmamos?",
+    backToMenu: "Voltar ao menu",
+
+    waitlistRow: "Lista de espera",
+    waitlistRowDescription: "Entrar na lista de espera",
+    waitlistJoined: "📝 Você está na lista de espera.\n\n",
+    waitlistJoinedHint: "\nSe liberar um lugar, te escrevemos por aqui e guardamos por um tempo para você confirmar.\n\n",
+    waitlistJoinFailed: "⚠️ Não consegui te colocar na lista de espera. Tente de novo com *menu*.",
+    waitlistOffer: "🎉 Liberou um lugar!\n\n",
+    waitlistHold: (minutes) => `\nGuardamos por *${minutes} minutos*.\n\n`,
+    waitlistClaim: "Reservar",
+    waitlistDecline: "Não, obrigado",
+    waitlistOfferBody: "Reservamos?",
+    waitlistOfferAnswer: "Responda 1️⃣ para reservar o lugar ou 2️⃣ para deixar passar (ou *menu*).",
+    waitlistDeclined: "👌 Pronto, passamos o lugar para a próxima pessoa da lista.\n\n",
+    waitlistExpired: "⌛ Essa oferta não está mais disponível. Se liberar outro lugar, te avisamos.\n\n",
+
+    reminderCancelled: "✅ Reserva cancelada. Obrigado por avisar!\n\n",
+    reminderConfirmed: (restaurant, date, service, party) =>
+      "✅ Obrigado por confirmar!\n\n" + `Te esperamos no *${restaurant}* em *${date}* (${service}, ${party} pax).`,
+
+    limitBlocked:
+      "⛔ Não podemos aceitar reservas deste número.\n" + "Se achar que é um erro, ligue para o restaurante.\n\n",
+    limitActive: (limit) =>
+      `⚠️ Você já tem ${limit} reservas ativas, o máximo por pessoa.\n` +
+      "Para fazer outra, cancele alguma (opção 2 do menu).\n\n",
+    limitActiveRestaurant: (limit, restaurant) =>
+      `⚠️ Você já tem ${limit} ${limit === 1 ? "reserva ativa" : "reservas ativas"} em *${restaurant}*, ` +
+      "o máximo por pessoa.\n" +
+      "Você pode alterar uma (opção 4 do menu) ou reservar em outro local.\n\n",
+    pendingApproval: "📝 Recebemos seu pedido!\n\n",
+    pendingApprovalHint: (max) =>
+      `Grupos de mais de ${max} pessoas são confirmados pelo restaurante. Avisamos por aqui assim que revisarem.\n\n`,
+    pendingTag: "a confirmar",
+    approvalConfirmed: "🎉 O restaurante confirmou sua reserva!\n\n",
+    approvalRejected: "😔 O restaurante não pode receber seu grupo nessa data.\n\n",
+    modifyNeedsApproval: (max) =>
+      `Reservas para mais de ${max} pessoas são confirmadas pelo restaurante: cancele esta e faça uma nova`,
+    tooManyMessages: "⏳ Recebemos muitas mensagens seguidas. Espere um minuto e escreva de novo.",
+
+    paymentRequired: (amount) => `💳 Para confirmar a reserva pedimos um sinal de *${amount}*.\n\n`,
+    paymentLink: (url, minutes) =>
+      `Pague por este link: ${url}\n` +
+      `Seguramos a mesa por ${minutes} minutos; se o pagamento não chegar, ela é liberada.\n\n`,
+    paymentTag: "aguardando o sinal",
+    paymentReceived: "🎉 Recebemos o sinal! Sua reserva está confirmada.\n\n",
+    paymentExpired: "⌛ O sinal não chegou a tempo e liberamos a mesa. Se quiser, pode reservar de novo.\n\n",
+    paymentExpiredKept:
+      "⌛ O sinal não chegou a tempo, então a alteração não foi feita: sua reserva continua como estava.\n\n",
+    paymentLate: (amount) =>
+      `💳 Recebemos seu pagamento de *${amount}*, mas a reserva já tinha sido liberada: ` +
+      "vamos devolvê-lo inteiro.\n\n",
+    paymentUnavailable: "😕 Não conseguimos gerar o link de pagamento. Tente de novo em alguns minutos.",
+    refundFull: (amount) => `💸 Vamos devolver o sinal de *${amount}*.\n\n`,
+    refundPartial: (amount, deposit) => `💸 Vamos devolver *${amount}* do sinal de ${deposit}.\n\n`,
+    refundNone: (hours) =>
+      `O sinal não é devolvido: o cancelamento foi com menos de ${hours} h de antecedência.\n\n`,
+
+    handoffOpened:
+      "👤 Pronto, vamos te passar para uma pessoa da equipe. Escreva sua dúvida e respondemos por aqui.\n\n" +
+      "Enquanto isso o assistente automático fica em pausa.",
+    handoffResolved: "🤖 Você voltou ao assistente automático.\n\n",
+
+    calendarSummary: (restaurant) => `Reserva no ${restaurant}`,
+    calendarAdd: "📅 Adicione ao seu calendário",
+    calendarUpdated: "📅 Reserva alterada: abra o arquivo para atualizar o seu calendário",
+    calendarCancelled: "📅 Reserva cancelada: abra o arquivo para tirá-la do seu calendário",
+  },
+};
+
+// Words the guest may type, per language (without accents, lowercase)
+const KEYWORDS = {
+  greeting: {
+    es: ["hola", "buenas", "buen dia", "buenos dias", "buenas tardes", "buenas noches"],
+    en: ["hi", "hello", "hey", "good morning", "good afternoon", "good evening"],
+    pt: ["ola", "oi", "bom dia", "boa tarde", "boa noite"],
+  },
+  menu: { es: ["menu"], en: ["menu"], pt: ["menu"] },
+  reset: { es: ["reiniciar", "reset"], en: ["reset", "restart"], pt: ["reiniciar", "recomecar"] },
+  language: { es: ["idioma"], en: ["language"], pt: ["idioma", "lingua"] },
+  book: { es: ["reservar"], en: ["book", "reserve"], pt: ["reservar"] },
+  cancel: { es: ["cancelar"], en: ["cancel"], pt: ["cancelar"] },
+  modify: { es: ["modificar", "cambiar"], en: ["modify", "change"], pt: ["alterar", "modificar"] },
+  locals: { es: ["locales", "horarios"], en: ["locations", "restaurants", "hours"], pt: ["restaurantes", "horarios"] },
+  human: {
+    es: ["hablar con alguien", "hablar con una persona", "humano", "atencion"],
+    en: ["talk to someone", "speak to someone", "human", "agent"],
+    pt: ["falar com alguem", "falar com uma pessoa", "atendente", "humano"],
+  },
+  confirm: { es: ["confirmar"], en: ["confirm"], pt: ["confirmar"] },
+  yes: { es: ["si"], en: ["yes"], pt: ["sim"] },
+  resume: { es: ["continuar", "seguir"], en: ["continue", "resume"], pt: ["continuar"] },
+  no: { es: ["no"], en: ["no"], pt: ["nao"] },
+  same: { es: ["mismo"], en: ["same"], pt: ["mesmo"] },
+  other: { es: ["otra"], en: ["other", "new"], pt: ["outra"] },
+  party: { es: ["personas"], en: ["people", "guests"], pt: ["pessoas"] },
+  date: { es: ["fecha"], en: ["date"], pt: ["data"] },
+  service: { es: ["servicio"], en: ["service"], pt: ["servico"] },
+  lunch: { es: ["lunch", "almuerzo"], en: ["lunch"], pt: ["almoco"] },
+  dinner: { es: ["dinner", "cena"], en: ["dinner"], pt: ["jantar"] },
+  waitlist: { es: ["espera", "lista de espera"], en: ["waitlist", "wait"], pt: ["espera", "lista de espera"] },
+  none: { es: ["ninguno", "nada"], en: ["none", "nothing", "skip"], pt: ["nenhum", "nada"] },
+};
+
+// Names accepted in the language picker (besides 1 / 2 / 3 and the codes)
+const LANGUAGE_NAMES = {
+  es: ["espanol", "spanish", "castellano"],
+  en: ["english", "ingles"],
+  pt: ["portugues", "portuguese"],
+};
+
+const LANGUAGE_LABELS = { es: "Español", en: "English", pt: "Português" };
+
+function normalizeLanguage(lang) {
+  return LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+}
+
+function t(lang, key, ...args) {
+  const entry = MESSAGES[normalizeLanguage(lang)][key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+  if (entry === undefined) throw new Error(`Missing message: ${key}`);
+  return typeof entry === "function" ? entry(...args) : entry;
+}
+
+function keywordsFor(name) {
+  return Object.values(KEYWORDS[name] || {}).flat();
+}
+
+// "Cancelar", "cancel", "cancelár" -> true for "cancel", whatever the session language
+function isKeyword(input, name) {
+  return keywordsFor(name).includes(stripAccents(input).trim());
+}
+
+/**
+ * Language of a first message: a greeting or a keyword that only one language uses
+ * ("hi", "olá", "book"). null when it does not tell ("reservar", "1").
+ */
+function detectLanguage(input) {
+  const s = stripAccents(input).trim();
+  if (!s) return null;
+
+  const found = LANGUAGES.filter((lang) =>
+    Object.values(KEYWORDS).some((words) => (words[lang] || []).some((w) => s === w || s.startsWith(w + " ")))
+  );
+  return found.length === 1 ? found[0] : null;
+}
+
+// Answer to the language picker: "2", "en", "English", "inglés" -> "en" (null if none)
+function parseLanguage(input) {
+  const s = stripAccents(input).trim();
+  if (/^[1-3]$/.test(s)) return LANGUAGES[parseInt(s, 10) - 1];
+  return LANGUAGES.find((lang) => s === lang || LANGUAGE_NAMES[lang].includes(s)) || null;
+}
+
+function languageReply(prefix = "") {
+  const question = prefix + MESSAGES.es.languageQuestion;
+  return {
+    text:
+      question +
+      "\n\n" +
+      LANGUAGES.map((lang, i) => `${i + 1}️⃣ ${LANGUAGE_LABELS[lang]}`).join("\n") +
+      "\n\n" +
+      LANGUAGES.map((lang) => t(lang, "languageAnswer")).join(" / "),
+    body: question,
+    buttons: LANGUAGES.map((lang) => ({ id: lang, title: LANGUAGE_LABELS[lang] })),
+  };
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  t,
+  joinOptions,
+  isKeyword,
+  detectLanguage,
+  parseLanguage,
+  languageReply,
+};
@@ -0,0 +1,111 @@
+// -------------------------
+// Inbound events (POST /webhook payloads)
+// Meta batches: a payload can carry several entries, each with several changes, each with
+// several messages and statuses. Every one of them is handled, in payload order, after the
+// webhook already answered 200 (a slow store must not make Meta time out and redeliver).
+// Messages from the same wa_id run one at a time (a double tap must not race on the session);
+// different guests run side by side. Statuses go through their own lane.
+// Each event is handled by the tenant of the number it was sent to (metadata.phone_number_id).
+// -------------------------
+const { parseInboundMessage } = require("./whatsapp");
+
+const STATUS_LANE = "statuses";
+
+/**
+ * Flattens a webhook payload into the events to handle, in order:
+ *   { type: "message", key: wa_id, phoneNumberId, inbound }
+ *   { type: "status", key: "statuses", phoneNumberId, status }
+ */
+function payloadEvents(body) {
+  const events = [];
+
+  for (const entry of body?.entry || []) {
+    for (const change of entry?.changes || []) {
+      const value = change?.value || {};
+      const phoneNumberId = value.metadata?.phone_number_id || null;
+
+      for (const status of value.statuses || []) {
+        events.push({ type: "status", key: STATUS_LANE, phoneNumberId, status });
+      }
+
+      for (const msg of value.messages || []) {
+        const inbound = parseInboundMessage(msg);
+        if (!inbound?.text || !inbound?.from) continue;
+
+        // WhatsApp profile name: only a suggestion when the guest is asked for their name
+        const contact = (value.contacts || []).find((c) => c.wa_id === inbound.from) || value.contacts?.[0];
+        inbound.profileName = contact?.profile?.name || null;
+
+        events.push({ type: "message", key: inbound.from, phoneNumberId, inbound });
+      }
+    }
+  }
+
+  return events;
+}
+
+function createInboundProcessor({ store, tenants }) {
+  // key -> promise of the last task queued for it
+  const lanes = new Map();
+
+  async function handleStatus({ outbox }, status) {
+    const row = await outbox.recordStatus(status);
+    if (!row) console.log("WA STATUS (unknown message):", status?.id, status?.status);
+  }
+
+  async function handleInbound({ bot }, inbound) {
+    // true = first time we see this message id; false = Meta redelivery, already handled
+    if (inbound.id && !(await store.claimInboundMessage(inbound.id, inbound.from))) {
+      console.log("WA WEBHOOK: duplicate message ignored:", inbound.id);
+      return;
+    }
+    try {
+      await bot.handleMessage(inbound);
+    } catch (e) {
+      // The claim only stands for a handled message: Meta's redelivery gets another go at it
+      if (inbound.id) await store.releaseInboundMessage(inbound.id);
+      throw e;
+    }
+  }
+
+  function enqueue(key, task) {
+    const previous = lanes.get(key) || Promise.resolve();
+    const next = previous
+      .then(task)
+      .catch((e) => console.log("WA WEBHOOK ERROR:", key, e?.message))
+      .finally(() => {
+        if (lanes.get(key) === next) lanes.delete(key);
+      });
+    lanes.set(key, next);
+    return next;
+  }
+
+  /**
+   * Queues every event of the payload and returns how many there were; the work itself
+   * continues in the background (see idle()).
+   */
+  function dispatch(body) {
+    const events = payloadEvents(body);
+    if (!events.length) console.log("WA EVENT (nothing to handle):", JSON.stringify(body));
+
+    for (const event of events) {
+      const tenant = tenants.resolve(event.phoneNumberId);
+      if (!tenant) {
+        console.log("WA WEBHOOK: event for an unknown phone_number_id ignored:", event.phoneNumberId);
+        continue;
+      }
+      if (event.type === "status") enqueue(event.key, () => handleStatus(tenant, event.status));
+      else enqueue(event.key, () => handleInbound(tenant, event.inbound));
+    }
+    return events.length;
+  }
+
+  // Resolves once every queued event has been handled (tests, graceful shutdown)
+  async function idle() {
+    while (lanes.size) await Promise.all([...lanes.values()]);
+  }
+
+  return { dispatch, idle };
+}
+
+module.exports = { createInboundProcessor, payloadEvents };
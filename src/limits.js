@@ -0,0 +1,114 @@
+// -------------------------
+// Anti-abuse limits
+// Booking policies (checked by booking.bookReservation for every channel: REST, WhatsApp, waitlist):
+//   - blocked phones (blocked_phones, managed from the staff API) cannot book
+//   - at most N active (CONFIRMED / PENDING_APPROVAL / PENDING_PAYMENT, from today on) reservations per phone,
+//     and at most M per phone and restaurant
+//   - parties above approvalPartySize are booked as PENDING_APPROVAL: they take no seats until
+//     the staff approves them (POST /staff/reservations/:id/status)
+// Rate limits (fixed window, in memory: each process counts on its own):
+//   - REST API requests per IP, webhook messages per wa_id
+// A limit of 0 turns that policy off; the per-phone limits are off unless the operator sets them.
+// Phones are compared (and stored by booking.bookReservation) as digits only, see normalizePhone.
+// -------------------------
+
+// Reservations that count against the per-phone limits
+const ACTIVE_STATUSES = ["CONFIRMED", "PENDING_APPROVAL", "PENDING_PAYMENT"];
+
+// Reasons bookReservation fails with when a policy refuses the booking
+const POLICY_REASONS = ["BLOCKED", "TOO_MANY_ACTIVE", "TOO_MANY_ACTIVE_RESTAURANT"];
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Only the digits: "+54 9 11 1234-5678" and the wa_id "5491112345678" are the same phone
+function normalizePhone(phone) {
+  return String(phone || "").replace(/\D/g, "");
+}
+
+/**
+ * limit hits per key and window. hit(key) -> { ok, count, limit, retryAfterMs };
+ * count === limit + 1 is the first refused hit of the window (to warn only once).
+ */
+function createRateLimiter({ limit, windowMs = RATE_WINDOW_MS, now = () => Date.now() }) {
+  const windows = new Map();
+
+  function prune(at) {
+    for (const [key, w] of windows) if (w.resetAt <= at) windows.delete(key);
+  }
+
+  function hit(key) {
+    if (!limit) return { ok: true, count: 0, limit, retryAfterMs: 0 };
+
+    const at = now();
+    let w = windows.get(key);
+    if (!w || w.resetAt <= at) {
+      if (windows.size >= 10000) prune(at);
+      w = { count: 0, resetAt: at + windowMs };
+      windows.set(key, w);
+    }
+    w.count++;
+    return { ok: w.count <= limit, count: w.count, limit, retryAfterMs: w.resetAt - at };
+  }
+
+  return { hit };
+}
+
+/**
+ * Express middleware: 429 + Retry-After once an IP goes over the limit
+ * (req.ip: behind a proxy set TRUST_PROXY so it is the client's and not the proxy's).
+ */
+function rateLimitByIp(limiter) {
+  return function limitRequests(req, res, next) {
+    const rate = limiter.hit(req.ip);
+    if (rate.ok) return next();
+
+    res.set("Retry-After", String(Math.ceil(rate.retryAfterMs / 1000)));
+    return res.status(429).json({ ok: false, reason: "RATE_LIMITED", error: "Too many requests, try again later" });
+  };
+}
+
+function createBookingLimits({ store, config }) {
+  const { maxActivePerPhone, maxActivePerRestaurant, approvalPartySize } = config.limits;
+
+  async function isBlocked(phone) {
+    const normalized = normalizePhone(phone);
+    return !!normalized && !!(await store.getBlockedPhone(normalized));
+  }
+
+  /**
+   * null when the phone can book at this restaurant, or { reason, limit? } (POLICY_REASONS).
+   * restaurant_id null: only the checks that do not depend on the restaurant.
+   * today: the restaurant's local date (reservations from it on are active).
+   */
+  async function check({ customer_phone, restaurant_id = null, today }) {
+    if (await isBlocked(customer_phone)) return { reason: "BLOCKED" };
+    if (!maxActivePerPhone && !maxActivePerRestaurant) return null;
+
+    const phone = normalizePhone(customer_phone);
+    const active = await store.listReservations({ customer_phone: phone, status: ACTIVE_STATUSES, from_date: today });
+    if (maxActivePerPhone && active.length >= maxActivePerPhone) {
+      return { reason: "TOO_MANY_ACTIVE", limit: maxActivePerPhone };
+    }
+
+    const here = restaurant_id ? active.filter((r) => r.restaurant_id === restaurant_id) : [];
+    if (maxActivePerRestaurant && here.length >= maxActivePerRestaurant) {
+      return { reason: "TOO_MANY_ACTIVE_RESTAURANT", limit: maxActivePerRestaurant };
+    }
+    return null;
+  }
+
+  function needsApproval(party) {
+    return !!approvalPartySize && party > approvalPartySize;
+  }
+
+  return { check, needsApproval, isBlocked, approvalPartySize };
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  POLICY_REASONS,
+  normalizePhone,
+  createRateLimiter,
+  rateLimitByIp,
+  createBookingLimits,
+};
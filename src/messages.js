@@ -0,0 +1,380 @@
+// -------------------------
+// Bot messages
+// Replies are plain strings or { text, body, buttons | list } (see src/whatsapp.js).
+// Every builder takes the guest's language first; the texts come from src/i18n.js.
+// -------------------------
+const { formatDate } = require("./dates");
+const { t } = require("./i18n");
+
+// Menu ids are what the guest types in IDLE (text order 1-5, list with "Modificar" second)
+const MENU_OPTIONS = [
+  { id: "1", key: "menuBook" },
+  { id: "4", key: "menuModify" },
+  { id: "2", key: "menuCancel" },
+  { id: "3", key: "menuLocals" },
+  { id: "5", key: "menuHuman" },
+];
+
+const NUMBER_EMOJIS = ["1️⃣", "2️⃣", "3️⃣", "4️⃣", "5️⃣"];
+
+const AMOUNT_LOCALES = { es: "es-AR", en: "en-US", pt: "pt-BR" };
+
+// welcome: the tenant's own welcome line (src/tenants.js), instead of the default one
+function menuText(lang, welcome = null) {
+  const lines = [...MENU_OPTIONS]
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map((o) => `${NUMBER_EMOJIS[o.id - 1]} ${t(lang, o.key)}`);
+  return (welcome || t(lang, "menuWelcome")) + "\n\n" + t(lang, "menuWrite") + "\n" + lines.join("\n");
+}
+
+// More than 3 options: sent as a list
+function menuReply(lang, prefix = "", welcome = null) {
+  return {
+    text: prefix + menuText(lang, welcome),
+    body: prefix + (welcome || t(lang, "menuWelcome")) + "\n\n" + t(lang, "menuChoose"),
+    list: { button: t(lang, "menuButton"), rows: MENU_OPTIONS.map((o) => ({ id: o.id, title: t(lang, o.key) })) },
+  };
+}
+
+function normalizeText(s) {
+  return (s || "").toString().trim().toLowerCase();
+}
+
+function isUUID(s) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
+    s
+  );
+}
+
+function serviceLabel(service, lang) {
+  return t(lang, service === "LUNCH" ? "serviceLUNCH" : "serviceDINNER");
+}
+
+// Numbered "1) Lunch / 2) Dinner" lines of a question
+function numbered(lang, options) {
+  return options.map((o, i) => `${NUMBER_EMOJIS[i]} ${t(lang, o)}`).join("\n");
+}
+
+function formatAlternatives(lang, alts) {
+  if (!alts || alts.length === 0) return t(lang, "alternativesNone");
+  const top = alts.slice(0, 3);
+  const lines = top.map(
+    (a, i) => `${i + 1}) ${a.service_date} — ${serviceLabel(a.service, lang)}` + (a.time ? ` ${a.time}` : "")
+  );
+  return lines.join("\n");
+}
+
+function alternativesReply(lang, alts, prefix) {
+  const top = (alts || []).slice(0, 3);
+  return {
+    text: prefix + formatAlternatives(lang, alts) + "\n\n" + t(lang, "alternativesAnswer"),
+    body: prefix + t(lang, "alternativesBody"),
+    list: {
+      button: t(lang, "alternativesButton"),
+      rows: top
+        .map((a, i) => ({
+          id: String(i + 1),
+          title: a.time ? `${a.service_date} ${a.time}` : a.service_date,
+          description: `${formatDate(a.service_date, lang)} — ${serviceLabel(a.service, lang)}`,
+        }))
+        .concat([{ id: "espera", title: t(lang, "waitlistRow"), description: t(lang, "waitlistRowDescription") }]),
+    },
+  };
+}
+
+function serviceButtons(lang) {
+  return [
+    { id: "lunch", title: serviceLabel("LUNCH", lang) },
+    { id: "dinner", title: serviceLabel("DINNER", lang) },
+  ];
+}
+
+// question: "askService" (¿En qué servicio?) or "pickService" (changing the service at the confirmation)
+function serviceReply(lang, prefix = "", question = "askService") {
+  return {
+    text:
+      prefix +
+      t(lang, question) +
+      "\n\n" +
+      `1️⃣ ${serviceLabel("LUNCH", lang)}\n` +
+      `2️⃣ ${serviceLabel("DINNER", lang)}\n\n` +
+      t(lang, "serviceAnswer"),
+    body: prefix + t(lang, question),
+    buttons: serviceButtons(lang),
+  };
+}
+
+function invalidServiceReply(lang) {
+  const lunch = serviceLabel("LUNCH", lang);
+  const dinner = serviceLabel("DINNER", lang);
+  return {
+    text: t(lang, "invalidService", lunch, dinner),
+    body: t(lang, "invalidServiceBody", lunch, dinner),
+    buttons: serviceButtons(lang),
+  };
+}
+
+// "¿Para qué fecha?" + examples; key: askDate | askDateShort | askNewDate
+function datePrompt(lang, key = "askDate", prefix = "") {
+  return prefix + t(lang, key) + t(lang, "dateExamples");
+}
+
+function dateErrorText(lang, parsed, bookingWindowDays) {
+  if (parsed.reason === "PAST") return t(lang, "datePast", formatDate(parsed.date, lang));
+  if (parsed.reason === "TOO_FAR") return t(lang, "dateTooFar", formatDate(parsed.date, lang), bookingWindowDays);
+  return t(lang, "dateUnrecognized") + t(lang, "dateExamples");
+}
+
+// Session, reservation or waitlist row: party_size, service_date, service, service_time, notes
+// tagNames: the labels of row.tags (tagLabels in src/tags.js); the tags line is left out without them
+function bookingSummary(lang, row, restaurantName, tagNames = null) {
+  const time = (row.service_time || "").slice(0, 5);
+  return (
+    `${t(lang, "summaryRestaurant")}: *${restaurantName}*\n` +
+    `${t(lang, "summaryParty")}: *${row.party_size}*\n` +
+    `${t(lang, "summaryDate")}: *${formatDate(row.service_date, lang)}*\n` +
+    `${t(lang, "summaryService")}: *${serviceLabel(row.service, lang)}*\n` +
+    (time ? `${t(lang, "summaryTime")}: *${time}*\n` : "") +
+    (tagNames?.length ? `${t(lang, "summaryTags")}: *${tagNames.join(", ")}*\n` : "") +
+    (row.notes ? `${t(lang, "summaryNotes")}: _${row.notes}_\n` : "")
+  );
+}
+
+// Buttons: 3 at most, so "Cambiar servicio" (3) and "Pedido especial" (5) stay as typed options
+function confirmationReply(lang, session, restaurantName, prefix = "", tagNames = null) {
+  const summary =
+    prefix + t(lang, "confirmHeading") + "\n\n" + bookingSummary(lang, session, restaurantName, tagNames) + "\n";
+  const options = ["confirm", "changeDate", "changeService", "cancel", "addRequests"];
+
+  return {
+    text: summary + t(lang, "replyWith") + "\n" + numbered(lang, options),
+    body: summary + t(lang, "changeServiceHint"),
+    buttons: [
+      { id: "1", title: t(lang, "confirm") },
+      { id: "2", title: t(lang, "changeDate") },
+      { id: "4", title: t(lang, "cancel") },
+    ],
+  };
+}
+
+// "🎉 ¡Reserva confirmada!" + the summary, before the menu
+function bookedText(lang, reservation, restaurantName, tagNames = null) {
+  const summary = bookingSummary(lang, reservation, restaurantName, tagNames);
+  return t(lang, "booked") + summary + "\n" + t(lang, "bookedCancelHint");
+}
+
+// "$ 40.000" in the format of the guest's language
+function formatAmount(amount, currency, lang = "es") {
+  try {
+    return new Intl.NumberFormat(AMOUNT_LOCALES[lang] || AMOUNT_LOCALES.es, {
+      style: "currency",
+      currency,
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2,
+    }).format(amount);
+  } catch {
+    return `${amount} ${currency}`;
+  }
+}
+
+// With a deposit: the booking is PENDING_PAYMENT until the link is paid (src/payments.js)
+function paymentText(lang, reservation, restaurantName, payment, tagNames = null, now = new Date()) {
+  const minutes = Math.max(1, Math.round((new Date(payment.expires_at).getTime() - now.getTime()) / 60000));
+  return (
+    t(lang, "paymentRequired", formatAmount(payment.amount, payment.currency, lang)) +
+    bookingSummary(lang, reservation, restaurantName, tagNames) +
+    "\n" +
+    t(lang, "paymentLink", payment.url, minutes)
+  );
+}
+
+// What goes back of the deposit on cancelling (refund of booking.cancelReservationById); "" if nothing was paid
+function refundText(lang, refund) {
+  if (!refund) return "";
+  const amount = formatAmount(refund.amount, refund.currency, lang);
+  if (refund.amount >= refund.deposit) return t(lang, "refundFull", amount);
+  if (refund.amount > 0) return t(lang, "refundPartial", amount, formatAmount(refund.deposit, refund.currency, lang));
+  return t(lang, "refundNone", refund.refund_hours);
+}
+
+// Large party: the booking is PENDING_APPROVAL until the staff approves it (src/limits.js)
+function pendingApprovalText(lang, reservation, restaurantName, maxParty, tagNames = null) {
+  return (
+    t(lang, "pendingApproval") +
+    bookingSummary(lang, reservation, restaurantName, tagNames) +
+    "\n" +
+    t(lang, "pendingApprovalHint", maxParty)
+  );
+}
+
+// Why a booking policy refused it: { reason, limit } from booking.bookReservation
+function limitText(lang, refusal, restaurantName) {
+  if (refusal.reason === "TOO_MANY_ACTIVE") return t(lang, "limitActive", refusal.limit);
+  if (refusal.reason === "TOO_MANY_ACTIVE_RESTAURANT") {
+    return t(lang, "limitActiveRestaurant", refusal.limit, restaurantName);
+  }
+  return t(lang, "limitBlocked");
+}
+
+// "¿Algún pedido especial?": tags = [{ code, label }] of the restaurant (list rows by code) + "0" for none
+function requestsReply(lang, tags, prefix = "") {
+  const question = prefix + t(lang, "askRequests");
+  if (!tags.length) return question + "\n\n" + t(lang, "requestsAnswerNotes");
+
+  const lines = tags.map((tag, i) => `${i + 1}) ${tag.label}`);
+  return {
+    text: question + "\n\n" + lines.join("\n") + "\n\n" + t(lang, "requestsAnswer"),
+    body: question + "\n\n" + t(lang, "requestsBody"),
+    list: {
+      button: t(lang, "requestsButton"),
+      rows: tags
+        .map((tag) => ({ id: tag.code, title: tag.label }))
+        .concat([{ id: "0", title: t(lang, "requestsNone") }]),
+    },
+  };
+}
+
+function slotsReply(lang, open, prefix = "") {
+  const lines = open.map((slot, i) => `${i + 1}) ${slot.time}`);
+  return {
+    text: prefix + t(lang, "askTime") + "\n\n" + lines.join("\n") + "\n\n" + t(lang, "timeAnswer", open[0].time),
+    body: prefix + t(lang, "askTime"),
+    list: { button: t(lang, "timesButton"), rows: open.map((slot) => ({ id: slot.time, title: slot.time })) },
+  };
+}
+
+// First booking: ask for the name, suggesting the WhatsApp profile's (when it came in `contacts`)
+function nameReply(lang, profileName, prefix = "") {
+  const question = prefix + t(lang, "askName");
+  if (!profileName) return question + "\n\n" + t(lang, "writeName");
+
+  return {
+    text: question + "\n\n" + `1️⃣ ${profileName}\n\n` + t(lang, "nameAnswer"),
+    body: question + "\n\n" + t(lang, "nameBody"),
+    buttons: [{ id: "1", title: profileName }],
+  };
+}
+
+// "¿Lo mismo que la última vez?": same restaurant, party and service; only the date is missing
+function repeatReply(lang, customer, restaurantName, prefix = "") {
+  const last =
+    `*${restaurantName}* — ${customer.usual_party_size || customer.last_party_size} ${t(lang, "pax")} — ` +
+    serviceLabel(customer.last_service, lang);
+  const question = prefix + t(lang, "welcomeBack", customer.name) + t(lang, "repeatQuestion") + "\n" + last;
+
+  return {
+    text: question + "\n\n" + numbered(lang, ["repeatSame", "repeatOther"]),
+    body: question,
+    buttons: [
+      { id: "1", title: t(lang, "repeatSame") },
+      { id: "2", title: t(lang, "repeatOther") },
+    ],
+  };
+}
+
+function modifyFieldReply(lang, prefix = "") {
+  const fields = ["fieldParty", "fieldDate", "fieldService"];
+  return {
+    text: prefix + t(lang, "modifyField") + "\n\n" + numbered(lang, fields) + "\n\n" + t(lang, "modifyFieldAnswer"),
+    body: prefix + t(lang, "modifyField"),
+    buttons: fields.map((key, i) => ({ id: String(i + 1), title: t(lang, key) })),
+  };
+}
+
+// "6 pax — sábado 25 de enero de 2026 — Dinner 21:00"
+function bookingLine(lang, row) {
+  const time = (row.service_time || "").slice(0, 5);
+  return (
+    `${row.party_size} pax — ${formatDate(row.service_date, lang)} — ${serviceLabel(row.service, lang)}` +
+    (time ? ` ${time}` : "")
+  );
+}
+
+// before: the reservation as it is; after: the session with the requested changes
+function modifyConfirmationReply(lang, before, after, restaurantName, prefix = "") {
+  const summary =
+    prefix +
+    t(lang, "modifyHeading") +
+    "\n\n" +
+    `${t(lang, "summaryRestaurant")}: *${restaurantName}*\n` +
+    `${t(lang, "modifyBefore")}: ${bookingLine(lang, before)}\n` +
+    `${t(lang, "modifyAfter")}: *${bookingLine(lang, after)}*\n\n`;
+  const options = ["modifyConfirm", "modifyOther", "modifyKeep"];
+
+  return {
+    text: summary + t(lang, "replyWith") + "\n" + numbered(lang, options),
+    body: summary + t(lang, "modifyBody"),
+    buttons: options.map((key, i) => ({ id: String(i + 1), title: t(lang, key) })),
+  };
+}
+
+// Stale session: what was left halfway (only the details already picked) + "¿Seguimos donde quedamos?"
+function resumeReply(lang, session, restaurantName, prefix = "") {
+  const time = (session.service_time || "").slice(0, 5);
+  const filled =
+    (restaurantName ? `${t(lang, "summaryRestaurant")}: *${restaurantName}*\n` : "") +
+    (session.party_size ? `${t(lang, "summaryParty")}: *${session.party_size}*\n` : "") +
+    (session.service_date ? `${t(lang, "summaryDate")}: *${formatDate(session.service_date, lang)}*\n` : "") +
+    (session.service ? `${t(lang, "summaryService")}: *${serviceLabel(session.service, lang)}*\n` : "") +
+    (time ? `${t(lang, "summaryTime")}: *${time}*\n` : "");
+  const heading = t(lang, session.modify_id ? "resumeModifyHeading" : "resumeHeading");
+  const question = prefix + heading + "\n\n" + (filled ? filled + "\n" : "") + t(lang, "resumeQuestion");
+  const options = ["resumeContinue", "resumeRestart"];
+
+  return {
+    text: question + "\n\n" + numbered(lang, options) + "\n\n" + t(lang, "resumeAnswer"),
+    body: question,
+    buttons: options.map((key, i) => ({ id: String(i + 1), title: t(lang, key) })),
+  };
+}
+
+function waitlistJoinedText(lang, entry, restaurantName) {
+  return t(lang, "waitlistJoined") + bookingSummary(lang, entry, restaurantName) + t(lang, "waitlistJoinedHint");
+}
+
+// ids: global payloads (see src/waitlist.js); typed 1 / 2 work while the session is in WAITLIST_OFFER
+function waitlistOfferReply(lang, entry, restaurantName, holdMinutes, { claimId, declineId }) {
+  const summary =
+    t(lang, "waitlistOffer") + bookingSummary(lang, entry, restaurantName) + t(lang, "waitlistHold", holdMinutes);
+
+  return {
+    text: summary + t(lang, "replyWith") + "\n" + numbered(lang, ["waitlistClaim", "waitlistDecline"]),
+    body: summary + t(lang, "waitlistOfferBody"),
+    buttons: [
+      { id: claimId, title: t(lang, "waitlistClaim") },
+      { id: declineId, title: t(lang, "waitlistDecline") },
+    ],
+  };
+}
+
+module.exports = {
+  normalizeText,
+  isUUID,
+  serviceLabel,
+  serviceButtons,
+  menuReply,
+  serviceReply,
+  invalidServiceReply,
+  datePrompt,
+  formatAlternatives,
+  alternativesReply,
+  dateErrorText,
+  nameReply,
+  repeatReply,
+  bookingSummary,
+  bookingLine,
+  bookedText,
+  pendingApprovalText,
+  formatAmount,
+  paymentText,
+  refundText,
+  limitText,
+  confirmationReply,
+  requestsReply,
+  modifyFieldReply,
+  modifyConfirmationReply,
+  resumeReply,
+  slotsReply,
+  waitlistJoinedText,
+  waitlistOfferReply,
+};
@@ -0,0 +1,226 @@
+// -------------------------
+// Outbound queue (outbound_messages)
+// Every message to a guest is saved before the first send. A Meta 429 / 5xx / rate-limit error
+// or a network failure leaves it QUEUED with next_attempt_at (exponential backoff, or Retry-After
+// when Meta sends it) and the periodic tick tries again; after maxAttempts, or on an error that
+// retrying will not fix, it goes to DEAD (dead letter). An interactive message Meta rejects is
+// sent again right away as its plain-text fallback.
+// Once Meta accepts it (SENT, wa_message_id) the `statuses` webhooks move it to DELIVERED / READ
+// or FAILED, so staff can see whether the guest actually got it.
+// A row still SENDING after sendingTimeoutMs was left by a process that stopped mid-send: the tick
+// puts it back in the queue (or in DEAD when it has no attempts left). Meta may have taken it, but a
+// message sent twice beats one that never goes out.
+// Messages to a guest go out in the order they were saved: while an earlier one is waiting for its
+// retry (or still SENDING), a new one stays QUEUED behind it and the tick sends them in turn.
+// -------------------------
+
+// Meta rate limits that come back as 400 instead of 429 (throughput, spam, pair rate limit)
+const RATE_LIMIT_CODES = [4, 80007, 130429, 131048, 131056];
+
+// Not sent yet: a later message to the same guest waits behind these
+const PENDING_STATUSES = ["QUEUED", "SENDING"];
+
+// Status webhooks can arrive out of order: a late "delivered" never undoes "read"
+const STATUS_RANK = { SENT: 1, DELIVERED: 2, READ: 3 };
+
+function errorCode(result) {
+  return result?.data?.error?.code ?? null;
+}
+
+function isRateLimited(result) {
+  return result.status === 429 || RATE_LIMIT_CODES.includes(errorCode(result));
+}
+
+// No HTTP status = network error or missing env; 401 = token being rotated
+function isRetryable(result) {
+  return !result.status || result.status >= 500 || result.status === 401 || isRateLimited(result);
+}
+
+// Meta did not accept the interactive message (old client, limits, etc.): the text version will do
+function isRejected(result) {
+  return result.status >= 400 && result.status < 500 && !isRetryable(result);
+}
+
+function errorText(result) {
+  return result.error || result.data?.error?.message || (result.status ? `HTTP ${result.status}` : "send failed");
+}
+
+function createOutbox({ store, transport, config }) {
+  const { maxAttempts, retryBaseMs, retryMaxMs, intervalMs, sendingTimeoutMs } = config.outbound;
+
+  let timer = null;
+  let running = false;
+
+  function retryDelayMs(attempts, result) {
+    const backoff = Math.min(retryMaxMs, retryBaseMs * 2 ** (attempts - 1));
+    const retryAfter = (parseInt(result.retryAfter, 10) || 0) * 1000;
+    return Math.max(backoff, retryAfter);
+  }
+
+  // An earlier message to the same guest that has not gone out yet (null: this one can go)
+  async function waitingBehind(row) {
+    const [earlier] = await store.listOutboundMessages({
+      wa_id: row.wa_id,
+      status: PENDING_STATUSES,
+      created_before: row.created_at,
+      limit: 1,
+    });
+    return earlier || null;
+  }
+
+  /**
+   * One send attempt for a QUEUED row. The row is claimed (QUEUED -> SENDING, attempts + 1) with a
+   * conditional update, so the tick and a direct send never deliver the same message twice.
+   * Returns the transport result plus outbound_id, and queued: true when it will be retried.
+   */
+  async function attempt(row, now = new Date()) {
+    const claimed = await store.updateOutboundMessage(
+      row.id,
+      { status: "SENDING", attempts: row.attempts + 1 },
+      { status: "QUEUED", attempts: row.attempts }
+    );
+    if (!claimed) return { ok: false, queued: true, outbound_id: row.id };
+
+    const result = await transport
+      .send({ to: claimed.wa_id, ...claimed.payload })
+      .catch((e) => ({ ok: false, error: e?.message }));
+
+    if (result.ok) {
+      await store.updateOutboundMessage(claimed.id, {
+        status: "SENT",
+        wa_message_id: result.data?.messages?.[0]?.id || null,
+        sent_at: now.toISOString(),
+        last_error: null,
+      });
+      return { ...result, outbound_id: claimed.id };
+    }
+
+    if (isRejected(result) && claimed.fallback) {
+      const retry = await store.updateOutboundMessage(claimed.id, {
+        status: "QUEUED",
+        payload: claimed.fallback,
+        fallback: null,
+        last_error: errorText(result),
+      });
+      return attempt(retry, now);
+    }
+
+    if (isRetryable(result) && claimed.attempts < maxAttempts) {
+      const next = new Date(now.getTime() + retryDelayMs(claimed.attempts, result));
+      console.log("WhatsApp send retry:", claimed.id, errorText(result), "at", next.toISOString());
+      await store.updateOutboundMessage(claimed.id, {
+        status: "QUEUED",
+        next_attempt_at: next.toISOString(),
+        last_error: errorText(result),
+      });
+      return { ...result, queued: true, outbound_id: claimed.id };
+    }
+
+    console.log("WhatsApp send dead-lettered:", claimed.id, errorText(result));
+    await store.updateOutboundMessage(claimed.id, {
+      status: "DEAD",
+      dead_at: now.toISOString(),
+      last_error: errorText(result),
+    });
+    return { ...result, outbound_id: claimed.id };
+  }
+
+  /**
+   * Saves the message and sends it right away, unless an earlier one to the same guest is still
+   * waiting: then it is left QUEUED behind it (queued: true) for the tick.
+   * options: { fallback (payload to use if Meta rejects this one), reservationId }
+   */
+  async function send(to, payload, { fallback = null, reservationId = null } = {}) {
+    const row = await store.insertOutboundMessage({
+      wa_id: to,
+      payload,
+      fallback,
+      reservation_id: reservationId,
+      status: "QUEUED",
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+    });
+    if (await waitingBehind(row)) return { ok: false, queued: true, outbound_id: row.id };
+    return attempt(row);
+  }
+
+  /**
+   * A `statuses` entry from the webhook: { id: wamid, status: sent|delivered|read|failed, timestamp, errors }.
+   * Returns the updated row, or null for messages we did not send through the queue.
+   */
+  async function recordStatus(event) {
+    const status = (event?.status || "").toUpperCase();
+    if (!event?.id || !(status in STATUS_RANK || status === "FAILED")) return null;
+
+    const [row] = await store.listOutboundMessages({ wa_message_id: event.id, limit: 1 });
+    if (!row) return null;
+
+    const at = event.timestamp ? new Date(Number(event.timestamp) * 1000) : new Date();
+    const patch = { [`${status.toLowerCase()}_at`]: at.toISOString() };
+
+    if (status === "FAILED") {
+      patch.status = "FAILED";
+      patch.last_error = event.errors?.[0]?.title || event.errors?.[0]?.message || "failed";
+    } else if ((STATUS_RANK[row.status] || 0) < STATUS_RANK[status]) {
+      patch.status = status;
+    }
+
+    return store.updateOutboundMessage(row.id, patch);
+  }
+
+  // SENDING rows nobody updated in sendingTimeoutMs: back to QUEUED, due now
+  async function requeueStale(now) {
+    const updated_before = new Date(now.getTime() - sendingTimeoutMs).toISOString();
+    const stale = await store.listOutboundMessages({ status: "SENDING", updated_before });
+    for (const row of stale) {
+      console.log("WhatsApp send interrupted:", row.id);
+      const patch =
+        row.attempts < maxAttempts
+          ? { status: "QUEUED", next_attempt_at: now.toISOString(), last_error: "send interrupted" }
+          : { status: "DEAD", dead_at: now.toISOString(), last_error: "send interrupted" };
+      await store.updateOutboundMessage(row.id, patch, { status: "SENDING", attempts: row.attempts });
+    }
+  }
+
+  /**
+   * Periodic sweep: requeues the sends a stopped process left SENDING, then sends every QUEUED
+   * message whose next_attempt_at has come, oldest first; one behind an earlier message to the same
+   * guest that is still waiting stays for a later tick.
+   */
+  async function tick(now = new Date()) {
+    if (running) return { skipped: true };
+    running = true;
+
+    let sent = 0;
+    try {
+      await requeueStale(now);
+      const due = await store.listOutboundMessages({ status: "QUEUED", due_before: now.toISOString() });
+      for (const row of due) {
+        if (await waitingBehind(row)) continue;
+        const result = await attempt(row, now);
+        if (result.ok) sent++;
+      }
+    } catch (e) {
+      console.log("Outbound sweep error:", e?.message);
+    } finally {
+      running = false;
+    }
+
+    return { sent };
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => tick(), intervalMs);
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { send, recordStatus, tick, start, stop };
+}
+
+module.exports = { createOutbox, isRetryable, isRejected };
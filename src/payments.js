@@ -0,0 +1,326 @@
+// -------------------------
+// Deposits and payment links
+// Parties above depositPartySize, and any party on one of the depositDates (New Year's Eve, ...),
+// pay depositPerPerson for each guest before the booking is confirmed. booking.bookReservation
+// books them as PENDING_PAYMENT with payment_expires_at: until then the reservation holds its seats
+// like a waitlist offer, and request() creates the provider's payment link for the guest.
+// The provider's callback (POST /payments/callback, src/routes/payments.js) confirms it; the sweep
+// releases the ones not paid in time and their seats go to the waitlist. A change that needed a
+// deposit (booking.modifyReservation) goes back to its previous_booking instead, when that still
+// fits; only a new booking is cancelled. A payment that arrives after the release is refunded in full.
+// The guest cancelling a paid reservation (REST /cancel, the bot) gets it all back up to
+// refundHours before the service, and lateRefundPercent of it after that.
+// Providers are { name, createPayment, cancel, refund, parseCallback }; "stub" is the local one:
+// its link opens a page of this server that pays with one click, so it only runs in development
+// and tests. Deposits on without a provider (PAYMENT_PROVIDER) refuse to start.
+// -------------------------
+const crypto = require("crypto");
+const { isValidSignature } = require("./signature");
+const { serviceStartsAt } = require("./reminders");
+
+// Header with the HMAC-SHA256 of the raw callback body (keyed with PAYMENT_WEBHOOK_SECRET)
+const STUB_SIGNATURE_HEADER = "X-Payment-Signature";
+
+// Callback statuses: PAID confirms the reservation, EXPIRED (the provider closed the link) releases it
+const CALLBACK_STATUSES = ["PAID", "EXPIRED"];
+
+/**
+ * Local provider: no money moves. Links point to GET /payments/stub/:ref on this server;
+ * callbacks are { payment_id, status } signed like Meta's webhooks.
+ *   createPayment({ reservation, amount, currency, expiresAt }) -> { ref, url }
+ *   cancel(ref)                                                 -> the link stops taking payments
+ *   refund(ref, amount)                                         -> { ref } of the refund
+ *   parseCallback(req)                                          -> { ref, status } | null (bad signature)
+ */
+function createStubPaymentProvider({ secret, publicBaseUrl }) {
+  async function createPayment() {
+    const ref = `stub_${crypto.randomUUID()}`;
+    return { ref, url: `${publicBaseUrl || ""}/payments/stub/${ref}` };
+  }
+
+  async function cancel() {}
+
+  async function refund() {
+    return { ref: `stub_refund_${crypto.randomUUID()}` };
+  }
+
+  function parseCallback(req) {
+    if (!isValidSignature(req.rawBody, req.get(STUB_SIGNATURE_HEADER), secret)) return null;
+    const { payment_id, status } = req.body || {};
+    return payment_id ? { ref: String(payment_id), status: String(status || "").toUpperCase() } : null;
+  }
+
+  return { name: "stub", createPayment, cancel, refund, parseCallback };
+}
+
+// null: no provider (deposits off)
+function createPaymentProvider(config) {
+  const { provider, secret, allowStub, depositPerPerson } = config.payments;
+  if (!provider) {
+    if (depositPerPerson) throw new Error("Deposits are on (DEPOSIT_PER_PERSON) but PAYMENT_PROVIDER is not set");
+    return null;
+  }
+  if (provider === "stub") {
+    if (!allowStub) throw new Error("PAYMENT_PROVIDER=stub is only for development and tests (NODE_ENV)");
+    return createStubPaymentProvider({ secret, publicBaseUrl: config.calendar.publicBaseUrl });
+  }
+  throw new Error(`Unknown PAYMENT_PROVIDER: ${provider}`);
+}
+
+/**
+ * waitlist: { offerFreedSeats } (released seats); notices: { paymentDecided(reservation, outcome, payment) },
+ * outcome CONFIRMED | RELEASED | REVERTED (a lapsed change, back to what it was) | LATE (paid after the release,
+ * refunded).
+ */
+function createPayments({ store, catalog, provider, events, waitlist, notices, config }) {
+  const { currency, depositPerPerson, depositPartySize, depositDates, holdMinutes, intervalMs } = config.payments;
+  const { refundHours, lateRefundPercent } = config.payments;
+
+  let timer = null;
+  let running = false;
+
+  // Amount of the deposit for a booking (0: none)
+  function depositFor(date, party) {
+    if (!depositPerPerson) return 0;
+    const large = depositPartySize > 0 && party > depositPartySize;
+    const peak = depositDates.some((d) => d === date || d === (date || "").slice(5));
+    return large || peak ? depositPerPerson * party : 0;
+  }
+
+  function holdUntil(now = new Date()) {
+    return new Date(now.getTime() + holdMinutes * 60 * 1000).toISOString();
+  }
+
+  // The reservation's last payment (a re-sent link replaces the previous one)
+  async function forReservation(reservation_id) {
+    const rows = await store.listPayments({ reservation_id });
+    return rows.at(-1) || null;
+  }
+
+  async function findByRef(ref) {
+    const [row] = await store.listPayments({ provider_ref: ref });
+    return row || null;
+  }
+
+  /**
+   * Payment link for a PENDING_PAYMENT reservation, until its payment_expires_at.
+   * Returns the payments row ({ amount, currency, url, expires_at, ... }).
+   */
+  async function request(reservation) {
+    const amount = depositFor(reservation.service_date, reservation.party_size);
+    const expiresAt = reservation.payment_expires_at;
+    const link = await provider.createPayment({ reservation, amount, currency, expiresAt });
+
+    return store.insertPayment({
+      reservation_id: reservation.id,
+      provider: provider.name,
+      provider_ref: link.ref,
+      amount,
+      currency,
+      status: "PENDING",
+      url: link.url,
+      expires_at: expiresAt,
+    });
+  }
+
+  // The link stops taking payments (best effort: a late payment is refunded anyway)
+  async function closeLink(payment) {
+    if (!provider) return;
+    await provider.cancel(payment.provider_ref).catch((e) => {
+      console.log("Payment cancel error:", payment.id, e?.message);
+    });
+  }
+
+  // Refund of `amount` (all of it when it was paid after the release); the payment goes to REFUNDED
+  async function refund(payment, amount, expect = { status: payment.status }) {
+    const now = new Date().toISOString();
+    const row = await store.updatePayment(
+      payment.id,
+      { status: "REFUNDED", refunded_amount: amount, refunded_at: now },
+      expect
+    );
+    if (!row) return null;
+
+    try {
+      const done = await provider.refund(payment.provider_ref, amount);
+      return store.updatePayment(row.id, { refund_ref: done?.ref || null });
+    } catch (e) {
+      // It still shows as paid: the staff sees it and refunds it by hand
+      console.log("Refund error:", payment.id, e?.message);
+      await store.updatePayment(row.id, { status: payment.status, refunded_amount: null, refunded_at: null });
+      return null;
+    }
+  }
+
+  // A lapsed change goes back to the booking it had, re-checked like any change (null: that no longer fits)
+  async function revert(reservation) {
+    const patch = { ...reservation.previous_booking, status: "CONFIRMED", payment_expires_at: null };
+    const reverted = await store.modifyReservation(reservation.id, { ...patch, previous_booking: null }, {
+      status: "PENDING_PAYMENT",
+    });
+    return reverted?.ok === true ? reverted.reservation : null;
+  }
+
+  // Hold over (or link closed): the reservation goes back to its previous booking or is cancelled,
+  // and the seats it held go to the waitlist
+  async function release(payment) {
+    const row = await store.updatePayment(payment.id, { status: "EXPIRED" }, { status: "PENDING" });
+    if (!row) return null;
+
+    await closeLink(payment);
+
+    const pending = await store.getReservation(payment.reservation_id);
+    const reverted = pending?.status === "PENDING_PAYMENT" && pending.previous_booking ? await revert(pending) : null;
+    if (reverted) {
+      await notices.paymentDecided(reverted, "REVERTED", row);
+      await waitlist.offerFreedSeats(pending);
+      return row;
+    }
+
+    const reservation = await store.updateReservation(
+      payment.reservation_id,
+      { status: "CANCELLED" },
+      { status: "PENDING_PAYMENT" }
+    );
+    if (!reservation) return row;
+
+    await events.recordReservation("CANCELLED", reservation, "payment");
+    await notices.paymentDecided(reservation, "RELEASED", row);
+    await waitlist.offerFreedSeats(reservation);
+    return row;
+  }
+
+  async function paid(payment, now) {
+    if (payment.status === "PAID" || payment.status === "REFUNDED") return { outcome: "DUPLICATE", payment };
+
+    const paidAt = now.toISOString();
+    const inTime = payment.status === "PENDING" && new Date(payment.expires_at) > now;
+    if (inTime) {
+      const row = await store.updatePayment(payment.id, { status: "PAID", paid_at: paidAt }, { status: "PENDING" });
+      const previous = row ? (await store.getReservation(payment.reservation_id))?.previous_booking : null;
+      const reservation = row
+        ? await store.updateReservation(
+            payment.reservation_id,
+            { status: "CONFIRMED", payment_expires_at: null, previous_booking: null },
+            { status: "PENDING_PAYMENT" }
+          )
+        : null;
+
+      if (reservation) {
+        await notices.paymentDecided(reservation, "CONFIRMED", row);
+        // A change is final now: the seats it had before go to the waitlist
+        if (previous) await waitlist.offerFreedSeats({ ...reservation, ...previous });
+        return { outcome: "CONFIRMED", payment: row, reservation };
+      }
+      if (row) return late(row, payment.reservation_id);
+      return paid((await store.getPayment(payment.id)) || payment, now);
+    }
+
+    // Late: the table is released first (if the sweep did not) and all of it is refunded
+    if (payment.status === "PENDING") await release(payment);
+    const current = await store.updatePayment(payment.id, { paid_at: paidAt });
+    return late(current || payment, payment.reservation_id);
+  }
+
+  async function late(payment, reservationId) {
+    const refunded = await refund(payment, payment.amount);
+    const reservation = await store.getReservation(reservationId);
+    if (refunded && reservation) await notices.paymentDecided(reservation, "LATE", refunded);
+    return { outcome: "LATE", payment: refunded || payment, reservation };
+  }
+
+  /**
+   * Provider callback: { ref, status } (see CALLBACK_STATUSES).
+   * Returns { outcome: CONFIRMED | LATE | RELEASED | DUPLICATE | IGNORED, payment, reservation? }
+   * or null for an unknown payment.
+   */
+  async function settle({ ref, status }, now = new Date()) {
+    const payment = await findByRef(ref);
+    if (!payment) return null;
+
+    if (status === "PAID") return paid(payment, now);
+    if (status === "EXPIRED" && payment.status === "PENDING") {
+      const row = await release(payment);
+      return { outcome: row ? "RELEASED" : "IGNORED", payment: row || payment };
+    }
+    return { outcome: "IGNORED", payment };
+  }
+
+  /**
+   * The guest cancelled the reservation: an open link is closed; a paid deposit is refunded by
+   * the policy. Returns { deposit, amount (what goes back), currency, refund_hours } or null when
+   * nothing was paid. A refund the provider fails leaves the payment PAID for the staff to handle.
+   */
+  async function cancelled(reservation, now = new Date()) {
+    const payment = await forReservation(reservation.id);
+    if (!payment) return null;
+
+    if (payment.status === "PENDING") {
+      const row = await store.updatePayment(payment.id, { status: "CANCELLED" }, { status: "PENDING" });
+      if (row) await closeLink(payment);
+      return null;
+    }
+    if (payment.status !== "PAID") return null;
+
+    const restaurant = await catalog.getById(reservation.restaurant_id);
+    const startsAt = serviceStartsAt(reservation, restaurant, config.timeZone);
+    const early = startsAt.getTime() - now.getTime() >= refundHours * 3600 * 1000;
+    const amount = early ? payment.amount : Math.floor((payment.amount * lateRefundPercent) / 100);
+
+    if (amount > 0) await refund(payment, amount, { status: "PAID" });
+    return { deposit: payment.amount, amount, currency: payment.currency, refund_hours: refundHours };
+  }
+
+  // Periodic sweep: links past expires_at release their reservation
+  async function tick(now = new Date()) {
+    if (running) return { skipped: true };
+    running = true;
+
+    let released = 0;
+    try {
+      const due = await store.listPayments({ status: "PENDING", expires_before: now.toISOString() });
+      for (const payment of due) {
+        if (await release(payment)) released++;
+      }
+    } catch (e) {
+      console.log("Payment sweep error:", e?.message);
+    } finally {
+      running = false;
+    }
+
+    return { released };
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => tick(), intervalMs);
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    provider,
+    depositFor,
+    holdUntil,
+    forReservation,
+    findByRef,
+    request,
+    settle,
+    cancelled,
+    tick,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  STUB_SIGNATURE_HEADER,
+  CALLBACK_STATUSES,
+  createStubPaymentProvider,
+  createPaymentProvider,
+  createPayments,
+};
@@ -0,0 +1,207 @@
+// -------------------------
+// Reservation reminders
+// A template message goes out `hoursBefore` hours before the service starts, with two
+// quick replies whose payloads come back to /webhook as "REMINDER_CONFIRM:<id>" / "REMINDER_CANCEL:<id>".
+// reminder_sent_at is claimed in the DB before sending, so restarts never send twice. A reminder the
+// outbox gives up on (DEAD) keeps its claim: the dead message stays on the reservation for the staff,
+// and it is not sent again every tick.
+// The template goes out in the guest's language (their chat session), with that translation's code.
+// -------------------------
+const { addDays, formatDate, todayInTimeZone, zonedDateTime } = require("./dates");
+const { restaurantLabel } = require("./restaurants");
+const { serviceLabel } = require("./messages");
+const { normalizeLanguage } = require("./i18n");
+
+const DEFAULT_SERVICE_START = { LUNCH: "13:00", DINNER: "21:00" };
+
+const REMINDER_PAYLOAD_RE = /^REMINDER_(CONFIRM|CANCEL):(.+)$/;
+
+function reminderPayload(action, reservationId) {
+  return `REMINDER_${action}:${reservationId}`;
+}
+
+// "REMINDER_CANCEL:<uuid>" -> { action: "CANCEL", reservationId }
+function parseReminderPayload(text) {
+  const m = (text || "").toString().trim().match(REMINDER_PAYLOAD_RE);
+  if (!m) return null;
+  return { action: m[1], reservationId: m[2] };
+}
+
+// opening_hours { "DINNER": "20:00-23:30" } -> "20:00"
+function serviceStartTime(restaurant, service) {
+  const range = restaurant?.opening_hours?.[service];
+  const start = typeof range === "string" ? range.split("-")[0].trim() : null;
+  return /^\d{1,2}:\d{2}$/.test(start || "") ? start : DEFAULT_SERVICE_START[service];
+}
+
+// A booked slot (service_time) wins over the service opening time
+function serviceStartsAt(reservation, restaurant, timeZone) {
+  const time = reservation.service_time
+    ? reservation.service_time.slice(0, 5)
+    : serviceStartTime(restaurant, reservation.service);
+  return zonedDateTime(reservation.service_date, time, timeZone);
+}
+
+function isReminderDue(startsAt, now, hoursBefore) {
+  const remindAt = startsAt.getTime() - hoursBefore * 3600 * 1000;
+  return now.getTime() >= remindAt && now.getTime() < startsAt.getTime();
+}
+
+/**
+ * Template with 3 body params ({{1}} restaurant, {{2}} date, {{3}} service)
+ * and two quick reply buttons: 0 = Confirmo, 1 = Cancelar.
+ */
+function buildReminderTemplate({ name, language, reservationId, params }) {
+  return {
+    name,
+    language: { code: language },
+    components: [
+      {
+        type: "body",
+        parameters: params.map((text) => ({ type: "text", text: String(text) })),
+      },
+      {
+        type: "button",
+        sub_type: "quick_reply",
+        index: "0",
+        parameters: [{ type: "payload", payload: reminderPayload("CONFIRM", reservationId) }],
+      },
+      {
+        type: "button",
+        sub_type: "quick_reply",
+        index: "1",
+        parameters: [{ type: "payload", payload: reminderPayload("CANCEL", reservationId) }],
+      },
+    ],
+  };
+}
+
+/**
+ * Periodic sweep. Dependencies:
+ *   listCandidates(now)  -> CONFIRMED reservations without reminder_sent_at in the next days
+ *   isDue(reservation, now) -> boolean
+ *   claim(reservation)   -> true if this process won reminder_sent_at
+ *   release(reservation) -> undo the claim when the send failed before reaching the outbox
+ *   send(reservation)    -> { ok, queued?, outbound_id? } (queued: the outbox retries it, so it counts as sent;
+ *                           outbound_id without either: the outbox dead-lettered it, it is not retried)
+ */
+function createReminderScheduler({ listCandidates, isDue, claim, release, send, intervalMs }) {
+  let timer = null;
+  let running = false;
+
+  async function tick(now = new Date()) {
+    if (running) return { skipped: true };
+    running = true;
+
+    let sent = 0;
+    try {
+      const candidates = await listCandidates(now);
+
+      for (const reservation of candidates) {
+        if (!(await isDue(reservation, now))) continue;
+        if (!(await claim(reservation))) continue;
+
+        const result = await send(reservation).catch((e) => ({ ok: false, error: e?.message }));
+        if (result?.ok || result?.queued) {
+          sent++;
+        } else if (result?.outbound_id) {
+          console.log("Reminder dead-lettered:", reservation.id, result.error || result.status);
+        } else {
+          console.log("Reminder send failed:", reservation.id, result?.error || result?.status);
+          await release(reservation);
+        }
+      }
+    } catch (e) {
+      console.log("Reminder sweep error:", e?.message);
+    } finally {
+      running = false;
+    }
+
+    return { sent };
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => tick(), intervalMs);
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { tick, start, stop };
+}
+
+/**
+ * Scheduler wired to the store: CONFIRMED reservations, claimed through a conditional
+ * update on reminder_sent_at (only one process/tick gets the row back).
+ */
+function createReservationReminders({ store, catalog, whatsapp, config }) {
+  const { hoursBefore, template, templateLangs, intervalMs } = config.reminders;
+
+  async function listCandidates(now) {
+    const todayIso = todayInTimeZone(config.timeZone, now);
+    const rows = await store.listReservations({
+      status: "CONFIRMED",
+      reminder_pending: true,
+      from_date: todayIso,
+      to_date: addDays(todayIso, Math.ceil(hoursBefore / 24) + 1),
+    });
+    // Only this catalog's restaurants: each number reminds its own bookings
+    const own = await Promise.all(rows.map((r) => catalog.getById(r.restaurant_id)));
+    return rows.filter((r, i) => own[i]);
+  }
+
+  async function isDue(reservation, now) {
+    const restaurant = await catalog.getById(reservation.restaurant_id);
+    return isReminderDue(serviceStartsAt(reservation, restaurant, config.timeZone), now, hoursBefore);
+  }
+
+  async function claim(reservation) {
+    const row = await store.updateReservation(
+      reservation.id,
+      { reminder_sent_at: new Date().toISOString() },
+      { status: "CONFIRMED", reminder_sent_at: null }
+    );
+    return !!row;
+  }
+
+  async function release(reservation) {
+    await store.updateReservation(reservation.id, { reminder_sent_at: null }).catch((e) => {
+      console.log("Reminder release error:", reservation.id, e?.message);
+    });
+  }
+
+  async function send(reservation) {
+    const restaurant = await catalog.getById(reservation.restaurant_id);
+    const session = await store.getSession(reservation.customer_phone);
+    const lang = normalizeLanguage(session?.language);
+    const payload = buildReminderTemplate({
+      name: template,
+      language: templateLangs[lang],
+      reservationId: reservation.id,
+      params: [
+        restaurantLabel(restaurant),
+        formatDate(reservation.service_date, lang),
+        `${serviceLabel(reservation.service, lang)} — ${reservation.party_size} pax`,
+      ],
+    });
+
+    return whatsapp.sendTemplate(reservation.customer_phone, payload, { reservationId: reservation.id });
+  }
+
+  const scheduler = createReminderScheduler({ listCandidates, isDue, claim, release, send, intervalMs });
+  return { ...scheduler, enabled: !!template };
+}
+
+module.exports = {
+  createReminderScheduler,
+  createReservationReminders,
+  buildReminderTemplate,
+  parseReminderPayload,
+  serviceStartTime,
+  serviceStartsAt,
+  isReminderDue,
+};
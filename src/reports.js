@@ -0,0 +1,171 @@
+// -------------------------
+// Reports (staff API, JSON or CSV)
+// Built from conversation_events (src/events.js) and reservations:
+//   funnel        how many guests reached each booking step, and how many were lost at each one
+//   bookings      bookings and cancellations per restaurant and day (the day the guest did it)
+//   alternatives  how often a full service was saved by suggest_alternatives
+//   occupancy     covers per restaurant, date and service against restaurants.capacity_max
+// Rates are ratios (0..1) rounded to 4 decimals; null when there is nothing to divide by.
+// -------------------------
+const { addDays, todayInTimeZone } = require("./dates");
+const { SEATED_STATUSES } = require("./slots");
+
+// The booking funnel; a guest who skips a step (the "same as last time" shortcut) still counts for it
+const FUNNEL_STEPS = ["ASK_RESTAURANT", "ASK_PARTY_SIZE", "ASK_DATE", "ASK_SERVICE", "CONFIRM_RESERVATION", "BOOKED"];
+
+const SERVICES = ["LUNCH", "DINNER"];
+
+
+function rate(part, total) {
+  return total ? Math.round((part / total) * 10000) / 10000 : null;
+}
+
+// A guest's conversations with one number
+function journeyKey(event) {
+  return `${event.tenant_id || ""}:${event.wa_id}`;
+}
+
+function funnelReport(events) {
+  const reached = new Map();
+
+  for (const e of events) {
+    if (!e.wa_id) continue;
+    const step =
+      e.type === "STATE"
+        ? FUNNEL_STEPS.indexOf(e.to_state)
+        : e.type === "BOOKED" && e.source !== "api"
+          ? FUNNEL_STEPS.length - 1
+          : -1;
+    if (step < 0) continue;
+
+    const key = journeyKey(e);
+    reached.set(key, Math.max(reached.get(key) ?? -1, step));
+  }
+
+  const counts = FUNNEL_STEPS.map((step, i) => [...reached.values()].filter((max) => max >= i).length);
+  return FUNNEL_STEPS.map((step, i) => ({
+    step,
+    guests: counts[i],
+    dropped: i < counts.length - 1 ? counts[i] - counts[i + 1] : null,
+    conversion: i ? rate(counts[i], counts[i - 1]) : null,
+    overall: rate(counts[i], counts[0]),
+  }));
+}
+
+/**
+ * One row per restaurant and day with any booking or cancellation.
+ * restaurants: catalog rows (id -> code); timeZone: the restaurant day of created_at.
+ */
+function bookingsReport(events, restaurants, timeZone) {
+  const codes = new Map(restaurants.map((r) => [r.id, r.code]));
+  const rows = new Map();
+
+  for (const e of events) {
+    if (e.type !== "BOOKED" && e.type !== "CANCELLED") continue;
+
+    const date = todayInTimeZone(timeZone, new Date(e.created_at));
+    const restaurant = codes.get(e.restaurant_id) || e.restaurant_id;
+    const key = `${date}|${restaurant}`;
+    const row = rows.get(key) || {
+      date,
+      restaurant,
+      bookings: 0,
+      covers_booked: 0,
+      cancellations: 0,
+      covers_cancelled: 0,
+    };
+
+    if (e.type === "BOOKED") {
+      row.bookings++;
+      row.covers_booked += e.party_size || 0;
+    } else {
+      row.cancellations++;
+      row.covers_cancelled += e.party_size || 0;
+    }
+    rows.set(key, row);
+  }
+
+  return [...rows.values()].sort((a, b) => a.date.localeCompare(b.date) || a.restaurant.localeCompare(b.restaurant));
+}
+
+/**
+ * A booking "saved by an alternative" is a chat booking whose previous outcome for that guest
+ * was ALTERNATIVE_TAKEN.
+ */
+function alternativesReport(events) {
+  const lastOutcome = new Map();
+  const totals = { no_availability: 0, offered: 0, taken: 0, booked: 0 };
+
+  for (const e of events) {
+    if (e.type === "STATE") continue;
+    const key = journeyKey(e);
+
+    if (e.type === "NO_AVAILABILITY") {
+      totals.no_availability++;
+      if (e.data?.alternatives > 0) totals.offered++;
+    } else if (e.type === "ALTERNATIVE_TAKEN") {
+      totals.taken++;
+    } else if (e.type === "BOOKED" && e.source === "whatsapp" && lastOutcome.get(key) === "ALTERNATIVE_TAKEN") {
+      totals.booked++;
+    }
+    lastOutcome.set(key, e.type);
+  }
+
+  return {
+    ...totals,
+    acceptance_rate: rate(totals.taken, totals.offered),
+    booking_rate: rate(totals.booked, totals.offered),
+  };
+}
+
+/**
+ * Every restaurant x date x service in [from, to], also the empty ones.
+ */
+function occupancyReport(reservations, restaurants, from, to) {
+  const covers = new Map();
+  for (const r of reservations) {
+    if (!SEATED_STATUSES.includes(r.status)) continue;
+    const key = `${r.restaurant_id}|${r.service_date}|${r.service}`;
+    covers.set(key, (covers.get(key) || 0) + (r.party_size || 0));
+  }
+
+  const rows = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    for (const restaurant of restaurants) {
+      for (const service of SERVICES) {
+        const booked = covers.get(`${restaurant.id}|${date}|${service}`) || 0;
+        rows.push({
+          date,
+          restaurant: restaurant.code,
+          service,
+          covers: booked,
+          capacity_max: restaurant.capacity_max ?? null,
+          occupancy: rate(booked, restaurant.capacity_max),
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// rows: objects; columns: their keys, in order (default: the first row's)
+function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvValue(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  FUNNEL_STEPS,
+  funnelReport,
+  bookingsReport,
+  alternativesReport,
+  occupancyReport,
+  toCsv,
+};
@@ -0,0 +1,171 @@
+// -------------------------
+// Restaurant catalog
+// Built from the `restaurants` table: emoji, display_name, aliases, address,
+// opening_hours, active. Everything the bot says about venues comes from here.
+// -------------------------
+const { stripAccents } = require("./dates");
+const { t, joinOptions } = require("./i18n");
+
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+
+function normalizeAlias(s) {
+  return stripAccents(s).trim();
+}
+
+function displayName(r) {
+  return r.display_name || r.name || r.code;
+}
+
+function restaurantLabel(r) {
+  if (!r) return "";
+  if (typeof r === "string") return r;
+  return r.emoji ? `${r.emoji} ${displayName(r)}` : displayName(r);
+}
+
+// opening_hours jsonb: { "LUNCH": "12:30-15:30", "DINNER": "20:00-23:30" }
+function openingHoursText(r, lang) {
+  const hours = r.opening_hours || {};
+  const parts = [];
+  if (hours.LUNCH) parts.push(`${t(lang, "serviceLUNCH")} ${hours.LUNCH}`);
+  if (hours.DINNER) parts.push(`${t(lang, "serviceDINNER")} ${hours.DINNER}`);
+  return parts.join(" · ");
+}
+
+function restaurantKeys(r) {
+  const keys = [r.code, r.name, r.display_name, ...(Array.isArray(r.aliases) ? r.aliases : [])];
+  return keys.filter(Boolean).map(normalizeAlias);
+}
+
+/**
+ * Resolves a guest answer in ASK_RESTAURANT: the number shown in pickerText
+ * (1-based, over the active list), the code, the name or any alias.
+ */
+function matchRestaurant(list, input) {
+  const s = normalizeAlias(input);
+  if (!s) return null;
+
+  if (/^\d+$/.test(s)) {
+    const pick = parseInt(s, 10);
+    return list[pick - 1] || null;
+  }
+
+  return list.find((r) => restaurantKeys(r).includes(s)) || null;
+}
+
+function pickerText(lang, list) {
+  const lines = list.map((r, i) => `${i + 1}) ${restaurantLabel(r)}`);
+  const options = joinOptions(list.map((_, i) => String(i + 1)), t(lang, "or"));
+
+  return t(lang, "pickRestaurant") + "\n\n" + lines.join("\n") + "\n\n" + t(lang, "pickRestaurantAnswer", options);
+}
+
+// Interactive list version of pickerText; row ids are restaurant codes (matchRestaurant accepts them)
+function pickerReply(lang, list, prefix = "") {
+  return {
+    text: prefix + pickerText(lang, list),
+    body: prefix + t(lang, "pickRestaurant"),
+    list: {
+      button: t(lang, "restaurantsButton"),
+      rows: list.map((r) => ({ id: r.code, title: restaurantLabel(r), description: r.address || "" })),
+    },
+  };
+}
+
+function localsText(lang, list) {
+  const blocks = list.map((r) => {
+    const lines = [restaurantLabel(r)];
+    if (r.address) lines.push(`   ${r.address}`);
+    const hours = openingHoursText(r, lang);
+    if (hours) lines.push(`   ${hours}`);
+    return lines.join("\n");
+  });
+
+  return t(lang, "localsHeading") + "\n" + blocks.join("\n") + "\n\n" + t(lang, "localsTip");
+}
+
+/**
+ * Cached view over the restaurants table.
+ * `load` returns every row (active and inactive); rows are kept in load order.
+ * The cache is reloaded after `ttlMs` or right away after invalidate().
+ */
+function createRestaurantCatalog({ load, ttlMs = DEFAULT_CACHE_TTL_MS }) {
+  let rows = null;
+  let loadedAt = 0;
+  let inflight = null;
+
+  async function refresh() {
+    if (!inflight) {
+      inflight = Promise.resolve()
+        .then(load)
+        .then((data) => {
+          rows = data || [];
+          loadedAt = Date.now();
+          return rows;
+        })
+        .finally(() => {
+          inflight = null;
+        });
+    }
+    return inflight;
+  }
+
+  async function all() {
+    if (!rows || Date.now() - loadedAt > ttlMs) {
+      try {
+        await refresh();
+      } catch (e) {
+        // An old catalog beats none
+        if (!rows) throw e;
+        console.log("Restaurant catalog refresh failed:", e?.message);
+      }
+    }
+    return rows;
+  }
+
+  async function active() {
+    return (await all()).filter((r) => r.active !== false);
+  }
+
+  async function getByCode(code) {
+    return (await all()).find((r) => r.code === code) || null;
+  }
+
+  async function getById(id) {
+    return (await all()).find((r) => r.id === id) || null;
+  }
+
+  async function label(code) {
+    const r = await getByCode(code);
+    return r ? restaurantLabel(r) : code;
+  }
+
+  function invalidate() {
+    loadedAt = 0;
+  }
+
+  return { all, active, getByCode, getById, label, refresh, invalidate };
+}
+
+/**
+ * The part of a catalog with these restaurant codes (one tenant's restaurants), same interface.
+ * It reads through the parent's cache, so invalidating the parent refreshes it too.
+ * codes: null = every restaurant (the parent itself).
+ */
+function scopedCatalog(catalog, codes) {
+  if (!codes) return catalog;
+  return createRestaurantCatalog({
+    ttlMs: 0,
+    load: async () => (await catalog.all()).filter((r) => codes.includes(r.code)),
+  });
+}
+
+module.exports = {
+  createRestaurantCatalog,
+  scopedCatalog,
+  restaurantLabel,
+  openingHoursText,
+  matchRestaurant,
+  pickerText,
+  pickerReply,
+  localsText,
+};
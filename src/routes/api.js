@@ -0,0 +1,262 @@
+// -------------------------
+// REST API (restaurants, availability, alternatives, reserve, cancel)
+// The guest-facing routes are rate limited per IP (limitRequests, see src/limits.js). A booking
+// refused by a policy answers 403 (blocked phone) or 409 with the reason; a large party that needs
+// the staff's approval answers 202 with status PENDING_APPROVAL.
+// Special requests (src/tags.js): /reserve takes notes and tags (codes from the restaurant's
+// request_tags); /availability and /alternatives take tags=a,b to check the tag pools too.
+// A booking that needs a deposit (src/payments.js) answers 202 with status PENDING_PAYMENT and the
+// payment link; /cancel answers with what goes back of a paid deposit (refund). Only an active
+// reservation can be cancelled: another call (or a seated / completed one) answers 409 NOT_ACTIVE.
+// A closed or reduced service (src/schedule.js) fails with CLOSED / REDUCED_CAPACITY and the rule
+// in details.exception (its reason included); alternatives leave those services out.
+// POST /restaurants/refresh takes a staff key (src/auth.js) like the /staff routes.
+// -------------------------
+const express = require("express");
+const { normalizeTime } = require("../slots");
+const { MAX_NOTES } = require("../tags");
+const { createStaffAuth } = require("../auth");
+
+const PUBLIC_RESTAURANT_FIELDS = [
+  "id",
+  "name",
+  "code",
+  "capacity_max",
+  "emoji",
+  "display_name",
+  "aliases",
+  "address",
+  "opening_hours",
+  "request_tags",
+  "active",
+];
+
+// ?tags=outdoor,birthday -> ["outdoor", "birthday"]
+function queryTags(value) {
+  return (value || "")
+    .toString()
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function pick(row, fields) {
+  const out = {};
+  for (const f of fields) out[f] = row[f] ?? null;
+  return out;
+}
+
+function createApiRouter({ store, catalog, booking, waitlist, customers, events, limitRequests }) {
+  const router = express.Router();
+
+  router.get("/health", (req, res) => {
+    res.json({ ok: true });
+  });
+
+  router.get("/restaurants", limitRequests, async (req, res) => {
+    try {
+      const rows = await store.listRestaurants();
+      const restaurants = rows
+        .map((r) => pick(r, PUBLIC_RESTAURANT_FIELDS))
+        .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+      res.json({ ok: true, restaurants });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Call it from a Supabase Database Webhook on `restaurants` (insert/update/delete)
+  // so the bot sees the changes without waiting for the cache TTL. With a staff key (Authorization: Bearer).
+  router.post("/restaurants/refresh", createStaffAuth({ store }), async (req, res) => {
+    catalog.invalidate();
+    try {
+      const restaurants = await catalog.all();
+      return res.json({ ok: true, count: restaurants.length });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message });
+    }
+  });
+
+  router.get("/availability", limitRequests, async (req, res) => {
+    const restaurant = req.query.restaurant;
+    const date = req.query.date;
+    const service = req.query.service;
+    const party = parseInt(req.query.party, 10);
+    const time = req.query.time ? normalizeTime(req.query.time) : null;
+
+    if (!restaurant || !date || !service || Number.isNaN(party) || (req.query.time && !time)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing or invalid query params. Use restaurant, date, service, party, time(optional HH:MM).",
+      });
+    }
+
+    try {
+      const tags = queryTags(req.query.tags);
+      const result = await booking.checkAvailability({ restaurant, date, service, time, party, tags });
+      return res.json({ ok: true, result });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.get("/alternatives", limitRequests, async (req, res) => {
+    const restaurant = req.query.restaurant;
+    const date = req.query.date;
+    const service = req.query.service;
+    const party = parseInt(req.query.party, 10);
+    const days = req.query.days ? parseInt(req.query.days, 10) : 14;
+    const time = req.query.time ? normalizeTime(req.query.time) : null;
+
+    if (!restaurant || !date || !service || Number.isNaN(party) || (req.query.time && !time)) {
+      return res.status(400).json({
+        ok: false,
+        error:
+          "Missing or invalid query params. Use restaurant, date, service, party, days(optional), time(optional HH:MM).",
+      });
+    }
+
+    try {
+      const tags = queryTags(req.query.tags);
+      const alternatives = await booking.findAlternatives({ restaurant, date, service, time, party, days, tags });
+      return res.json({ ok: true, alternatives });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.post("/reserve", limitRequests, async (req, res) => {
+    const { restaurant, date, service, party, customer_name, customer_phone, notes, tags } = req.body;
+    const partyInt = parseInt(party, 10);
+    const time = req.body.time ? normalizeTime(req.body.time) : null;
+
+    if (
+      !restaurant ||
+      !date ||
+      !service ||
+      Number.isNaN(partyInt) ||
+      !customer_name ||
+      !customer_phone ||
+      (req.body.time && !time)
+    ) {
+      return res.status(400).json({
+        ok: false,
+        error:
+          "Missing/invalid fields. Required: restaurant, date, service, party, customer_name, customer_phone. Optional: time (HH:MM), notes, tags",
+      });
+    }
+    if (
+      (notes != null && (typeof notes !== "string" || notes.length > MAX_NOTES)) ||
+      (tags != null && !Array.isArray(tags) && typeof tags !== "string")
+    ) {
+      return res.status(400).json({
+        ok: false,
+        error: `Invalid notes (text, at most ${MAX_NOTES} characters) or tags (array of codes).`,
+      });
+    }
+
+    // Idempotency-Key: a client retry gets the original reservation back instead of a duplicate
+    const idempotencyKey = (req.get("Idempotency-Key") || "").trim() || null;
+
+    let result;
+    try {
+      result = await booking.bookReservation({
+        restaurant,
+        date,
+        service,
+        time,
+        party: partyInt,
+        customer_name,
+        customer_phone,
+        notes,
+        tags: tags || [],
+        idempotencyKey,
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+
+    if (result.reason === "IDEMPOTENCY_KEY_REUSED") {
+      return res.status(422).json({ ok: false, reason: result.reason, error: "Idempotency-Key already used" });
+    }
+    if (result.reason === "UNKNOWN_TAG") {
+      return res.status(400).json({ ok: false, reason: result.reason, details: result.details });
+    }
+    if (result.reason === "BLOCKED") {
+      return res.status(403).json({ ok: false, reason: result.reason, error: "This phone cannot book" });
+    }
+    if (result.reason === "PAYMENT_UNAVAILABLE") {
+      return res.status(503).json({ ok: false, reason: result.reason, error: "Could not create the payment link" });
+    }
+    if (!result.ok) {
+      return res.status(409).json({
+        ok: false,
+        reason: result.reason,
+        details: result.details,
+      });
+    }
+
+    const inserted = result.reservation;
+    if (result.replayed) {
+      res.set("Idempotent-Replayed", "true");
+    } else {
+      await customers.recordBooking(inserted).catch((e) => {
+        console.log("Customer profile error:", e?.message);
+      });
+      await events.recordReservation("BOOKED", inserted, "api");
+    }
+    const payment = result.payment;
+    const pending = inserted.status === "PENDING_APPROVAL" || inserted.status === "PENDING_PAYMENT";
+    return res.status(pending ? 202 : 200).json({
+      ok: true,
+      reservation_id: inserted.id,
+      status: inserted.status,
+      time: normalizeTime(inserted.service_time),
+      ...(payment
+        ? {
+            payment: {
+              url: payment.url,
+              amount: payment.amount,
+              currency: payment.currency,
+              expires_at: payment.expires_at,
+            },
+          }
+        : {}),
+    });
+  });
+
+  router.post("/cancel", limitRequests, async (req, res) => {
+    const { reservation_id } = req.body;
+
+    if (!reservation_id) {
+      return res.status(400).json({ ok: false, error: "Missing reservation_id" });
+    }
+
+    let cancelled;
+    let current = null;
+    try {
+      cancelled = await booking.cancelReservationById(reservation_id);
+      if (!cancelled) current = await store.getReservation(reservation_id);
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+    if (!cancelled && !current) return res.status(404).json({ ok: false, error: "Reservation not found" });
+    // Already cancelled (or seated, completed): nothing to do, no events or waitlist offers again
+    if (!cancelled) {
+      return res.status(409).json({
+        ok: false,
+        reason: "NOT_ACTIVE",
+        status: current.status,
+        error: "The reservation is not active",
+      });
+    }
+
+    await events.recordReservation("CANCELLED", reservation_id, "api");
+    await waitlist.offerFreedSeats(reservation_id);
+    return res.json({ ok: true, reservation: cancelled });
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,64 @@
+// -------------------------
+// Calendar files (see src/calendar.js)
+// GET /reservations/:id/invite.ics?lang=&token=   the guest's invite (Meta downloads it)
+// GET /restaurants/:code/calendar.ics?token=      upcoming CONFIRMED reservations, for managers
+// Staff get their feed URLs from GET /staff/calendar.
+// -------------------------
+const express = require("express");
+const { isValidCalendarToken, reservationInvite, restaurantFeed } = require("../calendar");
+const { normalizeLanguage } = require("../i18n");
+
+function sendCalendar(res, filename, body) {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.send(body);
+}
+
+function createCalendarRouter({ store, catalog, booking, config }) {
+  const router = express.Router();
+  const { secret, eventMinutes } = config.calendar;
+  const options = { timeZone: config.timeZone, eventMinutes };
+
+  function requireSecret(req, res, next) {
+    if (!secret) return res.status(404).json({ ok: false, error: "Calendar is disabled (CALENDAR_SECRET)" });
+    return next();
+  }
+
+  router.get("/reservations/:id/invite.ics", requireSecret, async (req, res) => {
+    if (!isValidCalendarToken(secret, `invite:${req.params.id}`, req.query.token)) {
+      return res.status(403).json({ ok: false, error: "Invalid token" });
+    }
+
+    try {
+      const reservation = await store.getReservation(req.params.id);
+      const restaurant = reservation ? await catalog.getById(reservation.restaurant_id) : null;
+      if (!restaurant) return res.status(404).json({ ok: false, error: "Reservation not found" });
+
+      const lang = normalizeLanguage(req.query.lang);
+      const body = reservationInvite(reservation, restaurant, { ...options, lang });
+      return sendCalendar(res, `reserva-${restaurant.code}-${reservation.service_date}.ics`, body);
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.get("/restaurants/:code/calendar.ics", requireSecret, async (req, res) => {
+    if (!isValidCalendarToken(secret, `feed:${req.params.code}`, req.query.token)) {
+      return res.status(403).json({ ok: false, error: "Invalid token" });
+    }
+
+    try {
+      const restaurant = await catalog.getByCode(req.params.code);
+      if (!restaurant) return res.status(404).json({ ok: false, error: "Unknown restaurant code" });
+
+      const upcoming = await booking.listUpcomingReservations({ restaurant_id: restaurant.id });
+      return sendCalendar(res, `${restaurant.code}.ics`, restaurantFeed(restaurant, upcoming, options));
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCalendarRouter };
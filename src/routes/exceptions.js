@@ -0,0 +1,122 @@
+// -------------------------
+// Schedule exceptions (mounted by the staff router under /staff/exceptions, see src/schedule.js)
+// GET    /staff/exceptions        upcoming rules of the key's restaurants
+//                                 ?restaurant=code, ?from / ?to (YYYY-MM-DD, default from today)
+// POST   /staff/exceptions        { restaurant, date, service?, kind, capacity?, hours?, reason }
+//                                 one per restaurant, date and service (409 when there is one already);
+//                                 the answer lists the active bookings it affects, for the staff to call
+// DELETE /staff/exceptions/:id    back to a normal day
+// The rules do not touch existing reservations: they only stop new bookings and changes.
+// -------------------------
+const express = require("express");
+const { isISODate, todayInTimeZone } = require("../dates");
+const { ACTIVE_STATUSES } = require("../limits");
+const { parseException, withinHours } = require("../schedule");
+
+function createExceptionsRouter({ store, catalog, config }) {
+  const router = express.Router();
+
+  function withCode(row, restaurants) {
+    return { ...row, restaurant: restaurants.find((r) => r.id === row.restaurant_id)?.code || null };
+  }
+
+  // Active bookings the rule leaves out: all of them when closed, over the capacity, outside the hours
+  async function affectedBy(rule) {
+    const rows = await store.listReservations({
+      restaurant_id: rule.restaurant_id,
+      status: ACTIVE_STATUSES,
+      from_date: rule.service_date,
+      to_date: rule.service_date,
+    });
+    const reservations = rows
+      .filter((r) => !rule.service || r.service === rule.service)
+      .filter((r) => rule.kind !== "HOURS" || !withinHours((r.service_time || "").slice(0, 5), rule.hours));
+    const covers = reservations.reduce((sum, r) => sum + (r.party_size || 0), 0);
+
+    return {
+      reservations: reservations.map((r) => ({
+        id: r.id,
+        customer_name: r.customer_name,
+        customer_phone: r.customer_phone,
+        party_size: r.party_size,
+        service: r.service,
+        service_time: r.service_time || null,
+        status: r.status,
+      })),
+      covers,
+      over_capacity: rule.kind === "CAPACITY" ? Math.max(0, covers - rule.capacity) : null,
+    };
+  }
+
+  router.get("/", async (req, res) => {
+    const from = req.query.from || todayInTimeZone(config.timeZone);
+    const to = req.query.to || null;
+    if (!isISODate(from) || (to && (!isISODate(to) || from > to))) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid query params. Use from / to (YYYY-MM-DD, from <= to).",
+      });
+    }
+
+    try {
+      let restaurants = (await catalog.all()).filter((r) => req.staff.canAccess(r.id));
+      if (req.query.restaurant) {
+        restaurants = restaurants.filter((r) => r.code === req.query.restaurant);
+        if (!restaurants.length) return res.status(404).json({ ok: false, error: "Unknown restaurant code" });
+      }
+
+      const filter = { restaurant_id: restaurants.map((r) => r.id), from_date: from, to_date: to };
+      const rows = restaurants.length ? await store.listScheduleExceptions(filter) : [];
+      return res.json({ ok: true, count: rows.length, exceptions: rows.map((row) => withCode(row, restaurants)) });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    const parsed = parseException(req.body);
+    if (!parsed.ok) return res.status(400).json({ ok: false, error: parsed.error });
+
+    try {
+      const restaurant = req.body.restaurant ? await catalog.getByCode(req.body.restaurant) : null;
+      if (!restaurant || !req.staff.canAccess(restaurant.id)) {
+        return res.status(404).json({ ok: false, error: "Unknown restaurant code" });
+      }
+
+      const row = await store.insertScheduleException({
+        ...parsed.row,
+        restaurant_id: restaurant.id,
+        created_by: req.staff.actor,
+      });
+      if (!row) {
+        return res.status(409).json({
+          ok: false,
+          error: "There is already an exception for that date and service. Delete it first.",
+        });
+      }
+
+      const affected = await affectedBy(row);
+      return res.status(201).json({ ok: true, exception: withCode(row, [restaurant]), affected });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const row = await store.getScheduleException(req.params.id);
+      if (!row || !req.staff.canAccess(row.restaurant_id)) {
+        return res.status(404).json({ ok: false, error: "Exception not found" });
+      }
+
+      await store.deleteScheduleException(row.id);
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createExceptionsRouter };
@@ -0,0 +1,101 @@
+// -------------------------
+// Staff inbox (mounted by the staff router under /staff/inbox, see src/handoff.js)
+// GET  /staff/inbox               open handoffs (?status=RESOLVED for the closed ones), latest activity first
+// GET  /staff/inbox/:id           the handoff and its conversation log
+// POST /staff/inbox/:id/reply     { text }: sent to the guest from the number they wrote to
+// POST /staff/inbox/:id/resolve   hands the guest back to the bot
+// A key tied to a restaurant sees the conversations of the number that books that restaurant.
+// -------------------------
+const express = require("express");
+
+const STATUSES = ["OPEN", "RESOLVED"];
+
+// WhatsApp's limit for a text message
+const MAX_TEXT = 4096;
+
+function createInboxRouter({ store, tenants }) {
+  const router = express.Router();
+
+  async function visibleTenants(req) {
+    const restaurantId = req.staff.key.restaurant_id;
+    if (!restaurantId) return tenants.all();
+
+    const visible = [];
+    for (const context of tenants.all()) {
+      if (await context.catalog.getById(restaurantId)) visible.push(context);
+    }
+    return visible;
+  }
+
+  // Loads :id into req.handoff and its tenant into req.tenant, 404 when the key cannot see it
+  async function loadHandoff(req, res, next) {
+    try {
+      const row = await store.getHandoff(req.params.id);
+      const context = row ? tenants.get(row.tenant_id) : null;
+      if (!context || !(await visibleTenants(req)).includes(context)) {
+        return res.status(404).json({ ok: false, error: "Conversation not found" });
+      }
+      req.handoff = row;
+      req.tenant = context;
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+    return next();
+  }
+
+  router.get("/", async (req, res) => {
+    const status = req.query.status || "OPEN";
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: "Invalid status. Use OPEN or RESOLVED." });
+    }
+
+    try {
+      const rows = [];
+      for (const context of await visibleTenants(req)) {
+        rows.push(...(await store.listHandoffs({ tenant_id: context.tenant.id, status })));
+      }
+      rows.sort((a, b) => (b.last_message_at || "").localeCompare(a.last_message_at || ""));
+      return res.json({ ok: true, count: rows.length, conversations: rows });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.get("/:id", loadHandoff, async (req, res) => {
+    try {
+      const messages = await req.tenant.handoff.history(req.handoff);
+      return res.json({ ok: true, conversation: req.handoff, messages });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.post("/:id/reply", loadHandoff, async (req, res) => {
+    const text = (req.body?.text || "").toString().trim();
+    if (!text || text.length > MAX_TEXT) {
+      return res.status(400).json({ ok: false, error: `Missing text (at most ${MAX_TEXT} characters)` });
+    }
+
+    try {
+      const message = await req.tenant.handoff.reply(req.handoff.id, text, req.staff.actor);
+      if (!message) return res.status(409).json({ ok: false, reason: "NOT_OPEN" });
+      return res.json({ ok: true, message });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.post("/:id/resolve", loadHandoff, async (req, res) => {
+    try {
+      const row = await req.tenant.handoff.resolve(req.handoff.id, req.staff.actor);
+      if (!row) return res.status(409).json({ ok: false, reason: "NOT_OPEN" });
+      return res.json({ ok: true, conversation: row });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createInboxRouter };
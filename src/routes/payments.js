@@ -0,0 +1,81 @@
+// -------------------------
+// Payments (deposits, see src/payments.js)
+// POST /payments/callback      the provider tells us a payment went through (or its link closed);
+//                              signed by the provider, 403 when the signature does not match
+// GET  /payments/stub/:ref     checkout page of the local stub provider (PAYMENT_PROVIDER=stub)
+// POST /payments/stub/:ref     pays it: the same as the provider's PAID callback
+// Nothing is mounted without a provider; the stub pages only in development and tests (NODE_ENV).
+// -------------------------
+const express = require("express");
+const { CALLBACK_STATUSES } = require("../payments");
+const { formatAmount } = require("../messages");
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function stubPage(title, body) {
+  return (
+    `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>` +
+    `<body><h1>${escapeHtml(title)}</h1>${body}</body></html>`
+  );
+}
+
+function createPaymentsRouter({ payments, config }) {
+  const router = express.Router();
+  if (!payments.provider) return router;
+
+  router.post("/payments/callback", async (req, res) => {
+    const callback = payments.provider.parseCallback(req);
+    if (!callback) return res.status(403).json({ ok: false, error: "Invalid signature" });
+
+    // Other provider events (failed attempts, ...) change nothing
+    if (!CALLBACK_STATUSES.includes(callback.status)) return res.json({ ok: true, outcome: "IGNORED" });
+
+    try {
+      const result = await payments.settle(callback);
+      if (!result) return res.status(404).json({ ok: false, error: "Payment not found" });
+      return res.json({ ok: true, outcome: result.outcome, status: result.payment.status });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  if (payments.provider.name !== "stub" || !config.payments.allowStub) return router;
+
+  router.get("/payments/stub/:ref", async (req, res) => {
+    try {
+      const payment = await payments.findByRef(req.params.ref);
+      if (!payment) return res.status(404).send(stubPage("Pago no encontrado", ""));
+
+      const amount = formatAmount(payment.amount, payment.currency);
+      const body =
+        payment.status === "PENDING"
+          ? `<p>Seña: <strong>${escapeHtml(amount)}</strong></p>` +
+            `<form method="post"><button type="submit">Pagar</button></form>`
+          : `<p>Estado: ${escapeHtml(payment.status)}</p>`;
+      return res.send(stubPage("Pago de prueba", body));
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.post("/payments/stub/:ref", async (req, res) => {
+    try {
+      const result = await payments.settle({ ref: req.params.ref, status: "PAID" });
+      if (!result) return res.status(404).send(stubPage("Pago no encontrado", ""));
+
+      const body =
+        result.payment.status === "PAID"
+          ? "<p>¡Listo! Te confirmamos la reserva por WhatsApp.</p>"
+          : "<p>La reserva ya se había liberado: el pago se devuelve.</p>";
+      return res.send(stubPage("Pago de prueba", body));
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPaymentsRouter };
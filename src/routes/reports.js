@@ -0,0 +1,98 @@
+// -------------------------
+// Reports (mounted by the staff router under /staff/reports, see src/reports.js)
+// GET /staff/reports/funnel | bookings | alternatives | occupancy
+//   ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 30 days), ?restaurant=code, ?format=csv
+// funnel and alternatives cover the whole group: they need a key for every restaurant.
+// -------------------------
+const express = require("express");
+const { addDays, isISODate, todayInTimeZone, zonedDateTime } = require("../dates");
+const { funnelReport, bookingsReport, alternativesReport, occupancyReport, toCsv } = require("../reports");
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+const COLUMNS = {
+  funnel: ["step", "guests", "dropped", "conversion", "overall"],
+  bookings: ["date", "restaurant", "bookings", "covers_booked", "cancellations", "covers_cancelled"],
+  alternatives: ["no_availability", "offered", "taken", "booked", "acceptance_rate", "booking_rate"],
+  occupancy: ["date", "restaurant", "service", "covers", "capacity_max", "occupancy"],
+};
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 3600 * 1000));
+}
+
+function createReportsRouter({ store, catalog, config }) {
+  const router = express.Router();
+
+  // { from, to, restaurants } from the query, or { status, error }
+  async function reportScope(req, { wholeGroup = false } = {}) {
+    const to = req.query.to || todayInTimeZone(config.timeZone);
+    const from = req.query.from || addDays(to, -(DEFAULT_DAYS - 1));
+
+    if (!isISODate(from) || !isISODate(to) || from > to) {
+      return { status: 400, error: "Invalid query params. Use from / to (YYYY-MM-DD, from <= to)." };
+    }
+    if (daysBetween(from, to) >= MAX_DAYS) return { status: 400, error: `At most ${MAX_DAYS} days per report` };
+    if (wholeGroup && req.staff.key.restaurant_id) {
+      return { status: 403, error: "This report needs a key for every restaurant" };
+    }
+
+    let restaurants = (await catalog.all()).filter((r) => req.staff.canAccess(r.id));
+    if (req.query.restaurant) {
+      restaurants = restaurants.filter((r) => r.code === req.query.restaurant);
+      if (!restaurants.length) return { status: 404, error: "Unknown restaurant code" };
+    }
+    return { from, to, restaurants };
+  }
+
+  // Events created between the start of `from` and the end of `to` (restaurant time)
+  function eventsBetween(from, to) {
+    return store.listEvents({
+      from: zonedDateTime(from, "00:00", config.timeZone).toISOString(),
+      to: zonedDateTime(addDays(to, 1), "00:00", config.timeZone).toISOString(),
+    });
+  }
+
+  function sendReport(req, res, name, { from, to }, rows) {
+    if (req.query.format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="${name}-${from}-${to}.csv"`);
+      return res.send(toCsv(Array.isArray(rows) ? rows : [rows], COLUMNS[name]));
+    }
+    return res.json({ ok: true, from, to, [name]: rows });
+  }
+
+  function report(name, build, options) {
+    router.get(`/${name}`, async (req, res) => {
+      try {
+        const scope = await reportScope(req, options);
+        if (scope.error) return res.status(scope.status).json({ ok: false, error: scope.error });
+        return sendReport(req, res, name, scope, await build(scope));
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+    });
+  }
+
+  report("funnel", async ({ from, to }) => funnelReport(await eventsBetween(from, to)), { wholeGroup: true });
+
+  report("alternatives", async ({ from, to }) => alternativesReport(await eventsBetween(from, to)), {
+    wholeGroup: true,
+  });
+
+  report("bookings", async ({ from, to, restaurants }) => {
+    const ids = new Set(restaurants.map((r) => r.id));
+    const events = (await eventsBetween(from, to)).filter((e) => ids.has(e.restaurant_id));
+    return bookingsReport(events, restaurants, config.timeZone);
+  });
+
+  report("occupancy", async ({ from, to, restaurants }) => {
+    const reservations = await store.listReservations({ from_date: from, to_date: to });
+    return occupancyReport(reservations, restaurants, from, to);
+  });
+
+  return router;
+}
+
+module.exports = { createReportsRouter };
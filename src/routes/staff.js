@@ -0,0 +1,391 @@
+// -------------------------
+// Staff API (host stand): day's book, seat / no-show / complete, edits, internal notes, waitlist
+// Every route needs "Authorization: Bearer <staff key>" (see src/auth.js). A key tied to a
+// restaurant only sees that restaurant. Every change goes to reservation_audit with its actor.
+// A reservation's detail includes the WhatsApp messages sent about it and their delivery status.
+// GET /staff/calendar lists the iCalendar feed URLs of the key's restaurants (src/calendar.js).
+// Reports live under /staff/reports (src/routes/reports.js).
+// Large parties wait in GET /staff/approvals until a host moves them to CONFIRMED or REJECTED;
+// the guest hears about it on WhatsApp; one that needs a deposit (src/payments.js) goes to
+// PENDING_PAYMENT instead and the guest gets the payment link. The blocklist of phones that cannot book (src/limits.js)
+// is managed under /staff/blocklist with a key for every restaurant.
+// Conversations handed to a person are under /staff/inbox (src/routes/inbox.js).
+// Closures, reduced capacity and special hours are under /staff/exceptions (src/routes/exceptions.js).
+// -------------------------
+const express = require("express");
+const { createStaffAuth } = require("../auth");
+const { isISODate, todayInTimeZone } = require("../dates");
+const { normalizeTime, SEATED_STATUSES } = require("../slots");
+const { feedPath } = require("../calendar");
+const { normalizePhone } = require("../limits");
+const { createReportsRouter } = require("./reports");
+const { createInboxRouter } = require("./inbox");
+const { createExceptionsRouter } = require("./exceptions");
+
+const SERVICES = ["LUNCH", "DINNER"];
+
+// Current status -> the statuses the staff can move it to
+const STAFF_TRANSITIONS = {
+  PENDING_APPROVAL: ["CONFIRMED", "REJECTED"],
+  CONFIRMED: ["SEATED", "NO_SHOW", "COMPLETED"],
+  SEATED: ["COMPLETED"],
+  NO_SHOW: ["SEATED"], // llegó tarde
+};
+
+function partyTotals(rows) {
+  const totals = { reservations: 0, covers: 0, by_status: {} };
+  for (const r of rows) {
+    const s = (totals.by_status[r.status] = totals.by_status[r.status] || { reservations: 0, covers: 0 });
+    s.reservations++;
+    s.covers += r.party_size || 0;
+    if (SEATED_STATUSES.includes(r.status)) {
+      totals.reservations++;
+      totals.covers += r.party_size || 0;
+    }
+  }
+  return totals;
+}
+
+// Delivery of a WhatsApp message about the reservation (without the payload)
+function messageStatus(m) {
+  return {
+    id: m.id,
+    type: m.payload?.type || null,
+    status: m.status,
+    attempts: m.attempts,
+    last_error: m.last_error || null,
+    created_at: m.created_at,
+    sent_at: m.sent_at || null,
+    delivered_at: m.delivered_at || null,
+    read_at: m.read_at || null,
+    failed_at: m.failed_at || null,
+  };
+}
+
+function byServiceTime(a, b) {
+  return (
+    SERVICES.indexOf(a.service) - SERVICES.indexOf(b.service) ||
+    (a.service_time || "").localeCompare(b.service_time || "") ||
+    (a.created_at || "").localeCompare(b.created_at || "")
+  );
+}
+
+// Restaurant from ?restaurant=code, or the key's own restaurant. { restaurant } or { status, error }
+async function resolveRestaurant(req, catalog) {
+  const restaurant = req.query.restaurant
+    ? await catalog.getByCode(req.query.restaurant)
+    : req.staff.key.restaurant_id
+      ? await catalog.getById(req.staff.key.restaurant_id)
+      : null;
+
+  if (!req.query.restaurant && !restaurant) return { status: 400, error: "Missing restaurant" };
+  if (!restaurant || !req.staff.canAccess(restaurant.id)) return { status: 404, error: "Unknown restaurant code" };
+  return { restaurant };
+}
+
+function createStaffRouter({
+  store,
+  catalog,
+  booking,
+  waitlist,
+  customers,
+  events,
+  notices,
+  tenants,
+  config,
+}) {
+  const router = express.Router();
+  router.use("/staff", createStaffAuth({ store }));
+  router.use("/staff/reports", createReportsRouter({ store, catalog, config }));
+  router.use("/staff/inbox", createInboxRouter({ store, tenants }));
+  router.use("/staff/exceptions", createExceptionsRouter({ store, catalog, config }));
+
+  // Loads :id into req.reservation, 404 when missing or outside the key's restaurant
+  async function loadReservation(req, res, next) {
+    let row;
+    try {
+      row = await store.getReservation(req.params.id);
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+    if (!row || !req.staff.canAccess(row.restaurant_id)) {
+      return res.status(404).json({ ok: false, error: "Reservation not found" });
+    }
+    req.reservation = row;
+    return next();
+  }
+
+  function audit(req, entry) {
+    return store.insertAudit({ reservation_id: req.reservation.id, actor: req.staff.actor, ...entry });
+  }
+
+  // The blocklist is for the whole group: 403 for keys tied to one restaurant
+  function requireGroupKey(req, res, next) {
+    if (req.staff.key.restaurant_id) {
+      return res.status(403).json({ ok: false, error: "The blocklist needs a key for every restaurant" });
+    }
+    return next();
+  }
+
+  router.get("/staff/reservations", async (req, res) => {
+    const date = req.query.date || todayInTimeZone(config.timeZone);
+    const service = req.query.service || null;
+
+    if (!isISODate(date) || (service && !SERVICES.includes(service))) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid query params. Use restaurant, date(optional YYYY-MM-DD), service(optional LUNCH|DINNER).",
+      });
+    }
+
+    try {
+      const { restaurant, status, error } = await resolveRestaurant(req, catalog);
+      if (!restaurant) return res.status(status).json({ ok: false, error });
+
+      const rows = (await store.listReservations({ restaurant_id: restaurant.id, from_date: date, to_date: date }))
+        .filter((r) => !service || r.service === service)
+        .sort(byServiceTime);
+
+      return res.json({
+        ok: true,
+        restaurant: restaurant.code,
+        date,
+        service,
+        totals: partyTotals(rows),
+        reservations: rows,
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.get("/staff/reservations/:id", loadReservation, async (req, res) => {
+    try {
+      const audit = await store.listAudit(req.reservation.id);
+      const messages = (await store.listOutboundMessages({ reservation_id: req.reservation.id })).map(messageStatus);
+      const deposits = await store.listPayments({ reservation_id: req.reservation.id });
+      return res.json({ ok: true, reservation: req.reservation, audit, messages, payments: deposits });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.post("/staff/reservations/:id/status", loadReservation, async (req, res) => {
+    const status = req.body?.status;
+    const from = req.reservation.status;
+
+    if (!Object.values(STAFF_TRANSITIONS).flat().includes(status)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid status. Use SEATED, NO_SHOW or COMPLETED (CONFIRMED or REJECTED for pending approvals).",
+      });
+    }
+    if (!(STAFF_TRANSITIONS[from] || []).includes(status)) {
+      return res.status(409).json({ ok: false, reason: "INVALID_TRANSITION", from, to: status });
+    }
+
+    try {
+      let row;
+      let payment = null;
+      if (from === "PENDING_APPROVAL" && status === "CONFIRMED") {
+        // A pending party holds no seats: the room check and the approval are one atomic step
+        const approved = await booking.approveReservation(req.reservation);
+        if (approved.reason === "PAYMENT_UNAVAILABLE") {
+          const error = "Could not create the payment link";
+          return res.status(503).json({ ok: false, reason: approved.reason, error });
+        }
+        if (approved.reason === "RESERVATION_CHANGED") {
+          return res.status(409).json({ ok: false, reason: "STATUS_CHANGED" });
+        }
+        if (!approved.ok) {
+          return res.status(409).json({ ok: false, reason: approved.reason, details: approved.details });
+        }
+        ({ reservation: row, payment } = approved);
+      } else {
+        // expect: when another host changed it meanwhile, their change is not overwritten
+        row = await store.updateReservation(req.reservation.id, { status }, { status: from });
+        if (!row) return res.status(409).json({ ok: false, reason: "STATUS_CHANGED" });
+      }
+
+      await audit(req, { action: "STATUS", from_status: from, to_status: row.status });
+      await customers.recordStatusChange(row, from, row.status);
+      if (from === "PENDING_APPROVAL") {
+        if (status === "REJECTED") await events.recordReservation("CANCELLED", row, "staff");
+        await notices.approvalDecided(row, payment);
+      }
+      return res.json({ ok: true, reservation: row, payment });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Body: any of party, date, service, time ("HH:MM" or null to clear). Only CONFIRMED reservations.
+  // Same policies as a booking (src/booking.js modifyReservation): NEEDS_APPROVAL above the approval
+  // size, and PENDING_PAYMENT (the guest gets the link) when it now needs a deposit.
+  router.patch("/staff/reservations/:id", loadReservation, async (req, res) => {
+    const current = req.reservation;
+    const body = req.body || {};
+
+    const next = {
+      party: body.party !== undefined ? parseInt(body.party, 10) : current.party_size,
+      date: body.date !== undefined ? body.date : current.service_date,
+      service: body.service !== undefined ? body.service : current.service,
+      time:
+        body.time !== undefined
+          ? (body.time ? normalizeTime(body.time) : null)
+          : (current.service_time || "").slice(0, 5) || null,
+    };
+
+    if (
+      Number.isNaN(next.party) ||
+      next.party < 1 ||
+      !isISODate(next.date) ||
+      !SERVICES.includes(next.service) ||
+      (body.time && !next.time)
+    ) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid fields. Optional: party (>= 1), date (YYYY-MM-DD), service (LUNCH|DINNER), time (HH:MM)",
+      });
+    }
+    if (current.status !== "CONFIRMED") {
+      return res.status(409).json({ ok: false, reason: "NOT_EDITABLE", status: current.status });
+    }
+
+    try {
+      const result = await booking.modifyReservation(current, next);
+      if (result.reason === "PAYMENT_UNAVAILABLE") {
+        return res.status(503).json({ ok: false, reason: result.reason, error: "Could not create the payment link" });
+      }
+      if (!result.ok) {
+        return res.status(409).json({ ok: false, reason: result.reason, details: result.details });
+      }
+      if (!Object.keys(result.changes).length) return res.json({ ok: true, reservation: result.reservation });
+
+      const row = result.reservation;
+      await audit(req, { action: "EDIT", from_status: current.status, to_status: row.status, changes: result.changes });
+      // What it leaves free (another date/time, fewer people) goes to the waitlist; with a deposit
+      // pending, only once it is paid (src/payments.js)
+      if (!result.payment) await waitlist.offerFreedSeats(current);
+      // It needs a deposit now: the guest gets the link
+      if (result.payment) await notices.paymentRequested(row, result.payment);
+      return res.json({ ok: true, reservation: row, payment: result.payment });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Feeds to subscribe to from Google Calendar & co., one per restaurant the key can see
+  router.get("/staff/calendar", async (req, res) => {
+    const { secret, publicBaseUrl } = config.calendar;
+    if (!secret) return res.status(404).json({ ok: false, error: "Calendar is disabled (CALENDAR_SECRET)" });
+
+    try {
+      const restaurants = (await catalog.all()).filter((r) => req.staff.canAccess(r.id));
+      const feeds = restaurants.map((r) => ({
+        restaurant: r.code,
+        url: (publicBaseUrl || "") + feedPath(secret, r.code),
+      }));
+      return res.json({ ok: true, feeds });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Queue for a restaurant: WAITING + OFFERED from today on (or ?date=, ?service=, ?status=)
+  router.get("/staff/waitlist", async (req, res) => {
+    const date = req.query.date || null;
+    const service = req.query.service || null;
+    const status = req.query.status ? req.query.status.split(",") : ["WAITING", "OFFERED"];
+
+    if ((date && !isISODate(date)) || (service && !SERVICES.includes(service))) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid query params. Use restaurant, date(optional), service(optional), status(optional, comma list).",
+      });
+    }
+
+    try {
+      const { restaurant, status: httpStatus, error } = await resolveRestaurant(req, catalog);
+      if (!restaurant) return res.status(httpStatus).json({ ok: false, error });
+
+      const entries = await store.listWaitlist({
+        restaurant_id: restaurant.id,
+        status,
+        service,
+        from_date: date || todayInTimeZone(config.timeZone),
+        to_date: date,
+      });
+
+      return res.json({ ok: true, restaurant: restaurant.code, count: entries.length, waitlist: entries });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.post("/staff/reservations/:id/notes", loadReservation, async (req, res) => {
+    const note = (req.body?.note || "").toString().trim();
+    if (!note) return res.status(400).json({ ok: false, error: "Missing note" });
+
+    const entry = { note, author: req.staff.actor, at: new Date().toISOString() };
+    try {
+      const row = await store.updateReservation(req.reservation.id, {
+        internal_notes: [...(req.reservation.internal_notes || []), entry],
+      });
+      await audit(req, { action: "NOTE", changes: { note } });
+      return res.json({ ok: true, reservation: row });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Large parties waiting for a decision, from today on, in the key's restaurants
+  router.get("/staff/approvals", async (req, res) => {
+    try {
+      const rows = await store.listReservations({
+        status: "PENDING_APPROVAL",
+        from_date: todayInTimeZone(config.timeZone),
+      });
+      const pending = rows.filter((r) => req.staff.canAccess(r.restaurant_id));
+      return res.json({ ok: true, count: pending.length, reservations: pending });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.get("/staff/blocklist", requireGroupKey, async (req, res) => {
+    try {
+      return res.json({ ok: true, blocked: await store.listBlockedPhones() });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Body: { phone, reason? }. Blocking again updates the reason.
+  router.post("/staff/blocklist", requireGroupKey, async (req, res) => {
+    const phone = normalizePhone(req.body?.phone);
+    const reason = (req.body?.reason || "").toString().trim() || null;
+    if (phone.length < 6) return res.status(400).json({ ok: false, error: "Missing or invalid phone" });
+
+    try {
+      const row = await store.upsertBlockedPhone({ phone, reason, created_by: req.staff.actor });
+      return res.json({ ok: true, blocked: row });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.delete("/staff/blocklist/:phone", requireGroupKey, async (req, res) => {
+    try {
+      const removed = await store.deleteBlockedPhone(normalizePhone(req.params.phone));
+      if (!removed) return res.status(404).json({ ok: false, error: "Phone not in the blocklist" });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createStaffRouter, STAFF_TRANSITIONS };
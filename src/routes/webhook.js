@@ -0,0 +1,61 @@
+// -------------------------
+// WhatsApp webhook (GET verification + POST receiver)
+// A POST is only taken when the app secret of every tenant it addresses signed it (X-Hub-Signature-256).
+// -------------------------
+const express = require("express");
+const { isValidSignature } = require("../signature");
+const { payloadEvents } = require("../inbound");
+
+function createWebhookRouter({ inbound, tenants }) {
+  const router = express.Router();
+
+  // Without a secret there is no way to tell a POST comes from Meta: that number's events are rejected
+  for (const { tenant } of tenants.all()) {
+    if (!tenant.appSecret) {
+      console.log(`Missing WHATSAPP_APP_SECRET (tenant ${tenant.id}): its webhook POSTs will be rejected`);
+    }
+  }
+
+  // Numbers of different Meta apps sign with different secrets. Every tenant the payload's events go
+  // to (by phone_number_id, like src/inbound.js) must have signed it with its own: one app's secret
+  // can't post messages into another tenant's conversations.
+  function verifyWebhookSignature(req, res, next) {
+    const header = req.get("X-Hub-Signature-256");
+    const signedWith = (secret) => isValidSignature(req.rawBody, header, secret);
+    const addressed = new Set(payloadEvents(req.body).map((e) => tenants.resolve(e.phoneNumberId)).filter(Boolean));
+
+    const valid = addressed.size
+      ? [...addressed].every(({ tenant }) => signedWith(tenant.appSecret))
+      : tenants.appSecrets().some(signedWith);
+    if (!valid) {
+      console.log("WA WEBHOOK: invalid signature");
+      return res.sendStatus(401);
+    }
+    return next();
+  }
+
+  router.get("/webhook", (req, res) => {
+    const mode = req.query["hub.mode"];
+    const token = req.query["hub.verify_token"];
+    const challenge = req.query["hub.challenge"];
+
+    if (mode === "subscribe" && tenants.isVerifyToken(token)) {
+      return res.status(200).send(challenge);
+    }
+    return res.sendStatus(403);
+  });
+
+  // 200 right away; every entry / change / message is handled in the background (src/inbound.js)
+  router.post("/webhook", verifyWebhookSignature, (req, res) => {
+    try {
+      inbound.dispatch(req.body);
+    } catch (e) {
+      console.log("WA WEBHOOK ERROR:", e?.message);
+    }
+    return res.sendStatus(200);
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRouter };
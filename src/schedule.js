@@ -0,0 +1,164 @@
+// -------------------------
+// Schedule exceptions: closures, holidays and special opening hours
+// schedule_exceptions: restaurant_id, service_date, service (null = the whole day), kind, reason
+//   CLOSED    nothing can be booked (a private event, a holiday, ...)
+//   CAPACITY  the service takes at most `capacity` covers (CONFIRMED + holds) instead of capacity_max
+//   HOURS     `hours` ("HH:MM-HH:MM") replace opening_hours: slots outside them are not offered, and a
+//             rule for one service opens more slots when the hours go past the service's first or last slot
+// A rule for the service wins over the one for the whole day. Booking applies them on top of the
+// service, slot and tag checks; the bot tells the guest the reason.
+// -------------------------
+const { isISODate } = require("./dates");
+const { normalizeTime, minutesOf } = require("./slots");
+
+const EXCEPTION_KINDS = ["CLOSED", "CAPACITY", "HOURS"];
+
+// Booking refusals that come from a rule (details.exception has its reason)
+const EXCEPTION_REASONS = ["CLOSED", "REDUCED_CAPACITY"];
+
+// The rule that applies to one date/service (null: a normal day)
+function exceptionFor(rules, date, service) {
+  const sameDay = (rules || []).filter((r) => r.service_date === date);
+  return sameDay.find((r) => r.service === service) || sameDay.find((r) => !r.service) || null;
+}
+
+// "20:00-02:00" -> { start: "20:00", end: "02:00" } (null if it is not a range)
+function parseHours(input) {
+  const [from, to, extra] = (input || "").toString().split("-");
+  if (extra !== undefined) return null;
+
+  const start = /^\s*\d{1,2}:\d{2}\s*$/.test(from || "") ? normalizeTime(from) : null;
+  const end = /^\s*\d{1,2}:\d{2}\s*$/.test(to || "") ? normalizeTime(to) : null;
+  return start && end && start !== end ? { start, end } : null;
+}
+
+// The end counts as open (last seating); past midnight when it ends before it starts
+function withinHours(time, hours) {
+  const range = parseHours(hours);
+  if (!range || !time) return true;
+  if (range.start < range.end) return time >= range.start && time <= range.end;
+  return time >= range.start || time <= range.end;
+}
+
+// Extended hours: slots every this many minutes when the service has a single one
+const DEFAULT_SLOT_STEP_MINUTES = 30;
+
+const slotTimeOf = (sl) => (sl.time || sl.slot_time || "").slice(0, 5);
+const pad = (n) => String(n).padStart(2, "0");
+const timeOf = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+// The slots of one service that a HOURS rule adds before its first slot and after its last one:
+// same step (the shortest gap between two slots) and capacity as the slot they go on from. They stop
+// at midnight.
+function extendedSlots(slots, range) {
+  const sorted = slots.filter((sl) => sl.active !== false).sort((a, b) => slotTimeOf(a).localeCompare(slotTimeOf(b)));
+  if (!sorted.length) return [];
+
+  const times = sorted.map((sl) => minutesOf(slotTimeOf(sl)));
+  const gaps = times.slice(1).map((t, i) => t - times[i]).filter((gap) => gap > 0);
+  const step = gaps.length ? Math.min(...gaps) : DEFAULT_SLOT_STEP_MINUTES;
+  const start = minutesOf(range.start);
+  const end = range.start < range.end ? minutesOf(range.end) : 24 * 60 - 1;
+
+  const extra = [];
+  const add = (minutes, from) =>
+    extra.push({
+      restaurant_id: from.restaurant_id,
+      service: from.service,
+      slot_time: timeOf(minutes),
+      capacity: from.capacity,
+      active: true,
+      extended: true,
+    });
+  for (let t = times[0] - step; t >= start; t -= step) add(t, sorted[0]);
+  for (let t = times[times.length - 1] + step; t <= end; t += step) add(t, sorted[sorted.length - 1]);
+  return extra;
+}
+
+/**
+ * The slots (restaurant_slots rows, of any service) under the rule of one date/service.
+ * HOURS: only the ones inside the hours, plus the extended hours of the rule's service
+ * (a rule for the whole day only hides slots). Other rules: the slots as they are.
+ */
+function slotsWithin(slots, rule) {
+  if (rule?.kind !== "HOURS") return slots;
+
+  const inside = slots.filter((sl) => withinHours(slotTimeOf(sl), rule.hours));
+  const range = parseHours(rule.hours);
+  if (!rule.service || !range) return inside;
+  return inside.concat(extendedSlots(slots.filter((sl) => sl.service === rule.service), range));
+}
+
+// What the guest and the REST API see of a rule
+function exceptionSummary(rule) {
+  return {
+    id: rule.id,
+    kind: rule.kind,
+    service: rule.service || null,
+    capacity: rule.kind === "CAPACITY" ? rule.capacity : null,
+    hours: rule.kind === "HOURS" ? rule.hours : null,
+    reason: rule.reason || null,
+  };
+}
+
+/**
+ * covers: what is already booked and held for that date/service.
+ * Returns null (nothing to check), { ok: true, exception } or
+ * { ok: false, reason: CLOSED | REDUCED_CAPACITY, exception, capacity?, remaining? }.
+ */
+function checkException(rule, covers, party) {
+  if (!rule) return null;
+
+  const exception = exceptionSummary(rule);
+  if (rule.kind === "CLOSED") return { ok: false, reason: "CLOSED", exception };
+  if (rule.kind === "CAPACITY" && covers + party > rule.capacity) {
+    return {
+      ok: false,
+      reason: "REDUCED_CAPACITY",
+      exception,
+      capacity: rule.capacity,
+      remaining: Math.max(0, rule.capacity - covers),
+    };
+  }
+  return { ok: true, exception };
+}
+
+/**
+ * Staff input: { date, service?, kind, capacity?, hours?, reason }.
+ * Returns { ok: true, row } (without restaurant_id) or { ok: false, error }.
+ */
+function parseException(body) {
+  const kind = (body?.kind || "").toString().trim().toUpperCase();
+  const service = body?.service ? body.service.toString().trim().toUpperCase() : null;
+  const reason = (body?.reason ?? "").toString().trim();
+
+  if (!isISODate(body?.date)) return { ok: false, error: "date must be YYYY-MM-DD" };
+  if (service && !["LUNCH", "DINNER"].includes(service)) return { ok: false, error: "service must be LUNCH or DINNER" };
+  if (!EXCEPTION_KINDS.includes(kind)) return { ok: false, error: `kind must be one of ${EXCEPTION_KINDS.join(", ")}` };
+  if (!reason) return { ok: false, error: "reason is required" };
+
+  const row = { service_date: body.date, service, kind, capacity: null, hours: null, reason };
+  if (kind === "CAPACITY") {
+    const capacity = parseInt(body.capacity, 10);
+    if (!Number.isInteger(capacity) || capacity < 0) return { ok: false, error: "capacity must be 0 or more" };
+    row.capacity = capacity;
+  }
+  if (kind === "HOURS") {
+    const range = parseHours(body.hours);
+    if (!range) return { ok: false, error: "hours must be HH:MM-HH:MM" };
+    row.hours = `${range.start}-${range.end}`;
+  }
+  return { ok: true, row };
+}
+
+module.exports = {
+  EXCEPTION_KINDS,
+  EXCEPTION_REASONS,
+  exceptionFor,
+  parseHours,
+  withinHours,
+  slotsWithin,
+  exceptionSummary,
+  checkException,
+  parseException,
+};
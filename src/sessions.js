@@ -0,0 +1,127 @@
+// -------------------------
+// Session expiry
+// chat_sessions.updated_at is the guest's last activity. After ttlMinutes without messages a
+// session is stale: the next message gets "¿Seguimos donde quedamos?" (ASK_RESUME in src/bot.js)
+// instead of being read as an answer to a three-week-old question. After abandonHours the
+// periodic sweep clears it back to IDLE and records the step it was dropped at (session_dropoffs).
+// -------------------------
+
+// Steps the bot can ask again on "Continuar"; the rest (pick lists, language picker) start over
+const RESUMABLE_STATES = [
+  "ASK_NAME",
+  "ASK_REPEAT",
+  "ASK_RESTAURANT",
+  "ASK_PARTY_SIZE",
+  "ASK_DATE",
+  "ASK_SERVICE",
+  "ASK_TIME",
+  "ASK_NOTES",
+  "CONFIRM_RESERVATION",
+  "ASK_MODIFY_FIELD",
+  "CONFIRM_MODIFY",
+];
+
+// The session columns of a conversation in progress (what resetSession clears)
+const SESSION_FIELDS = {
+  state: "IDLE",
+  restaurant_code: null,
+  party_size: null,
+  service_date: null,
+  service: null,
+  service_time: null,
+  notes: null,
+  tags: null,
+  cancel_ids: null,
+  waitlist_id: null,
+  modify_id: null,
+  resume_state: null,
+};
+
+// The step the guest was at: ASK_RESUME keeps it in resume_state
+function droppedState(session) {
+  return session.state === "ASK_RESUME" ? session.resume_state : session.state;
+}
+
+function createSessionExpiry({ store, config }) {
+  const { ttlMinutes, abandonHours, intervalMs } = config.sessions;
+
+  let timer = null;
+  let running = false;
+
+  function inactiveMs(session, now) {
+    const last = new Date(session.updated_at).getTime();
+    return Number.isNaN(last) ? 0 : now.getTime() - last;
+  }
+
+  // WAITLIST_OFFER and HUMAN do not expire here: the offer has its offer_expires_at, the handoff its timeout
+  function isStale(session, now = new Date()) {
+    if (!session || ["IDLE", "WAITLIST_OFFER", "HUMAN"].includes(session.state)) return false;
+    return inactiveMs(session, now) > ttlMinutes * 60 * 1000;
+  }
+
+  // reason: EXPIRED (sweep, stale step that cannot resume) | RESTARTED (the guest chose "Empezar de nuevo")
+  // Best effort: a failed insert is logged and never breaks the conversation
+  async function recordDropoff(session, reason) {
+    const row = {
+      wa_id: session.wa_id,
+      state: droppedState(session),
+      reason,
+      restaurant_code: session.restaurant_code || null,
+      party_size: session.party_size || null,
+      service_date: session.service_date || null,
+      service: session.service || null,
+      modify_id: session.modify_id || null,
+      last_activity_at: session.updated_at || null,
+    };
+    return store.insertSessionDropoff(row).catch((e) => {
+      console.log("Session dropoff error:", session.wa_id, e?.message);
+      return null;
+    });
+  }
+
+  /**
+   * Periodic sweep: sessions idle for abandonHours go back to IDLE (language kept), one
+   * session_dropoffs row each. The update expects the same updated_at, so a guest that
+   * writes while the sweep runs keeps their conversation.
+   */
+  async function tick(now = new Date()) {
+    if (running) return { skipped: true };
+    running = true;
+
+    let cleared = 0;
+    try {
+      const before = new Date(now.getTime() - abandonHours * 60 * 60 * 1000).toISOString();
+      const stale = await store.listSessions({ not_state: "IDLE", updated_before: before });
+
+      for (const session of stale) {
+        if (session.state === "HUMAN") continue; // lo devuelve al bot src/handoff.js
+        const row = await store.updateSession(session.wa_id, SESSION_FIELDS, { updated_at: session.updated_at });
+        if (!row) continue;
+
+        cleared++;
+        await recordDropoff(session, "EXPIRED");
+      }
+    } catch (e) {
+      console.log("Session sweep error:", e?.message);
+    } finally {
+      running = false;
+    }
+
+    return { cleared };
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => tick(), intervalMs);
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { isStale, recordDropoff, tick, start, stop };
+}
+
+module.exports = { createSessionExpiry, droppedState, RESUMABLE_STATES, SESSION_FIELDS };
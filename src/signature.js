@@ -0,0 +1,21 @@
+const crypto = require("crypto");
+
+// -------------------------
+// Meta webhook signatures
+// X-Hub-Signature-256: "sha256=<hex HMAC-SHA256 of the raw body, keyed with the app secret>"
+// -------------------------
+function computeSignature(rawBody, appSecret) {
+  return "sha256=" + crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex");
+}
+
+function isValidSignature(rawBody, header, appSecret) {
+  if (!rawBody || !header || !appSecret) return false;
+
+  const expected = Buffer.from(computeSignature(rawBody, appSecret));
+  const received = Buffer.from(String(header));
+  if (expected.length !== received.length) return false;
+
+  return crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = { computeSignature, isValidSignature };
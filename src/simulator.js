@@ -0,0 +1,116 @@
+// -------------------------
+// Chat simulator: talk to the bot from the terminal (npm run simulate)
+// The real conversation (src/bot.js + src/flow.js) on a memory store with demo restaurants and a
+// fake WhatsApp transport: no Supabase, no Meta, no HTTP server. Sessions live until you quit.
+//   /state          the session step and what it has collected so far
+//   /phone <number> write as another guest (default 5491100000000)
+//   /quit           (or Ctrl+D)
+// -------------------------
+const readline = require("readline");
+const { createApp } = require("./app");
+const { loadConfig } = require("./config");
+const { createMemoryStore } = require("./storage");
+const { createFakeTransport, payloadText } = require("./whatsapp");
+
+const DEMO_PHONE = "5491100000000";
+
+const DEMO_RESTAURANTS = [
+  { id: "r-demo-parrilla", code: "parrilla", name: "La Parrilla", emoji: "🥩", capacity_max: 40, sort_order: 1 },
+  {
+    id: "r-demo-pasta",
+    code: "pasta",
+    name: "Casa Pasta",
+    emoji: "🍝",
+    aliases: ["casa pasta"],
+    capacity_max: 20,
+    sort_order: 2,
+  },
+];
+
+/**
+ * seed: memory store rows (default: the demo restaurants); env: like process.env (src/config.js).
+ * say(text, { phone, kind }) -> the text of each reply the bot sent.
+ */
+function createSimulator({ seed = {}, env = process.env } = {}) {
+  const config = loadConfig(env);
+  const store = createMemoryStore({ restaurants: DEMO_RESTAURANTS, ...seed });
+  const transport = createFakeTransport();
+  const { tenants } = createApp({ store, transportFor: () => transport, config });
+  const { bot, tenant } = tenants.all()[0];
+
+  let seq = 0;
+  let phone = DEMO_PHONE;
+
+  async function say(text, { from = phone, kind = "text" } = {}) {
+    const before = transport.sent.length;
+    await bot.handleMessage({ id: `sim.${++seq}`, from, text, kind, profileName: "Simulator" });
+    return transport.sent.slice(before).map(payloadText);
+  }
+
+  async function session(from = phone) {
+    return store.getSession(from);
+  }
+
+  return {
+    store,
+    tenant,
+    say,
+    session,
+    phone: () => phone,
+    setPhone: (next) => {
+      phone = next;
+    },
+  };
+}
+
+// -------------------------
+// CLI
+// -------------------------
+async function main() {
+  const sim = createSimulator();
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: process.stdin.isTTY,
+  });
+  const print = (lines) => lines.forEach((line) => console.log(`\n🤖 ${line.replace(/\n/g, "\n   ")}`));
+
+  console.log(`Chat simulator (${sim.tenant.id}). Write like a guest; /state, /phone <number>, /quit.`);
+  rl.setPrompt(`\n${sim.phone()}> `);
+  rl.prompt();
+
+  // One at a time and in order, even when the text arrives all at once (stdin from a file)
+  let queue = Promise.resolve();
+  rl.on("line", (line) => {
+    queue = queue.then(async () => {
+      const input = line.trim();
+      if (!input) return rl.prompt();
+      if (input === "/quit") return rl.close();
+
+      if (input === "/state") {
+        const current = await sim.session();
+        console.log(JSON.stringify(current, null, 2));
+      } else if (input.startsWith("/phone")) {
+        const next = input.split(/\s+/)[1];
+        if (next) sim.setPhone(next);
+        console.log(`Guest: ${sim.phone()}`);
+        rl.setPrompt(`\n${sim.phone()}> `);
+      } else {
+        print(await sim.say(input));
+      }
+      rl.prompt();
+    });
+  });
+  rl.on("close", () => {
+    queue.then(() => console.log("\nBye."));
+  });
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { createSimulator, DEMO_RESTAURANTS };
@@ -0,0 +1,109 @@
+// -------------------------
+// Time slots within LUNCH / DINNER
+// restaurant_slots: restaurant_id, service, slot_time ("HH:MM"), capacity, active
+// A restaurant without slots for a service keeps working at service level (time = null).
+// -------------------------
+
+// Reservations whose covers fill the room: confirmed, at the table or done (cancelled / no-show are free)
+const SEATED_STATUSES = ["CONFIRMED", "SEATED", "COMPLETED"];
+
+// "20", "20hs" -> "20:00"; "20.30", "2030", "20:30" -> "20:30"; "a las 8:30" -> "08:30", as written:
+// there is no guessing of the afternoon (null if not a time)
+function normalizeTime(input) {
+  const s = (input || "").toString().trim().toLowerCase();
+  const m = s.match(/(\d{1,2})(?:[:.h]?(\d{2}))?\s*(?:hs|h|horas)?\b/);
+  if (!m) return null;
+
+  const hh = parseInt(m[1], 10);
+  const mm = m[2] ? parseInt(m[2], 10) : 0;
+  if (hh > 23 || mm > 59) return null;
+  return `${String(hh).padStart(2, "0")}:${String(mm).padStart(2, "0")}`;
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(":").map((n) => parseInt(n, 10));
+  return h * 60 + m;
+}
+
+// DB `time` columns come back as "20:30:00"
+function slotTime(slot) {
+  return (slot.slot_time || "").slice(0, 5);
+}
+
+/**
+ * bookings: rows with service_time + party_size (SEATED_STATUSES and holds) for one date/service.
+ * Returns slots sorted by time with { time, capacity, booked, remaining }.
+ */
+function slotOccupancy(slots, bookings) {
+  const bookedByTime = {};
+  for (const b of bookings || []) {
+    const t = (b.service_time || "").slice(0, 5);
+    if (!t) continue;
+    bookedByTime[t] = (bookedByTime[t] || 0) + (b.party_size || 0);
+  }
+
+  return (slots || [])
+    .filter((s) => s.active !== false)
+    .map((s) => {
+      const time = slotTime(s);
+      const booked = bookedByTime[time] || 0;
+      return { time, capacity: s.capacity, booked, remaining: Math.max(0, s.capacity - booked) };
+    })
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+function openSlots(occupancy, party) {
+  return occupancy.filter((s) => s.remaining >= party);
+}
+
+// Open slots ordered by distance to the requested time (ties: earlier first)
+function nearestOpenSlots(occupancy, party, time) {
+  const open = openSlots(occupancy, party);
+  if (!time) return open;
+
+  const target = minutesOf(time);
+  return open
+    .filter((s) => s.time !== time)
+    .sort((a, b) => {
+      const da = Math.abs(minutesOf(a.time) - target);
+      const db = Math.abs(minutesOf(b.time) - target);
+      return da - db || a.time.localeCompare(b.time);
+    });
+}
+
+/**
+ * Slot-level check for one reservation. `occupancy` comes from slotOccupancy().
+ * Returns null when the service has no slots (nothing to check at slot level).
+ */
+function checkSlot(occupancy, time, party) {
+  if (!occupancy.length) return null;
+  if (!time) return { ok: false, reason: "TIME_REQUIRED" };
+
+  const slot = occupancy.find((s) => s.time === time);
+  if (!slot) return { ok: false, reason: "UNKNOWN_SLOT", time };
+  if (slot.remaining < party) {
+    return { ok: false, reason: "SLOT_FULL", time, slot_capacity: slot.capacity, slot_remaining: slot.remaining };
+  }
+  return { ok: true, time, slot_capacity: slot.capacity, slot_remaining: slot.remaining };
+}
+
+// Guest answer in ASK_TIME: the number shown in the list or a time ("21", "21:30")
+function matchSlot(open, input) {
+  const s = (input || "").toString().trim();
+  if (/^\d{1,2}$/.test(s) && parseInt(s, 10) >= 1 && parseInt(s, 10) <= open.length) {
+    return open[parseInt(s, 10) - 1].time;
+  }
+  const time = normalizeTime(s);
+  return time && open.some((o) => o.time === time) ? time : null;
+}
+
+module.exports = {
+  SEATED_STATUSES,
+  normalizeTime,
+  minutesOf,
+  slotOccupancy,
+  openSlots,
+  nearestOpenSlots,
+  checkSlot,
+  matchSlot,
+};
@@ -0,0 +1,101 @@
+// -------------------------
+// Storage
+// Every read/write the app does goes through a store with this shape:
+//
+// Sessions (chat_sessions, one per tenant and wa_id; tenant_id defaults to "default", see src/tenants.js)
+//   getSession(wa_id, tenant_id?)           -> row | null
+//   upsertSession(wa_id, patch, tenant_id?) -> row (updated_at = now)
+//   updateSession(wa_id, patch, expect?, tenant_id?)
+//                                           -> updated row (updated_at = now) | null (expect as in updateReservation)
+//   listSessions(filter)                    -> rows ordered by updated_at asc
+//        filter: { tenant_id, not_state, updated_before }
+//   insertSessionDropoff(row)               -> row (session_dropoffs: where an abandoned conversation stopped)
+//   listSessionDropoffs(filter)             -> rows ordered by created_at
+//        filter: { tenant_id, wa_id, state, from, to }  (from / to: created_at ISO timestamps)
+// Inbound idempotency (processed_messages)
+//   claimInboundMessage(message_id, wa_id)  -> true first time, false on redelivery
+//   releaseInboundMessage(message_id)       -> undefined (handling failed: the redelivery is handled again)
+// Customers (customers, keyed by phone = wa_id)
+//   getCustomer(phone)                      -> row | null
+//   upsertCustomer(phone, patch)            -> row (updated_at = now)
+// Restaurants (restaurants, restaurant_slots)
+//   listRestaurants()                       -> rows ordered by sort_order, name
+//   listSlots(restaurant_id)                -> rows ordered by slot_time
+// Reservations
+//   insertReservation(row)                  -> row (with id)
+//   bookReservation(row, { holdId, idempotencyKey })
+//                                           -> { ok: true, reservation, replayed } | { ok: false, reason, ... }
+//        re-checks the schedule exceptions (CLOSED / REDUCED_CAPACITY, see src/schedule.js), service +
+//        slot capacity and the tag pools (TAG_FULL, see src/tags.js) and inserts as one atomic step
+//        (book_reservation RPC); PENDING_PAYMENT reservations count as holds until their payment_expires_at;
+//        a known idempotencyKey returns its reservation with replayed: true
+//   modifyReservation(id, patch, expect?)   -> { ok: true, reservation } | { ok: false, reason, ... }
+//        party_size / service_date / service / service_time (and status, reminder_sent_at, payment_expires_at,
+//        previous_booking)
+//        with the same checks as bookReservation, leaving the reservation out of the counts, and the update
+//        as one atomic step (modify_reservation RPC); RESERVATION_CHANGED when `expect` (values as they are)
+//        no longer matches. Approving a PENDING_APPROVAL reservation is a status-only patch of this kind
+//   getReservation(id)                      -> row | null
+//   updateReservation(id, patch, expect?)   -> updated row | null
+//        expect: { column: value } that must match for the update to apply (null = "is null", an array = one of)
+//   listReservations(filter)                -> rows ordered by service_date asc, created_at desc
+//        filter: { restaurant_id (one or an array), customer_phone, status (one or an array), from_date, to_date,
+//                  reminder_pending, idempotency_key, limit }
+// Staff (staff_api_keys, reservation_audit)
+//   findStaffKey(key_hash)                  -> row | null
+//   insertAudit(row)                        -> row
+//   listAudit(reservation_id)               -> rows ordered by created_at
+// Waitlist (waitlist_entries)
+//   insertWaitlistEntry(row)                -> row
+//   getWaitlistEntry(id)                    -> row | null
+//   updateWaitlistEntry(id, patch, expect?) -> updated row | null (expect as in updateReservation)
+//   listWaitlist(filter)                    -> rows ordered by created_at asc (queue order)
+//        filter: { restaurant_id, wa_id, status (one or an array), service, from_date, to_date }
+// Outbound queue (outbound_messages)
+//   insertOutboundMessage(row)              -> row (with id)
+//   updateOutboundMessage(id, patch, expect?) -> updated row (updated_at = now) | null (expect as in updateReservation)
+//   listOutboundMessages(filter)            -> rows ordered by created_at asc
+//        filter: { tenant_id, status (one or a list), wa_id, wa_message_id, reservation_id,
+//                  due_before (next_attempt_at <=), updated_before (updated_at <), created_before (created_at <),
+//                  limit }
+// Conversation events (conversation_events, see src/events.js)
+//   insertEvent(row)                        -> row (with id, created_at)
+//   listEvents(filter)                      -> rows ordered by created_at
+//        filter: { type (one or an array), wa_id, from, to }  (from / to: created_at ISO timestamps)
+// Blocklist (blocked_phones, keyed by phone: digits only, see src/limits.js)
+//   getBlockedPhone(phone)                  -> row | null
+//   upsertBlockedPhone(row)                 -> row ({ phone, reason, created_by })
+//   deleteBlockedPhone(phone)               -> true when it was there
+//   listBlockedPhones()                     -> rows ordered by created_at
+// Human handoff (handoffs, conversation_messages, see src/handoff.js)
+//   insertHandoff(row)                      -> row (with id, opened_at)
+//   getHandoff(id)                          -> row | null
+//   updateHandoff(id, patch, expect?)       -> updated row | null (expect as in updateReservation)
+//   listHandoffs(filter)                    -> rows ordered by opened_at
+//        filter: { tenant_id, wa_id, status (one or an array), last_message_before }
+//   insertConversationMessage(row)          -> row (with id, created_at)
+//   listConversationMessages(filter)        -> rows ordered by created_at
+//        filter: { tenant_id, wa_id, handoff_id, from, to }  (created_at ISO timestamps, both inclusive)
+// Payments (payments: deposit links, see src/payments.js)
+//   insertPayment(row)                      -> row (with id, created_at)
+//   getPayment(id)                          -> row | null
+//   updatePayment(id, patch, expect?)       -> updated row | null (expect as in updateReservation)
+//   listPayments(filter)                    -> rows ordered by created_at
+//        filter: { reservation_id, provider_ref, status (one or an array), expires_before (expires_at <=) }
+// Schedule exceptions (schedule_exceptions: closures, reduced capacity, special hours, see src/schedule.js)
+//   insertScheduleException(row)            -> row (with id, created_at) | null when the restaurant already
+//                                              has one for that date and service (null service = whole day)
+//   getScheduleException(id)                -> row | null
+//   deleteScheduleException(id)             -> true when it was there
+//   listScheduleExceptions(filter)          -> rows ordered by service_date, whole-day rules first
+//        filter: { restaurant_id (one or an array), from_date, to_date }
+// Availability (check_availability / suggest_alternatives RPCs)
+//   checkAvailability({ restaurant, date, service, party })        -> { ok, reason, ... } | null
+//   suggestAlternatives({ restaurant, date, service, party, days }) -> [{ service_date, service }]
+//
+// Errors are thrown (Supabase errors as-is).
+// -------------------------
+const { createSupabaseStore } = require("./supabase");
+const { createMemoryStore } = require("./memory");
+
+module.exports = { createSupabaseStore, createMemoryStore };
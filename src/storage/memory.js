@@ -0,0 +1,795 @@
+// -------------------------
+// In-memory store (tests, simulator, local dev)
+// Same interface as the Supabase store. checkAvailability / suggestAlternatives
+// reproduce the check_availability / suggest_alternatives RPCs:
+//   - capacity is restaurants.capacity_max per service (LUNCH / DINNER) and day
+//   - booked = sum of party_size of CONFIRMED / SEATED / COMPLETED reservations (SEATED_STATUSES) for that
+//     restaurant, date and service: a party at the table still takes its seats
+//   - ok when booked + party <= capacity_max
+//   - alternatives: every date/service from `date` to `date + days` (requested one excluded)
+//     that still fits the party, ordered by date then LUNCH before DINNER
+// bookReservation / modifyReservation reproduce book_reservation / modify_reservation: the checks
+// (schedule exceptions, service, slot, tag pools) and the write run with no await in between, which is
+// as atomic as the lock in Postgres.
+// -------------------------
+const crypto = require("crypto");
+const { addDays } = require("../dates");
+const { DEFAULT_TENANT_ID } = require("../tenants");
+const { tagOccupancy, checkTags } = require("../tags");
+const { SEATED_STATUSES } = require("../slots");
+const { exceptionFor, checkException, slotsWithin, withinHours, exceptionSummary } = require("../schedule");
+
+const SERVICES = ["LUNCH", "DINNER"];
+
+function clone(row) {
+  return row ? JSON.parse(JSON.stringify(row)) : null;
+}
+
+// chat_sessions key: one conversation per tenant and guest
+function sessionKey(tenant_id, wa_id) {
+  return `${tenant_id}:${wa_id}`;
+}
+
+function matches(row, expect) {
+  return Object.entries(expect).every(([column, value]) => {
+    if (value === null) return row[column] === null || row[column] === undefined;
+    return Array.isArray(value) ? value.includes(row[column]) : row[column] === value;
+  });
+}
+
+// Trigger reservations_calendar_sequence: the invite's SEQUENCE goes up when the date, service or time change
+function withCalendarSequence(row, patch) {
+  const moved = ["service_date", "service", "service_time"].some((c) => c in patch && patch[c] !== row[c]);
+  return moved ? { ...patch, calendar_sequence: (row.calendar_sequence || 0) + 1 } : patch;
+}
+
+function createMemoryStore(seed = {}) {
+  const db = {
+    sessions: new Map(),
+    processedMessages: new Set(),
+    restaurants: [],
+    slots: [],
+    reservations: [],
+    staffKeys: [],
+    audit: [],
+    waitlist: [],
+    customers: new Map(),
+    dropoffs: [],
+    outbound: [],
+    events: [],
+    blockedPhones: new Map(),
+    handoffs: [],
+    conversation: [],
+    payments: [],
+    scheduleExceptions: [],
+  };
+
+  let createdSeq = 0;
+
+  function nextCreatedAt() {
+    // Monotonic, so the created_at order is stable even when two inserts land in the same ms
+    createdSeq++;
+    return new Date(Date.now() + createdSeq).toISOString();
+  }
+
+  function seedData({
+    restaurants = [],
+    slots = [],
+    reservations = [],
+    sessions = [],
+    staffKeys = [],
+    waitlist = [],
+    customers = [],
+    blockedPhones = [],
+    scheduleExceptions = [],
+  }) {
+    for (const r of restaurants) {
+      db.restaurants.push({
+        id: r.id || crypto.randomUUID(),
+        aliases: [],
+        request_tags: [],
+        opening_hours: {},
+        active: true,
+        sort_order: 0,
+        ...r,
+      });
+    }
+    for (const s of slots) {
+      db.slots.push({ id: s.id || crypto.randomUUID(), active: true, ...s });
+    }
+    for (const r of reservations) {
+      db.reservations.push({
+        id: r.id || crypto.randomUUID(),
+        status: "CONFIRMED",
+        service_time: null,
+        notes: null,
+        tags: [],
+        created_at: nextCreatedAt(),
+        ...r,
+      });
+    }
+    for (const s of sessions) {
+      const tenant_id = s.tenant_id || DEFAULT_TENANT_ID;
+      db.sessions.set(sessionKey(tenant_id, s.wa_id), { ...s, tenant_id });
+    }
+    for (const k of staffKeys) {
+      db.staffKeys.push({ id: k.id || crypto.randomUUID(), restaurant_id: null, active: true, ...k });
+    }
+    for (const c of customers) {
+      db.customers.set(c.phone, { visit_count: 0, no_show_count: 0, party_size_counts: {}, ...c });
+    }
+    for (const w of waitlist) {
+      db.waitlist.push({
+        id: w.id || crypto.randomUUID(),
+        status: "WAITING",
+        notes: null,
+        tags: [],
+        created_at: nextCreatedAt(),
+        ...w,
+      });
+    }
+    for (const b of blockedPhones) {
+      db.blockedPhones.set(b.phone, { reason: null, created_by: null, created_at: nextCreatedAt(), ...b });
+    }
+    for (const x of scheduleExceptions) {
+      db.scheduleExceptions.push(exceptionRow(x));
+    }
+  }
+
+  seedData(seed);
+
+  function restaurantByCode(code) {
+    return db.restaurants.find((r) => r.code === code) || null;
+  }
+
+  // OFFERED waitlist entries and unpaid deposits that still hold seats (exceptId: the offer being claimed)
+  function activeHolds(restaurant_id, date, service, exceptId) {
+    const now = Date.now();
+    const offers = db.waitlist.filter(
+      (w) =>
+        w.restaurant_id === restaurant_id &&
+        w.service_date === date &&
+        w.service === service &&
+        w.status === "OFFERED" &&
+        w.id !== exceptId &&
+        new Date(w.offer_expires_at).getTime() > now
+    );
+    const deposits = db.reservations.filter(
+      (r) =>
+        r.restaurant_id === restaurant_id &&
+        r.service_date === date &&
+        r.service === service &&
+        r.status === "PENDING_PAYMENT" &&
+        new Date(r.payment_expires_at).getTime() > now
+    );
+    return offers.concat(deposits);
+  }
+
+  function bookedCovers(restaurant_id, date, service) {
+    return db.reservations
+      .filter(
+        (r) =>
+          r.restaurant_id === restaurant_id &&
+          r.service_date === date &&
+          r.service === service &&
+          SEATED_STATUSES.includes(r.status)
+      )
+      .reduce((sum, r) => sum + (r.party_size || 0), 0);
+  }
+
+  async function getSession(wa_id, tenant_id = DEFAULT_TENANT_ID) {
+    return clone(db.sessions.get(sessionKey(tenant_id, wa_id))) || null;
+  }
+
+  async function upsertSession(wa_id, patch, tenant_id = DEFAULT_TENANT_ID) {
+    const key = sessionKey(tenant_id, wa_id);
+    const row = { ...(db.sessions.get(key) || {}), tenant_id, wa_id, ...patch, updated_at: new Date().toISOString() };
+    db.sessions.set(key, row);
+    return clone(row);
+  }
+
+  async function updateSession(wa_id, patch, expect = {}, tenant_id = DEFAULT_TENANT_ID) {
+    const row = db.sessions.get(sessionKey(tenant_id, wa_id));
+    if (!row || !matches(row, expect)) return null;
+
+    Object.assign(row, patch, { updated_at: new Date().toISOString() });
+    return clone(row);
+  }
+
+  async function listSessions(filter = {}) {
+    return [...db.sessions.values()]
+      .filter((s) => !filter.tenant_id || s.tenant_id === filter.tenant_id)
+      .filter((s) => !filter.not_state || s.state !== filter.not_state)
+      .filter((s) => !filter.updated_before || (s.updated_at || "") < filter.updated_before)
+      .sort((a, b) => (a.updated_at || "").localeCompare(b.updated_at || ""))
+      .map(clone);
+  }
+
+  async function insertSessionDropoff(row) {
+    const saved = { id: crypto.randomUUID(), tenant_id: DEFAULT_TENANT_ID, created_at: nextCreatedAt(), ...row };
+    db.dropoffs.push(saved);
+    return clone(saved);
+  }
+
+  async function listSessionDropoffs(filter = {}) {
+    return db.dropoffs
+      .filter((d) => !filter.tenant_id || d.tenant_id === filter.tenant_id)
+      .filter((d) => !filter.wa_id || d.wa_id === filter.wa_id)
+      .filter((d) => !filter.state || d.state === filter.state)
+      .filter((d) => !filter.from || d.created_at >= filter.from)
+      .filter((d) => !filter.to || d.created_at < filter.to)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(clone);
+  }
+
+  async function getCustomer(phone) {
+    return clone(db.customers.get(phone)) || null;
+  }
+
+  async function upsertCustomer(phone, patch) {
+    const existing = db.customers.get(phone) || {
+      visit_count: 0,
+      no_show_count: 0,
+      party_size_counts: {},
+      created_at: new Date().toISOString(),
+    };
+    const row = { ...existing, phone, ...patch, updated_at: new Date().toISOString() };
+    db.customers.set(phone, row);
+    return clone(row);
+  }
+
+  async function claimInboundMessage(message_id) {
+    if (db.processedMessages.has(message_id)) return false;
+    db.processedMessages.add(message_id);
+    return true;
+  }
+
+  async function releaseInboundMessage(message_id) {
+    db.processedMessages.delete(message_id);
+  }
+
+  async function listRestaurants() {
+    return db.restaurants
+      .slice()
+      .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0) || (a.name || "").localeCompare(b.name || ""))
+      .map(clone);
+  }
+
+  async function listSlots(restaurant_id) {
+    return db.slots
+      .filter((s) => s.restaurant_id === restaurant_id)
+      .sort((a, b) => a.slot_time.localeCompare(b.slot_time))
+      .map(clone);
+  }
+
+  async function insertReservation(row) {
+    const saved = {
+      id: crypto.randomUUID(),
+      created_at: nextCreatedAt(),
+      service_time: null,
+      notes: null,
+      tags: [],
+      internal_notes: [],
+      ...row,
+    };
+    db.reservations.push(saved);
+    return clone(saved);
+  }
+
+  async function getReservation(id) {
+    return clone(db.reservations.find((r) => r.id === id));
+  }
+
+  async function updateReservation(id, patch, expect = {}) {
+    const row = db.reservations.find((r) => r.id === id);
+    if (!row || !matches(row, expect)) return null;
+
+    Object.assign(row, withCalendarSequence(row, patch));
+    return clone(row);
+  }
+
+  async function listReservations(filter = {}) {
+    const rows = db.reservations
+      .filter((r) => !filter.restaurant_id || [].concat(filter.restaurant_id).includes(r.restaurant_id))
+      .filter((r) => !filter.customer_phone || r.customer_phone === filter.customer_phone)
+      .filter((r) => !filter.status || [].concat(filter.status).includes(r.status))
+      .filter((r) => !filter.from_date || r.service_date >= filter.from_date)
+      .filter((r) => !filter.to_date || r.service_date <= filter.to_date)
+      .filter((r) => !filter.reminder_pending || !r.reminder_sent_at)
+      .filter((r) => !filter.idempotency_key || r.idempotency_key === filter.idempotency_key)
+      .sort((a, b) => a.service_date.localeCompare(b.service_date) || b.created_at.localeCompare(a.created_at));
+
+    return (filter.limit ? rows.slice(0, filter.limit) : rows).map(clone);
+  }
+
+  async function findStaffKey(key_hash) {
+    return clone(db.staffKeys.find((k) => k.key_hash === key_hash));
+  }
+
+  async function insertAudit(row) {
+    const saved = { id: crypto.randomUUID(), created_at: nextCreatedAt(), ...row };
+    db.audit.push(saved);
+    return clone(saved);
+  }
+
+  async function listAudit(reservation_id) {
+    return db.audit
+      .filter((a) => a.reservation_id === reservation_id)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(clone);
+  }
+
+  async function insertWaitlistEntry(row) {
+    const saved = {
+      id: crypto.randomUUID(),
+      status: "WAITING",
+      service_time: null,
+      notes: null,
+      tags: [],
+      created_at: nextCreatedAt(),
+      ...row,
+    };
+    db.waitlist.push(saved);
+    return clone(saved);
+  }
+
+  async function getWaitlistEntry(id) {
+    return clone(db.waitlist.find((w) => w.id === id));
+  }
+
+  async function updateWaitlistEntry(id, patch, expect = {}) {
+    const row = db.waitlist.find((w) => w.id === id);
+    if (!row || !matches(row, expect)) return null;
+
+    Object.assign(row, patch);
+    return clone(row);
+  }
+
+  async function listWaitlist(filter = {}) {
+    const statuses = filter.status ? [].concat(filter.status) : null;
+    return db.waitlist
+      .filter((w) => !filter.restaurant_id || w.restaurant_id === filter.restaurant_id)
+      .filter((w) => !filter.wa_id || w.wa_id === filter.wa_id)
+      .filter((w) => !statuses || statuses.includes(w.status))
+      .filter((w) => !filter.service || w.service === filter.service)
+      .filter((w) => !filter.from_date || w.service_date >= filter.from_date)
+      .filter((w) => !filter.to_date || w.service_date <= filter.to_date)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(clone);
+  }
+
+  function serviceAvailability(r, date, service, party) {
+    const booked = bookedCovers(r.id, date, service);
+    const remaining = r.capacity_max - booked;
+    if (party > remaining) {
+      return { ok: false, reason: "NO_CAPACITY", capacity_max: r.capacity_max, booked, remaining };
+    }
+    return { ok: true, reason: null, capacity_max: r.capacity_max, booked, remaining };
+  }
+
+  async function insertOutboundMessage(row) {
+    const now = nextCreatedAt();
+    const saved = {
+      id: crypto.randomUUID(),
+      tenant_id: DEFAULT_TENANT_ID,
+      attempts: 0,
+      created_at: now,
+      updated_at: now,
+      ...row,
+    };
+    db.outbound.push(saved);
+    return clone(saved);
+  }
+
+  async function updateOutboundMessage(id, patch, expect = {}) {
+    const row = db.outbound.find((m) => m.id === id);
+    if (!row || !matches(row, expect)) return null;
+
+    Object.assign(row, clone(patch), { updated_at: new Date().toISOString() });
+    return clone(row);
+  }
+
+  async function listOutboundMessages(filter = {}) {
+    const rows = db.outbound
+      .filter((m) => !filter.tenant_id || m.tenant_id === filter.tenant_id)
+      .filter((m) => !filter.status || [].concat(filter.status).includes(m.status))
+      .filter((m) => !filter.wa_id || m.wa_id === filter.wa_id)
+      .filter((m) => !filter.wa_message_id || m.wa_message_id === filter.wa_message_id)
+      .filter((m) => !filter.reservation_id || m.reservation_id === filter.reservation_id)
+      .filter((m) => !filter.due_before || m.next_attempt_at <= filter.due_before)
+      .filter((m) => !filter.updated_before || m.updated_at < filter.updated_before)
+      .filter((m) => !filter.created_before || m.created_at < filter.created_before)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    return (filter.limit ? rows.slice(0, filter.limit) : rows).map(clone);
+  }
+
+  async function insertEvent(row) {
+    const saved = { id: crypto.randomUUID(), tenant_id: null, data: null, created_at: nextCreatedAt(), ...row };
+    db.events.push(saved);
+    return clone(saved);
+  }
+
+  async function listEvents(filter = {}) {
+    const types = [].concat(filter.type || []);
+    return db.events
+      .filter((e) => !types.length || types.includes(e.type))
+      .filter((e) => !filter.wa_id || e.wa_id === filter.wa_id)
+      .filter((e) => !filter.from || e.created_at >= filter.from)
+      .filter((e) => !filter.to || e.created_at < filter.to)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(clone);
+  }
+
+  async function getBlockedPhone(phone) {
+    return clone(db.blockedPhones.get(phone) || null);
+  }
+
+  async function upsertBlockedPhone(row) {
+    const saved = { reason: null, created_by: null, created_at: nextCreatedAt(), ...row };
+    db.blockedPhones.set(row.phone, saved);
+    return clone(saved);
+  }
+
+  async function deleteBlockedPhone(phone) {
+    return db.blockedPhones.delete(phone);
+  }
+
+  async function listBlockedPhones() {
+    return [...db.blockedPhones.values()].sort((a, b) => a.created_at.localeCompare(b.created_at)).map(clone);
+  }
+
+  async function insertHandoff(row) {
+    const saved = {
+      id: crypto.randomUUID(),
+      tenant_id: DEFAULT_TENANT_ID,
+      status: "OPEN",
+      reason: null,
+      resolved_at: null,
+      resolved_by: null,
+      opened_at: nextCreatedAt(),
+      ...row,
+    };
+    db.handoffs.push(saved);
+    return clone(saved);
+  }
+
+  async function getHandoff(id) {
+    return clone(db.handoffs.find((h) => h.id === id));
+  }
+
+  async function updateHandoff(id, patch, expect = {}) {
+    const row = db.handoffs.find((h) => h.id === id);
+    if (!row || !matches(row, expect)) return null;
+
+    Object.assign(row, patch);
+    return clone(row);
+  }
+
+  async function listHandoffs(filter = {}) {
+    const statuses = filter.status ? [].concat(filter.status) : null;
+    return db.handoffs
+      .filter((h) => !filter.tenant_id || h.tenant_id === filter.tenant_id)
+      .filter((h) => !filter.wa_id || h.wa_id === filter.wa_id)
+      .filter((h) => !statuses || statuses.includes(h.status))
+      .filter((h) => !filter.last_message_before || h.last_message_at < filter.last_message_before)
+      .sort((a, b) => a.opened_at.localeCompare(b.opened_at))
+      .map(clone);
+  }
+
+  async function insertConversationMessage(row) {
+    const saved = {
+      id: crypto.randomUUID(),
+      tenant_id: DEFAULT_TENANT_ID,
+      handoff_id: null,
+      created_at: nextCreatedAt(),
+      ...row,
+    };
+    db.conversation.push(saved);
+    return clone(saved);
+  }
+
+  async function listConversationMessages(filter = {}) {
+    return db.conversation
+      .filter((m) => !filter.tenant_id || m.tenant_id === filter.tenant_id)
+      .filter((m) => !filter.wa_id || m.wa_id === filter.wa_id)
+      .filter((m) => !filter.handoff_id || m.handoff_id === filter.handoff_id)
+      .filter((m) => !filter.from || m.created_at >= filter.from)
+      .filter((m) => !filter.to || m.created_at <= filter.to)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(clone);
+  }
+
+  async function insertPayment(row) {
+    const saved = {
+      id: crypto.randomUUID(),
+      status: "PENDING",
+      paid_at: null,
+      refunded_amount: null,
+      refund_ref: null,
+      refunded_at: null,
+      created_at: nextCreatedAt(),
+      ...row,
+    };
+    db.payments.push(saved);
+    return clone(saved);
+  }
+
+  async function getPayment(id) {
+    return clone(db.payments.find((p) => p.id === id));
+  }
+
+  async function updatePayment(id, patch, expect = {}) {
+    const row = db.payments.find((p) => p.id === id);
+    if (!row || !matches(row, expect)) return null;
+
+    Object.assign(row, patch);
+    return clone(row);
+  }
+
+  async function listPayments(filter = {}) {
+    const statuses = filter.status ? [].concat(filter.status) : null;
+    return db.payments
+      .filter((p) => !filter.reservation_id || p.reservation_id === filter.reservation_id)
+      .filter((p) => !filter.provider_ref || p.provider_ref === filter.provider_ref)
+      .filter((p) => !statuses || statuses.includes(p.status))
+      .filter((p) => !filter.expires_before || p.expires_at <= filter.expires_before)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(clone);
+  }
+
+  function exceptionRow(row) {
+    return {
+      id: crypto.randomUUID(),
+      service: null,
+      capacity: null,
+      hours: null,
+      created_by: null,
+      created_at: nextCreatedAt(),
+      ...row,
+    };
+  }
+
+  // One rule per restaurant, date and service (null: the whole day): null when there is one already
+  async function insertScheduleException(row) {
+    const taken = db.scheduleExceptions.some(
+      (x) =>
+        x.restaurant_id === row.restaurant_id &&
+        x.service_date === row.service_date &&
+        (x.service || null) === (row.service || null)
+    );
+    if (taken) return null;
+
+    const saved = exceptionRow(row);
+    db.scheduleExceptions.push(saved);
+    return clone(saved);
+  }
+
+  async function getScheduleException(id) {
+    return clone(db.scheduleExceptions.find((x) => x.id === id));
+  }
+
+  async function deleteScheduleException(id) {
+    const i = db.scheduleExceptions.findIndex((x) => x.id === id);
+    if (i < 0) return false;
+    db.scheduleExceptions.splice(i, 1);
+    return true;
+  }
+
+  async function listScheduleExceptions(filter = {}) {
+    const ids = filter.restaurant_id ? [].concat(filter.restaurant_id) : null;
+    return db.scheduleExceptions
+      .filter((x) => !ids || ids.includes(x.restaurant_id))
+      .filter((x) => !filter.from_date || x.service_date >= filter.from_date)
+      .filter((x) => !filter.to_date || x.service_date <= filter.to_date)
+      .sort((a, b) => a.service_date.localeCompare(b.service_date) || (a.service || "").localeCompare(b.service || ""))
+      .map(clone);
+  }
+
+  async function checkAvailability({ restaurant, date, service, party }) {
+    const r = restaurantByCode(restaurant);
+    if (!r) return { ok: false, reason: "RESTAURANT_NOT_FOUND" };
+    return serviceAvailability(r, date, service, party);
+  }
+
+  // rule: the schedule exception of that date/service (HOURS hides slots and opens extended ones)
+  function slotAvailability(r, row, holds, rule, exceptId = null) {
+    const regular = db.slots.filter((s) => s.restaurant_id === r.id && s.service === row.service && s.active !== false);
+    const time = (row.service_time || "").slice(0, 5);
+    const outside = rule?.kind === "HOURS" ? { exception: exceptionSummary(rule) } : {};
+    if (!regular.length) {
+      if (time && rule?.kind === "HOURS" && !withinHours(time, rule.hours)) {
+        return { ok: false, reason: "UNKNOWN_SLOT", time, ...outside };
+      }
+      return { ok: true };
+    }
+    if (!time) return { ok: false, reason: "TIME_REQUIRED" };
+
+    const slot = slotsWithin(regular, rule).find((s) => s.slot_time.slice(0, 5) === time);
+    if (!slot) return { ok: false, reason: "UNKNOWN_SLOT", time, ...outside };
+
+    const booked = db.reservations
+      .filter(
+        (b) =>
+          b.restaurant_id === r.id &&
+          b.service_date === row.service_date &&
+          b.service === row.service &&
+          SEATED_STATUSES.includes(b.status) &&
+          b.id !== exceptId
+      )
+      .concat(holds)
+      .filter((b) => (b.service_time || "").slice(0, 5) === time)
+      .reduce((sum, b) => sum + (b.party_size || 0), 0);
+
+    if (booked + row.party_size > slot.capacity) {
+      return {
+        ok: false,
+        reason: "SLOT_FULL",
+        time,
+        slot_capacity: slot.capacity,
+        slot_remaining: Math.max(0, slot.capacity - booked),
+      };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * The checks of book_reservation (booking_refusal): null when `row` fits, or the refusal.
+   * exceptId: a reservation left out of every count (the one being changed); a smaller party on its
+   * same service is not checked against the service again, only its slot and tags.
+   */
+  function bookingRefusal(r, row, { holdId = null, exceptId = null } = {}) {
+    const sameService = (b) =>
+      b.restaurant_id === r.id && b.service_date === row.service_date && b.service === row.service;
+    const own = db.reservations
+      .filter((b) => b.id === exceptId && sameService(b) && SEATED_STATUSES.includes(b.status))
+      .reduce((sum, b) => sum + (b.party_size || 0), 0);
+    const holds = activeHolds(r.id, row.service_date, row.service, holdId).filter((h) => h.id !== exceptId);
+    const held = holds.reduce((sum, w) => sum + (w.party_size || 0), 0);
+
+    const rule = exceptionFor(
+      db.scheduleExceptions.filter((x) => x.restaurant_id === r.id),
+      row.service_date,
+      row.service
+    );
+    if (row.party_size > own) {
+      const covers = bookedCovers(r.id, row.service_date, row.service) - own + held;
+      const excepted = checkException(rule, covers, row.party_size);
+      if (excepted && !excepted.ok) return excepted;
+
+      const avail = serviceAvailability(r, row.service_date, row.service, row.party_size - own + held);
+      if (!avail.ok) return avail;
+    }
+
+    const slot = slotAvailability(r, row, holds, rule, exceptId);
+    if (!slot.ok) return slot;
+
+    const booked = db.reservations
+      .filter((b) => sameService(b) && SEATED_STATUSES.includes(b.status) && b.id !== exceptId)
+      .concat(holds);
+    const pools = checkTags(tagOccupancy(r, booked, row.tags), row.party_size);
+    return pools && !pools.ok ? pools : null;
+  }
+
+  async function bookReservation(row, { holdId = null, idempotencyKey = null } = {}) {
+    const r = db.restaurants.find((x) => x.id === row.restaurant_id);
+    if (!r) return { ok: false, reason: "RESTAURANT_NOT_FOUND" };
+
+    if (idempotencyKey) {
+      const existing = db.reservations.find((x) => x.idempotency_key === idempotencyKey);
+      if (existing) return { ok: true, replayed: true, reservation: clone(existing) };
+    }
+
+    const refused = bookingRefusal(r, row, { holdId });
+    if (refused) return refused;
+
+    const saved = {
+      id: crypto.randomUUID(),
+      created_at: nextCreatedAt(),
+      service_time: null,
+      notes: null,
+      tags: [],
+      internal_notes: [],
+      status: "CONFIRMED",
+      ...row,
+      idempotency_key: idempotencyKey,
+    };
+    db.reservations.push(saved);
+    return { ok: true, replayed: false, reservation: clone(saved) };
+  }
+
+  async function modifyReservation(id, patch, expect = {}) {
+    const current = db.reservations.find((x) => x.id === id);
+    if (!current || !matches(current, expect)) return { ok: false, reason: "RESERVATION_CHANGED" };
+
+    const r = db.restaurants.find((x) => x.id === current.restaurant_id);
+    if (!r) return { ok: false, reason: "RESTAURANT_NOT_FOUND" };
+
+    const refused = bookingRefusal(r, { ...current, ...patch }, { exceptId: id });
+    if (refused) return refused;
+
+    Object.assign(current, withCalendarSequence(current, patch));
+    return { ok: true, reservation: clone(current) };
+  }
+
+  async function suggestAlternatives({ restaurant, date, service, party, days }) {
+    const r = restaurantByCode(restaurant);
+    if (!r) return [];
+
+    const alternatives = [];
+    for (let i = 0; i <= days; i++) {
+      const d = addDays(date, i);
+      for (const s of SERVICES) {
+        if (d === date && s === service) continue;
+        if (bookedCovers(r.id, d, s) + party <= r.capacity_max) {
+          alternatives.push({ service_date: d, service: s });
+        }
+      }
+    }
+    return alternatives;
+  }
+
+  return {
+    getSession,
+    upsertSession,
+    updateSession,
+    listSessions,
+    insertSessionDropoff,
+    listSessionDropoffs,
+    claimInboundMessage,
+    releaseInboundMessage,
+    getCustomer,
+    upsertCustomer,
+    listRestaurants,
+    listSlots,
+    insertReservation,
+    bookReservation,
+    modifyReservation,
+    getReservation,
+    updateReservation,
+    listReservations,
+    findStaffKey,
+    insertAudit,
+    listAudit,
+    insertWaitlistEntry,
+    getWaitlistEntry,
+    updateWaitlistEntry,
+    listWaitlist,
+    insertOutboundMessage,
+    updateOutboundMessage,
+    listOutboundMessages,
+    insertEvent,
+    listEvents,
+    getBlockedPhone,
+    upsertBlockedPhone,
+    deleteBlockedPhone,
+    listBlockedPhones,
+    insertHandoff,
+    getHandoff,
+    updateHandoff,
+    listHandoffs,
+    insertConversationMessage,
+    listConversationMessages,
+    insertPayment,
+    getPayment,
+    updatePayment,
+    listPayments,
+    insertScheduleException,
+    getScheduleException,
+    deleteScheduleException,
+    listScheduleExceptions,
+    checkAvailability,
+    suggestAlternatives,
+    // Only for tests / the simulator
+    seed: seedData,
+    dump: () =>
+      clone({
+        ...db,
+        sessions: [...db.sessions.values()],
+        processedMessages: [...db.processedMessages],
+        customers: [...db.customers.values()],
+      }),
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,604 @@
+// -------------------------
+// Supabase store (production)
+// The interface of src/storage/index.js on these tables (columns: supabase/migrations):
+//   chat_sessions, session_dropoffs, processed_messages, customers, restaurants, restaurant_slots,
+//   reservations, reservation_audit, staff_api_keys, waitlist_entries, outbound_messages,
+//   conversation_events, blocked_phones, handoffs, conversation_messages, payments, schedule_exceptions
+// and RPCs: check_availability, suggest_alternatives, book_reservation, modify_reservation
+// (the last two re-check and write under a lock per restaurant, date and service).
+// -------------------------
+const { DEFAULT_TENANT_ID } = require("../tenants");
+
+function firstRow(data) {
+  return Array.isArray(data) ? data[0] || null : data || null;
+}
+
+// One `expect` condition of the update* methods: null = "is null", an array = one of
+function whereExpected(query, column, value) {
+  if (value === null) return query.is(column, null);
+  return Array.isArray(value) ? query.in(column, value) : query.eq(column, value);
+}
+
+function createSupabaseStore(supabase) {
+  async function getSession(wa_id, tenant_id = DEFAULT_TENANT_ID) {
+    const { data, error } = await supabase
+      .from("chat_sessions")
+      .select("*")
+      .eq("tenant_id", tenant_id)
+      .eq("wa_id", wa_id)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data.length ? data[0] : null;
+  }
+
+  async function upsertSession(wa_id, patch, tenant_id = DEFAULT_TENANT_ID) {
+    const payload = { tenant_id, wa_id, ...patch, updated_at: new Date().toISOString() };
+
+    const { data, error } = await supabase
+      .from("chat_sessions")
+      .upsert(payload, { onConflict: "tenant_id,wa_id" })
+      .select("*")
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async function updateSession(wa_id, patch, expect = {}, tenant_id = DEFAULT_TENANT_ID) {
+    let query = supabase
+      .from("chat_sessions")
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq("tenant_id", tenant_id)
+      .eq("wa_id", wa_id);
+    for (const [column, value] of Object.entries(expect)) {
+      query = whereExpected(query, column, value);
+    }
+
+    const { data, error } = await query.select("*");
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function listSessions(filter = {}) {
+    let query = supabase.from("chat_sessions").select("*");
+
+    if (filter.tenant_id) query = query.eq("tenant_id", filter.tenant_id);
+    if (filter.not_state) query = query.neq("state", filter.not_state);
+    if (filter.updated_before) query = query.lt("updated_at", filter.updated_before);
+
+    const { data, error } = await query.order("updated_at", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function insertSessionDropoff(row) {
+    const { data, error } = await supabase.from("session_dropoffs").insert(row).select("*").limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function listSessionDropoffs(filter = {}) {
+    let query = supabase.from("session_dropoffs").select("*");
+
+    if (filter.tenant_id) query = query.eq("tenant_id", filter.tenant_id);
+    if (filter.wa_id) query = query.eq("wa_id", filter.wa_id);
+    if (filter.state) query = query.eq("state", filter.state);
+    if (filter.from) query = query.gte("created_at", filter.from);
+    if (filter.to) query = query.lt("created_at", filter.to);
+
+    const { data, error } = await query.order("created_at");
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function claimInboundMessage(message_id, wa_id) {
+    const { error } = await supabase.from("processed_messages").insert({ message_id, wa_id });
+
+    if (error?.code === "23505") return false;
+    if (error) throw error;
+    return true;
+  }
+
+  async function releaseInboundMessage(message_id) {
+    const { error } = await supabase.from("processed_messages").delete().eq("message_id", message_id);
+
+    if (error) throw error;
+  }
+
+  async function getCustomer(phone) {
+    const { data, error } = await supabase.from("customers").select("*").eq("phone", phone).limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function upsertCustomer(phone, patch) {
+    const payload = { phone, ...patch, updated_at: new Date().toISOString() };
+
+    const { data, error } = await supabase
+      .from("customers")
+      .upsert(payload, { onConflict: "phone" })
+      .select("*")
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async function listRestaurants() {
+    const { data, error } = await supabase
+      .from("restaurants")
+      .select("*")
+      .order("sort_order")
+      .order("name");
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function listSlots(restaurant_id) {
+    const { data, error } = await supabase
+      .from("restaurant_slots")
+      .select("service, slot_time, capacity, active")
+      .eq("restaurant_id", restaurant_id)
+      .order("slot_time");
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function insertReservation(row) {
+    const { data, error } = await supabase.from("reservations").insert(row).select("*").limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function bookReservation(row, { holdId = null, idempotencyKey = null } = {}) {
+    const { data, error } = await supabase.rpc("book_reservation", {
+      p_reservation: row,
+      p_hold_id: holdId,
+      p_idempotency_key: idempotencyKey,
+    });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async function modifyReservation(id, patch, expect = {}) {
+    const { data, error } = await supabase.rpc("modify_reservation", {
+      p_id: id,
+      p_patch: patch,
+      p_expect: expect,
+    });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async function getReservation(id) {
+    const { data, error } = await supabase.from("reservations").select("*").eq("id", id).limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function updateReservation(id, patch, expect = {}) {
+    let query = supabase.from("reservations").update(patch).eq("id", id);
+    for (const [column, value] of Object.entries(expect)) {
+      query = whereExpected(query, column, value);
+    }
+
+    const { data, error } = await query.select("*");
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function listReservations(filter = {}) {
+    let query = supabase.from("reservations").select("*");
+
+    if (filter.restaurant_id) query = query.in("restaurant_id", [].concat(filter.restaurant_id));
+    if (filter.customer_phone) query = query.eq("customer_phone", filter.customer_phone);
+    if (filter.status) query = query.in("status", [].concat(filter.status));
+    if (filter.from_date) query = query.gte("service_date", filter.from_date);
+    if (filter.to_date) query = query.lte("service_date", filter.to_date);
+    if (filter.reminder_pending) query = query.is("reminder_sent_at", null);
+    if (filter.idempotency_key) query = query.eq("idempotency_key", filter.idempotency_key);
+
+    query = query.order("service_date", { ascending: true }).order("created_at", { ascending: false });
+    if (filter.limit) query = query.limit(filter.limit);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function findStaffKey(key_hash) {
+    const { data, error } = await supabase.from("staff_api_keys").select("*").eq("key_hash", key_hash).limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function insertAudit(row) {
+    const { data, error } = await supabase.from("reservation_audit").insert(row).select("*").limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function listAudit(reservation_id) {
+    const { data, error } = await supabase
+      .from("reservation_audit")
+      .select("*")
+      .eq("reservation_id", reservation_id)
+      .order("created_at");
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function insertWaitlistEntry(row) {
+    const { data, error } = await supabase.from("waitlist_entries").insert(row).select("*").limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function getWaitlistEntry(id) {
+    const { data, error } = await supabase.from("waitlist_entries").select("*").eq("id", id).limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function updateWaitlistEntry(id, patch, expect = {}) {
+    let query = supabase.from("waitlist_entries").update(patch).eq("id", id);
+    for (const [column, value] of Object.entries(expect)) {
+      query = whereExpected(query, column, value);
+    }
+
+    const { data, error } = await query.select("*");
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function listWaitlist(filter = {}) {
+    let query = supabase.from("waitlist_entries").select("*");
+
+    if (filter.restaurant_id) query = query.eq("restaurant_id", filter.restaurant_id);
+    if (filter.wa_id) query = query.eq("wa_id", filter.wa_id);
+    if (filter.status) query = query.in("status", [].concat(filter.status));
+    if (filter.service) query = query.eq("service", filter.service);
+    if (filter.from_date) query = query.gte("service_date", filter.from_date);
+    if (filter.to_date) query = query.lte("service_date", filter.to_date);
+
+    const { data, error } = await query.order("created_at", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function insertOutboundMessage(row) {
+    const { data, error } = await supabase.from("outbound_messages").insert(row).select("*").limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function updateOutboundMessage(id, patch, expect = {}) {
+    let query = supabase
+      .from("outbound_messages")
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq("id", id);
+    for (const [column, value] of Object.entries(expect)) {
+      query = whereExpected(query, column, value);
+    }
+
+    const { data, error } = await query.select("*");
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function listOutboundMessages(filter = {}) {
+    let query = supabase.from("outbound_messages").select("*");
+
+    if (filter.tenant_id) query = query.eq("tenant_id", filter.tenant_id);
+    if (filter.status) query = query.in("status", [].concat(filter.status));
+    if (filter.wa_id) query = query.eq("wa_id", filter.wa_id);
+    if (filter.wa_message_id) query = query.eq("wa_message_id", filter.wa_message_id);
+    if (filter.reservation_id) query = query.eq("reservation_id", filter.reservation_id);
+    if (filter.due_before) query = query.lte("next_attempt_at", filter.due_before);
+    if (filter.updated_before) query = query.lt("updated_at", filter.updated_before);
+    if (filter.created_before) query = query.lt("created_at", filter.created_before);
+
+    query = query.order("created_at", { ascending: true });
+    if (filter.limit) query = query.limit(filter.limit);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function insertEvent(row) {
+    const { data, error } = await supabase.from("conversation_events").insert(row).select("*").limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function listEvents(filter = {}) {
+    let query = supabase.from("conversation_events").select("*");
+
+    if (Array.isArray(filter.type)) query = query.in("type", filter.type);
+    else if (filter.type) query = query.eq("type", filter.type);
+    if (filter.wa_id) query = query.eq("wa_id", filter.wa_id);
+    if (filter.from) query = query.gte("created_at", filter.from);
+    if (filter.to) query = query.lt("created_at", filter.to);
+
+    const { data, error } = await query.order("created_at");
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function getBlockedPhone(phone) {
+    const { data, error } = await supabase.from("blocked_phones").select("*").eq("phone", phone).limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function upsertBlockedPhone(row) {
+    const { data, error } = await supabase
+      .from("blocked_phones")
+      .upsert(row, { onConflict: "phone" })
+      .select("*")
+      .limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function deleteBlockedPhone(phone) {
+    const { data, error } = await supabase.from("blocked_phones").delete().eq("phone", phone).select("phone");
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  async function listBlockedPhones() {
+    const { data, error } = await supabase.from("blocked_phones").select("*").order("created_at");
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function insertHandoff(row) {
+    const { data, error } = await supabase.from("handoffs").insert(row).select("*").limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function getHandoff(id) {
+    const { data, error } = await supabase.from("handoffs").select("*").eq("id", id).limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function updateHandoff(id, patch, expect = {}) {
+    let query = supabase.from("handoffs").update(patch).eq("id", id);
+    for (const [column, value] of Object.entries(expect)) {
+      query = whereExpected(query, column, value);
+    }
+
+    const { data, error } = await query.select("*");
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function listHandoffs(filter = {}) {
+    let query = supabase.from("handoffs").select("*");
+
+    if (filter.tenant_id) query = query.eq("tenant_id", filter.tenant_id);
+    if (filter.wa_id) query = query.eq("wa_id", filter.wa_id);
+    if (filter.status) query = query.in("status", [].concat(filter.status));
+    if (filter.last_message_before) query = query.lt("last_message_at", filter.last_message_before);
+
+    const { data, error } = await query.order("opened_at");
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function insertConversationMessage(row) {
+    const { data, error } = await supabase.from("conversation_messages").insert(row).select("*").limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function listConversationMessages(filter = {}) {
+    let query = supabase.from("conversation_messages").select("*");
+
+    if (filter.tenant_id) query = query.eq("tenant_id", filter.tenant_id);
+    if (filter.wa_id) query = query.eq("wa_id", filter.wa_id);
+    if (filter.handoff_id) query = query.eq("handoff_id", filter.handoff_id);
+    if (filter.from) query = query.gte("created_at", filter.from);
+    if (filter.to) query = query.lte("created_at", filter.to);
+
+    const { data, error } = await query.order("created_at");
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function insertPayment(row) {
+    const { data, error } = await supabase.from("payments").insert(row).select("*").limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function getPayment(id) {
+    const { data, error } = await supabase.from("payments").select("*").eq("id", id).limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function updatePayment(id, patch, expect = {}) {
+    let query = supabase.from("payments").update(patch).eq("id", id);
+    for (const [column, value] of Object.entries(expect)) {
+      query = whereExpected(query, column, value);
+    }
+
+    const { data, error } = await query.select("*");
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function listPayments(filter = {}) {
+    let query = supabase.from("payments").select("*");
+
+    if (filter.reservation_id) query = query.eq("reservation_id", filter.reservation_id);
+    if (filter.provider_ref) query = query.eq("provider_ref", filter.provider_ref);
+    if (filter.status) query = query.in("status", [].concat(filter.status));
+    if (filter.expires_before) query = query.lte("expires_at", filter.expires_before);
+
+    const { data, error } = await query.order("created_at");
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function insertScheduleException(row) {
+    const { data, error } = await supabase.from("schedule_exceptions").insert(row).select("*").limit(1);
+
+    // There already is a rule for that day/service
+    if (error?.code === "23505") return null;
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function getScheduleException(id) {
+    const { data, error } = await supabase.from("schedule_exceptions").select("*").eq("id", id).limit(1);
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function deleteScheduleException(id) {
+    const { data, error } = await supabase.from("schedule_exceptions").delete().eq("id", id).select("id");
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  async function listScheduleExceptions(filter = {}) {
+    let query = supabase.from("schedule_exceptions").select("*");
+
+    if (filter.restaurant_id) query = query.in("restaurant_id", [].concat(filter.restaurant_id));
+    if (filter.from_date) query = query.gte("service_date", filter.from_date);
+    if (filter.to_date) query = query.lte("service_date", filter.to_date);
+
+    const { data, error } = await query.order("service_date").order("service", { nullsFirst: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function checkAvailability({ restaurant, date, service, party }) {
+    const { data, error } = await supabase.rpc("check_availability", {
+      p_restaurant_code: restaurant,
+      p_service_date: date,
+      p_service: service,
+      p_party_size: party,
+    });
+
+    if (error) throw error;
+    return firstRow(data);
+  }
+
+  async function suggestAlternatives({ restaurant, date, service, party, days }) {
+    const { data, error } = await supabase.rpc("suggest_alternatives", {
+      p_restaurant_code: restaurant,
+      p_service_date: date,
+      p_service: service,
+      p_party_size: party,
+      p_days_ahead: days,
+    });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  return {
+    getSession,
+    upsertSession,
+    updateSession,
+    listSessions,
+    insertSessionDropoff,
+    listSessionDropoffs,
+    claimInboundMessage,
+    releaseInboundMessage,
+    getCustomer,
+    upsertCustomer,
+    listRestaurants,
+    listSlots,
+    insertReservation,
+    bookReservation,
+    modifyReservation,
+    getReservation,
+    updateReservation,
+    listReservations,
+    findStaffKey,
+    insertAudit,
+    listAudit,
+    insertWaitlistEntry,
+    getWaitlistEntry,
+    updateWaitlistEntry,
+    listWaitlist,
+    insertOutboundMessage,
+    updateOutboundMessage,
+    listOutboundMessages,
+    insertEvent,
+    listEvents,
+    getBlockedPhone,
+    upsertBlockedPhone,
+    deleteBlockedPhone,
+    listBlockedPhones,
+    insertHandoff,
+    getHandoff,
+    updateHandoff,
+    listHandoffs,
+    insertConversationMessage,
+    listConversationMessages,
+    insertPayment,
+    getPayment,
+    updatePayment,
+    listPayments,
+    insertScheduleException,
+    getScheduleException,
+    deleteScheduleException,
+    listScheduleExceptions,
+    checkAvailability,
+    suggestAlternatives,
+  };
+}
+
+module.exports = { createSupabaseStore };
@@ -0,0 +1,109 @@
+// -------------------------
+// Special requests: a free-text note and tags from the restaurant's own list
+// restaurants.request_tags: [{ code, emoji, label: { es, en, pt } | "text", capacity }]
+// A tag with capacity is a separate pool inside the service (e.g. 16 covers on the terrace):
+// confirmed (or seated) reservations and the holds with that tag cannot go over it, on top of
+// the service and slot capacity. Tags without capacity are just for the staff (birthday, high
+// chair, celiac, ...).
+// -------------------------
+const { normalizeLanguage } = require("./i18n");
+
+// Longest note a guest (or the REST API) can leave
+const MAX_NOTES = 500;
+
+function restaurantTags(restaurant) {
+  const list = Array.isArray(restaurant?.request_tags) ? restaurant.request_tags : [];
+  return list.filter((tag) => tag && tag.code);
+}
+
+// "🎂 Cumpleaños" in the guest's language (Spanish, then the code, when it is missing)
+function tagLabel(tag, lang) {
+  const label =
+    typeof tag.label === "string" ? tag.label : tag.label?.[normalizeLanguage(lang)] || tag.label?.es || tag.code;
+  return tag.emoji ? `${tag.emoji} ${label}` : label;
+}
+
+// Labels of a reservation's tags; a code no longer in the list is shown as is
+function tagLabels(restaurant, codes, lang) {
+  const list = restaurantTags(restaurant);
+  return (codes || []).map((code) => {
+    const tag = list.find((x) => x.code === code);
+    return tag ? tagLabel(tag, lang) : code;
+  });
+}
+
+function cleanNotes(input) {
+  const s = (input ?? "").toString().trim();
+  return s || null;
+}
+
+/**
+ * Tags from the REST API: an array or "a,b" of codes (any case).
+ * Returns { ok: true, tags } (unique, in the restaurant's order) or { ok: false, unknown }.
+ */
+function parseTags(restaurant, input) {
+  const asked = (Array.isArray(input) ? input : (input ?? "").toString().split(","))
+    .map((s) => (s ?? "").toString().trim().toLowerCase())
+    .filter(Boolean);
+  const list = restaurantTags(restaurant);
+
+  const unknown = asked.filter((code) => !list.some((tag) => tag.code.toLowerCase() === code));
+  if (unknown.length) return { ok: false, unknown };
+
+  return { ok: true, tags: list.filter((tag) => asked.includes(tag.code.toLowerCase())).map((tag) => tag.code) };
+}
+
+/**
+ * Guest answer with tags: the numbers shown ("1", "1 3", "1, 3 y 4") or a list row id (the code).
+ * null when it is not only that (then it is a note).
+ */
+function matchTags(list, input) {
+  const s = (input || "").toString().trim().toLowerCase();
+  const byCode = list.find((tag) => tag.code.toLowerCase() === s);
+  if (byCode) return [byCode.code];
+
+  const numbers = s.split(/\s*(?:,|;|\s|\by\b|\band\b|\be\b)\s*/).filter(Boolean);
+  if (!numbers.length || !numbers.every((n) => /^\d+$/.test(n))) return null;
+
+  const picks = numbers.map((n) => list[parseInt(n, 10) - 1]);
+  if (picks.some((tag) => !tag)) return null;
+  return list.filter((tag) => picks.includes(tag)).map((tag) => tag.code);
+}
+
+/**
+ * bookings: confirmed (or seated) reservations and holds (with tags + party_size) for one date/service.
+ * Returns the pools among `codes`: [{ tag, capacity, booked, remaining }] (empty: nothing to check).
+ */
+function tagOccupancy(restaurant, bookings, codes) {
+  return restaurantTags(restaurant)
+    .filter((tag) => Number.isInteger(tag.capacity) && (codes || []).includes(tag.code))
+    .map((tag) => {
+      const booked = (bookings || [])
+        .filter((b) => Array.isArray(b.tags) && b.tags.includes(tag.code))
+        .reduce((sum, b) => sum + (b.party_size || 0), 0);
+      return { tag: tag.code, capacity: tag.capacity, booked, remaining: Math.max(0, tag.capacity - booked) };
+    });
+}
+
+// Pool-level check, like checkSlot: null when there is no pool to check
+function checkTags(occupancy, party) {
+  if (!occupancy.length) return null;
+
+  const full = occupancy.find((pool) => pool.remaining < party);
+  if (full) {
+    return { ok: false, reason: "TAG_FULL", tag: full.tag, tag_capacity: full.capacity, tag_remaining: full.remaining };
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  MAX_NOTES,
+  restaurantTags,
+  tagLabel,
+  tagLabels,
+  cleanNotes,
+  parseTags,
+  matchTags,
+  tagOccupancy,
+  checkTags,
+};
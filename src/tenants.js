@@ -0,0 +1,135 @@
+// -------------------------
+// Tenants (one per WhatsApp business number)
+// Each phone_number_id is its own restaurant group: credentials, the restaurants it books,
+// the menu welcome text and the webhook verify token. Every inbound event is resolved to the
+// tenant of the number it was sent to, and that tenant's services answer it: its own catalog,
+// its own chat sessions (a guest writing to two numbers has two conversations) and its own
+// outbound queue, sent with its own credentials.
+//
+// WHATSAPP_TENANTS is a JSON array:
+//   [{ "id": "brodo", "phone_number_id": "1234", "access_token": "...", "verify_token": "...",
+//      "app_secret": "...", "restaurants": ["brodo-pasta", "brodo-pizza"],
+//      "welcome": { "es": "👋 Bienvenido a Brodo", "en": "👋 Welcome to Brodo" } }]
+// Missing credentials fall back to the WHATSAPP_* env vars; no "restaurants" = all of them.
+// Without WHATSAPP_TENANTS there is a single "default" tenant built from the env vars.
+// -------------------------
+const DEFAULT_TENANT_ID = "default";
+
+function normalizeTenant(raw, env) {
+  return {
+    id: String(raw.id || DEFAULT_TENANT_ID),
+    name: raw.name || null,
+    phoneNumberId: raw.phone_number_id ? String(raw.phone_number_id) : env.WHATSAPP_PHONE_NUMBER_ID,
+    accessToken: raw.access_token || env.WHATSAPP_ACCESS_TOKEN,
+    verifyToken: raw.verify_token || env.WHATSAPP_VERIFY_TOKEN,
+    appSecret: raw.app_secret || env.WHATSAPP_APP_SECRET,
+    restaurants: Array.isArray(raw.restaurants) && raw.restaurants.length ? raw.restaurants.map(String) : null,
+    welcome: raw.welcome && typeof raw.welcome === "object" ? raw.welcome : null,
+  };
+}
+
+/**
+ * Tenants from env (see above). Throws on a malformed WHATSAPP_TENANTS: better not to start
+ * than to answer one restaurant's guests from another's number.
+ */
+function tenantsFromEnv(env = process.env) {
+  if (!env.WHATSAPP_TENANTS) return [normalizeTenant({}, env)];
+
+  let list;
+  try {
+    list = JSON.parse(env.WHATSAPP_TENANTS);
+  } catch (e) {
+    throw new Error(`WHATSAPP_TENANTS is not valid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(list) || !list.length) throw new Error("WHATSAPP_TENANTS must be a non-empty array");
+
+  const tenants = list.map((raw) => normalizeTenant(raw || {}, env));
+  const seen = new Set();
+  for (const tenant of tenants) {
+    if (tenants.length > 1 && !tenant.phoneNumberId) {
+      throw new Error(`WHATSAPP_TENANTS: tenant ${tenant.id} has no phone_number_id`);
+    }
+    for (const key of [`id:${tenant.id}`, `phone:${tenant.phoneNumberId}`]) {
+      if (seen.has(key)) throw new Error(`WHATSAPP_TENANTS: duplicate ${key}`);
+      seen.add(key);
+    }
+  }
+  return tenants;
+}
+
+// The menu welcome line of the tenant in the guest's language (null = the default text)
+function tenantWelcome(tenant, lang) {
+  return tenant?.welcome?.[lang] || null;
+}
+
+/**
+ * The store as one tenant sees it: its own chat sessions, drop-offs, outbound queue, handoffs and
+ * conversation log; its conversation events are tagged with it.
+ * Restaurants, reservations, waitlist and customers are shared (restaurants are split by the catalog).
+ */
+function tenantStore(store, tenantId) {
+  return {
+    ...store,
+    getSession: (wa_id) => store.getSession(wa_id, tenantId),
+    upsertSession: (wa_id, patch) => store.upsertSession(wa_id, patch, tenantId),
+    updateSession: (wa_id, patch, expect) => store.updateSession(wa_id, patch, expect, tenantId),
+    listSessions: (filter = {}) => store.listSessions({ ...filter, tenant_id: tenantId }),
+    insertSessionDropoff: (row) => store.insertSessionDropoff({ ...row, tenant_id: tenantId }),
+    listSessionDropoffs: (filter = {}) => store.listSessionDropoffs({ ...filter, tenant_id: tenantId }),
+    insertOutboundMessage: (row) => store.insertOutboundMessage({ ...row, tenant_id: tenantId }),
+    listOutboundMessages: (filter = {}) => store.listOutboundMessages({ ...filter, tenant_id: tenantId }),
+    insertEvent: (row) => store.insertEvent({ ...row, tenant_id: tenantId }),
+    insertHandoff: (row) => store.insertHandoff({ ...row, tenant_id: tenantId }),
+    listHandoffs: (filter = {}) => store.listHandoffs({ ...filter, tenant_id: tenantId }),
+    insertConversationMessage: (row) => store.insertConversationMessage({ ...row, tenant_id: tenantId }),
+    listConversationMessages: (filter = {}) => store.listConversationMessages({ ...filter, tenant_id: tenantId }),
+  };
+}
+
+/**
+ * contexts: [{ tenant, catalog, ...services }], one per tenant, in config order.
+ */
+function createTenantRegistry(contexts) {
+  const byPhone = new Map(contexts.map((c) => [c.tenant.phoneNumberId, c]));
+
+  function all() {
+    return contexts;
+  }
+
+  function get(id) {
+    return contexts.find((c) => c.tenant.id === id) || null;
+  }
+
+  // The tenant an event was sent to; a single tenant answers for any number (no phone id configured)
+  function resolve(phoneNumberId) {
+    const context = phoneNumberId ? byPhone.get(String(phoneNumberId)) : null;
+    if (context) return context;
+    return contexts.length === 1 ? contexts[0] : null;
+  }
+
+  // The tenant that books this restaurant (waitlist offers, reminders go out from its number)
+  async function forRestaurant(restaurant_id) {
+    for (const context of contexts) {
+      if (await context.catalog.getById(restaurant_id)) return context;
+    }
+    return null;
+  }
+
+  function isVerifyToken(token) {
+    return !!token && contexts.some((c) => c.tenant.verifyToken === token);
+  }
+
+  function appSecrets() {
+    return [...new Set(contexts.map((c) => c.tenant.appSecret).filter(Boolean))];
+  }
+
+  return { all, get, resolve, forRestaurant, isVerifyToken, appSecrets };
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  tenantsFromEnv,
+  tenantWelcome,
+  tenantStore,
+  createTenantRegistry,
+};
@@ -0,0 +1,289 @@
+// -------------------------
+// Waitlist
+// Guests that hit a full service can join the queue for that restaurant/date/service.
+// When seats free up (a cancellation, a smaller party, a moved booking) the first WAITING
+// entries that fit get an offer: status OFFERED + offer_expires_at. While it lasts the offer
+// holds its seats (see booking.checkAvailability). The guest claims it with a button
+// ("WAITLIST_CLAIM:<id>"); declined or expired offers go to the next guest in line.
+//
+// Offers are free-form messages, so they only reach guests inside the 24h window; when Meta
+// rejects the send for good the entry expires and the next guest is tried.
+// An entry keeps the guest's special requests (src/tags.js): offers respect its tag pools and the
+// reservation it turns into carries the note and the tags.
+// -------------------------
+const { todayInTimeZone } = require("./dates");
+const { restaurantLabel } = require("./restaurants");
+const { openSlots, nearestOpenSlots } = require("./slots");
+const { POLICY_REASONS } = require("./limits");
+const { waitlistOfferReply } = require("./messages");
+
+const WAITLIST_PAYLOAD_RE = /^WAITLIST_(CLAIM|DECLINE):(.+)$/;
+
+const SLOT_REASONS = ["TIME_REQUIRED", "UNKNOWN_SLOT", "SLOT_FULL"];
+
+function waitlistPayload(action, entryId) {
+  return `WAITLIST_${action}:${entryId}`;
+}
+
+// "WAITLIST_CLAIM:<uuid>" -> { action: "CLAIM", entryId }
+function parseWaitlistPayload(text) {
+  const m = (text || "").toString().trim().match(WAITLIST_PAYLOAD_RE);
+  if (!m) return null;
+  return { action: m[1], entryId: m[2] };
+}
+
+function createWaitlist({ store, catalog, booking, customers, whatsapp, config }) {
+  const { holdMinutes, intervalMs } = config.waitlist;
+
+  let timer = null;
+  let running = false;
+
+  async function join(wa_id, session) {
+    const restaurant = await catalog.getByCode(session.restaurant_code);
+    if (!restaurant) return null;
+
+    // One entry per guest and service: an existing one gets the new party / time
+    const [existing] = await store.listWaitlist({
+      restaurant_id: restaurant.id,
+      wa_id,
+      status: "WAITING",
+      service: session.service,
+      from_date: session.service_date,
+      to_date: session.service_date,
+    });
+    const fields = {
+      party_size: session.party_size,
+      service_time: session.service_time || null,
+      notes: session.notes || null,
+      tags: session.tags || [],
+    };
+    if (existing) return store.updateWaitlistEntry(existing.id, fields);
+
+    return store.insertWaitlistEntry({
+      restaurant_id: restaurant.id,
+      wa_id,
+      service_date: session.service_date,
+      service: session.service,
+      status: "WAITING",
+      ...fields,
+    });
+  }
+
+  // Seats for the entry right now: its preferred time, else the open slot closest to it
+  async function findSeats(restaurant, entry) {
+    const request = {
+      restaurant: restaurant.code,
+      date: entry.service_date,
+      service: entry.service,
+      party: entry.party_size,
+      tags: entry.tags || [],
+    };
+
+    const time = (entry.service_time || "").slice(0, 5) || null;
+
+    const avail = await booking.checkAvailability({ ...request, time });
+    if (avail.ok === true) return avail;
+    if (!SLOT_REASONS.includes(avail.reason) || !avail.slots) return null;
+
+    const slot =
+      nearestOpenSlots(avail.slots, entry.party_size, time)[0] || openSlots(avail.slots, entry.party_size)[0];
+    if (!slot) return null;
+
+    const retry = await booking.checkAvailability({ ...request, time: slot.time });
+    return retry.ok === true ? retry : null;
+  }
+
+  async function sendOffer(restaurant, entry) {
+    const session = await store.getSession(entry.wa_id);
+    const reply = waitlistOfferReply(session?.language, entry, restaurantLabel(restaurant), holdMinutes, {
+      claimId: waitlistPayload("CLAIM", entry.id),
+      declineId: waitlistPayload("DECLINE", entry.id),
+    });
+    const sent = await whatsapp.sendReply(entry.wa_id, reply).catch((e) => ({ ok: false, error: e?.message }));
+    // queued: Meta failed for now and the outbox retries it while the offer lasts
+    if (!sent?.ok && !sent?.queued) return false;
+
+    // So a typed "1" / "2" works, only when the guest is not in the middle of another conversation
+    if (!session || session.state === "IDLE") {
+      await store.upsertSession(entry.wa_id, { state: "WAITLIST_OFFER", waitlist_id: entry.id });
+    }
+    return true;
+  }
+
+  /**
+   * Offers freed seats for one restaurant/date/service, in queue order, to every WAITING entry
+   * that still fits (a big cancellation can serve more than one guest). Returns how many offers went out.
+   */
+  async function offerNext(restaurant_id, date, service) {
+    if (date < todayInTimeZone(config.timeZone)) return 0;
+
+    const restaurant = await catalog.getById(restaurant_id);
+    if (!restaurant) return 0;
+
+    const waiting = await store.listWaitlist({
+      restaurant_id,
+      status: "WAITING",
+      service,
+      from_date: date,
+      to_date: date,
+    });
+
+    let offered = 0;
+    for (const entry of waiting) {
+      const avail = await findSeats(restaurant, entry);
+      if (!avail) continue;
+
+      const expiresAt = new Date(Date.now() + holdMinutes * 60 * 1000);
+      const row = await store.updateWaitlistEntry(
+        entry.id,
+        {
+          status: "OFFERED",
+          service_time: avail.time || null,
+          offered_at: new Date().toISOString(),
+          offer_expires_at: expiresAt.toISOString(),
+        },
+        { status: "WAITING" }
+      );
+      if (!row) continue;
+
+      if (await sendOffer(restaurant, row)) {
+        offered++;
+      } else {
+        console.log("Waitlist offer send failed:", row.id);
+        await store.updateWaitlistEntry(row.id, { status: "EXPIRED" }, { status: "OFFERED" });
+      }
+    }
+    return offered;
+  }
+
+  // After a reservation is cancelled / made smaller / moved: the room it left goes to the waitlist
+  async function offerFreedSeats(reservation) {
+    try {
+      const row = typeof reservation === "string" ? await store.getReservation(reservation) : reservation;
+      if (!row) return 0;
+      return await offerNext(row.restaurant_id, row.service_date, row.service);
+    } catch (e) {
+      console.log("Waitlist offer error:", e?.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Guest accepted an offer. The reservation is inserted while the hold still counts, then the
+   * offer is claimed with a conditional update; if it expired in between the booking is undone.
+   * Returns { ok, reservation, restaurant, payment } (payment: the deposit link, see src/payments.js)
+   * or { ok: false, reason: NOT_FOUND | EXPIRED | NOT_AVAILABLE }.
+   */
+  async function claim(wa_id, entryId) {
+    const entry = await store.getWaitlistEntry(entryId);
+    if (!entry || entry.wa_id !== wa_id) return { ok: false, reason: "NOT_FOUND" };
+    if (entry.status !== "OFFERED" || new Date(entry.offer_expires_at) <= new Date()) {
+      return { ok: false, reason: "EXPIRED" };
+    }
+
+    const restaurant = await catalog.getById(entry.restaurant_id);
+    if (!restaurant) return { ok: false, reason: "NOT_FOUND" };
+
+    const booked = await booking.bookReservation({
+      restaurant: restaurant.code,
+      date: entry.service_date,
+      service: entry.service,
+      time: (entry.service_time || "").slice(0, 5) || null,
+      party: entry.party_size,
+      customer_name: await customers.nameFor(wa_id),
+      customer_phone: wa_id,
+      notes: entry.notes,
+      tags: entry.tags || [],
+      holdId: entry.id,
+    });
+    if (!booked.ok) {
+      // Policies (src/limits.js) are reported as they are: the guest has to know why
+      const refused = POLICY_REASONS.includes(booked.reason);
+      return refused
+        ? { ok: false, reason: booked.reason, details: booked.details, restaurant }
+        : { ok: false, reason: "NOT_AVAILABLE" };
+    }
+    const reservation = booked.reservation;
+
+    const claimed = await store.updateWaitlistEntry(
+      entry.id,
+      { status: "CLAIMED", reservation_id: reservation.id },
+      { status: "OFFERED" }
+    );
+    if (!claimed) {
+      // cancelReservationById also closes the deposit link, if there was one
+      await booking.cancelReservationById(reservation.id);
+      return { ok: false, reason: "EXPIRED" };
+    }
+
+    await customers.recordBooking(reservation).catch((e) => {
+      console.log("Customer profile error:", e?.message);
+    });
+    return { ok: true, reservation, restaurant, payment: booked.payment || null };
+  }
+
+  async function decline(wa_id, entryId) {
+    const entry = await store.getWaitlistEntry(entryId);
+    if (!entry || entry.wa_id !== wa_id) return false;
+
+    const row = await store.updateWaitlistEntry(entry.id, { status: "DECLINED" }, { status: "OFFERED" });
+    if (row) await offerNext(row.restaurant_id, row.service_date, row.service);
+    return !!row;
+  }
+
+  // Entries of the restaurants in this catalog (each tenant sweeps its own, src/tenants.js)
+  async function ownEntries(entries) {
+    const own = await Promise.all(entries.map((w) => catalog.getById(w.restaurant_id)));
+    return entries.filter((w, i) => own[i]);
+  }
+
+  /**
+   * Periodic sweep: expired offers go to the next guest; WAITING entries for past dates expire.
+   */
+  async function tick(now = new Date()) {
+    if (running) return { skipped: true };
+    running = true;
+
+    let expired = 0;
+    try {
+      const offers = await ownEntries(await store.listWaitlist({ status: "OFFERED" }));
+
+      for (const entry of offers.filter((w) => new Date(w.offer_expires_at) <= now)) {
+        const row = await store.updateWaitlistEntry(entry.id, { status: "EXPIRED" }, { status: "OFFERED" });
+        if (!row) continue;
+
+        expired++;
+        await offerNext(row.restaurant_id, row.service_date, row.service);
+      }
+
+      const today = todayInTimeZone(config.timeZone, now);
+      const stale = (await ownEntries(await store.listWaitlist({ status: "WAITING" }))).filter(
+        (w) => w.service_date < today
+      );
+      for (const entry of stale) {
+        await store.updateWaitlistEntry(entry.id, { status: "EXPIRED" }, { status: "WAITING" });
+      }
+    } catch (e) {
+      console.log("Waitlist sweep error:", e?.message);
+    } finally {
+      running = false;
+    }
+
+    return { expired };
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => tick(), intervalMs);
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { join, offerNext, offerFreedSeats, claim, decline, tick, start, stop };
+}
+
+module.exports = { createWaitlist, parseWaitlistPayload };
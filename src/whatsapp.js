@@ -0,0 +1,220 @@
+// -------------------------
+// WhatsApp Cloud API messaging
+// A "reply" is either a plain string or an object:
+//   { text, body?, buttons: [{ id, title }] }              -> interactive "button" (max 3)
+//   { text, body?, list: { button, rows: [{ id, title, description? }] } } -> interactive "list" (max 10)
+// `text` is the full plain-text version (numbered options). It is sent when interactive
+// messages are disabled or rejected, so every option id must also be a valid typed answer.
+// An object reply may carry `reservationId` to link the message to a reservation (the booking
+// confirmation), so staff can see whether it reached the guest.
+// Sends go through the outbound queue (src/outbox.js), which retries and tracks delivery.
+// -------------------------
+const GRAPH_API_VERSION = "v22.0";
+
+// Cloud API limits for interactive messages
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+const BUTTON_TITLE_MAX = 20;
+const ROW_TITLE_MAX = 24;
+const ROW_DESCRIPTION_MAX = 72;
+const BODY_MAX = 1024;
+
+function clip(s, max) {
+  const str = (s || "").toString();
+  return str.length > max ? str.slice(0, max - 1) + "…" : str;
+}
+
+function replyText(reply) {
+  return typeof reply === "string" ? reply : reply?.text || "";
+}
+
+function buildInteractive(reply) {
+  const body = { text: clip(reply.body || reply.text, BODY_MAX) };
+
+  if (Array.isArray(reply.buttons) && reply.buttons.length) {
+    return {
+      type: "button",
+      body,
+      action: {
+        buttons: reply.buttons.slice(0, MAX_BUTTONS).map((b) => ({
+          type: "reply",
+          reply: { id: String(b.id), title: clip(b.title, BUTTON_TITLE_MAX) },
+        })),
+      },
+    };
+  }
+
+  if (reply.list && Array.isArray(reply.list.rows) && reply.list.rows.length) {
+    return {
+      type: "list",
+      body,
+      action: {
+        button: clip(reply.list.button || "Elegir", BUTTON_TITLE_MAX),
+        sections: [
+          {
+            title: clip(reply.list.title || reply.list.button || "Opciones", ROW_TITLE_MAX),
+            rows: reply.list.rows.slice(0, MAX_LIST_ROWS).map((r) => {
+              const row = { id: String(r.id), title: clip(r.title, ROW_TITLE_MAX) };
+              if (r.description) row.description = clip(r.description, ROW_DESCRIPTION_MAX);
+              return row;
+            }),
+          },
+        ],
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Reads what the guest answered, whatever the message type:
+ * typed text, an interactive button/list reply (its id) or a template quick reply (its payload).
+ */
+function parseInboundMessage(msg) {
+  if (!msg) return null;
+
+  let text = null;
+  let kind = msg.type || null;
+
+  if (msg.text?.body) {
+    text = msg.text.body;
+    kind = "text";
+  } else if (msg.interactive?.button_reply) {
+    text = msg.interactive.button_reply.id;
+    kind = "button_reply";
+  } else if (msg.interactive?.list_reply) {
+    text = msg.interactive.list_reply.id;
+    kind = "list_reply";
+  } else if (msg.button) {
+    text = msg.button.payload || msg.button.text;
+    kind = "button";
+  }
+
+  return { id: msg.id || null, from: msg.from || null, text, kind };
+}
+
+// Real Cloud API transport: POST /{phone-number-id}/messages
+function createGraphTransport({ phoneNumberId, accessToken, fetchImpl = fetch }) {
+  async function send(payload) {
+    if (!phoneNumberId || !accessToken) {
+      console.log("Missing WHATSAPP_PHONE_NUMBER_ID or WHATSAPP_ACCESS_TOKEN");
+      return { ok: false, error: "missing_whatsapp_env" };
+    }
+
+    const url = `https://graph.facebook.com/${GRAPH_API_VERSION}/${phoneNumberId}/messages`;
+
+    const resp = await fetchImpl(url, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ messaging_product: "whatsapp", ...payload }),
+    });
+
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      console.log("WhatsApp send error:", resp.status, data);
+      return { ok: false, status: resp.status, data, retryAfter: resp.headers.get("retry-after") };
+    }
+
+    return { ok: true, data };
+  }
+
+  return { send };
+}
+
+// Offline transport for tests and the simulator: records every payload instead of calling Meta
+function createFakeTransport() {
+  const sent = [];
+  const failures = [];
+  let seq = 0;
+
+  async function send(payload) {
+    const failure = failures.shift();
+    if (failure) return { ok: false, status: failure, data: { error: { code: failure } } };
+
+    const id = `wamid.fake.${++seq}`;
+    sent.push({ id, ...payload });
+    return { ok: true, data: { messages: [{ id }] } };
+  }
+
+  return {
+    send,
+    sent,
+    // Next sends fail with these HTTP statuses, in order
+    failNext: (...statuses) => failures.push(...statuses),
+    clear: () => {
+      sent.length = 0;
+    },
+  };
+}
+
+// Plain text a guest would see for a sent payload (fake transport, simulator)
+function payloadText(payload) {
+  if (payload.type === "text") return payload.text.body;
+  if (payload.type === "interactive") {
+    const { body, action } = payload.interactive;
+    const options = action.buttons
+      ? action.buttons.map((b) => `[${b.reply.title}] (${b.reply.id})`)
+      : action.sections.flatMap((sec) => sec.rows.map((r) => `- ${r.title} (${r.id})`));
+    return body.text + "\n" + options.join("\n");
+  }
+  if (payload.type === "template") return `[template ${payload.template.name}]`;
+  if (payload.type === "document") {
+    return `[document ${payload.document.filename}] ${payload.document.caption || ""}`.trim();
+  }
+  return JSON.stringify(payload);
+}
+
+function textPayload(text) {
+  return { type: "text", text: { body: text } };
+}
+
+/**
+ * Every send returns the transport result plus outbound_id; queued: true means it failed for now
+ * and the outbox will retry it (callers treat it as on its way).
+ */
+function createWhatsAppClient({ outbox, interactive = true }) {
+  async function sendText(to, text, { reservationId = null } = {}) {
+    return outbox.send(to, textPayload(text), { reservationId });
+  }
+
+  // Business-initiated messages outside the 24h window must be approved templates
+  async function sendTemplate(to, template, { reservationId = null } = {}) {
+    return outbox.send(to, { type: "template", template }, { reservationId });
+  }
+
+  // document: { link, filename, caption } (Meta downloads the file from the link, e.g. the .ics invite)
+  async function sendDocument(to, document, { reservationId = null } = {}) {
+    return outbox.send(to, { type: "document", document }, { reservationId });
+  }
+
+  async function sendReply(to, reply) {
+    const text = replyText(reply);
+    const reservationId = (typeof reply === "object" && reply?.reservationId) || null;
+    const payload = interactive && typeof reply === "object" ? buildInteractive(reply) : null;
+
+    if (!payload) return sendText(to, text, { reservationId });
+
+    // When Meta rejects the interactive message (old client, limits, etc.) the outbox sends the numbered text
+    return outbox.send(
+      to,
+      { type: "interactive", interactive: payload },
+      { fallback: textPayload(text), reservationId }
+    );
+  }
+
+  return { sendText, sendTemplate, sendDocument, sendReply };
+}
+
+module.exports = {
+  createWhatsAppClient,
+  createGraphTransport,
+  createFakeTransport,
+  parseInboundMessage,
+  payloadText,
+  replyText,
+  buildInteractive,
+};
@@ -0,0 +1,9 @@
+-- Inbound WhatsApp message ids already handled by /webhook.
+-- Meta redelivers on timeouts; the primary key makes the second insert fail (23505).
+create table if not exists processed_messages (
+  message_id text primary key,
+  wa_id text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists processed_messages_created_at_idx on processed_messages (created_at);
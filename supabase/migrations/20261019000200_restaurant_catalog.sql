@@ -0,0 +1,22 @@
+-- Restaurant catalog: everything the bot shows about a venue lives in `restaurants`.
+-- opening_hours: { "LUNCH": "12:30-15:30", "DINNER": "20:00-23:30" }
+alter table restaurants
+  add column if not exists emoji text,
+  add column if not exists display_name text,
+  add column if not exists aliases text[] not null default '{}',
+  add column if not exists address text,
+  add column if not exists opening_hours jsonb not null default '{}'::jsonb,
+  add column if not exists active boolean not null default true,
+  add column if not exists sort_order integer not null default 0,
+  add column if not exists updated_at timestamptz not null default now();
+
+-- Same labels and aliases the bot used to have hard-coded
+update restaurants set emoji = '🥩', display_name = 'deliclub', sort_order = 1
+  where code = 'deliclub';
+update restaurants set emoji = '🍝', display_name = 'brodo-pasta', aliases = '{pasta}', sort_order = 2
+  where code = 'brodo-pasta';
+update restaurants set emoji = '🍕', display_name = 'brodo-pizza', aliases = '{pizza}', sort_order = 3
+  where code = 'brodo-pizza';
+
+-- To refresh the bot cache on change, add a Database Webhook on `restaurants`
+-- (insert, update, delete) that POSTs to <backend>/restaurants/refresh.
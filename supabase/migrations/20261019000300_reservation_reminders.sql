@@ -0,0 +1,10 @@
+-- Reminder tracking. reminder_sent_at is claimed with a conditional update
+-- (where reminder_sent_at is null) before the template goes out.
+alter table reservations
+  add column if not exists reminder_sent_at timestamptz,
+  add column if not exists reminder_confirmed_at timestamptz,
+  add column if not exists reminder_cancelled_at timestamptz;
+
+create index if not exists reservations_reminder_pending_idx
+  on reservations (service_date)
+  where status = 'CONFIRMED' and reminder_sent_at is null;
@@ -0,0 +1,18 @@
+-- Bookable time slots inside each service, each with its own capacity.
+-- Services without rows here keep working at service level (service_time = null).
+create table if not exists restaurant_slots (
+  id uuid primary key default gen_random_uuid(),
+  restaurant_id uuid not null references restaurants (id) on delete cascade,
+  service text not null check (service in ('LUNCH', 'DINNER')),
+  slot_time time not null,
+  capacity integer not null check (capacity > 0),
+  active boolean not null default true,
+  unique (restaurant_id, service, slot_time)
+);
+
+alter table reservations add column if not exists service_time time;
+alter table chat_sessions add column if not exists service_time text;
+
+create index if not exists reservations_slot_idx
+  on reservations (restaurant_id, service_date, service, service_time)
+  where status = 'CONFIRMED';
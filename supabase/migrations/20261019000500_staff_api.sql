@@ -0,0 +1,29 @@
+-- Staff API: per-restaurant keys, internal notes and an audit trail of every change.
+-- Keys are stored hashed. To issue one (pgcrypto):
+--   insert into staff_api_keys (restaurant_id, label, key_hash)
+--   values ('<restaurant uuid>', 'host-deliclub', encode(digest('<secret key>', 'sha256'), 'hex'));
+-- restaurant_id null = key for every restaurant (managers).
+create table if not exists staff_api_keys (
+  id uuid primary key default gen_random_uuid(),
+  restaurant_id uuid references restaurants (id) on delete cascade,
+  label text not null,
+  key_hash text not null unique,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+alter table reservations add column if not exists internal_notes jsonb not null default '[]'::jsonb;
+
+create table if not exists reservation_audit (
+  id uuid primary key default gen_random_uuid(),
+  reservation_id uuid not null references reservations (id) on delete cascade,
+  actor text not null,
+  action text not null check (action in ('STATUS', 'EDIT', 'NOTE')),
+  from_status text,
+  to_status text,
+  changes jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists reservation_audit_reservation_idx
+  on reservation_audit (reservation_id, created_at);
@@ -0,0 +1,23 @@
+-- Waitlist for full services. When seats free up, the first entry that fits gets an
+-- offer (status OFFERED) that holds its seats until offer_expires_at.
+create table if not exists waitlist_entries (
+  id uuid primary key default gen_random_uuid(),
+  restaurant_id uuid not null references restaurants (id) on delete cascade,
+  wa_id text not null,
+  party_size integer not null check (party_size > 0),
+  service_date date not null,
+  service text not null check (service in ('LUNCH', 'DINNER')),
+  service_time time,
+  status text not null default 'WAITING'
+    check (status in ('WAITING', 'OFFERED', 'CLAIMED', 'DECLINED', 'EXPIRED', 'CANCELLED')),
+  offered_at timestamptz,
+  offer_expires_at timestamptz,
+  reservation_id uuid references reservations (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists waitlist_entries_queue_idx
+  on waitlist_entries (restaurant_id, service_date, service, created_at)
+  where status in ('WAITING', 'OFFERED');
+
+alter table chat_sessions add column if not exists waitlist_id uuid;
@@ -0,0 +1,3 @@
+-- "Modificar reserva" from WhatsApp: the reservation being changed while the guest picks
+-- the new party / date / service.
+alter table chat_sessions add column if not exists modify_id uuid;
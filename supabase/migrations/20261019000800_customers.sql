@@ -0,0 +1,16 @@
+-- Guest profiles keyed by phone (the WhatsApp wa_id). `name` is what the guest told us;
+-- `profile_name` is the WhatsApp profile name, only used as a suggestion.
+create table if not exists customers (
+  phone text primary key,
+  name text,
+  profile_name text,
+  visit_count integer not null default 0,
+  no_show_count integer not null default 0,
+  last_restaurant_id uuid references restaurants (id) on delete set null,
+  last_party_size integer,
+  last_service text check (last_service in ('LUNCH', 'DINNER')),
+  usual_party_size integer,
+  party_size_counts jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
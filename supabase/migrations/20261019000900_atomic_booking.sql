@@ -0,0 +1,126 @@
+-- Atomic booking: the capacity re-check and the insert run in one transaction, holding a
+-- lock per restaurant/date/service, so two guests confirming the last seats at once can't
+-- both get them. Same reasons as the app's checks (NO_CAPACITY from check_availability,
+-- TIME_REQUIRED / UNKNOWN_SLOT / SLOT_FULL for slots). Waitlist offers on hold count as
+-- booked, except p_hold_id (the offer being claimed).
+--
+-- Idempotency: POST /reserve accepts an Idempotency-Key; a repeated key returns the
+-- reservation created the first time instead of booking again.
+alter table reservations add column if not exists idempotency_key text;
+
+create unique index if not exists reservations_idempotency_key_idx
+  on reservations (idempotency_key)
+  where idempotency_key is not null;
+
+create or replace function book_reservation(
+  p_reservation jsonb,
+  p_hold_id uuid default null,
+  p_idempotency_key text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_restaurant restaurants%rowtype;
+  v_date date := (p_reservation ->> 'service_date')::date;
+  v_service text := p_reservation ->> 'service';
+  v_time time := nullif(p_reservation ->> 'service_time', '')::time;
+  v_party integer := (p_reservation ->> 'party_size')::integer;
+  v_held integer;
+  v_avail record;
+  v_slot restaurant_slots%rowtype;
+  v_slot_booked integer;
+  v_row reservations%rowtype;
+begin
+  select * into v_restaurant from restaurants where id = (p_reservation ->> 'restaurant_id')::uuid;
+  if not found then
+    return jsonb_build_object('ok', false, 'reason', 'RESTAURANT_NOT_FOUND');
+  end if;
+
+  -- Bookings for the same service wait for each other until commit
+  perform pg_advisory_xact_lock(hashtext(v_restaurant.id::text || '|' || v_date::text || '|' || v_service));
+
+  if p_idempotency_key is not null then
+    select * into v_row from reservations where idempotency_key = p_idempotency_key;
+    if found then
+      return jsonb_build_object('ok', true, 'replayed', true, 'reservation', to_jsonb(v_row));
+    end if;
+  end if;
+
+  select coalesce(sum(party_size), 0) into v_held
+    from waitlist_entries
+   where restaurant_id = v_restaurant.id
+     and service_date = v_date
+     and service = v_service
+     and status = 'OFFERED'
+     and offer_expires_at > now()
+     and (p_hold_id is null or id <> p_hold_id);
+
+  select * into v_avail from check_availability(v_restaurant.code, v_date, v_service, v_party + v_held);
+  if not coalesce(v_avail.ok, false) then
+    return to_jsonb(v_avail) || jsonb_build_object('ok', false, 'reason', coalesce(v_avail.reason, 'NOT_AVAILABLE'));
+  end if;
+
+  if exists (
+    select 1 from restaurant_slots
+     where restaurant_id = v_restaurant.id and service = v_service and active
+  ) then
+    if v_time is null then
+      return jsonb_build_object('ok', false, 'reason', 'TIME_REQUIRED');
+    end if;
+
+    select * into v_slot
+      from restaurant_slots
+     where restaurant_id = v_restaurant.id and service = v_service and slot_time = v_time and active;
+    if not found then
+      return jsonb_build_object('ok', false, 'reason', 'UNKNOWN_SLOT', 'time', to_char(v_time, 'HH24:MI'));
+    end if;
+
+    select coalesce(sum(party_size), 0) into v_slot_booked
+      from (
+        select party_size from reservations
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and service_time = v_time and status = 'CONFIRMED'
+        union all
+        select party_size from waitlist_entries
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and service_time = v_time and status = 'OFFERED' and offer_expires_at > now()
+           and (p_hold_id is null or id <> p_hold_id)
+      ) booked;
+
+    if v_slot_booked + v_party > v_slot.capacity then
+      return jsonb_build_object(
+        'ok', false,
+        'reason', 'SLOT_FULL',
+        'time', to_char(v_time, 'HH24:MI'),
+        'slot_capacity', v_slot.capacity,
+        'slot_remaining', greatest(0, v_slot.capacity - v_slot_booked)
+      );
+    end if;
+  end if;
+
+  begin
+    insert into reservations (
+      restaurant_id, customer_name, customer_phone, party_size,
+      service_date, service, service_time, status, idempotency_key
+    ) values (
+      v_restaurant.id,
+      p_reservation ->> 'customer_name',
+      p_reservation ->> 'customer_phone',
+      v_party,
+      v_date,
+      v_service,
+      v_time,
+      coalesce(p_reservation ->> 'status', 'CONFIRMED'),
+      p_idempotency_key
+    )
+    returning * into v_row;
+  exception when unique_violation then
+    -- Same key, another service (another lock): the first insert won
+    select * into v_row from reservations where idempotency_key = p_idempotency_key;
+    return jsonb_build_object('ok', true, 'replayed', true, 'reservation', to_jsonb(v_row));
+  end;
+
+  return jsonb_build_object('ok', true, 'replayed', false, 'reservation', to_jsonb(v_row));
+end;
+$$;
@@ -0,0 +1,3 @@
+-- Guest language for the WhatsApp conversation (es | en | pt). Null until the first message;
+-- the bot treats it as Spanish.
+alter table chat_sessions add column if not exists language text check (language in ('es', 'en', 'pt'));
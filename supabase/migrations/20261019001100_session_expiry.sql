@@ -0,0 +1,22 @@
+-- Stale sessions: ASK_RESUME keeps the step the guest was at in resume_state.
+alter table chat_sessions add column if not exists resume_state text;
+
+create index if not exists chat_sessions_active_idx on chat_sessions (updated_at) where state <> 'IDLE';
+
+-- Conversations the sweep cleared (EXPIRED) or the guest restarted (RESTARTED), with the step
+-- they stopped at and what they had filled in.
+create table if not exists session_dropoffs (
+  id uuid primary key default gen_random_uuid(),
+  wa_id text not null,
+  state text not null,
+  reason text not null check (reason in ('EXPIRED', 'RESTARTED')),
+  restaurant_code text,
+  party_size integer,
+  service_date date,
+  service text check (service in ('LUNCH', 'DINNER')),
+  modify_id uuid,
+  last_activity_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists session_dropoffs_created_idx on session_dropoffs (created_at);
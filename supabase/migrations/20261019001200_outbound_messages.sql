@@ -0,0 +1,26 @@
+-- Outbound queue: every message to a guest, with its retries and what Meta reported back.
+-- QUEUED -> SENDING -> SENT -> DELIVERED -> READ, or FAILED (status webhook) / DEAD (gave up).
+create table if not exists outbound_messages (
+  id uuid primary key default gen_random_uuid(),
+  wa_id text not null,
+  payload jsonb not null,
+  fallback jsonb,
+  reservation_id uuid references reservations (id) on delete set null,
+  status text not null default 'QUEUED'
+    check (status in ('QUEUED', 'SENDING', 'SENT', 'DELIVERED', 'READ', 'FAILED', 'DEAD')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_error text,
+  wa_message_id text,
+  sent_at timestamptz,
+  delivered_at timestamptz,
+  read_at timestamptz,
+  failed_at timestamptz,
+  dead_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists outbound_messages_due_idx on outbound_messages (next_attempt_at) where status = 'QUEUED';
+create unique index if not exists outbound_messages_wamid_idx on outbound_messages (wa_message_id);
+create index if not exists outbound_messages_reservation_idx on outbound_messages (reservation_id);
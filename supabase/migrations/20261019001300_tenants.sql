@@ -0,0 +1,15 @@
+-- Tenants (one per WhatsApp business number, configured in WHATSAPP_TENANTS).
+-- A guest writing to two numbers has one conversation with each: chat_sessions is keyed by
+-- (tenant_id, wa_id). Existing rows belong to the "default" tenant (single-number setups).
+alter table chat_sessions add column if not exists tenant_id text not null default 'default';
+alter table chat_sessions drop constraint if exists chat_sessions_pkey;
+alter table chat_sessions add primary key (tenant_id, wa_id);
+
+alter table session_dropoffs add column if not exists tenant_id text not null default 'default';
+
+-- Each tenant's queue is retried with its own credentials
+alter table outbound_messages add column if not exists tenant_id text not null default 'default';
+
+drop index if exists outbound_messages_due_idx;
+create index if not exists outbound_messages_due_idx on outbound_messages (tenant_id, next_attempt_at)
+  where status = 'QUEUED';
@@ -0,0 +1,22 @@
+-- Conversation events for reporting (src/events.js, src/reports.js): every step change of a chat
+-- session and every outcome (booked, cancelled, no availability, alternative taken).
+create table if not exists conversation_events (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id text,
+  type text not null
+    check (type in ('STATE', 'BOOKED', 'CANCELLED', 'NO_AVAILABILITY', 'ALTERNATIVE_TAKEN')),
+  wa_id text,
+  from_state text,
+  to_state text,
+  restaurant_id uuid references restaurants (id) on delete set null,
+  reservation_id uuid references reservations (id) on delete set null,
+  service_date date,
+  service text check (service in ('LUNCH', 'DINNER')),
+  party_size integer,
+  source text,
+  data jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists conversation_events_created_idx on conversation_events (created_at);
+create index if not exists conversation_events_type_idx on conversation_events (type, created_at);
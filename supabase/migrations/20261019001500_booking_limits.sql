@@ -0,0 +1,18 @@
+-- Anti-abuse limits (src/limits.js): phones that cannot book, managed from the staff API, and
+-- reservations of large parties waiting for the staff's approval (status PENDING_APPROVAL).
+create table if not exists blocked_phones (
+  phone text primary key,
+  reason text,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+-- Active bookings per phone (LIMIT_ACTIVE_PER_PHONE / LIMIT_ACTIVE_PER_RESTAURANT)
+create index if not exists reservations_phone_active_idx
+  on reservations (customer_phone, service_date)
+  where status in ('CONFIRMED', 'PENDING_APPROVAL');
+
+-- The staff's queue of requests to approve
+create index if not exists reservations_pending_approval_idx
+  on reservations (restaurant_id, service_date)
+  where status = 'PENDING_APPROVAL';
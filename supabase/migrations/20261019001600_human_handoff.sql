@@ -0,0 +1,33 @@
+-- Human handoff (src/handoff.js): the guest asked for a person, the bot is paused for that
+-- wa_id (chat_sessions.state = 'HUMAN') until the staff resolves it or it times out.
+create table if not exists handoffs (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id text not null default 'default',
+  wa_id text not null,
+  status text not null default 'OPEN' check (status in ('OPEN', 'RESOLVED')),
+  reason text,
+  opened_at timestamptz not null default now(),
+  last_message_at timestamptz not null default now(),
+  resolved_at timestamptz,
+  resolved_by text
+);
+
+-- At most one open handoff per guest and number
+create unique index if not exists handoffs_open_idx on handoffs (tenant_id, wa_id) where status = 'OPEN';
+create index if not exists handoffs_timeout_idx on handoffs (last_message_at) where status = 'OPEN';
+
+-- Conversation log: what the guest wrote, what the bot and the staff answered
+create table if not exists conversation_messages (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id text not null default 'default',
+  wa_id text not null,
+  handoff_id uuid references handoffs (id) on delete set null,
+  direction text not null check (direction in ('IN', 'OUT')),
+  author text not null,
+  text text,
+  wa_message_id text,
+  outbound_id uuid references outbound_messages (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists conversation_messages_wa_idx on conversation_messages (tenant_id, wa_id, created_at);
@@ -0,0 +1,170 @@
+-- Special requests (src/tags.js): a free-text note and tags from the restaurant's list.
+-- request_tags: [{ "code": "outdoor", "emoji": "🌿", "label": { "es": "Mesa afuera", "en": "Outdoor table" },
+--                  "capacity": 16 }]
+-- A tag with capacity is its own pool of covers per service and day, on top of capacity_max and
+-- the slots; tags without capacity are just for the staff (birthday, high chair, celiac, ...).
+alter table restaurants
+  add column if not exists request_tags jsonb not null default '[]'::jsonb;
+
+alter table reservations
+  add column if not exists notes text,
+  add column if not exists tags text[] not null default '{}';
+
+-- A waitlist entry keeps them, so the reservation it turns into does too
+alter table waitlist_entries
+  add column if not exists notes text,
+  add column if not exists tags text[] not null default '{}';
+
+-- The conversation in progress (null tags: the guest was not asked yet)
+alter table chat_sessions
+  add column if not exists notes text,
+  add column if not exists tags text[];
+
+create index if not exists reservations_tags_idx on reservations using gin (tags);
+
+-- book_reservation (20261019000900_atomic_booking.sql) with the tag pools: TAG_FULL when a
+-- tag of the reservation has no room left, counting CONFIRMED reservations and offers on hold.
+create or replace function book_reservation(
+  p_reservation jsonb,
+  p_hold_id uuid default null,
+  p_idempotency_key text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_restaurant restaurants%rowtype;
+  v_date date := (p_reservation ->> 'service_date')::date;
+  v_service text := p_reservation ->> 'service';
+  v_time time := nullif(p_reservation ->> 'service_time', '')::time;
+  v_party integer := (p_reservation ->> 'party_size')::integer;
+  v_tags text[] := coalesce(array(select jsonb_array_elements_text(p_reservation -> 'tags')), '{}');
+  v_held integer;
+  v_avail record;
+  v_slot restaurant_slots%rowtype;
+  v_slot_booked integer;
+  v_tag jsonb;
+  v_tag_booked integer;
+  v_row reservations%rowtype;
+begin
+  select * into v_restaurant from restaurants where id = (p_reservation ->> 'restaurant_id')::uuid;
+  if not found then
+    return jsonb_build_object('ok', false, 'reason', 'RESTAURANT_NOT_FOUND');
+  end if;
+
+  -- Bookings for the same service wait for each other until commit
+  perform pg_advisory_xact_lock(hashtext(v_restaurant.id::text || '|' || v_date::text || '|' || v_service));
+
+  if p_idempotency_key is not null then
+    select * into v_row from reservations where idempotency_key = p_idempotency_key;
+    if found then
+      return jsonb_build_object('ok', true, 'replayed', true, 'reservation', to_jsonb(v_row));
+    end if;
+  end if;
+
+  select coalesce(sum(party_size), 0) into v_held
+    from waitlist_entries
+   where restaurant_id = v_restaurant.id
+     and service_date = v_date
+     and service = v_service
+     and status = 'OFFERED'
+     and offer_expires_at > now()
+     and (p_hold_id is null or id <> p_hold_id);
+
+  select * into v_avail from check_availability(v_restaurant.code, v_date, v_service, v_party + v_held);
+  if not coalesce(v_avail.ok, false) then
+    return to_jsonb(v_avail) || jsonb_build_object('ok', false, 'reason', coalesce(v_avail.reason, 'NOT_AVAILABLE'));
+  end if;
+
+  if exists (
+    select 1 from restaurant_slots
+     where restaurant_id = v_restaurant.id and service = v_service and active
+  ) then
+    if v_time is null then
+      return jsonb_build_object('ok', false, 'reason', 'TIME_REQUIRED');
+    end if;
+
+    select * into v_slot
+      from restaurant_slots
+     where restaurant_id = v_restaurant.id and service = v_service and slot_time = v_time and active;
+    if not found then
+      return jsonb_build_object('ok', false, 'reason', 'UNKNOWN_SLOT', 'time', to_char(v_time, 'HH24:MI'));
+    end if;
+
+    select coalesce(sum(party_size), 0) into v_slot_booked
+      from (
+        select party_size from reservations
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and service_time = v_time and status = 'CONFIRMED'
+        union all
+        select party_size from waitlist_entries
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and service_time = v_time and status = 'OFFERED' and offer_expires_at > now()
+           and (p_hold_id is null or id <> p_hold_id)
+      ) booked;
+
+    if v_slot_booked + v_party > v_slot.capacity then
+      return jsonb_build_object(
+        'ok', false,
+        'reason', 'SLOT_FULL',
+        'time', to_char(v_time, 'HH24:MI'),
+        'slot_capacity', v_slot.capacity,
+        'slot_remaining', greatest(0, v_slot.capacity - v_slot_booked)
+      );
+    end if;
+  end if;
+
+  for v_tag in
+    select tag from jsonb_array_elements(v_restaurant.request_tags) tag
+     where jsonb_typeof(tag -> 'capacity') = 'number' and (tag ->> 'code') = any (v_tags)
+  loop
+    select coalesce(sum(party_size), 0) into v_tag_booked
+      from (
+        select party_size from reservations
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and status = 'CONFIRMED' and (v_tag ->> 'code') = any (tags)
+        union all
+        select party_size from waitlist_entries
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and status = 'OFFERED' and offer_expires_at > now() and (v_tag ->> 'code') = any (tags)
+           and (p_hold_id is null or id <> p_hold_id)
+      ) booked;
+
+    if v_tag_booked + v_party > (v_tag ->> 'capacity')::integer then
+      return jsonb_build_object(
+        'ok', false,
+        'reason', 'TAG_FULL',
+        'tag', v_tag ->> 'code',
+        'tag_capacity', (v_tag ->> 'capacity')::integer,
+        'tag_remaining', greatest(0, (v_tag ->> 'capacity')::integer - v_tag_booked)
+      );
+    end if;
+  end loop;
+
+  begin
+    insert into reservations (
+      restaurant_id, customer_name, customer_phone, party_size,
+      service_date, service, service_time, status, notes, tags, idempotency_key
+    ) values (
+      v_restaurant.id,
+      p_reservation ->> 'customer_name',
+      p_reservation ->> 'customer_phone',
+      v_party,
+      v_date,
+      v_service,
+      v_time,
+      coalesce(p_reservation ->> 'status', 'CONFIRMED'),
+      p_reservation ->> 'notes',
+      v_tags,
+      p_idempotency_key
+    )
+    returning * into v_row;
+  exception when unique_violation then
+    -- Same key, another service (another lock): the first insert won
+    select * into v_row from reservations where idempotency_key = p_idempotency_key;
+    return jsonb_build_object('ok', true, 'replayed', true, 'reservation', to_jsonb(v_row));
+  end;
+
+  return jsonb_build_object('ok', true, 'replayed', false, 'reservation', to_jsonb(v_row));
+end;
+$$;
@@ -0,0 +1,193 @@
+-- Deposits (src/payments.js): large parties and deposit dates pay before the booking is
+-- confirmed. The reservation is booked as PENDING_PAYMENT and holds its seats, like a waitlist
+-- offer, until payment_expires_at; the provider's callback confirms it, the sweep releases it.
+alter table reservations
+  add column if not exists payment_expires_at timestamptz;
+
+create index if not exists reservations_pending_payment_idx
+  on reservations (restaurant_id, service_date, service)
+  where status = 'PENDING_PAYMENT';
+
+-- Active bookings per phone (src/limits.js) now include the ones waiting for their deposit
+drop index if exists reservations_phone_active_idx;
+create index if not exists reservations_phone_active_idx
+  on reservations (customer_phone, service_date)
+  where status in ('CONFIRMED', 'PENDING_APPROVAL', 'PENDING_PAYMENT');
+
+-- One row per payment link; amounts in the currency's units
+create table if not exists payments (
+  id uuid primary key default gen_random_uuid(),
+  reservation_id uuid not null references reservations (id) on delete cascade,
+  provider text not null,
+  provider_ref text not null,
+  amount numeric(12, 2) not null,
+  currency text not null,
+  status text not null default 'PENDING'
+    check (status in ('PENDING', 'PAID', 'REFUNDED', 'EXPIRED', 'CANCELLED')),
+  url text,
+  expires_at timestamptz not null,
+  paid_at timestamptz,
+  refunded_amount numeric(12, 2),
+  refund_ref text,
+  refunded_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists payments_provider_ref_idx on payments (provider, provider_ref);
+create index if not exists payments_reservation_idx on payments (reservation_id, created_at);
+create index if not exists payments_pending_idx on payments (expires_at) where status = 'PENDING';
+
+-- book_reservation (20261019001700_special_requests.sql) counting PENDING_PAYMENT reservations
+-- that have not expired as holds, for the service, the slots and the tag pools, and storing
+-- payment_expires_at.
+create or replace function book_reservation(
+  p_reservation jsonb,
+  p_hold_id uuid default null,
+  p_idempotency_key text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_restaurant restaurants%rowtype;
+  v_date date := (p_reservation ->> 'service_date')::date;
+  v_service text := p_reservation ->> 'service';
+  v_time time := nullif(p_reservation ->> 'service_time', '')::time;
+  v_party integer := (p_reservation ->> 'party_size')::integer;
+  v_tags text[] := coalesce(array(select jsonb_array_elements_text(p_reservation -> 'tags')), '{}');
+  v_held integer;
+  v_avail record;
+  v_slot restaurant_slots%rowtype;
+  v_slot_booked integer;
+  v_tag jsonb;
+  v_tag_booked integer;
+  v_row reservations%rowtype;
+begin
+  select * into v_restaurant from restaurants where id = (p_reservation ->> 'restaurant_id')::uuid;
+  if not found then
+    return jsonb_build_object('ok', false, 'reason', 'RESTAURANT_NOT_FOUND');
+  end if;
+
+  -- Bookings for the same service wait for each other until commit
+  perform pg_advisory_xact_lock(hashtext(v_restaurant.id::text || '|' || v_date::text || '|' || v_service));
+
+  if p_idempotency_key is not null then
+    select * into v_row from reservations where idempotency_key = p_idempotency_key;
+    if found then
+      return jsonb_build_object('ok', true, 'replayed', true, 'reservation', to_jsonb(v_row));
+    end if;
+  end if;
+
+  -- check_availability only counts CONFIRMED: offers and unpaid deposits on hold go on top
+  select coalesce(sum(party_size), 0) into v_held
+    from (
+      select party_size from waitlist_entries
+       where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+         and status = 'OFFERED' and offer_expires_at > now()
+         and (p_hold_id is null or id <> p_hold_id)
+      union all
+      select party_size from reservations
+       where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+         and status = 'PENDING_PAYMENT' and payment_expires_at > now()
+    ) held;
+
+  select * into v_avail from check_availability(v_restaurant.code, v_date, v_service, v_party + v_held);
+  if not coalesce(v_avail.ok, false) then
+    return to_jsonb(v_avail) || jsonb_build_object('ok', false, 'reason', coalesce(v_avail.reason, 'NOT_AVAILABLE'));
+  end if;
+
+  if exists (
+    select 1 from restaurant_slots
+     where restaurant_id = v_restaurant.id and service = v_service and active
+  ) then
+    if v_time is null then
+      return jsonb_build_object('ok', false, 'reason', 'TIME_REQUIRED');
+    end if;
+
+    select * into v_slot
+      from restaurant_slots
+     where restaurant_id = v_restaurant.id and service = v_service and slot_time = v_time and active;
+    if not found then
+      return jsonb_build_object('ok', false, 'reason', 'UNKNOWN_SLOT', 'time', to_char(v_time, 'HH24:MI'));
+    end if;
+
+    select coalesce(sum(party_size), 0) into v_slot_booked
+      from (
+        select party_size from reservations
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and service_time = v_time
+           and (status = 'CONFIRMED' or (status = 'PENDING_PAYMENT' and payment_expires_at > now()))
+        union all
+        select party_size from waitlist_entries
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and service_time = v_time and status = 'OFFERED' and offer_expires_at > now()
+           and (p_hold_id is null or id <> p_hold_id)
+      ) booked;
+
+    if v_slot_booked + v_party > v_slot.capacity then
+      return jsonb_build_object(
+        'ok', false,
+        'reason', 'SLOT_FULL',
+        'time', to_char(v_time, 'HH24:MI'),
+        'slot_capacity', v_slot.capacity,
+        'slot_remaining', greatest(0, v_slot.capacity - v_slot_booked)
+      );
+    end if;
+  end if;
+
+  for v_tag in
+    select tag from jsonb_array_elements(v_restaurant.request_tags) tag
+     where jsonb_typeof(tag -> 'capacity') = 'number' and (tag ->> 'code') = any (v_tags)
+  loop
+    select coalesce(sum(party_size), 0) into v_tag_booked
+      from (
+        select party_size from reservations
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and (status = 'CONFIRMED' or (status = 'PENDING_PAYMENT' and payment_expires_at > now()))
+           and (v_tag ->> 'code') = any (tags)
+        union all
+        select party_size from waitlist_entries
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and status = 'OFFERED' and offer_expires_at > now() and (v_tag ->> 'code') = any (tags)
+           and (p_hold_id is null or id <> p_hold_id)
+      ) booked;
+
+    if v_tag_booked + v_party > (v_tag ->> 'capacity')::integer then
+      return jsonb_build_object(
+        'ok', false,
+        'reason', 'TAG_FULL',
+        'tag', v_tag ->> 'code',
+        'tag_capacity', (v_tag ->> 'capacity')::integer,
+        'tag_remaining', greatest(0, (v_tag ->> 'capacity')::integer - v_tag_booked)
+      );
+    end if;
+  end loop;
+
+  begin
+    insert into reservations (
+      restaurant_id, customer_name, customer_phone, party_size,
+      service_date, service, service_time, status, notes, tags, payment_expires_at, idempotency_key
+    ) values (
+      v_restaurant.id,
+      p_reservation ->> 'customer_name',
+      p_reservation ->> 'customer_phone',
+      v_party,
+      v_date,
+      v_service,
+      v_time,
+      coalesce(p_reservation ->> 'status', 'CONFIRMED'),
+      p_reservation ->> 'notes',
+      v_tags,
+      nullif(p_reservation ->> 'payment_expires_at', '')::timestamptz,
+      p_idempotency_key
+    )
+    returning * into v_row;
+  exception when unique_violation then
+    -- Same key, another service (another lock): the first insert won
+    select * into v_row from reservations where idempotency_key = p_idempotency_key;
+    return jsonb_build_object('ok', true, 'replayed', true, 'reservation', to_jsonb(v_row));
+  end;
+
+  return jsonb_build_object('ok', true, 'replayed', false, 'reservation', to_jsonb(v_row));
+end;
+$$;
@@ -0,0 +1,320 @@
+-- Closures, holidays and special opening hours (src/schedule.js), managed under
+-- /staff/exceptions. One rule per restaurant, date and service (null service = the whole day;
+-- a rule for the service wins over it):
+--   CLOSED    nothing can be booked
+--   CAPACITY  at most `capacity` covers (CONFIRMED + holds) instead of capacity_max
+--   HOURS     `hours` ('HH:MM-HH:MM') replace opening_hours: slots outside them are not offered, and a
+--             rule for one service opens more slots when the hours go past its first or last slot
+create table if not exists schedule_exceptions (
+  id uuid primary key default gen_random_uuid(),
+  restaurant_id uuid not null references restaurants (id) on delete cascade,
+  service_date date not null,
+  service text check (service in ('LUNCH', 'DINNER')),
+  kind text not null check (kind in ('CLOSED', 'CAPACITY', 'HOURS')),
+  capacity integer check (capacity >= 0),
+  hours text check (hours ~ '^[0-9]{2}:[0-9]{2}-[0-9]{2}:[0-9]{2}$'),
+  reason text not null,
+  created_by text,
+  created_at timestamptz not null default now(),
+  check (kind <> 'CAPACITY' or capacity is not null),
+  check (kind <> 'HOURS' or hours is not null)
+);
+
+create unique index if not exists schedule_exceptions_slot_idx
+  on schedule_exceptions (restaurant_id, service_date, coalesce(service, ''));
+
+-- What the guest sees of a rule (src/schedule.js exceptionSummary)
+create or replace function exception_summary(p_rule schedule_exceptions)
+returns jsonb
+language sql
+immutable
+as $$
+  select jsonb_build_object(
+    'id', p_rule.id,
+    'kind', p_rule.kind,
+    'service', p_rule.service,
+    'capacity', case when p_rule.kind = 'CAPACITY' then p_rule.capacity end,
+    'hours', case when p_rule.kind = 'HOURS' then p_rule.hours end,
+    'reason', p_rule.reason
+  );
+$$;
+
+-- The end counts as open (last seating); past midnight when it ends before it starts
+create or replace function within_hours(p_time time, p_hours text)
+returns boolean
+language sql
+immutable
+as $$
+  select case
+    when split_part(p_hours, '-', 1)::time < split_part(p_hours, '-', 2)::time
+      then p_time between split_part(p_hours, '-', 1)::time and split_part(p_hours, '-', 2)::time
+    else p_time >= split_part(p_hours, '-', 1)::time or p_time <= split_part(p_hours, '-', 2)::time
+  end;
+$$;
+
+-- The active slots of a service under the rule of that date (src/schedule.js slotsWithin).
+-- HOURS: only the ones inside the hours and, when the rule is for the service, the extended hours:
+-- more slots before the first one and after the last one, every `step` (the shortest gap between two
+-- slots, 30 minutes with a single one) with the capacity of the slot they go on from, up to midnight.
+create or replace function service_slots(p_restaurant_id uuid, p_service text, p_rule schedule_exceptions)
+returns table (slot_time time, capacity integer)
+language plpgsql
+stable
+as $$
+declare
+  v_first restaurant_slots%rowtype;
+  v_last restaurant_slots%rowtype;
+  v_step integer;
+  v_start integer;
+  v_end integer;
+  v_at integer;
+begin
+  return query
+    select s.slot_time, s.capacity
+      from restaurant_slots s
+     where s.restaurant_id = p_restaurant_id and s.service = p_service and s.active
+       and (p_rule.kind is distinct from 'HOURS' or within_hours(s.slot_time, p_rule.hours))
+     order by s.slot_time;
+
+  if p_rule.kind is distinct from 'HOURS' or p_rule.service is distinct from p_service then
+    return;
+  end if;
+
+  select * into v_first
+    from restaurant_slots s
+   where s.restaurant_id = p_restaurant_id and s.service = p_service and s.active
+   order by s.slot_time
+   limit 1;
+  if not found then
+    return;
+  end if;
+
+  select * into v_last
+    from restaurant_slots s
+   where s.restaurant_id = p_restaurant_id and s.service = p_service and s.active
+   order by s.slot_time desc
+   limit 1;
+
+  select coalesce(min(gap), 30) into v_step
+    from (
+      select (extract(epoch from s.slot_time - lag(s.slot_time) over (order by s.slot_time)) / 60)::integer gap
+        from restaurant_slots s
+       where s.restaurant_id = p_restaurant_id and s.service = p_service and s.active
+    ) gaps
+   where gap > 0;
+
+  v_start := (extract(epoch from split_part(p_rule.hours, '-', 1)::time) / 60)::integer;
+  v_end := (extract(epoch from split_part(p_rule.hours, '-', 2)::time) / 60)::integer;
+  if v_end < v_start then
+    v_end := 24 * 60 - 1;
+  end if;
+
+  v_at := (extract(epoch from v_first.slot_time) / 60)::integer - v_step;
+  while v_at >= v_start loop
+    slot_time := make_time(v_at / 60, v_at % 60, 0);
+    capacity := v_first.capacity;
+    return next;
+    v_at := v_at - v_step;
+  end loop;
+
+  v_at := (extract(epoch from v_last.slot_time) / 60)::integer + v_step;
+  while v_at <= v_end loop
+    slot_time := make_time(v_at / 60, v_at % 60, 0);
+    capacity := v_last.capacity;
+    return next;
+    v_at := v_at + v_step;
+  end loop;
+end;
+$$;
+
+-- book_reservation (20261019001800_deposits.sql) refusing closed services (CLOSED), the ones whose
+-- reduced capacity the party does not fit in (REDUCED_CAPACITY) and times outside special hours
+-- (UNKNOWN_SLOT with the rule), before the usual checks. Slots come from service_slots.
+create or replace function book_reservation(
+  p_reservation jsonb,
+  p_hold_id uuid default null,
+  p_idempotency_key text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_restaurant restaurants%rowtype;
+  v_date date := (p_reservation ->> 'service_date')::date;
+  v_service text := p_reservation ->> 'service';
+  v_time time := nullif(p_reservation ->> 'service_time', '')::time;
+  v_party integer := (p_reservation ->> 'party_size')::integer;
+  v_tags text[] := coalesce(array(select jsonb_array_elements_text(p_reservation -> 'tags')), '{}');
+  v_held integer;
+  v_rule schedule_exceptions%rowtype;
+  v_booked integer;
+  v_avail record;
+  v_slot record;
+  v_slot_booked integer;
+  v_tag jsonb;
+  v_tag_booked integer;
+  v_row reservations%rowtype;
+begin
+  select * into v_restaurant from restaurants where id = (p_reservation ->> 'restaurant_id')::uuid;
+  if not found then
+    return jsonb_build_object('ok', false, 'reason', 'RESTAURANT_NOT_FOUND');
+  end if;
+
+  -- Bookings for the same service wait for each other until commit
+  perform pg_advisory_xact_lock(hashtext(v_restaurant.id::text || '|' || v_date::text || '|' || v_service));
+
+  if p_idempotency_key is not null then
+    select * into v_row from reservations where idempotency_key = p_idempotency_key;
+    if found then
+      return jsonb_build_object('ok', true, 'replayed', true, 'reservation', to_jsonb(v_row));
+    end if;
+  end if;
+
+  -- check_availability only counts CONFIRMED: offers and unpaid deposits on hold go on top
+  select coalesce(sum(party_size), 0) into v_held
+    from (
+      select party_size from waitlist_entries
+       where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+         and status = 'OFFERED' and offer_expires_at > now()
+         and (p_hold_id is null or id <> p_hold_id)
+      union all
+      select party_size from reservations
+       where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+         and status = 'PENDING_PAYMENT' and payment_expires_at > now()
+    ) held;
+
+  -- A rule for the service wins over the one for the whole day
+  select * into v_rule
+    from schedule_exceptions
+   where restaurant_id = v_restaurant.id and service_date = v_date and (service = v_service or service is null)
+   order by service nulls last
+   limit 1;
+
+  if found and v_rule.kind = 'CLOSED' then
+    return jsonb_build_object('ok', false, 'reason', 'CLOSED', 'exception', exception_summary(v_rule));
+  end if;
+
+  if found and v_rule.kind = 'CAPACITY' then
+    select coalesce(sum(party_size), 0) into v_booked
+      from reservations
+     where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+       and status = 'CONFIRMED';
+
+    if v_booked + v_held + v_party > v_rule.capacity then
+      return jsonb_build_object(
+        'ok', false,
+        'reason', 'REDUCED_CAPACITY',
+        'exception', exception_summary(v_rule),
+        'capacity', v_rule.capacity,
+        'remaining', greatest(0, v_rule.capacity - v_booked - v_held)
+      );
+    end if;
+  end if;
+
+  select * into v_avail from check_availability(v_restaurant.code, v_date, v_service, v_party + v_held);
+  if not coalesce(v_avail.ok, false) then
+    return to_jsonb(v_avail) || jsonb_build_object('ok', false, 'reason', coalesce(v_avail.reason, 'NOT_AVAILABLE'));
+  end if;
+
+  if exists (
+    select 1 from restaurant_slots
+     where restaurant_id = v_restaurant.id and service = v_service and active
+  ) then
+    if v_time is null then
+      return jsonb_build_object('ok', false, 'reason', 'TIME_REQUIRED');
+    end if;
+
+    select * into v_slot from service_slots(v_restaurant.id, v_service, v_rule) s where s.slot_time = v_time;
+    if not found then
+      return jsonb_build_object('ok', false, 'reason', 'UNKNOWN_SLOT', 'time', to_char(v_time, 'HH24:MI'))
+        || case when v_rule.kind = 'HOURS' then jsonb_build_object('exception', exception_summary(v_rule))
+           else '{}'::jsonb end;
+    end if;
+
+    select coalesce(sum(party_size), 0) into v_slot_booked
+      from (
+        select party_size from reservations
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and service_time = v_time
+           and (status = 'CONFIRMED' or (status = 'PENDING_PAYMENT' and payment_expires_at > now()))
+        union all
+        select party_size from waitlist_entries
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and service_time = v_time and status = 'OFFERED' and offer_expires_at > now()
+           and (p_hold_id is null or id <> p_hold_id)
+      ) booked;
+
+    if v_slot_booked + v_party > v_slot.capacity then
+      return jsonb_build_object(
+        'ok', false,
+        'reason', 'SLOT_FULL',
+        'time', to_char(v_time, 'HH24:MI'),
+        'slot_capacity', v_slot.capacity,
+        'slot_remaining', greatest(0, v_slot.capacity - v_slot_booked)
+      );
+    end if;
+  elsif v_rule.kind = 'HOURS' and v_time is not null and not within_hours(v_time, v_rule.hours) then
+    return jsonb_build_object(
+      'ok', false,
+      'reason', 'UNKNOWN_SLOT',
+      'time', to_char(v_time, 'HH24:MI'),
+      'exception', exception_summary(v_rule)
+    );
+  end if;
+
+  for v_tag in
+    select tag from jsonb_array_elements(v_restaurant.request_tags) tag
+     where jsonb_typeof(tag -> 'capacity') = 'number' and (tag ->> 'code') = any (v_tags)
+  loop
+    select coalesce(sum(party_size), 0) into v_tag_booked
+      from (
+        select party_size from reservations
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and (status = 'CONFIRMED' or (status = 'PENDING_PAYMENT' and payment_expires_at > now()))
+           and (v_tag ->> 'code') = any (tags)
+        union all
+        select party_size from waitlist_entries
+         where restaurant_id = v_restaurant.id and service_date = v_date and service = v_service
+           and status = 'OFFERED' and offer_expires_at > now() and (v_tag ->> 'code') = any (tags)
+           and (p_hold_id is null or id <> p_hold_id)
+      ) booked;
+
+    if v_tag_booked + v_party > (v_tag ->> 'capacity')::integer then
+      return jsonb_build_object(
+        'ok', false,
+        'reason', 'TAG_FULL',
+        'tag', v_tag ->> 'code',
+        'tag_capacity', (v_tag ->> 'capacity')::integer,
+        'tag_remaining', greatest(0, (v_tag ->> 'capacity')::integer - v_tag_booked)
+      );
+    end if;
+  end loop;
+
+  begin
+    insert into reservations (
+      restaurant_id, customer_name, customer_phone, party_size,
+      service_date, service, service_time, status, notes, tags, payment_expires_at, idempotency_key
+    ) values (
+      v_restaurant.id,
+      p_reservation ->> 'customer_name',
+      p_reservation ->> 'customer_phone',
+      v_party,
+      v_date,
+      v_service,
+      v_time,
+      coalesce(p_reservation ->> 'status', 'CONFIRMED'),
+      p_reservation ->> 'notes',
+      v_tags,
+      nullif(p_reservation ->> 'payment_expires_at', '')::timestamptz,
+      p_idempotency_key
+    )
+    returning * into v_row;
+  exception when unique_violation then
+    -- Same key, another service (another lock): the first insert won
+    select * into v_row from reservations where idempotency_key = p_idempotency_key;
+    return jsonb_build_object('ok', true, 'replayed', true, 'reservation', to_jsonb(v_row));
+  end;
+
+  return jsonb_build_object('ok', true, 'replayed', false, 'reservation', to_jsonb(v_row));
+end;
+$$;
@@ -0,0 +1,298 @@
+-- Atomic modify: moving or resizing a reservation (booking.modifyReservation, from the bot and
+-- PATCH /staff/reservations/:id) re-checks and updates in one transaction, under the same lock per
+-- restaurant/date/service as book_reservation, so a change can't take seats a booking just got.
+-- The checks of book_reservation move to booking_refusal, shared by both:
+--   booking_refusal(restaurant, date, service, time, party, tags, hold, except) -> null when it fits,
+--   or the refusal: CLOSED, REDUCED_CAPACITY, NO_CAPACITY (check_availability), TIME_REQUIRED,
+--   UNKNOWN_SLOT, SLOT_FULL, TAG_FULL. p_except_id is left out of every count (the reservation being
+--   changed); like booking.checkChange, a smaller party on its same service is not checked against
+--   the service again (a closed or reduced one included), only its slot and tags.
+create or replace function booking_refusal(
+  p_restaurant restaurants,
+  p_date date,
+  p_service text,
+  p_time time,
+  p_party integer,
+  p_tags text[],
+  p_hold_id uuid default null,
+  p_except_id uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_own integer;
+  v_held integer;
+  v_rule schedule_exceptions%rowtype;
+  v_booked integer;
+  v_avail record;
+  v_slot record;
+  v_slot_booked integer;
+  v_tag jsonb;
+  v_tag_booked integer;
+begin
+  -- Its own seats on the same service (check_availability counts them)
+  select coalesce(sum(party_size), 0) into v_own
+    from reservations
+   where id = p_except_id and restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+     and status = 'CONFIRMED';
+
+  -- check_availability only counts CONFIRMED: offers and unpaid deposits on hold go on top
+  select coalesce(sum(party_size), 0) into v_held
+    from (
+      select party_size from waitlist_entries
+       where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+         and status = 'OFFERED' and offer_expires_at > now()
+         and (p_hold_id is null or id <> p_hold_id)
+      union all
+      select party_size from reservations
+       where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+         and status = 'PENDING_PAYMENT' and payment_expires_at > now()
+         and id is distinct from p_except_id
+    ) held;
+
+  -- A rule for the service wins over the one for the whole day
+  select * into v_rule
+    from schedule_exceptions
+   where restaurant_id = p_restaurant.id and service_date = p_date and (service = p_service or service is null)
+   order by service nulls last
+   limit 1;
+
+  if p_party > v_own then
+    if v_rule.kind = 'CLOSED' then
+      return jsonb_build_object('ok', false, 'reason', 'CLOSED', 'exception', exception_summary(v_rule));
+    end if;
+
+    if v_rule.kind = 'CAPACITY' then
+      select coalesce(sum(party_size), 0) into v_booked
+        from reservations
+       where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+         and status = 'CONFIRMED' and id is distinct from p_except_id;
+
+      if v_booked + v_held + p_party > v_rule.capacity then
+        return jsonb_build_object(
+          'ok', false,
+          'reason', 'REDUCED_CAPACITY',
+          'exception', exception_summary(v_rule),
+          'capacity', v_rule.capacity,
+          'remaining', greatest(0, v_rule.capacity - v_booked - v_held)
+        );
+      end if;
+    end if;
+
+    select * into v_avail from check_availability(p_restaurant.code, p_date, p_service, p_party - v_own + v_held);
+    if not coalesce(v_avail.ok, false) then
+      return to_jsonb(v_avail) || jsonb_build_object('ok', false, 'reason', coalesce(v_avail.reason, 'NOT_AVAILABLE'));
+    end if;
+  end if;
+
+  if exists (
+    select 1 from restaurant_slots
+     where restaurant_id = p_restaurant.id and service = p_service and active
+  ) then
+    if p_time is null then
+      return jsonb_build_object('ok', false, 'reason', 'TIME_REQUIRED');
+    end if;
+
+    select * into v_slot from service_slots(p_restaurant.id, p_service, v_rule) s where s.slot_time = p_time;
+    if not found then
+      return jsonb_build_object('ok', false, 'reason', 'UNKNOWN_SLOT', 'time', to_char(p_time, 'HH24:MI'))
+        || case when v_rule.kind = 'HOURS' then jsonb_build_object('exception', exception_summary(v_rule))
+           else '{}'::jsonb end;
+    end if;
+
+    select coalesce(sum(party_size), 0) into v_slot_booked
+      from (
+        select party_size from reservations
+         where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+           and service_time = p_time and id is distinct from p_except_id
+           and (status = 'CONFIRMED' or (status = 'PENDING_PAYMENT' and payment_expires_at > now()))
+        union all
+        select party_size from waitlist_entries
+         where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+           and service_time = p_time and status = 'OFFERED' and offer_expires_at > now()
+           and (p_hold_id is null or id <> p_hold_id)
+      ) booked;
+
+    if v_slot_booked + p_party > v_slot.capacity then
+      return jsonb_build_object(
+        'ok', false,
+        'reason', 'SLOT_FULL',
+        'time', to_char(p_time, 'HH24:MI'),
+        'slot_capacity', v_slot.capacity,
+        'slot_remaining', greatest(0, v_slot.capacity - v_slot_booked)
+      );
+    end if;
+  elsif v_rule.kind = 'HOURS' and p_time is not null and not within_hours(p_time, v_rule.hours) then
+    return jsonb_build_object(
+      'ok', false,
+      'reason', 'UNKNOWN_SLOT',
+      'time', to_char(p_time, 'HH24:MI'),
+      'exception', exception_summary(v_rule)
+    );
+  end if;
+
+  for v_tag in
+    select tag from jsonb_array_elements(p_restaurant.request_tags) tag
+     where jsonb_typeof(tag -> 'capacity') = 'number' and (tag ->> 'code') = any (p_tags)
+  loop
+    select coalesce(sum(party_size), 0) into v_tag_booked
+      from (
+        select party_size from reservations
+         where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+           and (status = 'CONFIRMED' or (status = 'PENDING_PAYMENT' and payment_expires_at > now()))
+           and (v_tag ->> 'code') = any (tags) and id is distinct from p_except_id
+        union all
+        select party_size from waitlist_entries
+         where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+           and status = 'OFFERED' and offer_expires_at > now() and (v_tag ->> 'code') = any (tags)
+           and (p_hold_id is null or id <> p_hold_id)
+      ) booked;
+
+    if v_tag_booked + p_party > (v_tag ->> 'capacity')::integer then
+      return jsonb_build_object(
+        'ok', false,
+        'reason', 'TAG_FULL',
+        'tag', v_tag ->> 'code',
+        'tag_capacity', (v_tag ->> 'capacity')::integer,
+        'tag_remaining', greatest(0, (v_tag ->> 'capacity')::integer - v_tag_booked)
+      );
+    end if;
+  end loop;
+
+  return null;
+end;
+$$;
+
+-- book_reservation (20261019001900_schedule_exceptions.sql) with its checks in booking_refusal
+create or replace function book_reservation(
+  p_reservation jsonb,
+  p_hold_id uuid default null,
+  p_idempotency_key text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_restaurant restaurants%rowtype;
+  v_date date := (p_reservation ->> 'service_date')::date;
+  v_service text := p_reservation ->> 'service';
+  v_time time := nullif(p_reservation ->> 'service_time', '')::time;
+  v_party integer := (p_reservation ->> 'party_size')::integer;
+  v_tags text[] := coalesce(array(select jsonb_array_elements_text(p_reservation -> 'tags')), '{}');
+  v_refusal jsonb;
+  v_row reservations%rowtype;
+begin
+  select * into v_restaurant from restaurants where id = (p_reservation ->> 'restaurant_id')::uuid;
+  if not found then
+    return jsonb_build_object('ok', false, 'reason', 'RESTAURANT_NOT_FOUND');
+  end if;
+
+  -- Bookings for the same service wait for each other until commit
+  perform pg_advisory_xact_lock(hashtext(v_restaurant.id::text || '|' || v_date::text || '|' || v_service));
+
+  if p_idempotency_key is not null then
+    select * into v_row from reservations where idempotency_key = p_idempotency_key;
+    if found then
+      return jsonb_build_object('ok', true, 'replayed', true, 'reservation', to_jsonb(v_row));
+    end if;
+  end if;
+
+  v_refusal := booking_refusal(v_restaurant, v_date, v_service, v_time, v_party, v_tags, p_hold_id);
+  if v_refusal is not null then
+    return v_refusal;
+  end if;
+
+  begin
+    insert into reservations (
+      restaurant_id, customer_name, customer_phone, party_size,
+      service_date, service, service_time, status, notes, tags, payment_expires_at, idempotency_key
+    ) values (
+      v_restaurant.id,
+      p_reservation ->> 'customer_name',
+      p_reservation ->> 'customer_phone',
+      v_party,
+      v_date,
+      v_service,
+      v_time,
+      coalesce(p_reservation ->> 'status', 'CONFIRMED'),
+      p_reservation ->> 'notes',
+      v_tags,
+      nullif(p_reservation ->> 'payment_expires_at', '')::timestamptz,
+      p_idempotency_key
+    )
+    returning * into v_row;
+  exception when unique_violation then
+    -- Same key, another service (another lock): the first insert won
+    select * into v_row from reservations where idempotency_key = p_idempotency_key;
+    return jsonb_build_object('ok', true, 'replayed', true, 'reservation', to_jsonb(v_row));
+  end;
+
+  return jsonb_build_object('ok', true, 'replayed', false, 'reservation', to_jsonb(v_row));
+end;
+$$;
+
+-- p_patch: party_size, service_date, service, service_time, status, reminder_sent_at,
+-- payment_expires_at (the ones it has). p_expect: { column: value } the row must still have
+-- (what it had when it was read), otherwise RESERVATION_CHANGED and nothing is touched.
+-- Returns { ok: true, reservation } or the refusal of booking_refusal for what it would become.
+create or replace function modify_reservation(p_id uuid, p_patch jsonb, p_expect jsonb default '{}'::jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_row reservations%rowtype;
+  v_restaurant restaurants%rowtype;
+  v_date date;
+  v_service text;
+  v_time time;
+  v_party integer;
+  v_refusal jsonb;
+begin
+  select * into v_row from reservations where id = p_id;
+  if not found then
+    return jsonb_build_object('ok', false, 'reason', 'RESERVATION_CHANGED');
+  end if;
+
+  select * into v_restaurant from restaurants where id = v_row.restaurant_id;
+  if not found then
+    return jsonb_build_object('ok', false, 'reason', 'RESTAURANT_NOT_FOUND');
+  end if;
+
+  v_date := coalesce((p_patch ->> 'service_date')::date, v_row.service_date);
+  v_service := coalesce(p_patch ->> 'service', v_row.service);
+  v_party := coalesce((p_patch ->> 'party_size')::integer, v_row.party_size);
+  v_time := case when p_patch ? 'service_time' then nullif(p_patch ->> 'service_time', '')::time
+                 else v_row.service_time end;
+
+  -- The service it goes to: waits for the bookings of it, then reads the row again (locked)
+  perform pg_advisory_xact_lock(hashtext(v_restaurant.id::text || '|' || v_date::text || '|' || v_service));
+
+  select * into v_row from reservations where id = p_id for update;
+  if exists (select 1 from jsonb_each(p_expect) e where to_jsonb(v_row) -> e.key is distinct from e.value) then
+    return jsonb_build_object('ok', false, 'reason', 'RESERVATION_CHANGED');
+  end if;
+
+  v_refusal := booking_refusal(v_restaurant, v_date, v_service, v_time, v_party, v_row.tags, null, p_id);
+  if v_refusal is not null then
+    return v_refusal;
+  end if;
+
+  update reservations
+     set party_size = v_party,
+         service_date = v_date,
+         service = v_service,
+         service_time = v_time,
+         status = coalesce(p_patch ->> 'status', status),
+         reminder_sent_at = case when p_patch ? 'reminder_sent_at'
+                                 then nullif(p_patch ->> 'reminder_sent_at', '')::timestamptz
+                                 else reminder_sent_at end,
+         payment_expires_at = case when p_patch ? 'payment_expires_at'
+                                   then nullif(p_patch ->> 'payment_expires_at', '')::timestamptz
+                                   else payment_expires_at end
+   where id = p_id
+   returning * into v_row;
+
+  return jsonb_build_object('ok', true, 'reservation', to_jsonb(v_row));
+end;
+$$;
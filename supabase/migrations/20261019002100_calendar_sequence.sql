@@ -0,0 +1,22 @@
+-- iCalendar SEQUENCE of a reservation's invite (src/calendar.js): goes up every time its date,
+-- service or time change, so the guest's calendar takes the new invite over the old one
+-- (a CANCEL goes out with one more).
+alter table reservations add column if not exists calendar_sequence integer not null default 0;
+
+create or replace function bump_calendar_sequence()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.service_date, new.service, new.service_time)
+     is distinct from (old.service_date, old.service, old.service_time) then
+    new.calendar_sequence := old.calendar_sequence + 1;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists reservations_calendar_sequence on reservations;
+create trigger reservations_calendar_sequence
+  before update on reservations
+  for each row execute function bump_calendar_sequence();
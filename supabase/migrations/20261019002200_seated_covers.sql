@@ -0,0 +1,232 @@
+-- Seated covers: a party the host marked SEATED or COMPLETED is still at the table (or was, that
+-- service), so its seats count for the service, slot and tag capacity like a CONFIRMED one.
+-- Cancelled and no-show tables are free. Same statuses as SEATED_STATUSES in src/slots.js.
+create index if not exists reservations_seated_slot_idx
+  on reservations (restaurant_id, service_date, service, service_time)
+  where status in ('CONFIRMED', 'SEATED', 'COMPLETED');
+drop index if exists reservations_slot_idx;
+
+-- Return columns as the app reads them (src/storage/supabase.js): dropped first, since
+-- create or replace cannot change them
+drop function if exists check_availability(text, date, text, integer);
+create function check_availability(
+  p_restaurant_code text,
+  p_service_date date,
+  p_service text,
+  p_party_size integer
+)
+returns table (ok boolean, reason text, capacity_max integer, booked integer, remaining integer)
+language plpgsql
+as $$
+declare
+  v_restaurant restaurants%rowtype;
+  v_booked integer;
+begin
+  select * into v_restaurant from restaurants where code = p_restaurant_code;
+  if not found then
+    return query select false, 'RESTAURANT_NOT_FOUND'::text, null::integer, null::integer, null::integer;
+    return;
+  end if;
+
+  select coalesce(sum(r.party_size), 0) into v_booked
+    from reservations r
+   where r.restaurant_id = v_restaurant.id and r.service_date = p_service_date and r.service = p_service
+     and r.status in ('CONFIRMED', 'SEATED', 'COMPLETED');
+
+  return query select
+    v_booked + p_party_size <= v_restaurant.capacity_max,
+    case when v_booked + p_party_size <= v_restaurant.capacity_max then null else 'NO_CAPACITY' end,
+    v_restaurant.capacity_max,
+    v_booked,
+    v_restaurant.capacity_max - v_booked;
+end;
+$$;
+
+-- Every date/service from p_service_date to p_service_date + p_days_ahead (the requested one left
+-- out) that still fits the party, by date and LUNCH before DINNER
+drop function if exists suggest_alternatives(text, date, text, integer, integer);
+create function suggest_alternatives(
+  p_restaurant_code text,
+  p_service_date date,
+  p_service text,
+  p_party_size integer,
+  p_days_ahead integer default 14
+)
+returns table (service_date date, service text)
+language sql
+stable
+as $$
+  select d::date, s.service
+    from restaurants rest
+    cross join generate_series(p_service_date, p_service_date + p_days_ahead, interval '1 day') d
+    cross join (values (1, 'LUNCH'), (2, 'DINNER')) s (sort, service)
+   where rest.code = p_restaurant_code
+     and not (d::date = p_service_date and s.service = p_service)
+     and (
+       select coalesce(sum(r.party_size), 0)
+         from reservations r
+        where r.restaurant_id = rest.id and r.service_date = d::date and r.service = s.service
+          and r.status in ('CONFIRMED', 'SEATED', 'COMPLETED')
+     ) + p_party_size <= rest.capacity_max
+   order by d, s.sort;
+$$;
+
+-- booking_refusal (20261019002000_atomic_modify.sql) counting seated covers
+create or replace function booking_refusal(
+  p_restaurant restaurants,
+  p_date date,
+  p_service text,
+  p_time time,
+  p_party integer,
+  p_tags text[],
+  p_hold_id uuid default null,
+  p_except_id uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_own integer;
+  v_held integer;
+  v_rule schedule_exceptions%rowtype;
+  v_booked integer;
+  v_avail record;
+  v_slot record;
+  v_slot_booked integer;
+  v_tag jsonb;
+  v_tag_booked integer;
+begin
+  -- Its own seats on the same service (check_availability counts them)
+  select coalesce(sum(party_size), 0) into v_own
+    from reservations
+   where id = p_except_id and restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+     and status in ('CONFIRMED', 'SEATED', 'COMPLETED');
+
+  -- check_availability only counts seated covers: offers and unpaid deposits on hold go on top
+  select coalesce(sum(party_size), 0) into v_held
+    from (
+      select party_size from waitlist_entries
+       where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+         and status = 'OFFERED' and offer_expires_at > now()
+         and (p_hold_id is null or id <> p_hold_id)
+      union all
+      select party_size from reservations
+       where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+         and status = 'PENDING_PAYMENT' and payment_expires_at > now()
+         and id is distinct from p_except_id
+    ) held;
+
+  -- A rule for the service wins over the one for the whole day
+  select * into v_rule
+    from schedule_exceptions
+   where restaurant_id = p_restaurant.id and service_date = p_date and (service = p_service or service is null)
+   order by service nulls last
+   limit 1;
+
+  if p_party > v_own then
+    if v_rule.kind = 'CLOSED' then
+      return jsonb_build_object('ok', false, 'reason', 'CLOSED', 'exception', exception_summary(v_rule));
+    end if;
+
+    if v_rule.kind = 'CAPACITY' then
+      select coalesce(sum(party_size), 0) into v_booked
+        from reservations
+       where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+         and status in ('CONFIRMED', 'SEATED', 'COMPLETED') and id is distinct from p_except_id;
+
+      if v_booked + v_held + p_party > v_rule.capacity then
+        return jsonb_build_object(
+          'ok', false,
+          'reason', 'REDUCED_CAPACITY',
+          'exception', exception_summary(v_rule),
+          'capacity', v_rule.capacity,
+          'remaining', greatest(0, v_rule.capacity - v_booked - v_held)
+        );
+      end if;
+    end if;
+
+    select * into v_avail from check_availability(p_restaurant.code, p_date, p_service, p_party - v_own + v_held);
+    if not coalesce(v_avail.ok, false) then
+      return to_jsonb(v_avail) || jsonb_build_object('ok', false, 'reason', coalesce(v_avail.reason, 'NOT_AVAILABLE'));
+    end if;
+  end if;
+
+  if exists (
+    select 1 from restaurant_slots
+     where restaurant_id = p_restaurant.id and service = p_service and active
+  ) then
+    if p_time is null then
+      return jsonb_build_object('ok', false, 'reason', 'TIME_REQUIRED');
+    end if;
+
+    select * into v_slot from service_slots(p_restaurant.id, p_service, v_rule) s where s.slot_time = p_time;
+    if not found then
+      return jsonb_build_object('ok', false, 'reason', 'UNKNOWN_SLOT', 'time', to_char(p_time, 'HH24:MI'))
+        || case when v_rule.kind = 'HOURS' then jsonb_build_object('exception', exception_summary(v_rule))
+           else '{}'::jsonb end;
+    end if;
+
+    select coalesce(sum(party_size), 0) into v_slot_booked
+      from (
+        select party_size from reservations
+         where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+           and service_time = p_time and id is distinct from p_except_id
+           and (status in ('CONFIRMED', 'SEATED', 'COMPLETED')
+                or (status = 'PENDING_PAYMENT' and payment_expires_at > now()))
+        union all
+        select party_size from waitlist_entries
+         where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+           and service_time = p_time and status = 'OFFERED' and offer_expires_at > now()
+           and (p_hold_id is null or id <> p_hold_id)
+      ) booked;
+
+    if v_slot_booked + p_party > v_slot.capacity then
+      return jsonb_build_object(
+        'ok', false,
+        'reason', 'SLOT_FULL',
+        'time', to_char(p_time, 'HH24:MI'),
+        'slot_capacity', v_slot.capacity,
+        'slot_remaining', greatest(0, v_slot.capacity - v_slot_booked)
+      );
+    end if;
+  elsif v_rule.kind = 'HOURS' and p_time is not null and not within_hours(p_time, v_rule.hours) then
+    return jsonb_build_object(
+      'ok', false,
+      'reason', 'UNKNOWN_SLOT',
+      'time', to_char(p_time, 'HH24:MI'),
+      'exception', exception_summary(v_rule)
+    );
+  end if;
+
+  for v_tag in
+    select tag from jsonb_array_elements(p_restaurant.request_tags) tag
+     where jsonb_typeof(tag -> 'capacity') = 'number' and (tag ->> 'code') = any (p_tags)
+  loop
+    select coalesce(sum(party_size), 0) into v_tag_booked
+      from (
+        select party_size from reservations
+         where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+           and (status in ('CONFIRMED', 'SEATED', 'COMPLETED')
+                or (status = 'PENDING_PAYMENT' and payment_expires_at > now()))
+           and (v_tag ->> 'code') = any (tags) and id is distinct from p_except_id
+        union all
+        select party_size from waitlist_entries
+         where restaurant_id = p_restaurant.id and service_date = p_date and service = p_service
+           and status = 'OFFERED' and offer_expires_at > now() and (v_tag ->> 'code') = any (tags)
+           and (p_hold_id is null or id <> p_hold_id)
+      ) booked;
+
+    if v_tag_booked + p_party > (v_tag ->> 'capacity')::integer then
+      return jsonb_build_object(
+        'ok', false,
+        'reason', 'TAG_FULL',
+        'tag', v_tag ->> 'code',
+        'tag_capacity', (v_tag ->> 'capacity')::integer,
+        'tag_remaining', greatest(0, (v_tag ->> 'capacity')::integer - v_tag_booked)
+      );
+    end if;
+  end loop;
+
+  return null;
+end;
+$$;
@@ -0,0 +1,69 @@
+-- A change that needs a deposit (booking.modifyReservation) keeps what the reservation was before in
+-- previous_booking ({ party_size, service_date, service, service_time, reminder_sent_at }) while it is
+-- PENDING_PAYMENT: a deposit that lapses puts it back there (src/payments.js) instead of cancelling it.
+-- modify_reservation writes the column too, for both the change and the way back.
+alter table reservations add column if not exists previous_booking jsonb;
+
+create or replace function modify_reservation(p_id uuid, p_patch jsonb, p_expect jsonb default '{}'::jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_row reservations%rowtype;
+  v_restaurant restaurants%rowtype;
+  v_date date;
+  v_service text;
+  v_time time;
+  v_party integer;
+  v_refusal jsonb;
+begin
+  select * into v_row from reservations where id = p_id;
+  if not found then
+    return jsonb_build_object('ok', false, 'reason', 'RESERVATION_CHANGED');
+  end if;
+
+  select * into v_restaurant from restaurants where id = v_row.restaurant_id;
+  if not found then
+    return jsonb_build_object('ok', false, 'reason', 'RESTAURANT_NOT_FOUND');
+  end if;
+
+  v_date := coalesce((p_patch ->> 'service_date')::date, v_row.service_date);
+  v_service := coalesce(p_patch ->> 'service', v_row.service);
+  v_party := coalesce((p_patch ->> 'party_size')::integer, v_row.party_size);
+  v_time := case when p_patch ? 'service_time' then nullif(p_patch ->> 'service_time', '')::time
+                 else v_row.service_time end;
+
+  -- The service it goes to: waits for the bookings of it, then reads the row again (locked)
+  perform pg_advisory_xact_lock(hashtext(v_restaurant.id::text || '|' || v_date::text || '|' || v_service));
+
+  select * into v_row from reservations where id = p_id for update;
+  if exists (select 1 from jsonb_each(p_expect) e where to_jsonb(v_row) -> e.key is distinct from e.value) then
+    return jsonb_build_object('ok', false, 'reason', 'RESERVATION_CHANGED');
+  end if;
+
+  v_refusal := booking_refusal(v_restaurant, v_date, v_service, v_time, v_party, v_row.tags, null, p_id);
+  if v_refusal is not null then
+    return v_refusal;
+  end if;
+
+  update reservations
+     set party_size = v_party,
+         service_date = v_date,
+         service = v_service,
+         service_time = v_time,
+         status = coalesce(p_patch ->> 'status', status),
+         reminder_sent_at = case when p_patch ? 'reminder_sent_at'
+                                 then nullif(p_patch ->> 'reminder_sent_at', '')::timestamptz
+                                 else reminder_sent_at end,
+         payment_expires_at = case when p_patch ? 'payment_expires_at'
+                                   then nullif(p_patch ->> 'payment_expires_at', '')::timestamptz
+                                   else payment_expires_at end,
+         previous_booking = case when p_patch ? 'previous_booking'
+                                 then nullif(p_patch -> 'previous_booking', 'null'::jsonb)
+                                 else previous_booking end
+   where id = p_id
+   returning * into v_row;
+
+  return jsonb_build_object('ok', true, 'reservation', to_jsonb(v_row));
+end;
+$$;
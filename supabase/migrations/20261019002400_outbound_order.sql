@@ -0,0 +1,4 @@
+-- Per-guest order (src/outbox.js): before sending, a message looks for an earlier one to the same
+-- wa_id that is still QUEUED or SENDING, and waits behind it.
+create index if not exists outbound_messages_pending_idx on outbound_messages (tenant_id, wa_id, created_at)
+  where status in ('QUEUED', 'SENDING');
@@ -0,0 +1,188 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, dayFromToday, STAFF_KEYS, HOST } = require("./helpers");
+
+test("REST API", async (t) => {
+  const date = dayFromToday(5);
+  const ctx = await startTestApp({
+    seed: {
+      staffKeys: STAFF_KEYS,
+      slots: [
+        { restaurant_id: "r-deliclub", service: "DINNER", slot_time: "20:00", capacity: 6 },
+        { restaurant_id: "r-deliclub", service: "DINNER", slot_time: "20:30", capacity: 6 },
+        { restaurant_id: "r-deliclub", service: "DINNER", slot_time: "21:00", capacity: 6 },
+      ],
+    },
+  });
+  t.after(() => ctx.close());
+
+  await t.test("GET /health", async () => {
+    const res = await ctx.request("GET", "/health");
+    assert.deepEqual(res.body, { ok: true });
+  });
+
+  await t.test("GET /restaurants lists every restaurant", async () => {
+    const res = await ctx.request("GET", "/restaurants");
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.restaurants.map((r) => r.code),
+      ["brodo-pasta", "brodo-pizza", "deliclub"]
+    );
+  });
+
+  await t.test("POST /restaurants/refresh needs a staff key", async () => {
+    assert.equal((await ctx.request("POST", "/restaurants/refresh")).status, 401);
+
+    const res = await ctx.request("POST", "/restaurants/refresh", {}, HOST);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true, count: 3 });
+  });
+
+  await t.test("GET /availability validates params", async () => {
+    const res = await ctx.request("GET", `/availability?restaurant=brodo-pasta&date=${date}`);
+    assert.equal(res.status, 400);
+  });
+
+  await t.test("POST /reserve books and then reports the service as full", async () => {
+    const body = {
+      restaurant: "brodo-pasta",
+      date,
+      service: "LUNCH",
+      party: 18,
+      customer_name: "Ana",
+      customer_phone: "5491100000001",
+    };
+    const first = await ctx.request("POST", "/reserve", body);
+    assert.equal(first.status, 200);
+    assert.ok(first.body.reservation_id);
+
+    const avail = await ctx.request(
+      "GET",
+      `/availability?restaurant=brodo-pasta&date=${date}&service=LUNCH&party=4`
+    );
+    assert.equal(avail.body.result.ok, false);
+
+    const second = await ctx.request("POST", "/reserve", { ...body, party: 4 });
+    assert.equal(second.status, 409);
+    assert.equal(second.body.reason, "NO_CAPACITY");
+  });
+
+  await t.test("POST /reserve rejects unknown restaurants", async () => {
+    const res = await ctx.request("POST", "/reserve", {
+      restaurant: "nope",
+      date,
+      service: "LUNCH",
+      party: 2,
+      customer_name: "Ana",
+      customer_phone: "5491100000001",
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.reason, "RESTAURANT_NOT_FOUND");
+  });
+
+  await t.test("time slots: /reserve requires a valid open slot", async () => {
+    const base = {
+      restaurant: "deliclub",
+      date,
+      service: "DINNER",
+      customer_name: "Beto",
+      customer_phone: "5491100000002",
+    };
+
+    const noTime = await ctx.request("POST", "/reserve", { ...base, party: 2 });
+    assert.equal(noTime.status, 409);
+    assert.equal(noTime.body.reason, "TIME_REQUIRED");
+
+    const ok = await ctx.request("POST", "/reserve", { ...base, party: 5, time: "20:30" });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.time, "20:30");
+
+    const full = await ctx.request("POST", "/reserve", { ...base, party: 2, time: "20.30" });
+    assert.equal(full.status, 409);
+    assert.equal(full.body.reason, "SLOT_FULL");
+  });
+
+  await t.test("GET /alternatives suggests the nearest slot on the same day first", async () => {
+    const res = await ctx.request(
+      "GET",
+      `/alternatives?restaurant=deliclub&date=${date}&service=DINNER&party=2&time=20:30&days=2`
+    );
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.alternatives.slice(0, 2), [
+      { service_date: date, service: "DINNER", time: "20:00" },
+      { service_date: date, service: "DINNER", time: "21:00" },
+    ]);
+    assert.ok(res.body.alternatives.slice(2).every((a) => a.service_date !== date || a.service === "LUNCH"));
+  });
+
+  await t.test("POST /reserve: concurrent requests for the last seats book only one", async () => {
+    const body = (phone) => ({
+      restaurant: "brodo-pizza",
+      date,
+      service: "LUNCH",
+      party: 12,
+      customer_name: "Guest",
+      customer_phone: phone,
+    });
+    const results = await Promise.all([
+      ctx.request("POST", "/reserve", body("5491100000004")),
+      ctx.request("POST", "/reserve", body("5491100000005")),
+    ]);
+
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+    assert.equal(results.find((r) => r.status === 409).body.reason, "NO_CAPACITY");
+    const booked = await ctx.store.listReservations({ restaurant_id: "r-pizza", from_date: date, to_date: date });
+    assert.equal(booked.length, 1);
+  });
+
+  await t.test("POST /reserve: Idempotency-Key returns the original reservation", async () => {
+    const body = {
+      restaurant: "brodo-pasta",
+      date,
+      service: "DINNER",
+      party: 3,
+      customer_name: "Dani",
+      customer_phone: "5491100000006",
+    };
+    const headers = { "Idempotency-Key": "order-123" };
+
+    const first = await ctx.request("POST", "/reserve", body, headers);
+    assert.equal(first.status, 200);
+    const retry = await ctx.request("POST", "/reserve", body, headers);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.reservation_id, first.body.reservation_id);
+    assert.equal((await ctx.store.listReservations({ customer_phone: "5491100000006" })).length, 1);
+
+    const reused = await ctx.request("POST", "/reserve", { ...body, party: 5 }, headers);
+    assert.equal(reused.status, 422);
+    assert.equal(reused.body.reason, "IDEMPOTENCY_KEY_REUSED");
+  });
+
+  await t.test("POST /cancel", async () => {
+    const missing = await ctx.request("POST", "/cancel", { reservation_id: "does-not-exist" });
+    assert.equal(missing.status, 404);
+
+    const booked = await ctx.request("POST", "/reserve", {
+      restaurant: "brodo-pizza",
+      date,
+      service: "DINNER",
+      party: 2,
+      customer_name: "Caro",
+      customer_phone: "5491100000003",
+    });
+    const res = await ctx.request("POST", "/cancel", { reservation_id: booked.body.reservation_id });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.reservation.status, "CANCELLED");
+
+    // A second call changes nothing and records nothing
+    const again = await ctx.request("POST", "/cancel", { reservation_id: booked.body.reservation_id });
+    assert.deepEqual([again.status, again.body.reason, again.body.status], [409, "NOT_ACTIVE", "CANCELLED"]);
+    const events = await ctx.store.listEvents({ type: "CANCELLED" });
+    assert.equal(events.filter((e) => e.reservation_id === booked.body.reservation_id).length, 1);
+
+    await ctx.store.updateReservation(booked.body.reservation_id, { status: "COMPLETED" });
+    const completed = await ctx.request("POST", "/cancel", { reservation_id: booked.body.reservation_id });
+    assert.equal(completed.status, 409);
+    assert.equal((await ctx.store.getReservation(booked.body.reservation_id)).status, "COMPLETED");
+  });
+});
@@ -0,0 +1,154 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startStaffApp, dayFromToday, RESTAURANTS, PASTA_HOST } = require("./helpers");
+const { zonedDateTime } = require("../src/dates");
+const { foldLine } = require("../src/calendar");
+
+const GUEST = "5491155550030";
+const BASE_URL = "https://reservas.example";
+
+const WITH_ADDRESS = RESTAURANTS.map((r) =>
+  r.code === "brodo-pasta" ? { ...r, address: "Av. Corrientes 1234, CABA" } : r
+);
+
+function calendarApp(t, seed = {}) {
+  return startStaffApp(t, {
+    env: { CALENDAR_SECRET: "cal-secret", PUBLIC_BASE_URL: BASE_URL + "/" },
+    seed: {
+      restaurants: WITH_ADDRESS,
+      customers: [{ phone: GUEST, name: "Ana" }],
+      ...seed,
+    },
+  });
+}
+
+function booking(id, restaurant_id, days, service, extra = {}) {
+  return {
+    id,
+    restaurant_id,
+    customer_name: "Ana",
+    customer_phone: "5491100000000",
+    party_size: 2,
+    service_date: dayFromToday(days),
+    service,
+    ...extra,
+  };
+}
+
+// The document Meta would download: the link points at this server
+async function download(ctx, document) {
+  assert.ok(document.link.startsWith(BASE_URL + "/"));
+  return ctx.request("GET", document.link.slice(BASE_URL.length));
+}
+
+test("a confirmation is followed by an .ics invite and a cancellation by its CANCEL", async (t) => {
+  const ctx = await calendarApp(t);
+  const date = dayFromToday(1);
+
+  for (const input of ["hola", "1", "pasta", "2", "mañana a la noche"]) await ctx.say(GUEST, input);
+  const booked = await ctx.say(GUEST, "1");
+  assert.equal(booked.replies.length, 2);
+  assert.match(booked.replies[0].text.body, /¡Reserva confirmada!/);
+
+  const { document } = booked.replies[1];
+  assert.equal(booked.replies[1].type, "document");
+  assert.equal(document.filename, `reserva-brodo-pasta-${date}.ics`);
+  assert.equal(document.caption, "📅 Agregala a tu calendario");
+
+  const invite = await download(ctx, document);
+  assert.equal(invite.status, 200);
+  assert.match(invite.text, /METHOD:REQUEST\r\n/);
+  assert.match(invite.text, /STATUS:CONFIRMED\r\n/);
+  assert.match(invite.text, /LOCATION:Av. Corrientes 1234\\, CABA\r\n/);
+  const start = zonedDateTime(date, "21:00", ctx.config.timeZone).toISOString().replace(/[-:]|\.\d{3}/g, "");
+  assert.match(invite.text, new RegExp(`DTSTART:${start}\r\n`));
+
+  const [reservation] = await ctx.store.listReservations({ customer_phone: GUEST });
+  assert.match(invite.text, new RegExp(`UID:${reservation.id}\r\n`));
+
+  await ctx.say(GUEST, "2");
+  const cancelled = await ctx.say(GUEST, "1");
+  assert.match(cancelled.replies[0].text.body, /Reserva cancelada/);
+  assert.equal(cancelled.replies[1].document.filename, `cancel-brodo-pasta-${date}.ics`);
+
+  const cancel = await download(ctx, cancelled.replies[1].document);
+  assert.match(cancel.text, /METHOD:CANCEL\r\n[\s\S]*SEQUENCE:1\r\nSTATUS:CANCELLED\r\n/);
+  assert.match(cancel.text, new RegExp(`UID:${reservation.id}\r\n`));
+
+  const forged = await ctx.request("GET", `/reservations/${reservation.id}/invite.ics?token=abc`);
+  assert.equal(forged.status, 403);
+});
+
+test("changing the date sends the invite again with a higher SEQUENCE", async (t) => {
+  const ctx = await calendarApp(t, {
+    reservations: [booking("mine", "r-pasta", 1, "DINNER", { customer_phone: GUEST, service_time: "21:00" })],
+  });
+  const date = dayFromToday(3);
+
+  await ctx.say(GUEST, "modificar");
+  await ctx.say(GUEST, "1");
+  await ctx.say(GUEST, "2");
+  await ctx.say(GUEST, date);
+  const modified = await ctx.say(GUEST, "1");
+  assert.match(modified.replies[0].text.body, /¡Reserva modificada!/);
+
+  const { document } = modified.replies[1];
+  assert.equal(document.filename, `reserva-brodo-pasta-${date}.ics`);
+  assert.equal(document.caption, "📅 Reserva cambiada: abrí el archivo para actualizar tu calendario");
+
+  const invite = await download(ctx, document);
+  assert.match(invite.text, /METHOD:REQUEST\r\n[\s\S]*UID:mine\r\n/);
+  assert.match(invite.text, /SEQUENCE:1\r\nSTATUS:CONFIRMED\r\n/);
+  const start = zonedDateTime(date, "21:00", ctx.config.timeZone).toISOString().replace(/[-:]|\.\d{3}/g, "");
+  assert.match(invite.text, new RegExp(`DTSTART:${start}\r\n`));
+
+  // Only the party size: same event, nothing to replace
+  await ctx.say(GUEST, "modificar");
+  await ctx.say(GUEST, "1");
+  await ctx.say(GUEST, "1");
+  await ctx.say(GUEST, "3");
+  const resized = await ctx.say(GUEST, "1");
+  assert.equal(resized.replies.length, 1);
+  assert.equal((await ctx.store.getReservation("mine")).calendar_sequence, 1);
+
+  await ctx.say(GUEST, "2");
+  const cancelled = await ctx.say(GUEST, "1");
+  const cancel = await download(ctx, cancelled.replies[1].document);
+  assert.match(cancel.text, /METHOD:CANCEL\r\n[\s\S]*SEQUENCE:2\r\nSTATUS:CANCELLED\r\n/);
+});
+
+test("managers subscribe to a token-protected feed of upcoming confirmed reservations", async (t) => {
+  const ctx = await calendarApp(t, {
+    reservations: [
+      booking("res-1", "r-pasta", 2, "DINNER", { customer_phone: GUEST, party_size: 4, service_time: "21:30" }),
+      booking("res-2", "r-pasta", 3, "LUNCH", { status: "CANCELLED" }),
+      booking("res-3", "r-pasta", -1, "LUNCH"),
+      booking("res-4", "r-pizza", 2, "LUNCH"),
+    ],
+  });
+
+  const feeds = await ctx.request("GET", "/staff/calendar", null, PASTA_HOST);
+  assert.equal(feeds.status, 200);
+  assert.deepEqual(feeds.body.feeds.map((f) => f.restaurant), ["brodo-pasta"]);
+
+  const feed = await ctx.request("GET", feeds.body.feeds[0].url.slice(BASE_URL.length));
+  assert.equal(feed.status, 200);
+  assert.match(feed.text, /^BEGIN:VCALENDAR\r\n/);
+  assert.doesNotMatch(feed.text, /METHOD:/);
+  assert.deepEqual(feed.text.match(/^UID:[^\r]*/gm), ["UID:res-1"]);
+  assert.match(feed.text, /SUMMARY:Ana — 4 pax\r\n/);
+  assert.match(feed.text, /DESCRIPTION:Dinner 21:30 — 4 pax\\nTel: 5491155550030\r\n/);
+
+  // The pasta token does not open the pizza feed
+  const token = new URL(feeds.body.feeds[0].url).searchParams.get("token");
+  const stolen = await ctx.request("GET", `/restaurants/brodo-pizza/calendar.ics?token=${token}`);
+  assert.equal(stolen.status, 403);
+});
+
+test("long lines are folded at 75 octets without splitting characters", () => {
+  const folded = foldLine("SUMMARY:" + "🍝".repeat(30));
+  const lines = folded.split("\r\n");
+  assert.ok(lines.length > 1);
+  for (const line of lines) assert.ok(Buffer.byteLength(line) <= 75);
+  assert.equal(lines.map((l, i) => (i ? l.slice(1) : l)).join(""), "SUMMARY:" + "🍝".repeat(30));
+});
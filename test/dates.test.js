@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDate, formatDate, formatDateEs, zonedDateTime } = require("../src/dates");
+
+// Wednesday 21/01/2026, 12:00 in Buenos Aires
+const now = new Date("2026-01-21T15:00:00Z");
+const parse = (text, options = {}) => parseDate(text, { now, ...options });
+
+test("relative days", () => {
+  assert.deepEqual(parse("hoy"), { ok: true, date: "2026-01-21", service: null });
+  assert.equal(parse("mañana").date, "2026-01-22");
+  assert.equal(parse("Manana").date, "2026-01-22");
+  assert.equal(parse("pasado mañana").date, "2026-01-23");
+});
+
+test("a time of day or a clock time is not read as a date", () => {
+  assert.equal(parse("el viernes a la mañana").date, "2026-01-23");
+  assert.equal(parse("hoy a la mañana").date, "2026-01-21");
+  assert.equal(parse("mañana por la mañana").date, "2026-01-22");
+  assert.deepEqual(parse("mañana a las 20.30"), { ok: true, date: "2026-01-22", service: null });
+  assert.equal(parse("25/1 a las 21.30").date, "2026-01-25");
+  assert.equal(parse("friday at 8.30 pm").date, "2026-01-23");
+});
+
+test("weekday names point to the next occurrence", () => {
+  assert.equal(parse("el viernes").date, "2026-01-23");
+  assert.equal(parse("sábado que viene").date, "2026-01-24");
+  assert.equal(parse("el miércoles").date, "2026-01-28");
+});
+
+test("numeric and month-name dates", () => {
+  assert.equal(parse("25/1").date, "2026-01-25");
+  assert.equal(parse("25/01/2026").date, "2026-01-25");
+  assert.equal(parse("2026-01-25").date, "2026-01-25");
+  assert.equal(parse("25 de enero").date, "2026-01-25");
+  assert.equal(parse("1 de marzo de 2026").date, "2026-03-01");
+});
+
+test("detects the service in the same message", () => {
+  assert.equal(parse("hoy a la noche").service, "DINNER");
+  assert.equal(parse("mañana al mediodía").service, "LUNCH");
+  assert.equal(parse("el viernes para cenar").service, "DINNER");
+  assert.equal(parse("el viernes").service, null);
+});
+
+test("rejects past, out-of-window and unknown dates", () => {
+  assert.equal(parse("20/01/2026").reason, "PAST");
+  assert.equal(parse("1/6").reason, "TOO_FAR");
+  assert.equal(parse("1/6", { maxDaysAhead: 200 }).ok, true);
+  assert.equal(parse("31/02").reason, "INVALID");
+  assert.equal(parse("cuando puedan").reason, "UNRECOGNIZED");
+});
+
+test("English and Portuguese dates", () => {
+  assert.deepEqual(parse("tomorrow night"), { ok: true, date: "2026-01-22", service: "DINNER" });
+  assert.equal(parse("day after tomorrow").date, "2026-01-23");
+  assert.equal(parse("next Friday").date, "2026-01-23");
+  assert.equal(parse("January 25").date, "2026-01-25");
+  assert.equal(parse("25 march 2026").date, "2026-03-25");
+  assert.deepEqual(parse("amanhã no almoço"), { ok: true, date: "2026-01-22", service: "LUNCH" });
+  assert.equal(parse("sexta-feira").date, "2026-01-23");
+  assert.equal(parse("25 de janeiro").date, "2026-01-25");
+});
+
+test("formats dates for the guest", () => {
+  assert.equal(formatDateEs("2026-01-25"), "domingo 25 de enero de 2026");
+  assert.equal(formatDate("2026-01-25", "es"), "domingo 25 de enero de 2026");
+  assert.equal(formatDate("2026-01-25", "en"), "Sunday, January 25, 2026");
+  assert.equal(formatDate("2026-01-25", "pt"), "domingo, 25 de janeiro de 2026");
+});
+
+test("local service time to UTC", () => {
+  assert.equal(zonedDateTime("2026-01-25", "21:00").toISOString(), "2026-01-26T00:00:00.000Z");
+});
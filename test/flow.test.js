@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFlowEngine, validateGraph } = require("../src/flow");
+const { createSimulator } = require("../src/simulator");
+const { startTestApp, dayFromToday } = require("./helpers");
+
+const GUEST = "5491100000060";
+
+// A tiny graph over an in-memory state: ASK_AGE -> DONE
+function ageGraph(session) {
+  const move = (state) => {
+    session.state = state;
+  };
+  return {
+    initial: "IDLE",
+    commands: [
+      { name: "reset", match: ({ normalized }) => normalized === "reset", run: () => (move("IDLE"), "reset") },
+    ],
+    states: {
+      IDLE: { on: () => (move("ASK_AGE"), "age?"), next: ["ASK_AGE"] },
+      ASK_AGE: {
+        prompt: (ctx, prefix) => `${prefix}age?`,
+        parse: ({ normalized }) => parseInt(normalized, 10),
+        validate: (age) => (age > 0 ? null : "a number, please"),
+        on: (age) => (move(age > 17 ? "DONE" : "BROKEN"), `age ${age}`),
+        next: ["DONE"],
+      },
+      DONE: { on: () => "done" },
+    },
+    fallback: () => (move("IDLE"), "fallback"),
+  };
+}
+
+function ctxFor(session, text) {
+  return { text, normalized: text, session: { ...session }, state: async () => session.state };
+}
+
+test("the engine runs commands first, then parse / validate / on, and logs undeclared transitions", async (t) => {
+  const session = { state: "IDLE" };
+  const flow = createFlowEngine(ageGraph(session));
+
+  assert.equal(await flow.run(ctxFor(session, "hi")), "age?");
+  assert.equal(await flow.run(ctxFor(session, "reset")), "reset");
+  assert.equal(session.state, "IDLE");
+
+  await flow.run(ctxFor(session, "hi"));
+  assert.equal(await flow.run(ctxFor(session, "old")), "a number, please");
+  assert.equal(session.state, "ASK_AGE");
+  assert.equal(await flow.prompt("ASK_AGE", ctxFor(session, ""), "again: "), "again: age?");
+  assert.equal(await flow.prompt("DONE", ctxFor(session, "")), null);
+
+  // ASK_AGE does not declare BROKEN: logged, and the guest still gets what the step did
+  const logged = [];
+  t.mock.method(console, "log", (line) => logged.push(line));
+  assert.equal(await flow.run(ctxFor(session, "12")), "age 12");
+  assert.deepEqual(logged, ["Flow: undeclared transition ASK_AGE -> BROKEN (ASK_AGE)"]);
+  t.mock.restoreAll();
+
+  // BROKEN is not a state of the graph: the next message restarts the chat
+  assert.equal(session.state, "BROKEN");
+  assert.equal(await flow.run(ctxFor(session, "hi")), "fallback");
+  assert.equal(session.state, "IDLE");
+
+  await flow.run(ctxFor(session, "hi"));
+  assert.equal(await flow.run(ctxFor(session, "30")), "age 30");
+  assert.equal(session.state, "DONE");
+
+  session.state = "NOWHERE";
+  assert.equal(await flow.run(ctxFor(session, "hi")), "fallback");
+
+  const broken = ageGraph({});
+  broken.states.IDLE.next = ["ASK_AGE", "CHECKOUT"];
+  delete broken.states.DONE.on;
+  assert.throws(() => validateGraph(broken), /IDLE: unknown next state CHECKOUT; DONE: on is missing/);
+});
+
+test("the bot's graph restarts a chat in an unknown step", async (t) => {
+  const ctx = await startTestApp({ env: { WHATSAPP_INTERACTIVE: "false" } });
+  t.after(() => ctx.close());
+
+  await ctx.say(GUEST, "hola");
+  await ctx.store.upsertSession(GUEST, { state: "ASK_SOMETHING_OLD" });
+  const reply = await ctx.say(GUEST, "2");
+  assert.match(reply.text, /^Reinicié la conversación por seguridad/);
+  assert.equal((await ctx.store.getSession(GUEST)).state, "IDLE");
+
+  // Resuming goes back through the step's prompt
+  await ctx.say(GUEST, "1");
+  await ctx.say(GUEST, "Ana");
+  await ctx.say(GUEST, "pasta");
+  await ctx.store.upsertSession(GUEST, { state: "ASK_RESUME", resume_state: "ASK_PARTY_SIZE" });
+  const resumed = await ctx.say(GUEST, "1");
+  assert.match(resumed.text, /¿Para cuántas personas/);
+  assert.equal((await ctx.store.getSession(GUEST)).state, "ASK_PARTY_SIZE");
+});
+
+test("the simulator chats with the bot on a local store", async () => {
+  const sim = createSimulator({ env: { WHATSAPP_INTERACTIVE: "false" } });
+
+  assert.match((await sim.say("hola")).join("\n"), /Reservar mesa/);
+  for (const input of ["1", "Ana", "pasta", "2"]) await sim.say(input);
+  await sim.say(`${dayFromToday(2)} a la noche`);
+  const booked = (await sim.say("1")).join("\n");
+  assert.match(booked, /Casa Pasta/);
+
+  const [reservation] = await sim.store.listReservations({ customer_phone: sim.phone() });
+  assert.deepEqual([reservation.party_size, reservation.service_date], [2, dayFromToday(2)]);
+  assert.equal((await sim.session()).state, "IDLE");
+
+  sim.setPhone("5491100000061");
+  assert.equal((await sim.say("menu")).length, 1);
+  assert.equal((await sim.session()).wa_id, "5491100000061");
+});
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startStaffApp, HOST, PASTA_HOST } = require("./helpers");
+
+const GUEST = "5491155550030";
+
+const TENANTS = [
+  { id: "deli", phone_number_id: "phone-1", restaurants: ["deliclub"] },
+  { id: "brodo", phone_number_id: "phone-2", restaurants: ["brodo-pasta", "brodo-pizza"] },
+];
+
+function handoffApp(t, env = {}) {
+  return startStaffApp(t, { env });
+}
+
+test("asking for a person pauses the bot and the staff answers from the inbox", async (t) => {
+  const ctx = await handoffApp(t);
+
+  await ctx.say(GUEST, "hola");
+  const opened = await ctx.say(GUEST, "hablar con alguien");
+  assert.match(opened.text, /te comunicamos con una persona del equipo/);
+  assert.equal((await ctx.store.getSession(GUEST)).state, "HUMAN");
+
+  // The bot stays quiet, even for its own commands
+  assert.equal((await ctx.say(GUEST, "tienen mesa para 12 el sábado?")).replies.length, 0);
+  assert.equal((await ctx.say(GUEST, "menu")).replies.length, 0);
+
+  const inbox = await ctx.request("GET", "/staff/inbox", null, HOST);
+  assert.equal(inbox.body.count, 1);
+  const [conversation] = inbox.body.conversations;
+  assert.deepEqual([conversation.wa_id, conversation.reason], [GUEST, "hablar con alguien"]);
+
+  const detail = await ctx.request("GET", `/staff/inbox/${conversation.id}`, null, HOST);
+  assert.deepEqual(
+    detail.body.messages.map((m) => [m.direction, m.author]),
+    [["IN", "guest"], ["OUT", "bot"], ["IN", "guest"], ["OUT", "bot"], ["IN", "guest"], ["IN", "guest"]]
+  );
+  assert.equal(detail.body.messages[4].text, "tienen mesa para 12 el sábado?");
+
+  const before = ctx.transport.sent.length;
+  const reply = await ctx.request("POST", `/staff/inbox/${conversation.id}/reply`, { text: "Sí, a las 21" }, HOST);
+  assert.deepEqual([reply.body.message.author, reply.body.message.text], ["host", "Sí, a las 21"]);
+  // The log points at the queued message (delivery status, retries)
+  const queued = (await ctx.store.listOutboundMessages({ wa_id: GUEST })).at(-1);
+  assert.equal(queued.payload.text.body, "Sí, a las 21");
+  assert.equal(reply.body.message.outbound_id, queued.id);
+  assert.equal((await ctx.request("POST", `/staff/inbox/${conversation.id}/reply`, {}, HOST)).status, 400);
+
+  const resolved = await ctx.request("POST", `/staff/inbox/${conversation.id}/resolve`, null, HOST);
+  assert.deepEqual([resolved.body.conversation.status, resolved.body.conversation.resolved_by], ["RESOLVED", "host"]);
+  const late = await ctx.request("POST", `/staff/inbox/${conversation.id}/reply`, { text: "hola?" }, HOST);
+  assert.deepEqual([late.status, late.body.reason], [409, "NOT_OPEN"]);
+
+  const sent = ctx.transport.sent.slice(before);
+  assert.deepEqual(sent.map((m) => m.to), [GUEST, GUEST]);
+  assert.equal(sent[0].text.body, "Sí, a las 21");
+  assert.match(sent[1].text.body, /Volviste al asistente automático[\s\S]*1️⃣ Reservar mesa/);
+
+  // Back with the bot
+  assert.equal((await ctx.store.getSession(GUEST)).state, "IDLE");
+  assert.match((await ctx.say(GUEST, "1")).text, /nombre/i);
+  assert.equal((await ctx.request("GET", "/staff/inbox?status=RESOLVED", null, HOST)).body.count, 1);
+});
+
+test("option 5 opens a handoff and a quiet one goes back to the bot after the timeout", async (t) => {
+  const ctx = await handoffApp(t, { HANDOFF_TIMEOUT_MINUTES: "60" });
+  const [{ handoff }] = ctx.tenants.all();
+
+  await ctx.say(GUEST, "hola");
+  assert.match((await ctx.say(GUEST, "5")).text, /te comunicamos con una persona/);
+  const open = await handoff.current(GUEST);
+  assert.equal(open.status, "OPEN");
+
+  assert.deepEqual(await handoff.tick(new Date(Date.now() + 30 * 60 * 1000)), { resolved: 0 });
+  const before = ctx.transport.sent.length;
+  assert.deepEqual(await handoff.tick(new Date(Date.now() + 61 * 60 * 1000)), { resolved: 1 });
+
+  const row = await handoff.get(open.id);
+  assert.deepEqual([row.status, row.resolved_by], ["RESOLVED", "timeout"]);
+  assert.match(ctx.transport.sent[before].text.body, /Volviste al asistente automático/);
+  assert.equal((await ctx.store.getSession(GUEST)).state, "IDLE");
+});
+
+test("a restaurant key only sees the conversations of the number that books it", async (t) => {
+  const ctx = await handoffApp(t, { WHATSAPP_TENANTS: JSON.stringify(TENANTS) });
+
+  await ctx.say(GUEST, "hablar con alguien", { phoneNumberId: "phone-1" });
+  await ctx.say(GUEST, "hablar con alguien", { phoneNumberId: "phone-2" });
+
+  const all = await ctx.request("GET", "/staff/inbox", null, HOST);
+  assert.deepEqual(all.body.conversations.map((c) => c.tenant_id).sort(), ["brodo", "deli"]);
+
+  const mine = await ctx.request("GET", "/staff/inbox", null, PASTA_HOST);
+  assert.deepEqual(mine.body.conversations.map((c) => c.tenant_id), ["brodo"]);
+
+  const deli = all.body.conversations.find((c) => c.tenant_id === "deli");
+  assert.equal((await ctx.request("GET", `/staff/inbox/${deli.id}`, null, PASTA_HOST)).status, 404);
+  assert.equal((await ctx.request("POST", `/staff/inbox/${deli.id}/resolve`, null, PASTA_HOST)).status, 404);
+
+  // The reply goes out from the number the guest wrote to
+  const brodo = mine.body.conversations[0];
+  await ctx.request("POST", `/staff/inbox/${brodo.id}/reply`, { text: "Hola, soy Juan" }, PASTA_HOST);
+  assert.equal(ctx.transports.get("brodo").sent.at(-1).text.body, "Hola, soy Juan");
+});
@@ -0,0 +1,205 @@
+// Shared setup: the real app on a random port, memory store, fake WhatsApp transport.
+const { createApp } = require("../src/app");
+const { loadConfig } = require("../src/config");
+const { createMemoryStore } = require("../src/storage");
+const { createFakeTransport, payloadText } = require("../src/whatsapp");
+const { computeSignature } = require("../src/signature");
+const { addDays, todayInTimeZone } = require("../src/dates");
+const { hashApiKey } = require("../src/auth");
+
+const APP_SECRET = "test-app-secret";
+
+const RESTAURANTS = [
+  { id: "r-deliclub", code: "deliclub", name: "deliclub", emoji: "🥩", capacity_max: 20, sort_order: 1 },
+  {
+    id: "r-pasta",
+    code: "brodo-pasta",
+    name: "brodo-pasta",
+    emoji: "🍝",
+    aliases: ["pasta"],
+    capacity_max: 20,
+    sort_order: 2,
+  },
+  {
+    id: "r-pizza",
+    code: "brodo-pizza",
+    name: "brodo-pizza",
+    emoji: "🍕",
+    aliases: ["pizza"],
+    capacity_max: 20,
+    sort_order: 3,
+  },
+];
+
+// Staff keys: a host for every restaurant and one for brodo-pasta only
+const STAFF_KEYS = [
+  { restaurant_id: null, label: "host", key_hash: hashApiKey("host-key") },
+  { restaurant_id: "r-pasta", label: "pasta", key_hash: hashApiKey("pasta-key") },
+];
+const HOST = { Authorization: "Bearer host-key" };
+const PASTA_HOST = { Authorization: "Bearer pasta-key" };
+
+function testConfig(env = {}) {
+  return loadConfig({
+    NODE_ENV: "test",
+    WHATSAPP_APP_SECRET: APP_SECRET,
+    WHATSAPP_VERIFY_TOKEN: "verify-me",
+    WHATSAPP_REMINDER_TEMPLATE: "reservation_reminder",
+    ...env,
+  });
+}
+
+// Local date `days` from today in the restaurant timezone
+function dayFromToday(days, config = testConfig()) {
+  return addDays(todayInTimeZone(config.timeZone), days);
+}
+
+// phoneNumberId: the business number the guest wrote to (its tenant answers)
+function inboundPayload(from, message, phoneNumberId = "phone-1") {
+  return {
+    object: "whatsapp_business_account",
+    entry: [
+      {
+        id: "waba-1",
+        changes: [
+          {
+            field: "messages",
+            value: {
+              messaging_product: "whatsapp",
+              metadata: { phone_number_id: phoneNumberId },
+              contacts: [{ wa_id: from, profile: { name: "Test Guest" } }],
+              messages: [{ from, timestamp: String(Math.floor(Date.now() / 1000)), ...message }],
+            },
+          },
+        ],
+      },
+    ],
+  };
+}
+
+async function startTestApp({ seed = {}, env = {} } = {}) {
+  const config = testConfig(env);
+  const store = createMemoryStore({ restaurants: RESTAURANTS, ...seed });
+  // One fake transport per tenant; `transport` is the first tenant's
+  const transports = new Map(config.tenants.map((tenant) => [tenant.id, createFakeTransport()]));
+  const transport = transports.get(config.tenants[0].id);
+  const built = createApp({ store, transportFor: (tenant) => transports.get(tenant.id), config });
+
+  const server = await new Promise((resolve) => {
+    const s = built.app.listen(0, () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  let msgSeq = 0;
+
+  async function request(method, path, body, headers = {}) {
+    const resp = await fetch(baseUrl + path, {
+      method,
+      headers: body ? { "Content-Type": "application/json", ...headers } : headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await resp.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+    return { status: resp.status, body: json, text };
+  }
+
+  // Signed POST /webhook, like Meta sends it. wait: also wait for the background handling
+  async function postWebhook(payload, { signature, wait = true } = {}) {
+    const raw = JSON.stringify(payload);
+    const resp = await fetch(baseUrl + "/webhook", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Hub-Signature-256": signature || computeSignature(Buffer.from(raw), APP_SECRET),
+      },
+      body: raw,
+    });
+    if (wait) await built.inbound.idle();
+    return { status: resp.status };
+  }
+
+  // Sends what the guest typed (or tapped) and returns the text of the bot replies it caused.
+  // phoneNumberId: write to another tenant's number (replies are read from its transport)
+  async function say(from, input, { id, phoneNumberId = "phone-1" } = {}) {
+    const message =
+      typeof input === "string"
+        ? { type: "text", text: { body: input } }
+        : input;
+    const tenant = built.tenants.resolve(phoneNumberId)?.tenant;
+    const sentBy = tenant ? transports.get(tenant.id) : transport;
+    const before = sentBy.sent.length;
+    const res = await postWebhook(
+      inboundPayload(from, { id: id || `wamid.in.${++msgSeq}`, ...message }, phoneNumberId)
+    );
+    const replies = sentBy.sent.slice(before);
+    return { status: res.status, replies, text: replies.map(payloadText).join("\n---\n") };
+  }
+
+  async function close() {
+    await built.inbound.idle();
+    for (const services of built.tenants.all()) {
+      services.reminders.stop();
+      services.waitlist.stop();
+      services.sessions.stop();
+      services.handoff.stop();
+      services.outbox.stop();
+    }
+    built.payments.stop();
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  return { ...built, config, store, transport, transports, baseUrl, request, postWebhook, say, close };
+}
+
+// startTestApp with the staff keys and text replies, closed when the test `t` ends.
+// seed / env go on top (seed.staffKeys replaces the keys)
+async function startStaffApp(t, { seed = {}, env = {} } = {}) {
+  const ctx = await startTestApp({
+    env: { WHATSAPP_INTERACTIVE: "false", ...env },
+    seed: { staffKeys: STAFF_KEYS, ...seed },
+  });
+  t.after(() => ctx.close());
+  return ctx;
+}
+
+// POST /reserve: 2 people for dinner at brodo-pasta in two days, unless `body` says otherwise
+function reserve(ctx, body) {
+  return ctx.request("POST", "/reserve", {
+    restaurant: "brodo-pasta",
+    date: dayFromToday(2),
+    service: "DINNER",
+    party: 2,
+    customer_name: "Ana",
+    customer_phone: "5491100000001",
+    ...body,
+  });
+}
+
+function buttonReply(id, title = id) {
+  return { type: "interactive", interactive: { type: "button_reply", button_reply: { id, title } } };
+}
+
+function listReply(id, title = id) {
+  return { type: "interactive", interactive: { type: "list_reply", list_reply: { id, title } } };
+}
+
+module.exports = {
+  APP_SECRET,
+  RESTAURANTS,
+  STAFF_KEYS,
+  HOST,
+  PASTA_HOST,
+  testConfig,
+  dayFromToday,
+  inboundPayload,
+  startTestApp,
+  startStaffApp,
+  reserve,
+  buttonReply,
+  listReply,
+};
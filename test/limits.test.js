@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startStaffApp, reserve, testConfig, HOST, PASTA_HOST } = require("./helpers");
+
+function limitsApp(t, env) {
+  return startStaffApp(t, { env, seed: { customers: [{ phone: "5491100000001", name: "Ana" }] } });
+}
+
+function setStatus(ctx, id, status, key) {
+  return ctx.request("POST", `/staff/reservations/${id}/status`, { status }, key);
+}
+
+test("active bookings per phone and the blocklist refuse bookings with the reason", async (t) => {
+  // Off unless the operator turns them on
+  const defaults = testConfig().limits;
+  assert.deepEqual([defaults.maxActivePerPhone, defaults.maxActivePerRestaurant], [0, 0]);
+  const ctx = await limitsApp(t, { LIMIT_ACTIVE_PER_PHONE: "2", LIMIT_ACTIVE_PER_RESTAURANT: "1" });
+
+  // Stored as digits, like the wa_id
+  const first = await reserve(ctx, { restaurant: "brodo-pasta", customer_phone: "+54 9 11 0000-0001" });
+  assert.equal((await ctx.store.getReservation(first.body.reservation_id)).customer_phone, "5491100000001");
+  const samePlace = await reserve(ctx, { restaurant: "brodo-pasta", service: "LUNCH" });
+  assert.equal(samePlace.status, 409);
+  assert.deepEqual([samePlace.body.reason, samePlace.body.details.limit], ["TOO_MANY_ACTIVE_RESTAURANT", 1]);
+
+  // Choosing that restaurant in the chat already says why, and another one can still be picked
+  for (const input of ["hola", "1", "2"]) await ctx.say("5491100000001", input);
+  const pasta = await ctx.say("5491100000001", "pasta");
+  assert.match(pasta.text, /Ya tenés 1 reserva activa en \*.*brodo-pasta\*/);
+
+  assert.equal((await reserve(ctx, { restaurant: "deliclub" })).status, 200);
+  const third = await reserve(ctx, { restaurant: "brodo-pizza" });
+  assert.equal(third.body.reason, "TOO_MANY_ACTIVE");
+  for (const customer_phone of ["+54 9 11 0000-0001", "54 911 00000001"]) {
+    assert.equal((await reserve(ctx, { restaurant: "brodo-pizza", customer_phone })).body.reason, "TOO_MANY_ACTIVE");
+  }
+
+  await ctx.say("5491100000001", "menu");
+  const full = await ctx.say("5491100000001", "1");
+  assert.match(full.text, /Ya tenés 2 reservas activas, el máximo por persona/);
+  assert.equal((await ctx.store.getSession("5491100000001")).state, "IDLE");
+
+  // Blocklist: whole-group keys only; the number is stored as digits
+  const denied = await ctx.request("POST", "/staff/blocklist", { phone: "5491100000002" }, PASTA_HOST);
+  assert.equal(denied.status, 403);
+  const blocked = await ctx.request("POST", "/staff/blocklist", { phone: "+54 9 11 0000-0002", reason: "spam" }, HOST);
+  assert.equal(blocked.body.blocked.phone, "5491100000002");
+  assert.equal(blocked.body.blocked.created_by, "host");
+
+  const refused = await reserve(ctx, { restaurant: "brodo-pasta", customer_phone: "5491100000002" });
+  assert.deepEqual([refused.status, refused.body.reason], [403, "BLOCKED"]);
+  const chat = await ctx.say("5491100000002", "1");
+  assert.match(chat.text, /No podemos tomar reservas desde este número/);
+
+  const list = await ctx.request("GET", "/staff/blocklist", null, HOST);
+  assert.deepEqual(list.body.blocked.map((b) => [b.phone, b.reason]), [["5491100000002", "spam"]]);
+  assert.equal((await ctx.request("DELETE", "/staff/blocklist/5491100000002", null, HOST)).status, 200);
+  assert.equal((await ctx.request("DELETE", "/staff/blocklist/5491100000002", null, HOST)).status, 404);
+  assert.equal((await reserve(ctx, { restaurant: "brodo-pasta", customer_phone: "5491100000002" })).status, 200);
+});
+
+test("large parties wait for the staff's approval and the guest hears the decision", async (t) => {
+  const ctx = await limitsApp(t, { LIMIT_APPROVAL_PARTY_SIZE: "8" });
+
+  for (const input of ["hola", "1", "pasta", "10", "pasado mañana a la noche"]) await ctx.say("5491100000001", input);
+  const requested = await ctx.say("5491100000001", "1");
+  assert.match(requested.text, /Recibimos tu pedido/);
+  assert.match(requested.text, /Los grupos de más de 8 personas los confirma el restaurante/);
+  assert.doesNotMatch(requested.text, /Reserva confirmada/);
+
+  const approvals = await ctx.request("GET", "/staff/approvals", null, PASTA_HOST);
+  assert.equal(approvals.body.count, 1);
+  const pending = approvals.body.reservations[0];
+  assert.equal(pending.status, "PENDING_APPROVAL");
+
+  // It holds no seats: a confirmed party takes them, and then there is no room to approve it
+  const api = await reserve(ctx, { restaurant: "brodo-pasta", party: 12, customer_phone: "5491100000003" });
+  assert.deepEqual([api.status, api.body.status], [202, "PENDING_APPROVAL"]);
+  for (const [party, phone] of [[8, "5491100000004"], [2, "5491100000005"]]) {
+    assert.equal((await reserve(ctx, { restaurant: "brodo-pasta", party, customer_phone: phone })).status, 200);
+  }
+
+  const noRoom = await setStatus(ctx, api.body.reservation_id, "CONFIRMED", HOST);
+  assert.deepEqual([noRoom.status, noRoom.body.reason], [409, "NO_CAPACITY"]);
+
+  const before = ctx.transport.sent.length;
+  const approved = await setStatus(ctx, pending.id, "CONFIRMED", PASTA_HOST);
+  assert.equal(approved.body.reservation.status, "CONFIRMED");
+  const rejected = await setStatus(ctx, api.body.reservation_id, "REJECTED", HOST);
+  assert.equal(rejected.body.reservation.status, "REJECTED");
+
+  const notices = ctx.transport.sent.slice(before);
+  assert.deepEqual(
+    notices.map((m) => m.to),
+    ["5491100000001", "5491100000003"]
+  );
+  assert.match(notices[0].text.body, /El restaurante confirmó tu reserva/);
+  assert.match(notices[1].text.body, /no puede recibir a tu grupo/);
+
+  // Growing a booking past the limit is a new request, not a change
+  for (const input of ["menu", "4", "1", "1"]) await ctx.say("5491100000001", input);
+  const grow = await ctx.say("5491100000001", "12");
+  assert.match(grow.text, /Para más de 8 personas la reserva la confirma el restaurante/);
+  assert.equal((await ctx.store.getReservation(pending.id)).party_size, 10);
+
+  // Same from the staff API
+  const small = await reserve(ctx, { restaurant: "brodo-pizza", party: 2, customer_phone: "5491100000006" });
+  const path = `/staff/reservations/${small.body.reservation_id}`;
+  const staffGrow = await ctx.request("PATCH", path, { party: 9 }, HOST);
+  assert.deepEqual([staffGrow.status, staffGrow.body.reason], [409, "NEEDS_APPROVAL"]);
+  assert.deepEqual(staffGrow.body.details, { limit: 8 });
+  assert.equal((await ctx.request("PATCH", path, { party: 8 }, HOST)).status, 200);
+});
+
+test("two approvals at the same time can't overbook the service", async (t) => {
+  const ctx = await limitsApp(t, { LIMIT_APPROVAL_PARTY_SIZE: "8" });
+  const ids = [];
+  for (const phone of ["5491100000003", "5491100000004"]) {
+    ids.push((await reserve(ctx, { party: 12, customer_phone: phone })).body.reservation_id);
+  }
+
+  // Both find room for 12 of 20 before either is confirmed; only the first to take the lock gets it
+  const pending = await Promise.all(ids.map((id) => ctx.store.getReservation(id)));
+  const decided = await Promise.all(pending.map((r) => ctx.booking.approveReservation(r)));
+  assert.deepEqual(decided.map((r) => r.reason || r.reservation.status), ["CONFIRMED", "NO_CAPACITY"]);
+  assert.equal((await ctx.store.getReservation(ids[1])).status, "PENDING_APPROVAL");
+
+  // Through the staff API the loser can still be decided later
+  const again = await setStatus(ctx, ids[1], "CONFIRMED", HOST);
+  assert.deepEqual([again.status, again.body.reason], [409, "NO_CAPACITY"]);
+  assert.equal((await setStatus(ctx, ids[1], "REJECTED", HOST)).status, 200);
+});
+
+test("rate limits per IP on the REST API and per wa_id on the webhook", async (t) => {
+  const ctx = await limitsApp(t, { LIMIT_API_REQUESTS_PER_MINUTE: "2", LIMIT_WEBHOOK_MESSAGES_PER_MINUTE: "2" });
+
+  assert.equal((await ctx.request("GET", "/restaurants")).status, 200);
+  assert.equal((await ctx.request("GET", "/restaurants")).status, 200);
+  const limited = await reserve(ctx, { restaurant: "brodo-pasta" });
+  assert.deepEqual([limited.status, limited.body.reason], [429, "RATE_LIMITED"]);
+  assert.equal((await ctx.request("GET", "/health")).status, 200);
+
+  assert.ok((await ctx.say("5491100000001", "hola")).replies.length);
+  assert.ok((await ctx.say("5491100000001", "3")).replies.length);
+  const warned = await ctx.say("5491100000001", "1");
+  assert.equal(warned.text, "⏳ Recibimos muchos mensajes seguidos. Esperá un minuto y volvé a escribirnos.");
+  assert.equal((await ctx.say("5491100000001", "1")).replies.length, 0);
+  assert.equal((await ctx.say("5491100000002", "hola")).replies.length, 1);
+});
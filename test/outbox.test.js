@@ -0,0 +1,168 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startStaffApp, HOST } = require("./helpers");
+
+const GUEST = "5491155550010";
+
+// extra: more fields of the status (errors, ...)
+function statusPayload(id, status, extra = {}) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return {
+    object: "whatsapp_business_account",
+    entry: [
+      {
+        id: "waba-1",
+        changes: [
+          {
+            field: "messages",
+            value: {
+              messaging_product: "whatsapp",
+              metadata: { phone_number_id: "phone-1" },
+              statuses: [{ id, status, timestamp, recipient_id: GUEST, ...extra }],
+            },
+          },
+        ],
+      },
+    ],
+  };
+}
+
+function minutesFromNow(minutes) {
+  return new Date(Date.now() + minutes * 60 * 1000);
+}
+
+function outboxApp(t, env = {}) {
+  return startStaffApp(t, {
+    env: { OUTBOUND_RETRY_BASE_SECONDS: "30", ...env },
+    seed: { customers: [{ phone: GUEST, name: "Ana" }] },
+  });
+}
+
+async function upToConfirm(ctx) {
+  await ctx.say(GUEST, "hola");
+  await ctx.say(GUEST, "1");
+  await ctx.say(GUEST, "pasta");
+  await ctx.say(GUEST, "2");
+  await ctx.say(GUEST, "mañana a la noche");
+}
+
+test("a confirmation Meta fails with 5xx is retried with backoff and tracked until read", async (t) => {
+  const ctx = await outboxApp(t);
+  await upToConfirm(ctx);
+
+  ctx.transport.failNext(503);
+  assert.equal((await ctx.say(GUEST, "1")).replies.length, 0);
+
+  const [reservation] = await ctx.store.listReservations({ customer_phone: GUEST });
+  let [message] = await ctx.store.listOutboundMessages({ reservation_id: reservation.id });
+  assert.equal(message.status, "QUEUED");
+  assert.equal(message.attempts, 1);
+  assert.equal(message.last_error, "HTTP 503");
+
+  // Not due yet (30s backoff)
+  assert.deepEqual(await ctx.outbox.tick(), { sent: 0 });
+  assert.deepEqual(await ctx.outbox.tick(minutesFromNow(1)), { sent: 1 });
+
+  const sent = ctx.transport.sent.at(-1);
+  assert.match(sent.text.body, /¡Reserva confirmada!/);
+  [message] = await ctx.store.listOutboundMessages({ reservation_id: reservation.id });
+  assert.equal(message.status, "SENT");
+  assert.equal(message.wa_message_id, sent.id);
+
+  // Statuses out of order: "delivered" after "read" does not move it back
+  await ctx.postWebhook(statusPayload(sent.id, "read"));
+  await ctx.postWebhook(statusPayload(sent.id, "delivered"));
+
+  const detail = await ctx.request("GET", `/staff/reservations/${reservation.id}`, null, HOST);
+  assert.equal(detail.status, 200);
+  assert.equal(detail.body.messages.length, 1);
+  assert.equal(detail.body.messages[0].status, "READ");
+  assert.equal(detail.body.messages[0].attempts, 2);
+  assert.ok(detail.body.messages[0].delivered_at);
+  assert.ok(detail.body.messages[0].read_at);
+});
+
+test("rate limits are retried and give up in the dead letter after maxAttempts", async (t) => {
+  const ctx = await outboxApp(t, { OUTBOUND_MAX_ATTEMPTS: "2" });
+
+  ctx.transport.failNext(429, 429);
+  await ctx.say(GUEST, "hola");
+
+  let [message] = await ctx.store.listOutboundMessages({ wa_id: GUEST });
+  assert.equal(message.status, "QUEUED");
+
+  await ctx.outbox.tick(minutesFromNow(5));
+  [message] = await ctx.store.listOutboundMessages({ wa_id: GUEST });
+  assert.equal(message.status, "DEAD");
+  assert.equal(message.attempts, 2);
+  assert.ok(message.dead_at);
+
+  // Nothing left to retry
+  assert.deepEqual(await ctx.outbox.tick(minutesFromNow(60)), { sent: 0 });
+  assert.equal(ctx.transport.sent.length, 0);
+});
+
+test("messages to a guest keep their order when an earlier one is waiting for its retry", async (t) => {
+  const ctx = await outboxApp(t);
+  const text = (body) => ({ type: "text", text: { body } });
+
+  ctx.transport.failNext(503);
+  assert.equal((await ctx.outbox.send(GUEST, text("primero"))).queued, true);
+  const held = await ctx.outbox.send(GUEST, text("segundo"));
+  assert.deepEqual([held.ok, held.queued], [false, true]);
+  assert.equal(ctx.transport.sent.length, 0);
+
+  // Other guests are not held up
+  assert.equal((await ctx.outbox.send("5491155550011", text("otro"))).ok, true);
+
+  // The first one's backoff has not run out: the second waits behind it even though it is due
+  assert.deepEqual(await ctx.outbox.tick(), { sent: 0 });
+  assert.deepEqual(await ctx.outbox.tick(minutesFromNow(1)), { sent: 2 });
+  const toGuest = ctx.transport.sent.filter((m) => m.to === GUEST).map((m) => m.text.body);
+  assert.deepEqual(toGuest, ["primero", "segundo"]);
+});
+
+test("a send left SENDING by a stopped process goes back to the queue after the timeout", async (t) => {
+  const ctx = await outboxApp(t, { OUTBOUND_MAX_ATTEMPTS: "2", OUTBOUND_SENDING_TIMEOUT_SECONDS: "120" });
+  const stuck = (attempts) =>
+    ctx.store.insertOutboundMessage({
+      wa_id: GUEST,
+      payload: { type: "text", text: { body: `intento ${attempts}` } },
+      status: "SENDING",
+      attempts,
+      next_attempt_at: new Date().toISOString(),
+    });
+  const retried = await stuck(1);
+  const spent = await stuck(2);
+
+  // Still within the timeout: someone may be sending it
+  assert.deepEqual(await ctx.outbox.tick(minutesFromNow(1)), { sent: 0 });
+  assert.equal((await ctx.store.listOutboundMessages({ status: "SENDING" })).length, 2);
+
+  assert.deepEqual(await ctx.outbox.tick(minutesFromNow(3)), { sent: 1 });
+  const [sent] = await ctx.store.listOutboundMessages({ status: "SENT" });
+  assert.deepEqual([sent.id, sent.attempts], [retried.id, 2]);
+  assert.equal(ctx.transport.sent.at(-1).text.body, "intento 1");
+  const [dead] = await ctx.store.listOutboundMessages({ status: "DEAD" });
+  assert.deepEqual([dead.id, dead.last_error], [spent.id, "send interrupted"]);
+});
+
+test("errors that a retry will not fix go straight to the dead letter; failed statuses are kept", async (t) => {
+  const ctx = await outboxApp(t);
+
+  ctx.transport.failNext(400);
+  await ctx.say(GUEST, "hola");
+  const [dead] = await ctx.store.listOutboundMessages({ wa_id: GUEST });
+  assert.equal(dead.status, "DEAD");
+  assert.equal(dead.attempts, 1);
+
+  await ctx.say(GUEST, "menu");
+  const sent = ctx.transport.sent.at(-1);
+  await ctx.postWebhook(
+    statusPayload(sent.id, "failed", { errors: [{ code: 131047, title: "Re-engagement message" }] })
+  );
+
+  const [failed] = await ctx.store.listOutboundMessages({ wa_message_id: sent.id });
+  assert.equal(failed.status, "FAILED");
+  assert.equal(failed.last_error, "Re-engagement message");
+});
@@ -0,0 +1,197 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startStaffApp, reserve, dayFromToday, testConfig, HOST } = require("./helpers");
+const { createPaymentProvider } = require("../src/payments");
+const { computeSignature } = require("../src/signature");
+
+const GUEST = "5491100000040";
+const SECRET = "payments-secret";
+
+function depositApp(t, env = {}) {
+  return startStaffApp(t, {
+    env: {
+      PUBLIC_BASE_URL: "https://reservas.example.com",
+      PAYMENT_PROVIDER: "stub",
+      PAYMENT_WEBHOOK_SECRET: SECRET,
+      DEPOSIT_PER_PERSON: "5000",
+      DEPOSIT_PARTY_SIZE: "6",
+      ...env,
+    },
+    seed: { customers: [{ phone: GUEST, name: "Ana" }] },
+  });
+}
+
+// The provider's callback, signed like it signs it
+function callback(ctx, body, secret = SECRET) {
+  const signature = computeSignature(Buffer.from(JSON.stringify(body)), secret);
+  return ctx.request("POST", "/payments/callback", body, { "X-Payment-Signature": signature });
+}
+
+test("a large party pays a deposit from WhatsApp: the hold takes seats until the callback confirms it", async (t) => {
+  const ctx = await depositApp(t);
+
+  for (const input of ["hola", "1", "pasta", "8", "pasado mañana a la noche"]) await ctx.say(GUEST, input);
+  const asked = await ctx.say(GUEST, "1");
+  assert.match(asked.text, /seña de \*\$\s?40\.000\*/);
+  assert.match(asked.text, /https:\/\/reservas\.example\.com\/payments\/stub\/stub_\S+/);
+  assert.match(asked.text, /Te guardamos la mesa 30 minutos/);
+
+  const [reservation] = await ctx.store.listReservations({ customer_phone: GUEST });
+  assert.equal(reservation.status, "PENDING_PAYMENT");
+
+  // 8 of the 20 seats are on hold
+  const query = `restaurant=brodo-pasta&date=${dayFromToday(2)}&service=DINNER`;
+  assert.equal((await ctx.request("GET", `/availability?${query}&party=12`)).body.result.ok, true);
+  assert.equal((await ctx.request("GET", `/availability?${query}&party=13`)).body.result.ok, false);
+
+  const [payment] = await ctx.store.listPayments({ reservation_id: reservation.id });
+  assert.deepEqual([payment.amount, payment.currency, payment.status], [40000, "ARS", "PENDING"]);
+  const page = await ctx.request("GET", `/payments/stub/${payment.provider_ref}`);
+  assert.match(page.text, /<form method="post">/);
+
+  const forged = await callback(ctx, { payment_id: payment.provider_ref, status: "PAID" }, "wrong-secret");
+  assert.equal(forged.status, 403);
+  assert.equal((await callback(ctx, { payment_id: "stub_unknown", status: "PAID" })).status, 404);
+
+  const before = ctx.transport.sent.length;
+  const paid = await callback(ctx, { payment_id: payment.provider_ref, status: "PAID" });
+  assert.deepEqual([paid.body.outcome, paid.body.status], ["CONFIRMED", "PAID"]);
+  assert.equal((await ctx.store.getReservation(reservation.id)).status, "CONFIRMED");
+  assert.match(ctx.transport.sent[before].text.body, /Recibimos la seña! Tu reserva está confirmada/);
+
+  // The provider retries: nothing changes
+  const again = await callback(ctx, { payment_id: payment.provider_ref, status: "PAID" });
+  assert.equal(again.body.outcome, "DUPLICATE");
+  assert.equal((await ctx.request("GET", `/availability?${query}&party=13`)).body.result.ok, false);
+});
+
+test("an unpaid hold is released by the sweep and a late payment is refunded", async (t) => {
+  const ctx = await depositApp(t, { DEPOSIT_DATES: dayFromToday(3).slice(5) });
+  const { payments } = ctx;
+
+  // Any party pays on a deposit date; other days do not
+  assert.equal((await reserve(ctx, { date: dayFromToday(4), party: 2 })).status, 200);
+  const booked = await reserve(ctx, { date: dayFromToday(3), party: 2 });
+  assert.deepEqual([booked.status, booked.body.status], [202, "PENDING_PAYMENT"]);
+  assert.deepEqual([booked.body.payment.amount, booked.body.payment.currency], [10000, "ARS"]);
+  const ref = booked.body.payment.url.split("/").pop();
+
+  assert.deepEqual(await payments.tick(new Date(Date.now() + 10 * 60 * 1000)), { released: 0 });
+  const before = ctx.transport.sent.length;
+  assert.deepEqual(await payments.tick(new Date(Date.now() + 31 * 60 * 1000)), { released: 1 });
+  assert.equal((await ctx.store.getReservation(booked.body.reservation_id)).status, "CANCELLED");
+  assert.match(ctx.transport.sent[before].text.body, /No recibimos la seña a tiempo/);
+
+  const late = await callback(ctx, { payment_id: ref, status: "PAID" });
+  assert.deepEqual([late.body.outcome, late.body.status], ["LATE", "REFUNDED"]);
+  assert.match(ctx.transport.sent.at(-1).text.body, /ya se había liberado: te lo devolvemos completo/);
+  const [payment] = await ctx.store.listPayments({ reservation_id: booked.body.reservation_id });
+  assert.equal(payment.refunded_amount, 10000);
+
+  // A large party the staff approves pays before it is confirmed
+  const approvals = await depositApp(t, { LIMIT_APPROVAL_PARTY_SIZE: "10" });
+  const pending = await reserve(approvals, { date: dayFromToday(3), party: 12 });
+  assert.equal(pending.body.status, "PENDING_APPROVAL");
+  const path = `/staff/reservations/${pending.body.reservation_id}/status`;
+  const approved = await approvals.request("POST", path, { status: "CONFIRMED" }, HOST);
+  assert.deepEqual([approved.body.reservation.status, approved.body.payment.amount], ["PENDING_PAYMENT", 60000]);
+  assert.match(approvals.transport.sent.at(-1).text.body, /El restaurante confirmó tu reserva[\s\S]*seña de/);
+});
+
+test("a change that now needs a deposit waits for it, from the staff API or the chat", async (t) => {
+  const ctx = await depositApp(t);
+  const booked = await reserve(ctx, { date: dayFromToday(2), party: 4, customer_phone: GUEST });
+  const path = `/staff/reservations/${booked.body.reservation_id}`;
+
+  // The staff grows it past DEPOSIT_PARTY_SIZE: the guest gets the link
+  const before = ctx.transport.sent.length;
+  const grown = await ctx.request("PATCH", path, { party: 8 }, HOST);
+  assert.deepEqual([grown.status, grown.body.reservation.status], [200, "PENDING_PAYMENT"]);
+  assert.equal(grown.body.payment.amount, 40000);
+  const [notice] = ctx.transport.sent.slice(before);
+  assert.equal(notice.to, GUEST);
+  assert.match(notice.text.body, /seña de \*\$\s?40\.000\*[\s\S]*\/payments\/stub\/stub_/);
+
+  // Once paid it is kept: a smaller change does not ask again
+  await callback(ctx, { payment_id: grown.body.payment.url.split("/").pop(), status: "PAID" });
+  const paid = await ctx.request("PATCH", path, { party: 7 }, HOST);
+  assert.deepEqual([paid.body.reservation.status, paid.body.payment], ["CONFIRMED", null]);
+
+  // From the chat: 2 -> 8 people shows the link instead of "changed"
+  const other = await reserve(ctx, { date: dayFromToday(3), party: 2, customer_phone: GUEST });
+  for (const input of ["hola", "4", "2", "1"]) await ctx.say(GUEST, input);
+  await ctx.say(GUEST, "8");
+  const changed = await ctx.say(GUEST, "1");
+  assert.match(changed.text, /seña de \*\$\s?40\.000\*/);
+  assert.equal((await ctx.store.getReservation(other.body.reservation_id)).status, "PENDING_PAYMENT");
+});
+
+test("a change whose deposit lapses goes back to the booking it had", async (t) => {
+  const ctx = await depositApp(t);
+  const booked = await reserve(ctx, { date: dayFromToday(2), party: 4, customer_phone: GUEST });
+  const id = booked.body.reservation_id;
+
+  const moved = await ctx.request("PATCH", `/staff/reservations/${id}`, { party: 8, date: dayFromToday(3) }, HOST);
+  assert.deepEqual([moved.status, moved.body.reservation.status], [200, "PENDING_PAYMENT"]);
+
+  const before = ctx.transport.sent.length;
+  assert.deepEqual(await ctx.payments.tick(new Date(Date.now() + 31 * 60 * 1000)), { released: 1 });
+  const reverted = await ctx.store.getReservation(id);
+  assert.deepEqual(
+    [reverted.status, reverted.party_size, reverted.service_date, reverted.previous_booking],
+    ["CONFIRMED", 4, dayFromToday(2), null]
+  );
+  assert.match(ctx.transport.sent[before].text.body, /el cambio no se hizo: tu reserva sigue como estaba[\s\S]*\*4\*/);
+
+  // The seats it held on the new date are free again
+  const query = `restaurant=brodo-pasta&date=${dayFromToday(3)}&service=DINNER&party=20`;
+  assert.equal((await ctx.request("GET", `/availability?${query}`)).body.result.ok, true);
+
+  // Paid in time, the change stays and the booking it had is gone
+  const again = await ctx.request("PATCH", `/staff/reservations/${id}`, { party: 8, date: dayFromToday(3) }, HOST);
+  await callback(ctx, { payment_id: again.body.payment.url.split("/").pop(), status: "PAID" });
+  const paid = await ctx.store.getReservation(id);
+  assert.deepEqual([paid.status, paid.party_size, paid.previous_booking], ["CONFIRMED", 8, null]);
+});
+
+test("deposits need a real provider; the stub and its pay page only run in development and tests", async (t) => {
+  const production = { NODE_ENV: "production", DEPOSIT_PER_PERSON: "5000" };
+  assert.throws(() => createPaymentProvider(testConfig(production)), /PAYMENT_PROVIDER is not set/);
+  const stub = { ...production, PAYMENT_PROVIDER: "stub" };
+  assert.throws(() => createPaymentProvider(testConfig(stub)), /only for development and tests/);
+  assert.equal(createPaymentProvider(testConfig({ NODE_ENV: "production" })), null);
+
+  // Without a provider there is nothing to call back or to pay
+  const ctx = await startStaffApp(t);
+  assert.equal((await ctx.request("POST", "/payments/stub/stub_x")).status, 404);
+  assert.equal((await ctx.request("POST", "/payments/callback", { payment_id: "x", status: "PAID" })).status, 404);
+});
+
+test("cancelling a paid reservation refunds the deposit by the policy", async (t) => {
+  const ctx = await depositApp(t, { DEPOSIT_REFUND_HOURS: "48", DEPOSIT_LATE_REFUND_PERCENT: "50" });
+
+  async function paidBooking(date) {
+    const booked = await reserve(ctx, { date, party: 8, customer_phone: GUEST });
+    await callback(ctx, { payment_id: booked.body.payment.url.split("/").pop(), status: "PAID" });
+    return booked.body.reservation_id;
+  }
+
+  const early = await ctx.request("POST", "/cancel", { reservation_id: await paidBooking(dayFromToday(5)) });
+  assert.deepEqual(early.body.reservation.refund, { deposit: 40000, amount: 40000, currency: "ARS", refund_hours: 48 });
+
+  // Tomorrow is less than 48 h ahead: half of it, from the bot
+  const lateId = await paidBooking(dayFromToday(1));
+  await ctx.say(GUEST, "hola");
+  await ctx.say(GUEST, "2");
+  const cancelled = await ctx.say(GUEST, "1");
+  assert.match(cancelled.text, /Reserva cancelada[\s\S]*Te devolvemos \*\$\s?20\.000\* de la seña de \$\s?40\.000/);
+
+  const [payment] = await ctx.store.listPayments({ reservation_id: lateId });
+  assert.deepEqual([payment.status, payment.refunded_amount], ["REFUNDED", 20000]);
+
+  // Cancelling before paying closes the link
+  const unpaid = await reserve(ctx, { date: dayFromToday(6), party: 8 });
+  await ctx.request("POST", "/cancel", { reservation_id: unpaid.body.reservation_id });
+  const [link] = await ctx.store.listPayments({ reservation_id: unpaid.body.reservation_id });
+  assert.equal(link.status, "CANCELLED");
+});
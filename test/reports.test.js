@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startStaffApp, dayFromToday, HOST, PASTA_HOST } = require("./helpers");
+
+function reportsApp(t) {
+  return startStaffApp(t, {
+    seed: {
+      customers: ["5491100000001", "5491100000002", "5491100000003"].map((phone) => ({ phone, name: "Ana" })),
+      // deliclub full tomorrow night
+      reservations: [
+        {
+          id: "res-full",
+          restaurant_id: "r-deliclub",
+          customer_name: "Grupo",
+          customer_phone: "5491100000009",
+          party_size: 20,
+          service_date: dayFromToday(1),
+          service: "DINNER",
+        },
+      ],
+    },
+  });
+}
+
+async function chat(ctx, wa_id, inputs) {
+  for (const input of inputs) await ctx.say(wa_id, input);
+}
+
+test("the funnel, alternatives and bookings reports come from the conversation events", async (t) => {
+  const ctx = await reportsApp(t);
+
+  // Direct booking / drops off at the date / no room -> alternative -> booking
+  await chat(ctx, "5491100000001", ["hola", "1", "pasta", "2", "mañana a la noche", "1"]);
+  await chat(ctx, "5491100000002", ["hola", "1", "pizza", "4"]);
+  await chat(ctx, "5491100000003", ["hola", "1", "deliclub", "2", "mañana a la noche", "1", "1", "1"]);
+
+  const funnel = await ctx.request("GET", "/staff/reports/funnel", null, HOST);
+  assert.equal(funnel.status, 200);
+  assert.deepEqual(
+    funnel.body.funnel.map((s) => [s.step, s.guests]),
+    [
+      ["ASK_RESTAURANT", 3],
+      ["ASK_PARTY_SIZE", 3],
+      ["ASK_DATE", 3],
+      ["ASK_SERVICE", 2],
+      ["CONFIRM_RESERVATION", 2],
+      ["BOOKED", 2],
+    ]
+  );
+  assert.equal(funnel.body.funnel[2].dropped, 1);
+  assert.equal(funnel.body.funnel[3].conversion, 0.6667);
+
+  const alternatives = await ctx.request("GET", "/staff/reports/alternatives", null, HOST);
+  assert.deepEqual(alternatives.body.alternatives, {
+    no_availability: 1,
+    offered: 1,
+    taken: 1,
+    booked: 1,
+    acceptance_rate: 1,
+    booking_rate: 1,
+  });
+
+  await chat(ctx, "5491100000001", ["2", "1"]);
+  const bookings = await ctx.request("GET", "/staff/reports/bookings?format=csv", null, HOST);
+  assert.equal(bookings.status, 200);
+  assert.match(bookings.text, /^date,restaurant,bookings,covers_booked,cancellations,covers_cancelled\r\n/);
+  const today = dayFromToday(0);
+  assert.match(bookings.text, new RegExp(`${today},brodo-pasta,1,2,1,2\r\n${today},deliclub,1,2,0,0\r\n$`));
+});
+
+test("occupancy against capacity_max, and keys tied to a restaurant only see theirs", async (t) => {
+  const ctx = await reportsApp(t);
+  const date = dayFromToday(1);
+
+  const all = await ctx.request("GET", `/staff/reports/occupancy?from=${date}&to=${date}`, null, HOST);
+  assert.equal(all.status, 200);
+  assert.equal(all.body.occupancy.length, 6);
+  assert.deepEqual(all.body.occupancy[1], {
+    date,
+    restaurant: "deliclub",
+    service: "DINNER",
+    covers: 20,
+    capacity_max: 20,
+    occupancy: 1,
+  });
+
+  const csv = `/staff/reports/occupancy?from=${date}&to=${date}&format=csv`;
+  const pasta = await ctx.request("GET", csv, null, PASTA_HOST);
+  assert.equal(
+    pasta.text,
+    `date,restaurant,service,covers,capacity_max,occupancy\r\n` +
+      `${date},brodo-pasta,LUNCH,0,20,0\r\n${date},brodo-pasta,DINNER,0,20,0\r\n`
+  );
+
+  assert.equal((await ctx.request("GET", "/staff/reports/funnel", null, PASTA_HOST)).status, 403);
+  assert.equal((await ctx.request("GET", "/staff/reports/bookings?restaurant=deliclub", null, PASTA_HOST)).status, 404);
+  assert.equal((await ctx.request("GET", "/staff/reports/occupancy?from=2026-13-01", null, HOST)).status, 400);
+});
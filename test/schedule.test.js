@@ -0,0 +1,186 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startStaffApp, reserve, dayFromToday, HOST, PASTA_HOST } = require("./helpers");
+
+const GUEST = "5491100000050";
+
+function scheduleApp(t, seed = {}) {
+  return startStaffApp(t, { seed: { customers: [{ phone: GUEST, name: "Ana" }], ...seed } });
+}
+
+function addException(ctx, body, headers = HOST) {
+  return ctx.request("POST", "/staff/exceptions", { restaurant: "brodo-pasta", ...body }, headers);
+}
+
+test("the staff manages closures, reduced capacity and special hours per restaurant", async (t) => {
+  const date = dayFromToday(3);
+  const ctx = await scheduleApp(t, {
+    reservations: [
+      {
+        restaurant_id: "r-pasta",
+        customer_name: "Luis",
+        customer_phone: "5491100000052",
+        party_size: 4,
+        service_date: date,
+        service: "DINNER",
+      },
+    ],
+  });
+
+  assert.equal((await addException(ctx, { date, kind: "CLOSED" })).status, 400);
+  assert.equal((await addException(ctx, { date, kind: "CAPACITY", reason: "Media sala" })).status, 400);
+  assert.equal((await addException(ctx, { date, kind: "HOURS", hours: "20-23", reason: "Feriado" })).status, 400);
+  assert.equal((await addException(ctx, { date, kind: "OPEN", reason: "?" })).status, 400);
+
+  const closed = await addException(ctx, { date, service: "dinner", kind: "closed", reason: "Evento privado" });
+  assert.equal(closed.status, 201);
+  assert.deepEqual(
+    [closed.body.exception.restaurant, closed.body.exception.service, closed.body.exception.kind],
+    ["brodo-pasta", "DINNER", "CLOSED"]
+  );
+  assert.equal(closed.body.exception.created_by, "host");
+  assert.deepEqual([closed.body.affected.reservations.length, closed.body.affected.covers], [1, 4]);
+  assert.equal(closed.body.affected.reservations[0].customer_name, "Luis");
+
+  // One per date and service; the whole day is another rule
+  assert.equal((await addException(ctx, { date, service: "DINNER", kind: "CLOSED", reason: "x" })).status, 409);
+  const hours = await addException(ctx, { date, kind: "HOURS", hours: "12:00-01:30", reason: "Feriado" }, PASTA_HOST);
+  assert.equal(hours.status, 201);
+  assert.equal(hours.body.exception.hours, "12:00-01:30");
+
+  const pizza = { restaurant: "brodo-pizza", date, kind: "CLOSED", reason: "Mudanza" };
+  assert.equal((await ctx.request("POST", "/staff/exceptions", pizza, PASTA_HOST)).status, 404);
+  await ctx.request("POST", "/staff/exceptions", pizza, HOST);
+
+  const all = await ctx.request("GET", "/staff/exceptions", null, HOST);
+  assert.deepEqual(
+    all.body.exceptions.map((x) => [x.restaurant, x.service, x.kind]),
+    [["brodo-pasta", null, "HOURS"], ["brodo-pizza", null, "CLOSED"], ["brodo-pasta", "DINNER", "CLOSED"]]
+  );
+  const own = await ctx.request("GET", "/staff/exceptions", null, PASTA_HOST);
+  assert.equal(own.body.count, 2);
+  const past = await ctx.request("GET", `/staff/exceptions?from=${dayFromToday(4)}`, null, HOST);
+  assert.equal(past.body.count, 0);
+
+  const pizzaRule = all.body.exceptions.find((x) => x.restaurant === "brodo-pizza");
+  assert.equal((await ctx.request("DELETE", `/staff/exceptions/${pizzaRule.id}`, null, PASTA_HOST)).status, 404);
+  assert.equal((await ctx.request("DELETE", `/staff/exceptions/${closed.body.exception.id}`, null, HOST)).status, 200);
+  assert.equal((await ctx.request("GET", "/staff/exceptions", null, PASTA_HOST)).body.count, 1);
+});
+
+test("availability, alternatives and bookings apply the exceptions", async (t) => {
+  const ctx = await scheduleApp(t, {
+    slots: [
+      { restaurant_id: "r-pasta", service: "DINNER", slot_time: "20:00", capacity: 10 },
+      { restaurant_id: "r-pasta", service: "DINNER", slot_time: "22:00", capacity: 10 },
+      { restaurant_id: "r-pasta", service: "DINNER", slot_time: "23:30", capacity: 10 },
+    ],
+  });
+
+  const dinner = (day, rule) => addException(ctx, { date: dayFromToday(day), service: "DINNER", ...rule });
+  await dinner(2, { kind: "CLOSED", reason: "Evento privado" });
+  await addException(ctx, { date: dayFromToday(3), kind: "CLOSED", reason: "Feriado" });
+  await dinner(4, { kind: "CAPACITY", capacity: 6, reason: "Media sala" });
+  await dinner(5, { kind: "HOURS", hours: "21:00-23:00", reason: "Show" });
+
+  const query = (day, party) => `restaurant=brodo-pasta&date=${dayFromToday(day)}&service=DINNER&party=${party}`;
+  const closed = await ctx.request("GET", `/availability?${query(2, 2)}&time=20:00`);
+  assert.deepEqual([closed.body.result.ok, closed.body.result.reason], [false, "CLOSED"]);
+  assert.equal(closed.body.result.exception.reason, "Evento privado");
+
+  const refused = await reserve(ctx, { time: "20:00" });
+  assert.deepEqual([refused.status, refused.body.reason], [409, "CLOSED"]);
+  assert.equal(refused.body.details.exception.reason, "Evento privado");
+
+  // Reduced capacity: 6 covers for the whole service
+  assert.equal((await reserve(ctx, { date: dayFromToday(4), time: "20:00", party: 4 })).status, 200);
+  const reduced = await reserve(ctx, { date: dayFromToday(4), time: "22:00", party: 3 });
+  assert.deepEqual([reduced.status, reduced.body.reason], [409, "REDUCED_CAPACITY"]);
+  assert.deepEqual([reduced.body.details.capacity, reduced.body.details.remaining], [6, 2]);
+  assert.equal((await reserve(ctx, { date: dayFromToday(4), time: "22:00", party: 2 })).status, 200);
+
+  // Special hours: only the slots inside them
+  const show = await ctx.request("GET", `/availability?${query(5, 2)}&time=20:00`);
+  assert.equal(show.body.result.ok, false);
+  assert.deepEqual(show.body.result.slots.map((s) => s.time), ["22:00"]);
+  assert.equal(show.body.result.exception.hours, "21:00-23:00");
+  assert.equal((await reserve(ctx, { date: dayFromToday(5), time: "22:00" })).status, 200);
+
+  // Alternatives skip the closed day and the reduced service that is full
+  const alternatives = await ctx.request("GET", `/alternatives?${query(2, 2)}&time=20:00&days=3`);
+  assert.deepEqual(
+    alternatives.body.alternatives.map((a) => [a.service_date, a.service, a.time]),
+    [
+      [dayFromToday(2), "LUNCH", null],
+      [dayFromToday(4), "LUNCH", null],
+      [dayFromToday(5), "LUNCH", null],
+      [dayFromToday(5), "DINNER", "22:00"],
+    ]
+  );
+});
+
+test("special hours refuse times outside them and open slots past the service's ones", async (t) => {
+  const ctx = await scheduleApp(t, {
+    slots: [
+      { restaurant_id: "r-pasta", service: "DINNER", slot_time: "20:00", capacity: 10 },
+      { restaurant_id: "r-pasta", service: "DINNER", slot_time: "21:00", capacity: 10 },
+      { restaurant_id: "r-pasta", service: "DINNER", slot_time: "22:00", capacity: 4 },
+    ],
+  });
+  const show = { date: dayFromToday(2), service: "DINNER", kind: "HOURS", hours: "18:00-23:30", reason: "Show" };
+  await addException(ctx, show);
+  await addException(ctx, { date: dayFromToday(3), kind: "HOURS", hours: "18:00-21:00", reason: "Feriado" });
+
+  const query = (day) => `restaurant=brodo-pasta&date=${dayFromToday(day)}&service=DINNER&party=2`;
+  const extended = await ctx.request("GET", `/availability?${query(2)}&time=18:00`);
+  assert.equal(extended.body.result.ok, true);
+  assert.deepEqual(
+    extended.body.result.slots.map((s) => [s.time, s.capacity]),
+    [["18:00", 10], ["19:00", 10], ["20:00", 10], ["21:00", 10], ["22:00", 4], ["23:00", 4]]
+  );
+  assert.equal((await reserve(ctx, { time: "23:00", party: 4 })).status, 200);
+  const full = await reserve(ctx, { time: "23:00", party: 1 });
+  assert.deepEqual([full.status, full.body.reason], [409, "SLOT_FULL"]);
+
+  // A rule for the whole day only hides slots, and the store refuses the ones it hides
+  const holiday = await ctx.request("GET", `/availability?${query(3)}&time=20:00`);
+  assert.deepEqual(holiday.body.result.slots.map((s) => s.time), ["20:00", "21:00"]);
+  const booked = await ctx.store.bookReservation({
+    restaurant_id: "r-pasta",
+    customer_name: "Ana",
+    customer_phone: GUEST,
+    party_size: 2,
+    service_date: dayFromToday(3),
+    service: "DINNER",
+    service_time: "22:00",
+  });
+  assert.deepEqual([booked.ok, booked.reason, booked.exception.hours], [false, "UNKNOWN_SLOT", "18:00-21:00"]);
+});
+
+test("the bot tells the guest why a service is closed or full, and about special hours", async (t) => {
+  const ctx = await scheduleApp(t);
+  const dinner = (day, rule) => addException(ctx, { date: dayFromToday(day), service: "DINNER", ...rule });
+  await dinner(2, { kind: "CLOSED", reason: "Evento privado" });
+  await addException(ctx, { date: dayFromToday(3), kind: "HOURS", hours: "20:00-02:00", reason: "Fiesta de la pasta" });
+  await dinner(4, { kind: "CAPACITY", capacity: 4, reason: "Sala chica" });
+
+  for (const input of ["hola", "1", "pasta", "2"]) await ctx.say(GUEST, input);
+  const closed = await ctx.say(GUEST, "pasado mañana a la noche");
+  assert.match(closed.text, /🚫 Ese turno está cerrado: \*Evento privado\*[\s\S]*1\) \S+ — Lunch/);
+  assert.doesNotMatch(closed.text, /No hay disponibilidad/);
+  assert.equal((await ctx.store.getSession(GUEST)).state, "ASK_ALT_PICK");
+
+  await ctx.say(GUEST, "menu");
+  for (const input of ["1", "pasta", "2"]) await ctx.say(GUEST, input);
+  const special = await ctx.say(GUEST, `${dayFromToday(3)} a la noche`);
+  assert.match(special.text, /🕘 Ese día el horario es especial: \*20:00-02:00\* \(Fiesta de la pasta\)/);
+  assert.match(special.text, /Confirmación/);
+
+  // Reduced capacity: seen when booking
+  await ctx.say(GUEST, "menu");
+  for (const input of ["1", "pasta", "6"]) await ctx.say(GUEST, input);
+  await ctx.say(GUEST, `${dayFromToday(4)} a la noche`);
+  const full = await ctx.say(GUEST, "1");
+  assert.match(full.text, /Ese turno tiene capacidad reducida \(\*Sala chica\*\) y no queda lugar para tu grupo/);
+  assert.equal((await ctx.store.listReservations({ customer_phone: GUEST })).length, 0);
+});
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, dayFromToday } = require("./helpers");
+
+const GUEST = "5491155550001";
+const OTHER = "5491155550002";
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+}
+
+async function staleApp(t, sessions) {
+  const ctx = await startTestApp({
+    env: { WHATSAPP_INTERACTIVE: "false", SESSION_TTL_MINUTES: "60", SESSION_ABANDON_HOURS: "24" },
+    seed: { customers: [{ phone: GUEST, name: "Ana" }], sessions },
+  });
+  t.after(() => ctx.close());
+  return ctx;
+}
+
+test("a stale session asks to resume instead of taking the message as an answer", async (t) => {
+  const date = dayFromToday(3);
+  const ctx = await staleApp(t, [
+    {
+      wa_id: GUEST,
+      state: "ASK_SERVICE",
+      language: "es",
+      restaurant_code: "brodo-pasta",
+      party_size: 4,
+      service_date: date,
+      updated_at: hoursAgo(3),
+    },
+  ]);
+
+  const resume = await ctx.say(GUEST, "2");
+  assert.match(resume.text, /reserva a medias/);
+  assert.match(resume.text, /Restaurante: \*🍝 brodo-pasta\*\nPersonas: \*4\*/);
+  assert.match(resume.text, /¿Seguimos donde quedamos\?\n\n1️⃣ Continuar\n2️⃣ Empezar de nuevo/);
+
+  let session = await ctx.store.getSession(GUEST);
+  assert.equal(session.state, "ASK_RESUME");
+  assert.equal(session.resume_state, "ASK_SERVICE");
+  assert.equal(session.party_size, 4);
+
+  // Continuar: back to the question where it stopped, with the details from before
+  assert.match((await ctx.say(GUEST, "1")).text, /¿En qué servicio\?/);
+  assert.match((await ctx.say(GUEST, "2")).text, /Personas: \*4\*[\s\S]*Servicio: \*Dinner\*/);
+  session = await ctx.store.getSession(GUEST);
+  assert.equal(session.state, "CONFIRM_RESERVATION");
+  assert.equal(session.resume_state, null);
+});
+
+test("starting over records where the guest dropped off", async (t) => {
+  const ctx = await staleApp(t, [
+    { wa_id: GUEST, state: "ASK_PARTY_SIZE", language: "en", restaurant_code: "deliclub", updated_at: hoursAgo(2) },
+  ]);
+
+  assert.match((await ctx.say(GUEST, "6")).text, /halfway through[\s\S]*Shall we pick up where we left off\?/);
+  assert.match((await ctx.say(GUEST, "2")).text, /Welcome to our booking service/);
+
+  const session = await ctx.store.getSession(GUEST);
+  assert.equal(session.state, "IDLE");
+  assert.equal(session.restaurant_code, null);
+  assert.equal(session.language, "en");
+
+  const [dropoff] = await ctx.store.listSessionDropoffs({ wa_id: GUEST });
+  assert.equal(dropoff.state, "ASK_PARTY_SIZE");
+  assert.equal(dropoff.reason, "RESTARTED");
+  assert.equal(dropoff.restaurant_code, "deliclub");
+});
+
+test("a stale date that already passed asks for a new one", async (t) => {
+  const ctx = await staleApp(t, [
+    {
+      wa_id: GUEST,
+      state: "CONFIRM_RESERVATION",
+      language: "es",
+      restaurant_code: "brodo-pizza",
+      party_size: 2,
+      service_date: dayFromToday(-2),
+      service: "LUNCH",
+      updated_at: hoursAgo(72),
+    },
+  ]);
+
+  await ctx.say(GUEST, "1");
+  assert.match((await ctx.say(GUEST, "1")).text, /ya pasó/);
+  const session = await ctx.store.getSession(GUEST);
+  assert.equal(session.state, "ASK_DATE");
+  assert.equal(session.service_date, null);
+});
+
+test("the sweep clears abandoned sessions and records the step", async (t) => {
+  const ctx = await staleApp(t, [
+    {
+      wa_id: GUEST,
+      state: "ASK_DATE",
+      language: "pt",
+      restaurant_code: "deliclub",
+      party_size: 3,
+      updated_at: hoursAgo(30),
+    },
+    { wa_id: OTHER, state: "ASK_DATE", restaurant_code: "deliclub", updated_at: hoursAgo(2) },
+    { wa_id: "5491155550003", state: "IDLE", updated_at: hoursAgo(100) },
+  ]);
+
+  assert.deepEqual(await ctx.sessions.tick(), { cleared: 1 });
+
+  const cleared = await ctx.store.getSession(GUEST);
+  assert.equal(cleared.state, "IDLE");
+  assert.equal(cleared.party_size, null);
+  assert.equal(cleared.language, "pt");
+  assert.equal((await ctx.store.getSession(OTHER)).state, "ASK_DATE");
+
+  const dropoffs = await ctx.store.listSessionDropoffs({});
+  assert.equal(dropoffs.length, 1);
+  assert.equal(dropoffs[0].wa_id, GUEST);
+  assert.equal(dropoffs[0].state, "ASK_DATE");
+  assert.equal(dropoffs[0].reason, "EXPIRED");
+  assert.equal(dropoffs[0].party_size, 3);
+});
@@ -0,0 +1,214 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, startStaffApp, dayFromToday, reserve, HOST } = require("./helpers");
+const { hashApiKey } = require("../src/auth");
+
+test("staff API", async (t) => {
+  const date = dayFromToday(3);
+  const reservation = (id, restaurant_id, extra) => ({
+    id,
+    restaurant_id,
+    customer_name: "Guest " + id,
+    customer_phone: "549110000" + id.slice(-1),
+    service_date: date,
+    ...extra,
+  });
+  const ctx = await startTestApp({
+    seed: {
+      staffKeys: [
+        { restaurant_id: "r-deliclub", label: "host-deliclub", key_hash: hashApiKey("deli-key") },
+        { restaurant_id: null, label: "manager", key_hash: hashApiKey("manager-key") },
+        { restaurant_id: null, label: "old", key_hash: hashApiKey("old-key"), active: false },
+      ],
+      slots: [
+        { restaurant_id: "r-deliclub", service: "DINNER", slot_time: "20:00", capacity: 6 },
+        { restaurant_id: "r-deliclub", service: "DINNER", slot_time: "21:00", capacity: 6 },
+      ],
+      reservations: [
+        reservation("res-1", "r-deliclub", { party_size: 4, service: "DINNER", service_time: "20:00" }),
+        reservation("res-2", "r-deliclub", { party_size: 2, service: "DINNER", service_time: "21:00" }),
+        reservation("res-3", "r-deliclub", { party_size: 3, service: "LUNCH", status: "CANCELLED" }),
+        reservation("res-4", "r-pasta", { party_size: 2, service: "LUNCH" }),
+      ],
+    },
+  });
+  t.after(() => ctx.close());
+
+  const deli = { Authorization: "Bearer deli-key", "X-Staff-User": "Lucía" };
+  const manager = { Authorization: "Bearer manager-key" };
+
+  await t.test("requires a valid, active key", async () => {
+    assert.equal((await ctx.request("GET", "/staff/reservations")).status, 401);
+    assert.equal(
+      (await ctx.request("GET", "/staff/reservations", null, { Authorization: "Bearer nope" })).status,
+      401
+    );
+    assert.equal(
+      (await ctx.request("GET", "/staff/reservations", null, { Authorization: "Bearer old-key" })).status,
+      401
+    );
+  });
+
+  await t.test("lists the day's book with party totals", async () => {
+    const res = await ctx.request("GET", `/staff/reservations?date=${date}`, null, deli);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.restaurant, "deliclub");
+    assert.deepEqual(
+      res.body.reservations.map((r) => r.id),
+      ["res-3", "res-1", "res-2"]
+    );
+    assert.equal(res.body.totals.reservations, 2);
+    assert.equal(res.body.totals.covers, 6);
+    assert.deepEqual(res.body.totals.by_status.CANCELLED, { reservations: 1, covers: 3 });
+
+    const dinner = await ctx.request("GET", `/staff/reservations?date=${date}&service=DINNER`, null, deli);
+    assert.equal(dinner.body.reservations.length, 2);
+  });
+
+  await t.test("restaurant keys only see their restaurant", async () => {
+    const other = await ctx.request("GET", `/staff/reservations?restaurant=brodo-pasta&date=${date}`, null, deli);
+    assert.equal(other.status, 404);
+    assert.equal((await ctx.request("GET", "/staff/reservations/res-4", null, deli)).status, 404);
+
+    const asManager = await ctx.request(
+      "GET",
+      `/staff/reservations?restaurant=brodo-pasta&date=${date}`,
+      null,
+      manager
+    );
+    assert.equal(asManager.status, 200);
+    assert.equal(asManager.body.totals.covers, 2);
+
+    const missing = await ctx.request("GET", `/staff/reservations?date=${date}`, null, manager);
+    assert.equal(missing.status, 400);
+  });
+
+  await t.test("status changes follow the allowed transitions and are audited", async () => {
+    const seated = await ctx.request("POST", "/staff/reservations/res-1/status", { status: "SEATED" }, deli);
+    assert.equal(seated.status, 200);
+    assert.equal(seated.body.reservation.status, "SEATED");
+
+    const noShow = await ctx.request("POST", "/staff/reservations/res-1/status", { status: "NO_SHOW" }, deli);
+    assert.equal(noShow.status, 409);
+    assert.equal(noShow.body.reason, "INVALID_TRANSITION");
+
+    const bad = await ctx.request("POST", "/staff/reservations/res-1/status", { status: "CANCELLED" }, deli);
+    assert.equal(bad.status, 400);
+
+    await ctx.request("POST", "/staff/reservations/res-1/status", { status: "COMPLETED" }, deli);
+
+    const detail = await ctx.request("GET", "/staff/reservations/res-1", null, deli);
+    assert.deepEqual(
+      detail.body.audit.map((a) => [a.action, a.from_status, a.to_status, a.actor]),
+      [
+        ["STATUS", "CONFIRMED", "SEATED", "Lucía (host-deliclub)"],
+        ["STATUS", "SEATED", "COMPLETED", "Lucía (host-deliclub)"],
+      ]
+    );
+    assert.equal((await ctx.store.getCustomer(detail.body.reservation.customer_phone)).visit_count, 1);
+  });
+
+  await t.test("edits re-check availability without counting the reservation's own seats", async () => {
+    // res-2: 2 people at 21:00 (capacity 6) -> 6 fit, 7 do not
+    const grow = await ctx.request("PATCH", "/staff/reservations/res-2", { party: 6 }, deli);
+    assert.equal(grow.status, 200);
+    assert.equal(grow.body.reservation.party_size, 6);
+
+    const tooMany = await ctx.request("PATCH", "/staff/reservations/res-2", { party: 7 }, deli);
+    assert.equal(tooMany.status, 409);
+    assert.equal(tooMany.body.reason, "SLOT_FULL");
+
+    // res-1 already ate at 20:00, but its 4 seats still count: 6 do not fit, 2 do
+    const crowded = await ctx.request("PATCH", "/staff/reservations/res-2", { time: "20:00" }, deli);
+    assert.equal(crowded.body.reason, "SLOT_FULL");
+    const moved = await ctx.request("PATCH", "/staff/reservations/res-2", { party: 2, time: "20:00" }, deli);
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.reservation.service_time, "20:00");
+
+    const invalid = await ctx.request("PATCH", "/staff/reservations/res-2", { service: "BRUNCH" }, deli);
+    assert.equal(invalid.status, 400);
+
+    const detail = await ctx.request("GET", "/staff/reservations/res-2", null, manager);
+    assert.deepEqual(detail.body.audit.map((a) => a.changes), [
+      { party_size: { from: 2, to: 6 } },
+      { party_size: { from: 6, to: 2 }, service_time: { from: "21:00", to: "20:00" } },
+    ]);
+    assert.equal(detail.body.audit[0].actor, "Lucía (host-deliclub)");
+  });
+
+  await t.test("only CONFIRMED reservations can be edited", async () => {
+    const res = await ctx.request("PATCH", "/staff/reservations/res-1", { party: 2 }, deli);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.reason, "NOT_EDITABLE");
+  });
+
+  await t.test("internal notes", async () => {
+    const empty = await ctx.request("POST", "/staff/reservations/res-2/notes", { note: " " }, deli);
+    assert.equal(empty.status, 400);
+
+    const note = "Cumpleaños, traer torta";
+    const res = await ctx.request("POST", "/staff/reservations/res-2/notes", { note }, deli);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.reservation.internal_notes.length, 1);
+    assert.equal(res.body.reservation.internal_notes[0].note, note);
+    assert.equal(res.body.reservation.internal_notes[0].author, "Lucía (host-deliclub)");
+  });
+});
+
+test("the store re-checks a change and applies it in the same step", async (t) => {
+  const slot = (slot_time) => ({ restaurant_id: "r-deliclub", service: "DINNER", slot_time, capacity: 6 });
+  const booking = (id, party_size, service_time) => ({
+    id,
+    restaurant_id: "r-deliclub",
+    customer_name: "Guest " + id,
+    customer_phone: "549110000000" + id.slice(-1),
+    party_size,
+    service_date: dayFromToday(3),
+    service: "DINNER",
+    service_time,
+  });
+  const ctx = await startStaffApp(t, {
+    seed: {
+      slots: [slot("20:00"), slot("21:00")],
+      reservations: [booking("res-1", 2, "20:00"), booking("res-2", 4, "21:00")],
+    },
+  });
+
+  // Someone else took the seats: the change is refused and nothing moves
+  const full = await ctx.store.modifyReservation("res-1", { service_time: "21:00", party_size: 3 }, { party_size: 2 });
+  assert.deepEqual([full.ok, full.reason, full.slot_remaining], [false, "SLOT_FULL", 2]);
+  const stale = await ctx.store.modifyReservation("res-1", { party_size: 6 }, { party_size: 4 });
+  assert.deepEqual([stale.ok, stale.reason], [false, "RESERVATION_CHANGED"]);
+  assert.equal((await ctx.store.getReservation("res-1")).service_time, "20:00");
+
+  // Its own seats do not count against it
+  const grown = await ctx.store.modifyReservation("res-1", { party_size: 6 }, { party_size: 2 });
+  assert.deepEqual([grown.ok, grown.reservation.party_size], [true, 6]);
+});
+
+test("seated and completed parties keep their seats", async (t) => {
+  const date = dayFromToday(2);
+  const ctx = await startStaffApp(t, {
+    seed: {
+      slots: [{ restaurant_id: "r-deliclub", service: "DINNER", slot_time: "20:00", capacity: 6 }],
+      reservations: [
+        { id: "full", restaurant_id: "r-pasta", customer_name: "Grupo", party_size: 20, service_date: date },
+        { id: "slot", restaurant_id: "r-deliclub", customer_name: "Mesa", party_size: 6, service_date: date },
+      ].map((r) => ({ customer_phone: "5491100009999", service: "DINNER", service_time: "20:00", ...r })),
+    },
+  });
+  const status = (id, to) => ctx.request("POST", `/staff/reservations/${id}/status`, { status: to }, HOST);
+
+  assert.equal((await status("full", "SEATED")).status, 200);
+  assert.equal((await status("slot", "SEATED")).status, 200);
+  const service = await reserve(ctx, { date, party: 2 });
+  assert.deepEqual([service.status, service.body.reason], [409, "NO_CAPACITY"]);
+  const slot = await reserve(ctx, { restaurant: "deliclub", date, time: "20:00" });
+  assert.deepEqual([slot.status, slot.body.reason], [409, "SLOT_FULL"]);
+
+  // Done eating, the service is still sold out
+  await status("full", "COMPLETED");
+  assert.equal((await reserve(ctx, { date, party: 2 })).body.reason, "NO_CAPACITY");
+  const avail = await ctx.request("GET", `/availability?restaurant=brodo-pasta&date=${date}&service=DINNER&party=1`);
+  assert.deepEqual([avail.body.result.ok, avail.body.result.booked], [false, 20]);
+});
@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startStaffApp, reserve, dayFromToday, RESTAURANTS, HOST } = require("./helpers");
+
+const GUEST = "5491100000011";
+
+const TAGS = [
+  { code: "birthday", emoji: "🎂", label: { es: "Cumpleaños", en: "Birthday" } },
+  { code: "highchair", emoji: "👶", label: { es: "Silla para bebé", en: "High chair" } },
+  { code: "outdoor", emoji: "🌿", label: { es: "Mesa afuera", en: "Outdoor table" }, capacity: 4 },
+];
+
+function tagsApp(t) {
+  return startStaffApp(t, {
+    seed: {
+      restaurants: RESTAURANTS.map((r) => (r.id === "r-pasta" ? { ...r, request_tags: TAGS } : r)),
+      customers: [{ phone: GUEST, name: "Ana" }],
+    },
+  });
+}
+
+test("the chat asks for special requests before confirming and the staff sees them", async (t) => {
+  const ctx = await tagsApp(t);
+
+  for (const input of ["hola", "1", "pasta", "2"]) await ctx.say(GUEST, input);
+  const asked = await ctx.say(GUEST, "pasado mañana a la noche");
+  assert.match(asked.text, /¿Algún pedido especial\?/);
+  assert.match(asked.text, /1\) 🎂 Cumpleaños\n2\) 👶 Silla para bebé\n3\) 🌿 Mesa afuera/);
+  assert.equal((await ctx.store.getSession(GUEST)).state, "ASK_NOTES");
+
+  assert.match((await ctx.say(GUEST, "9")).text, /No entendí/);
+  const tagged = await ctx.say(GUEST, "1 y 3");
+  assert.match(tagged.text, /Pedidos: \*🎂 Cumpleaños, 🌿 Mesa afuera\*/);
+  assert.match(tagged.text, /5️⃣ Pedido especial/);
+
+  // 5 again: a note now, the tags stay
+  await ctx.say(GUEST, "5");
+  const noted = await ctx.say(GUEST, "Una de las chicas es celíaca");
+  assert.match(noted.text, /Pedidos: \*🎂 Cumpleaños, 🌿 Mesa afuera\*\nNota: _Una de las chicas es celíaca_/);
+
+  const booked = await ctx.say(GUEST, "1");
+  assert.match(booked.text, /Reserva confirmada[\s\S]*Pedidos: \*🎂 Cumpleaños, 🌿 Mesa afuera\*/);
+
+  const path = `/staff/reservations?restaurant=brodo-pasta&date=${dayFromToday(2)}`;
+  const day = await ctx.request("GET", path, null, HOST);
+  const [reservation] = day.body.reservations;
+  assert.deepEqual(reservation.tags, ["birthday", "outdoor"]);
+  assert.equal(reservation.notes, "Una de las chicas es celíaca");
+});
+
+test("a tag with capacity is its own pool in availability, alternatives and bookings", async (t) => {
+  const ctx = await tagsApp(t);
+
+  const first = await reserve(ctx, { party: 3, tags: ["OUTDOOR", "birthday"], notes: "Torta a las 22" });
+  assert.equal(first.status, 200);
+  const row = await ctx.store.getReservation(first.body.reservation_id);
+  assert.deepEqual([row.tags, row.notes], [["birthday", "outdoor"], "Torta a las 22"]);
+
+  const query = `restaurant=brodo-pasta&date=${dayFromToday(2)}&service=DINNER&party=2`;
+  const outside = await ctx.request("GET", `/availability?${query}&tags=outdoor`);
+  assert.deepEqual([outside.body.result.ok, outside.body.result.reason], [false, "TAG_FULL"]);
+  assert.deepEqual([outside.body.result.tag, outside.body.result.tag_remaining], ["outdoor", 1]);
+  assert.equal((await ctx.request("GET", `/availability?${query}`)).body.result.ok, true);
+
+  const full = await reserve(ctx, { tags: ["outdoor"] });
+  assert.deepEqual([full.status, full.body.reason], [409, "TAG_FULL"]);
+  assert.equal((await reserve(ctx, { tags: ["highchair"] })).status, 200);
+
+  const unknown = await reserve(ctx, { tags: ["rooftop"] });
+  assert.deepEqual([unknown.status, unknown.body.reason], [400, "UNKNOWN_TAG"]);
+  assert.deepEqual(unknown.body.details.unknown, ["rooftop"]);
+  assert.equal((await reserve(ctx, { notes: "x".repeat(501) })).status, 400);
+
+  // The lunch of that day has the terrace free, the dinner of the next day too
+  await reserve(ctx, { service: "LUNCH", party: 4, tags: ["outdoor"] });
+  const alternatives = await ctx.request("GET", `/alternatives?${query}&days=1&tags=outdoor`);
+  assert.deepEqual(
+    alternatives.body.alternatives.map((a) => [a.service_date, a.service]),
+    [[dayFromToday(3), "LUNCH"], [dayFromToday(3), "DINNER"]]
+  );
+
+  // In the chat: why there is no room, and alternatives that have it
+  for (const input of ["hola", "1", "pasta", "2", "pasado mañana a la noche", "3"]) await ctx.say(GUEST, input);
+  const refused = await ctx.say(GUEST, "1");
+  assert.match(refused.text, /No queda lugar con \*🌿 Mesa afuera\* para ese horario[\s\S]*1\) \S+ — Lunch/);
+  assert.equal((await ctx.store.getSession(GUEST)).state, "ASK_ALT_PICK");
+});
+
+test("restaurants without tags take a note from the confirmation, and 0 clears it", async (t) => {
+  const ctx = await tagsApp(t);
+
+  const restaurants = await ctx.request("GET", "/restaurants");
+  const pasta = restaurants.body.restaurants.find((r) => r.code === "brodo-pasta");
+  assert.deepEqual(pasta.request_tags.map((tag) => tag.code), ["birthday", "highchair", "outdoor"]);
+
+  for (const input of ["hola", "1", "pizza", "4"]) await ctx.say(GUEST, input);
+  const confirm = await ctx.say(GUEST, "mañana al mediodía");
+  assert.match(confirm.text, /✅ Confirmación[\s\S]*5️⃣ Pedido especial/);
+
+  const asked = await ctx.say(GUEST, "5");
+  assert.match(asked.text, /¿Algún pedido especial\?[\s\S]*Escribí tu pedido, o \*0\* si no hay ninguno/);
+  assert.match((await ctx.say(GUEST, "Vamos con un perro")).text, /Nota: _Vamos con un perro_/);
+
+  await ctx.say(GUEST, "5");
+  assert.doesNotMatch((await ctx.say(GUEST, "0")).text, /Nota:/);
+  await ctx.say(GUEST, "1");
+
+  const [reservation] = await ctx.store.listReservations({ customer_phone: GUEST });
+  assert.deepEqual([reservation.notes, reservation.tags], [null, []]);
+});
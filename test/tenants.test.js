@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, dayFromToday, inboundPayload } = require("./helpers");
+const { computeSignature } = require("../src/signature");
+const { tenantsFromEnv } = require("../src/tenants");
+
+const GUEST = "5491155550020";
+
+const TENANTS = [
+  { id: "deli", phone_number_id: "phone-1", restaurants: ["deliclub"], verify_token: "deli-verify" },
+  {
+    id: "brodo",
+    phone_number_id: "phone-2",
+    restaurants: ["brodo-pasta", "brodo-pizza"],
+    verify_token: "brodo-verify",
+    welcome: { es: "👋 Bienvenido a Brodo" },
+  },
+];
+
+async function tenantsApp(t, seed = {}) {
+  const ctx = await startTestApp({
+    env: { WHATSAPP_INTERACTIVE: "false", WHATSAPP_TENANTS: JSON.stringify(TENANTS) },
+    seed: { customers: [{ phone: GUEST, name: "Ana" }], ...seed },
+  });
+  t.after(() => ctx.close());
+  return ctx;
+}
+
+test("each number answers with its own restaurants, menu and conversation", async (t) => {
+  const ctx = await tenantsApp(t);
+
+  assert.match((await ctx.say(GUEST, "hola", { phoneNumberId: "phone-2" })).text, /^👋 Bienvenido a Brodo/);
+  const brodo = await ctx.say(GUEST, "1", { phoneNumberId: "phone-2" });
+  assert.match(brodo.text, /1\) 🍝 brodo-pasta\n2\) 🍕 brodo-pizza\n\nRespondé con 1 o 2/);
+
+  // Same guest, another number: another conversation, another catalog
+  assert.match((await ctx.say(GUEST, "hola", { phoneNumberId: "phone-1" })).text, /Bienvenido al sistema de reservas/);
+  await ctx.say(GUEST, "1", { phoneNumberId: "phone-1" });
+  const deli = await ctx.say(GUEST, "pasta", { phoneNumberId: "phone-1" });
+  assert.match(deli.text, /No entendí[\s\S]*1\) 🥩 deliclub/);
+
+  assert.equal(ctx.transports.get("brodo").sent.length, 2);
+  assert.equal(ctx.transports.get("deli").sent.length, 3);
+
+  await ctx.say(GUEST, "pasta", { phoneNumberId: "phone-2" });
+  assert.equal((await ctx.store.getSession(GUEST, "brodo")).restaurant_code, "brodo-pasta");
+  assert.equal((await ctx.store.getSession(GUEST, "deli")).restaurant_code, null);
+
+  const [message] = await ctx.store.listOutboundMessages({ tenant_id: "brodo", limit: 1 });
+  assert.equal(message.wa_id, GUEST);
+});
+
+test("a number only lists, cancels and changes the bookings of its own restaurants", async (t) => {
+  const pasta = {
+    id: "res-pasta",
+    restaurant_id: "r-pasta",
+    customer_name: "Ana",
+    customer_phone: GUEST,
+    party_size: 2,
+    service_date: dayFromToday(3),
+    service: "DINNER",
+  };
+  const ctx = await tenantsApp(t, { reservations: [pasta] });
+  const deli = { phoneNumberId: "phone-1" };
+
+  await ctx.say(GUEST, "hola", deli);
+  assert.match((await ctx.say(GUEST, "2", deli)).text, /No encontré reservas futuras/);
+  assert.match((await ctx.say(GUEST, "4", deli)).text, /No encontré reservas futuras/);
+
+  // Ids that did not come from its own list are refused too
+  await ctx.store.upsertSession(GUEST, { state: "ASK_CANCEL_PICK", cancel_ids: ["res-pasta"] }, "deli");
+  assert.match((await ctx.say(GUEST, "1", deli)).text, /No encontré esa reserva/);
+  await ctx.store.upsertSession(GUEST, { state: "ASK_MODIFY_PICK", cancel_ids: ["res-pasta"] }, "deli");
+  assert.match((await ctx.say(GUEST, "1", deli)).text, /ya no está activa/);
+  const button = { type: "button", button: { text: "Cancelar", payload: "REMINDER_CANCEL:res-pasta" } };
+  assert.match((await ctx.say(GUEST, button, deli)).text, /ya no está activa/);
+  assert.equal((await ctx.store.getReservation("res-pasta")).status, "CONFIRMED");
+
+  // Its own number does list it
+  await ctx.say(GUEST, "hola", { phoneNumberId: "phone-2" });
+  assert.match((await ctx.say(GUEST, "2", { phoneNumberId: "phone-2" })).text, /1\) 🍝 brodo-pasta/);
+});
+
+test("webhook verification accepts every tenant's token; unknown numbers are ignored", async (t) => {
+  const ctx = await tenantsApp(t);
+
+  for (const token of ["deli-verify", "brodo-verify"]) {
+    const res = await ctx.request("GET", `/webhook?hub.mode=subscribe&hub.verify_token=${token}&hub.challenge=7`);
+    assert.equal(res.status, 200);
+  }
+  const bad = await ctx.request("GET", "/webhook?hub.mode=subscribe&hub.verify_token=verify-me&hub.challenge=7");
+  assert.equal(bad.status, 403);
+
+  const res = await ctx.say(GUEST, "hola", { phoneNumberId: "phone-9" });
+  assert.equal(res.status, 200);
+  assert.equal(ctx.transports.get("deli").sent.length + ctx.transports.get("brodo").sent.length, 0);
+  assert.deepEqual(await ctx.store.listSessions({}), []);
+});
+
+test("a tenant's app secret can't post messages to another tenant's number", async (t) => {
+  const tenants = TENANTS.map((tenant) => ({ ...tenant, app_secret: `${tenant.id}-secret` }));
+  const ctx = await startTestApp({
+    env: { WHATSAPP_INTERACTIVE: "false", WHATSAPP_TENANTS: JSON.stringify(tenants) },
+    seed: { customers: [{ phone: GUEST, name: "Ana" }] },
+  });
+  t.after(() => ctx.close());
+  const signed = (payload, secret) => ({ signature: computeSignature(Buffer.from(JSON.stringify(payload)), secret) });
+
+  const toBrodo = inboundPayload(GUEST, { id: "m1", type: "text", text: { body: "hola" } }, "phone-2");
+  assert.equal((await ctx.postWebhook(toBrodo, signed(toBrodo, "deli-secret"))).status, 401);
+  assert.equal(ctx.transports.get("brodo").sent.length, 0);
+  assert.equal(await ctx.store.getSession(GUEST, "brodo"), null);
+
+  // One payload for both numbers needs both signatures: deli's alone doesn't carry brodo's event in
+  const both = inboundPayload(GUEST, { id: "m2", type: "text", text: { body: "hola" } }, "phone-1");
+  both.entry.push(...toBrodo.entry);
+  assert.equal((await ctx.postWebhook(both, signed(both, "deli-secret"))).status, 401);
+  assert.equal(ctx.transports.get("deli").sent.length, 0);
+
+  assert.equal((await ctx.postWebhook(toBrodo, signed(toBrodo, "brodo-secret"))).status, 200);
+  assert.match(ctx.transports.get("brodo").sent[0].text.body, /^👋 Bienvenido a Brodo/);
+});
+
+test("tenants come from WHATSAPP_TENANTS or, without it, from the single-number env", () => {
+  const [single] = tenantsFromEnv({ WHATSAPP_PHONE_NUMBER_ID: "123", WHATSAPP_ACCESS_TOKEN: "tok" });
+  assert.equal(single.id, "default");
+  assert.equal(single.phoneNumberId, "123");
+  assert.equal(single.restaurants, null);
+
+  const [deli] = tenantsFromEnv({ WHATSAPP_ACCESS_TOKEN: "tok", WHATSAPP_TENANTS: JSON.stringify(TENANTS) });
+  assert.equal(deli.accessToken, "tok");
+  assert.deepEqual(deli.restaurants, ["deliclub"]);
+
+  assert.throws(() => tenantsFromEnv({ WHATSAPP_TENANTS: "[{" }), /not valid JSON/);
+  const twice = [TENANTS[0], { ...TENANTS[1], phone_number_id: "phone-1" }];
+  assert.throws(() => tenantsFromEnv({ WHATSAPP_TENANTS: JSON.stringify(twice) }), /duplicate phone:phone-1/);
+  const noPhone = [TENANTS[0], { id: "x" }];
+  assert.throws(() => tenantsFromEnv({ WHATSAPP_TENANTS: JSON.stringify(noPhone) }), /no phone_number_id/);
+});
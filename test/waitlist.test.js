@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, dayFromToday, buttonReply, listReply } = require("./helpers");
+const { hashApiKey } = require("../src/auth");
+const { payloadText } = require("../src/whatsapp");
+
+const ANA = "5491100000011";
+const BETO = "5491100000012";
+const OWNER = "5491100009999";
+
+// Dinner at deliclub is full (20 of 20) with one big booking
+async function fullDinner(t, env = {}) {
+  const date = dayFromToday(4);
+  const ctx = await startTestApp({
+    env: { WHATSAPP_INTERACTIVE: "false", WAITLIST_HOLD_MINUTES: "15", ...env },
+    seed: {
+      staffKeys: [{ restaurant_id: "r-deliclub", label: "host", key_hash: hashApiKey("deli-key") }],
+      customers: [
+        { phone: ANA, name: "Ana" },
+        { phone: BETO, name: "Beto" },
+      ],
+      reservations: [
+        {
+          id: "big",
+          restaurant_id: "r-deliclub",
+          customer_name: "Grupo",
+          customer_phone: OWNER,
+          party_size: 20,
+          service_date: date,
+          service: "DINNER",
+        },
+      ],
+    },
+  });
+  t.after(() => ctx.close());
+  return { ctx, date };
+}
+
+async function joinWaitlist(ctx, wa_id, date, party) {
+  await ctx.say(wa_id, "hola");
+  await ctx.say(wa_id, "1");
+  await ctx.say(wa_id, "deliclub");
+  await ctx.say(wa_id, String(party));
+  await ctx.say(wa_id, `${date} a la noche`);
+  const noAvail = await ctx.say(wa_id, "1");
+  assert.match(noAvail.text, /escribí \*espera\*/);
+  return ctx.say(wa_id, "espera");
+}
+
+function offersTo(ctx, wa_id) {
+  return ctx.transport.sent.filter((p) => p.to === wa_id && /Se liberó un lugar/.test(payloadText(p))).length;
+}
+
+test("joins the waitlist and claims the offer after a cancellation", async (t) => {
+  const { ctx, date } = await fullDinner(t, { WHATSAPP_INTERACTIVE: "true" });
+
+  await ctx.say(ANA, "hola");
+  await ctx.say(ANA, "1");
+  await ctx.say(ANA, "deliclub");
+  await ctx.say(ANA, "4");
+  await ctx.say(ANA, `${date} a la noche`);
+  const noAvail = await ctx.say(ANA, buttonReply("1", "Confirmar"));
+  assert.match(noAvail.text, /- Lista de espera \(espera\)/);
+
+  const joined = await ctx.say(ANA, listReply("espera", "Lista de espera"));
+  assert.match(joined.text, /Te anotamos en la lista de espera/);
+
+  const [entry] = await ctx.store.listWaitlist({ wa_id: ANA });
+  assert.equal(entry.status, "WAITING");
+  assert.equal(entry.party_size, 4);
+
+  ctx.transport.clear();
+  const cancelled = await ctx.request("POST", "/cancel", { reservation_id: "big" });
+  assert.equal(cancelled.status, 200);
+
+  const [offer] = ctx.transport.sent.filter((p) => p.to === ANA);
+  assert.match(payloadText(offer), /Se liberó un lugar/);
+  assert.match(payloadText(offer), /15 minutos/);
+  const claimId = offer.interactive.action.buttons[0].reply.id;
+  assert.equal(claimId, `WAITLIST_CLAIM:${entry.id}`);
+
+  // While the offer lasts those 4 seats cannot be booked
+  const taken = await ctx.request("POST", "/reserve", {
+    restaurant: "deliclub",
+    date,
+    service: "DINNER",
+    party: 17,
+    customer_name: "Otro",
+    customer_phone: "5491100000099",
+  });
+  assert.equal(taken.status, 409);
+
+  const claimed = await ctx.say(ANA, buttonReply(claimId, "Reservar"));
+  assert.match(claimed.text, /¡Reserva confirmada!/);
+
+  const [reservation] = await ctx.store.listReservations({ customer_phone: ANA });
+  assert.equal(reservation.party_size, 4);
+  assert.equal(reservation.service, "DINNER");
+  assert.equal((await ctx.store.getWaitlistEntry(entry.id)).status, "CLAIMED");
+
+  // Already claimed: the button does not work twice
+  assert.match((await ctx.say(ANA, buttonReply(claimId, "Reservar"))).text, /ya no está disponible/);
+});
+
+test("an expired offer moves to the next guest in line", async (t) => {
+  const { ctx, date } = await fullDinner(t);
+  // The large table goes to 16 and the owner adds another of 4: still full
+  await ctx.store.updateReservation("big", { party_size: 16 });
+  await ctx.store.insertReservation({
+    restaurant_id: "r-deliclub",
+    customer_name: "WhatsApp User",
+    customer_phone: OWNER,
+    party_size: 4,
+    service_date: date,
+    service: "DINNER",
+    status: "CONFIRMED",
+  });
+
+  await joinWaitlist(ctx, ANA, date, 4);
+  await joinWaitlist(ctx, BETO, date, 4);
+
+  // WhatsApp cancellation of the table of 4 (the newest, first in the list): room for only one
+  assert.match((await ctx.say(OWNER, "cancelar")).text, /1\) .* — 4 pax/);
+  await ctx.say(OWNER, "1");
+  assert.equal(offersTo(ctx, ANA), 1);
+  assert.equal(offersTo(ctx, BETO), 0);
+
+  const later = new Date(Date.now() + 16 * 60 * 1000);
+  assert.deepEqual(await ctx.waitlist.tick(later), { expired: 1 });
+  assert.equal(offersTo(ctx, BETO), 1);
+
+  assert.match((await ctx.say(ANA, "1")).text, /ya no está disponible/);
+  assert.match((await ctx.say(BETO, "1")).text, /¡Reserva confirmada!/);
+
+  const entries = await ctx.store.listWaitlist({});
+  assert.deepEqual(
+    entries.map((e) => [e.wa_id, e.status]),
+    [
+      [ANA, "EXPIRED"],
+      [BETO, "CLAIMED"],
+    ]
+  );
+});
+
+test("declining passes the offer on", async (t) => {
+  const { ctx, date } = await fullDinner(t);
+
+  await joinWaitlist(ctx, ANA, date, 20);
+  await joinWaitlist(ctx, BETO, date, 20);
+  await ctx.request("POST", "/cancel", { reservation_id: "big" });
+
+  assert.match((await ctx.say(ANA, "no")).text, /próxima persona/);
+  assert.equal(offersTo(ctx, BETO), 1);
+  assert.equal((await ctx.store.listWaitlist({ wa_id: ANA }))[0].status, "DECLINED");
+});
+
+test("offers skip guests that do not fit and go to the next one", async (t) => {
+  const { ctx, date } = await fullDinner(t);
+
+  await joinWaitlist(ctx, ANA, date, 6);
+  await joinWaitlist(ctx, BETO, date, 2);
+
+  // The host shrinks the large table from 20 to 17: 3 fit, not 6
+  const staff = { Authorization: "Bearer deli-key" };
+  const edit = await ctx.request("PATCH", "/staff/reservations/big", { party: 17 }, staff);
+  assert.equal(edit.status, 200);
+
+  assert.equal(offersTo(ctx, ANA), 0);
+  assert.equal(offersTo(ctx, BETO), 1);
+
+  const list = await ctx.request("GET", `/staff/waitlist?date=${date}`, null, staff);
+  assert.equal(list.status, 200);
+  assert.deepEqual(
+    list.body.waitlist.map((e) => [e.wa_id, e.party_size, e.status]),
+    [
+      [ANA, 6, "WAITING"],
+      [BETO, 2, "OFFERED"],
+    ]
+  );
+});
@@ -0,0 +1,498 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startTestApp,
+  startStaffApp,
+  dayFromToday,
+  inboundPayload,
+  buttonReply,
+  listReply,
+  HOST,
+} = require("./helpers");
+const { zonedDateTime } = require("../src/dates");
+const { payloadText } = require("../src/whatsapp");
+
+const GUEST = "5491155550000";
+
+test("GET /webhook verification", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+
+  const ok = await ctx.request("GET", "/webhook?hub.mode=subscribe&hub.verify_token=verify-me&hub.challenge=42");
+  assert.equal(ok.status, 200);
+  assert.equal(ok.text, "42");
+
+  const bad = await ctx.request("GET", "/webhook?hub.mode=subscribe&hub.verify_token=nope&hub.challenge=42");
+  assert.equal(bad.status, 403);
+});
+
+test("rejects payloads with a bad signature", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+
+  const res = await ctx.postWebhook(inboundPayload(GUEST, { id: "m1", type: "text", text: { body: "hola" } }), {
+    signature: "sha256=deadbeef",
+  });
+  assert.equal(res.status, 401);
+  assert.equal(ctx.transport.sent.length, 0);
+});
+
+test("rejects every payload when there is no app secret", async (t) => {
+  const ctx = await startTestApp({ env: { WHATSAPP_APP_SECRET: "" } });
+  t.after(() => ctx.close());
+
+  const res = await ctx.postWebhook(inboundPayload(GUEST, { id: "m1", type: "text", text: { body: "hola" } }));
+  assert.equal(res.status, 401);
+  assert.equal(ctx.transport.sent.length, 0);
+});
+
+test("ignores redelivered messages", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+
+  const first = await ctx.say(GUEST, "hola", { id: "wamid.same" });
+  const again = await ctx.say(GUEST, "hola", { id: "wamid.same" });
+  assert.equal(first.replies.length, 1);
+  assert.equal(again.status, 200);
+  assert.equal(again.replies.length, 0);
+});
+
+test("handles the redelivery of a message whose handling failed", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+
+  const handleMessage = ctx.bot.handleMessage;
+  ctx.bot.handleMessage = async () => {
+    ctx.bot.handleMessage = handleMessage;
+    throw new Error("store down");
+  };
+  const failed = await ctx.say(GUEST, "hola", { id: "wamid.retry" });
+  assert.equal(failed.status, 200);
+  assert.equal(failed.replies.length, 0);
+
+  const again = await ctx.say(GUEST, "hola", { id: "wamid.retry" });
+  assert.equal(again.replies.length, 1);
+  assert.equal((await ctx.say(GUEST, "hola", { id: "wamid.retry" })).replies.length, 0);
+});
+
+test("books a table by typing", async (t) => {
+  const ctx = await startTestApp({ env: { WHATSAPP_INTERACTIVE: "false" } });
+  t.after(() => ctx.close());
+
+  assert.match((await ctx.say(GUEST, "hola")).text, /1️⃣ Reservar mesa/);
+  // First booking: asks for the name, suggesting the WhatsApp profile's
+  assert.match((await ctx.say(GUEST, "1")).text, /¿A nombre de quién.*\n\n1️⃣ Test Guest/);
+  assert.match((await ctx.say(GUEST, "Ana López")).text, /Gracias, Ana López.*\n\n.*\n1\) 🥩 deliclub\n2\) 🍝 brodo-pasta\n3\) 🍕 brodo-pizza/s);
+  assert.match((await ctx.say(GUEST, "pasta")).text, /Elegiste \*🍝 brodo-pasta\*/);
+  assert.match((await ctx.say(GUEST, "4")).text, /¿Para qué fecha/);
+
+  const confirm = await ctx.say(GUEST, "mañana a la noche");
+  assert.match(confirm.text, /Entendí/);
+  assert.match(confirm.text, /Servicio: \*Dinner\*/);
+
+  assert.match((await ctx.say(GUEST, "1")).text, /¡Reserva confirmada!/);
+
+  const [reservation] = await ctx.store.listReservations({ customer_phone: GUEST });
+  assert.equal(reservation.restaurant_id, "r-pasta");
+  assert.equal(reservation.party_size, 4);
+  assert.equal(reservation.service_date, dayFromToday(1));
+  assert.equal(reservation.service, "DINNER");
+  assert.equal(reservation.status, "CONFIRMED");
+  assert.equal(reservation.customer_name, "Ana López");
+  assert.equal((await ctx.store.getSession(GUEST)).state, "IDLE");
+});
+
+test("books a table with buttons and lists, picking a time slot", async (t) => {
+  const ctx = await startTestApp({
+    seed: {
+      slots: [
+        { restaurant_id: "r-pizza", service: "LUNCH", slot_time: "12:30", capacity: 8 },
+        { restaurant_id: "r-pizza", service: "LUNCH", slot_time: "13:30", capacity: 8 },
+      ],
+    },
+  });
+  t.after(() => ctx.close());
+
+  const menu = await ctx.say(GUEST, "hola");
+  assert.equal(menu.replies[0].type, "interactive");
+  assert.equal(menu.replies[0].interactive.type, "list");
+  assert.deepEqual(
+    menu.replies[0].interactive.action.sections[0].rows.map((r) => r.id),
+    ["1", "4", "2", "3", "5"]
+  );
+
+  const name = await ctx.say(GUEST, listReply("1", "Reservar mesa"));
+  assert.deepEqual(name.replies[0].interactive.action.buttons, [{ type: "reply", reply: { id: "1", title: "Test Guest" } }]);
+
+  const picker = await ctx.say(GUEST, buttonReply("1", "Test Guest"));
+  assert.equal(picker.replies[0].interactive.type, "list");
+
+  await ctx.say(GUEST, listReply("brodo-pizza"));
+  await ctx.say(GUEST, "2");
+  const service = await ctx.say(GUEST, dayFromToday(2));
+  assert.deepEqual(
+    service.replies[0].interactive.action.buttons.map((b) => b.reply.id),
+    ["lunch", "dinner"]
+  );
+
+  const times = await ctx.say(GUEST, buttonReply("lunch", "Lunch"));
+  assert.match(times.text, /¿A qué hora\?/);
+  assert.match(times.text, /13:30/);
+
+  const confirm = await ctx.say(GUEST, listReply("13:30"));
+  assert.match(confirm.text, /Horario: \*13:30\*/);
+
+  assert.match((await ctx.say(GUEST, buttonReply("1", "Confirmar"))).text, /¡Reserva confirmada!/);
+
+  const [reservation] = await ctx.store.listReservations({ customer_phone: GUEST });
+  assert.equal(reservation.service_time, "13:30");
+  assert.equal(reservation.customer_name, "Test Guest");
+});
+
+test("falls back to text when Meta rejects the interactive message", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+
+  ctx.transport.failNext(400);
+  const res = await ctx.say(GUEST, "hola");
+  assert.equal(res.replies.length, 1);
+  assert.equal(res.replies[0].type, "text");
+  assert.match(res.replies[0].text.body, /2️⃣ Cancelar reserva/);
+});
+
+test("offers alternatives when the service is full", async (t) => {
+  const date = dayFromToday(4);
+  const ctx = await startTestApp({
+    env: { WHATSAPP_INTERACTIVE: "false" },
+    seed: {
+      reservations: [
+        {
+          restaurant_id: "r-deliclub",
+          customer_name: "Grupo",
+          customer_phone: "5491100009999",
+          party_size: 20,
+          service_date: date,
+          service: "DINNER",
+        },
+      ],
+    },
+  });
+  t.after(() => ctx.close());
+
+  await ctx.say(GUEST, "hola");
+  await ctx.say(GUEST, "1");
+  await ctx.say(GUEST, "1");
+  await ctx.say(GUEST, "deliclub");
+  await ctx.say(GUEST, "2");
+  await ctx.say(GUEST, date);
+  await ctx.say(GUEST, "2");
+
+  const noAvail = await ctx.say(GUEST, "1");
+  assert.match(noAvail.text, /No hay disponibilidad/);
+  assert.match(noAvail.text, new RegExp(`1\\) ${date} — Lunch`));
+
+  assert.match((await ctx.say(GUEST, "1")).text, /Elegiste alternativa/);
+  assert.match((await ctx.say(GUEST, "1")).text, /¡Reserva confirmada!/);
+
+  const [reservation] = await ctx.store.listReservations({ customer_phone: GUEST });
+  assert.equal(reservation.service, "LUNCH");
+});
+
+test("cancels an upcoming reservation", async (t) => {
+  const ctx = await startTestApp({
+    env: { WHATSAPP_INTERACTIVE: "false" },
+    seed: {
+      reservations: [
+        {
+          id: "res-1",
+          restaurant_id: "r-pizza",
+          customer_name: "WhatsApp User",
+          customer_phone: GUEST,
+          party_size: 3,
+          service_date: dayFromToday(6),
+          service: "LUNCH",
+        },
+      ],
+    },
+  });
+  t.after(() => ctx.close());
+
+  const list = await ctx.say(GUEST, "cancelar");
+  assert.match(list.text, /1\) 🍕 brodo-pizza — .* — Lunch — 3 pax/);
+
+  assert.match((await ctx.say(GUEST, "1")).text, /Reserva cancelada/);
+  assert.equal((await ctx.store.getReservation("res-1")).status, "CANCELLED");
+});
+
+test("reminders: sent once in the guest's language, and the Cancelar quick reply cancels", async (t) => {
+  const date = dayFromToday(1);
+  const ctx = await startTestApp({
+    seed: {
+      reservations: [
+        {
+          id: "res-2",
+          restaurant_id: "r-deliclub",
+          customer_name: "WhatsApp User",
+          customer_phone: GUEST,
+          party_size: 2,
+          service_date: date,
+          service: "DINNER",
+        },
+        {
+          id: "res-3",
+          restaurant_id: "r-deliclub",
+          customer_name: "Ann",
+          customer_phone: "5491155550099",
+          party_size: 4,
+          service_date: date,
+          service: "DINNER",
+        },
+      ],
+      sessions: [{ wa_id: "5491155550099", state: "IDLE", language: "en" }],
+    },
+  });
+  t.after(() => ctx.close());
+
+  // Two hours before dinner (21:00 by default)
+  const now = zonedDateTime(date, "19:00", ctx.config.timeZone);
+  assert.deepEqual(await ctx.reminders.tick(now), { sent: 2 });
+  assert.deepEqual(await ctx.reminders.tick(now), { sent: 0 });
+
+  const template = ctx.transport.sent.find((m) => m.to === GUEST);
+  assert.equal(template.type, "template");
+  assert.equal(template.template.language.code, "es");
+  assert.match(template.template.components[0].parameters[1].text, / de /);
+  assert.equal(template.template.components[2].parameters[0].payload, "REMINDER_CANCEL:res-2");
+
+  // In the guest's language: the English translation, with the date and service in English
+  const english = ctx.transport.sent.find((m) => m.to === "5491155550099").template;
+  assert.equal(english.language.code, "en");
+  assert.match(english.components[0].parameters[1].text, /^[A-Z][a-z]+day, [A-Z][a-z]+ \d{1,2}, \d{4}$/);
+  assert.equal(english.components[0].parameters[2].text, "Dinner — 4 pax");
+
+  const res = await ctx.say(GUEST, { type: "button", button: { text: "Cancelar", payload: "REMINDER_CANCEL:res-2" } });
+  assert.match(res.text, /Reserva cancelada/);
+
+  const reservation = await ctx.store.getReservation("res-2");
+  assert.equal(reservation.status, "CANCELLED");
+  assert.ok(reservation.reminder_sent_at);
+  assert.ok(reservation.reminder_cancelled_at);
+});
+
+test("a reminder the outbox dead-letters is not sent again every tick", async (t) => {
+  const date = dayFromToday(1);
+  const ctx = await startStaffApp(t, {
+    seed: {
+      reservations: [
+        {
+          id: "res-4",
+          restaurant_id: "r-deliclub",
+          customer_name: "WhatsApp User",
+          customer_phone: GUEST,
+          party_size: 2,
+          service_date: date,
+          service: "DINNER",
+        },
+      ],
+    },
+  });
+
+  // Meta refuses the template (400): no retry will fix it
+  ctx.transport.failNext(400);
+  const now = zonedDateTime(date, "19:00", ctx.config.timeZone);
+  assert.deepEqual(await ctx.reminders.tick(now), { sent: 0 });
+  assert.deepEqual(await ctx.reminders.tick(now), { sent: 0 });
+
+  assert.equal(ctx.transport.sent.length, 0);
+  assert.ok((await ctx.store.getReservation("res-4")).reminder_sent_at);
+  const detail = await ctx.request("GET", "/staff/reservations/res-4", null, HOST);
+  assert.deepEqual(detail.body.messages.map((m) => m.status), ["DEAD"]);
+});
+
+test("modifies a reservation without losing it when the change does not fit", async (t) => {
+  const date = dayFromToday(5);
+  const ctx = await startTestApp({
+    env: { WHATSAPP_INTERACTIVE: "false" },
+    seed: {
+      reservations: [
+        {
+          restaurant_id: "r-pasta",
+          customer_name: "Grupo",
+          customer_phone: "5491100009999",
+          party_size: 14,
+          service_date: date,
+          service: "DINNER",
+        },
+        {
+          id: "mine",
+          restaurant_id: "r-pasta",
+          customer_name: "WhatsApp User",
+          customer_phone: GUEST,
+          party_size: 4,
+          service_date: date,
+          service: "DINNER",
+        },
+      ],
+    },
+  });
+  t.after(() => ctx.close());
+
+  assert.match((await ctx.say(GUEST, "modificar")).text, /1\) 🍝 brodo-pasta — .* — Dinner — 4 pax/);
+  assert.match((await ctx.say(GUEST, "1")).text, /¿Qué querés cambiar\?/);
+  await ctx.say(GUEST, "1");
+
+  // 14 + 6 = 20: fits because its own 4 seats do not count
+  const summary = await ctx.say(GUEST, "6");
+  assert.match(summary.text, /Antes: 4 pax/);
+  assert.match(summary.text, /Ahora: \*6 pax/);
+  assert.match((await ctx.say(GUEST, "1")).text, /¡Reserva modificada!/);
+  assert.equal((await ctx.store.getReservation("mine")).party_size, 6);
+
+  // 14 + 8 does not fit: the reservation stays as it was
+  await ctx.say(GUEST, "4");
+  await ctx.say(GUEST, "1");
+  await ctx.say(GUEST, "1");
+  await ctx.say(GUEST, "8");
+  const full = await ctx.say(GUEST, "1");
+  assert.match(full.text, /No hay lugar para ese cambio. Tu reserva sigue como estaba/);
+  assert.match(full.text, /¿Qué querés cambiar\?/);
+
+  const reservation = await ctx.store.getReservation("mine");
+  assert.equal(reservation.status, "CONFIRMED");
+  assert.equal(reservation.party_size, 6);
+
+  // Date change: keeps the service
+  await ctx.say(GUEST, "2");
+  const moved = await ctx.say(GUEST, dayFromToday(6));
+  assert.match(moved.text, /Ahora: \*6 pax — .* — Dinner/);
+  await ctx.say(GUEST, "1");
+  assert.equal((await ctx.store.getReservation("mine")).service_date, dayFromToday(6));
+});
+
+test("returning guests keep their name and can rebook the same as last time", async (t) => {
+  const ctx = await startTestApp({
+    env: { WHATSAPP_INTERACTIVE: "false" },
+    seed: {
+      customers: [
+        {
+          phone: GUEST,
+          name: "Ana",
+          last_restaurant_id: "r-pizza",
+          last_party_size: 3,
+          last_service: "LUNCH",
+          usual_party_size: 2,
+          party_size_counts: { 2: 2, 3: 1 },
+        },
+      ],
+    },
+  });
+  t.after(() => ctx.close());
+
+  const repeat = await ctx.say(GUEST, "1");
+  assert.match(repeat.text, /Hola de nuevo, Ana/);
+  assert.match(repeat.text, /¿Lo mismo que la última vez\?\n\*🍕 brodo-pizza\* — 2 personas — Lunch/);
+
+  assert.match((await ctx.say(GUEST, "1")).text, /¿Para qué fecha\?/);
+  const confirm = await ctx.say(GUEST, dayFromToday(3));
+  assert.match(confirm.text, /Servicio: \*Lunch\*/);
+  assert.match((await ctx.say(GUEST, "1")).text, /¡Reserva confirmada!/);
+
+  const [reservation] = await ctx.store.listReservations({ customer_phone: GUEST });
+  assert.equal(reservation.customer_name, "Ana");
+  assert.equal(reservation.restaurant_id, "r-pizza");
+  assert.equal(reservation.party_size, 2);
+
+  const customer = await ctx.store.getCustomer(GUEST);
+  assert.equal(customer.last_party_size, 2);
+  assert.equal(customer.usual_party_size, 2);
+  assert.deepEqual(customer.party_size_counts, { 2: 3, 3: 1 });
+
+  // "Otra reserva" goes to the usual picker
+  await ctx.say(GUEST, "1");
+  assert.match((await ctx.say(GUEST, "2")).text, /1\) 🥩 deliclub/);
+});
+
+test("talks in the guest's language and switches with idioma / language", async (t) => {
+  const ctx = await startTestApp({ env: { WHATSAPP_INTERACTIVE: "false" } });
+  t.after(() => ctx.close());
+
+  assert.match((await ctx.say(GUEST, "hi")).text, /Welcome to our booking service\n\nType an option:\n1️⃣ Book a table/);
+  assert.equal((await ctx.store.getSession(GUEST)).language, "en");
+
+  // Keywords in English
+  assert.match((await ctx.say(GUEST, "book")).text, /What name should the booking be under\?/);
+  assert.match((await ctx.say(GUEST, "Ana")).text, /Thanks, Ana/);
+  assert.match((await ctx.say(GUEST, "pasta")).text, /You chose \*🍝 brodo-pasta\*/);
+  assert.match((await ctx.say(GUEST, "2")).text, /What date/);
+  assert.match((await ctx.say(GUEST, "tomorrow")).text, /Saturday|Sunday|Monday|Tuesday|Wednesday|Thursday|Friday/);
+  assert.match((await ctx.say(GUEST, "lunch")).text, /Service: \*Lunch\*/);
+  assert.match((await ctx.say(GUEST, "confirm")).text, /Booking confirmed!/);
+
+  const [reservation] = await ctx.store.listReservations({ customer_phone: GUEST });
+  assert.equal(reservation.service_date, dayFromToday(1));
+  assert.equal(reservation.service, "LUNCH");
+
+  // A greeting in another language switches it
+  assert.match((await ctx.say(GUEST, "olá")).text, /Bem-vindo ao sistema de reservas/);
+  assert.equal((await ctx.store.getSession(GUEST)).language, "pt");
+
+  assert.match((await ctx.say(GUEST, "idioma")).text, /Choose your language[\s\S]*2️⃣ English/);
+  assert.equal((await ctx.store.getSession(GUEST)).state, "ASK_LANGUAGE");
+  assert.match((await ctx.say(GUEST, "3")).text, /vou falar com você em português/);
+  assert.match((await ctx.say(GUEST, "language es")).text, /te hablo en español[\s\S]*1️⃣ Reservar mesa/);
+
+  const session = await ctx.store.getSession(GUEST);
+  assert.equal(session.language, "es");
+  assert.equal(session.state, "IDLE");
+});
+
+test("handles every entry, change and message of a batched payload, in order per guest", async (t) => {
+  const ctx = await startTestApp({ env: { WHATSAPP_INTERACTIVE: "false" } });
+  t.after(() => ctx.close());
+
+  const OTHER = "5491155550099";
+  const text = (from, id, body) => ({ from, id, timestamp: "1", type: "text", text: { body } });
+  const change = (...messages) => ({ field: "messages", value: { messaging_product: "whatsapp", messages } });
+
+  // A double tap from GUEST split across two entries, and another guest in between
+  const res = await ctx.postWebhook({
+    object: "whatsapp_business_account",
+    entry: [
+      { id: "waba-1", changes: [change(text(GUEST, "wamid.b1", "hola"), text(OTHER, "wamid.b2", "hi"))] },
+      { id: "waba-1", changes: [change(text(GUEST, "wamid.b3", "3")), change(text(OTHER, "wamid.b4", "menu"))] },
+    ],
+  });
+  assert.equal(res.status, 200);
+
+  const toGuest = ctx.transport.sent.filter((p) => p.to === GUEST).map(payloadText);
+  assert.equal(toGuest.length, 2);
+  assert.match(toGuest[0], /Bienvenido/);
+  assert.match(toGuest[1], /📍 Locales:/);
+
+  const toOther = ctx.transport.sent.filter((p) => p.to === OTHER).map(payloadText);
+  assert.equal(toOther.length, 2);
+  assert.ok(toOther.every((body) => /Welcome to our booking service/.test(body)));
+});
+
+test("answers 200 before the messages are handled", async (t) => {
+  const ctx = await startTestApp({ env: { WHATSAPP_INTERACTIVE: "false" } });
+  t.after(() => ctx.close());
+
+  // Slow Supabase: getSession does not return until it is let go
+  let release;
+  const slow = new Promise((resolve) => (release = resolve));
+  const getSession = ctx.store.getSession;
+  ctx.store.getSession = async (wa_id) => {
+    await slow;
+    return getSession(wa_id);
+  };
+
+  const payload = inboundPayload(GUEST, { id: "wamid.slow", type: "text", text: { body: "hola" } });
+  const res = await ctx.postWebhook(payload, { wait: false });
+  assert.equal(res.status, 200);
+  assert.equal(ctx.transport.sent.length, 0);
+
+  release();
+  await ctx.inbound.idle();
+  assert.equal(ctx.transport.sent.length, 1);
+});